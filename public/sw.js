@@ -0,0 +1,78 @@
+/**
+ * Service Worker（現場モードのオフライン対応）
+ * - ビルド成果物（precache.json に列挙）とアプリシェルを事前キャッシュ
+ * - 画面遷移はネットワーク優先、圏外ではキャッシュ済みの index.html を返す
+ * - ハッシュ付きの assets/ はキャッシュ優先
+ * - データは IndexedDB にあるため、ここでは静的ファイルのみ扱う
+ */
+
+const CACHE = "inspection-shell-v1";
+const SHELL = ["./", "index.html", "manifest.webmanifest", "icons/icon-192.png", "icons/icon-512.png"];
+
+const url = (path) => new URL(path, self.registration.scope).href;
+
+/** precache.json の一覧をキャッシュし、一覧から外れた古い assets を削除する */
+async function precache() {
+  const cache = await caches.open(CACHE);
+  let assets = [];
+  try {
+    const res = await fetch(url("precache.json"), { cache: "no-store" });
+    if (res.ok) assets = (await res.json()).map(url);
+  } catch {
+    return; // 圏外なら次回に持ち越し
+  }
+  const shell = SHELL.map(url);
+  const wanted = new Set([...shell, ...assets]);
+  const cached = await cache.keys();
+  const have = new Set(cached.map(r => r.url));
+  // アプリシェルは毎回更新し、assets はハッシュ付きなので未取得分だけ取る
+  await cache.addAll([...shell, ...assets.filter(u => !have.has(u))]);
+  await Promise.all(cached.filter(r => r.url.includes("/assets/") && !wanted.has(r.url)).map(r => cache.delete(r)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// 画面の読み込みごとに最新のビルド成果物を取り込む（sw.js 自体はビルドで変わらないため）
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache") event.waitUntil(precache());
+});
+
+async function networkFirst(request, fallback) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(fallback ?? request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(fallback ?? request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") event.respondWith(networkFirst(request, url("index.html")));
+  else if (new URL(request.url).pathname.includes("/assets/")) event.respondWith(cacheFirst(request));
+  else event.respondWith(networkFirst(request));
+});
@@ -0,0 +1,270 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { openDatabase } from "./db.js";
+import { createCredentials, issueToken } from "./auth.js";
+import { createApi } from "./index.js";
+
+/**
+ * API の結合テスト（node --test。node:sqlite を使うので Node 22.13 以降）
+ * メモリ上の DB で createApi を空いているポートで起動し、HTTP で呼び出す
+ */
+
+const PASSWORD = "password-1234";
+const USERS = [
+  { id: "U-001", name: "管理者", role: "admin" },
+  { id: "U-002", name: "計画担当", role: "planner" },
+  { id: "U-003", name: "点検担当A", role: "inspector" },
+  { id: "U-004", name: "点検担当B", role: "inspector" },
+  { id: "U-005", name: "業者A", role: "vendor", vendorId: "V-001" },
+  { id: "U-006", name: "業者B", role: "vendor", vendorId: "V-002" },
+];
+
+const inspection = (id, assigneeId, vendorId) => ({ id, propertyId: "P-001", kind: "消防設備点検", date: "2026-11-10", dueDate: "2026-11-30", status: "予定", assigneeId, vendorId, sequence: 0 });
+const corrective = (id, parentId, by, extra = {}) => ({
+  id, type: "corrective", parentId, propertyId: "P-001", kind: "消防設備点検", dueDate: "2026-12-15", correctiveStatus: "open", status: "是正中",
+  history: [{ from: null, to: "open", by, at: "2026-11-10T09:00:00.000Z", note: "点検報告により起票" }], ...extra,
+});
+
+/** 起動したサーバーと、ログイン済みのトークンで呼び出す関数 */
+async function startApi(db) {
+  const server = createApi(db);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  const call = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : undefined };
+  };
+  return { server, call, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/** パスワード設定済みのユーザー（ユーザーがいれば初回起動の管理者は作られない） */
+function seed(db) {
+  const now = new Date().toISOString();
+  const credentials = createCredentials(PASSWORD);
+  const insert = db.prepare("INSERT INTO users (id, data, version, created_at, updated_at) VALUES (?, ?, 1, ?, ?)");
+  for (const u of USERS) insert.run(u.id, JSON.stringify({ email: "", vendorId: "", ...u, ...credentials }), now, now);
+}
+
+const login = async (call, loginId, password = PASSWORD) => (await call("POST", "/auth/login", { body: { loginId, password } })).body.token;
+
+describe("API", () => {
+  let db, api, tokens;
+
+  // 物件・業者・予定（T-001 は点検担当A・業者A、T-002 は点検担当B・業者B）
+  beforeEach(async () => {
+    db = openDatabase(":memory:");
+    seed(db);
+    api = await startApi(db);
+    tokens = {};
+    for (const u of USERS) tokens[u.id] = await login(api.call, u.id);
+    const { status } = await api.call("POST", "/batch", {
+      token: tokens["U-001"],
+      body: {
+        operations: [
+          { op: "put", resource: "properties", record: { id: "P-001", name: "本社ビル" } },
+          { op: "put", resource: "vendors", record: { id: "V-001", name: "業者A" } },
+          { op: "put", resource: "vendors", record: { id: "V-002", name: "業者B" } },
+          { op: "put", resource: "events", record: inspection("T-001", "U-003", "V-001") },
+          { op: "put", resource: "events", record: inspection("T-002", "U-004", "V-002") },
+        ],
+      },
+    });
+    assert.equal(status, 200);
+  });
+
+  afterEach(() => api.close());
+
+  const get = async (path, token = tokens["U-001"]) => (await api.call("GET", path, { token })).body;
+  const put = (path, token, body, headers) => api.call("PUT", path, { token, body, headers });
+  const batch = (token, operations) => api.call("POST", "/batch", { token, body: { operations } });
+
+  describe("認証", () => {
+    test("初回起動では管理者を作り、セットアップコードでだけパスワードを設定できる", async (t) => {
+      // セットアップコードはコンソールに表示される
+      const printed = t.mock.method(console, "log", () => {});
+      const fresh = await startApi(openDatabase(":memory:"));
+      try {
+        const code = /: (\S+)$/.exec(printed.mock.calls[0].arguments[0])[1];
+        assert.equal((await fresh.call("POST", "/auth/login", { body: { loginId: "U-001", password: "U-001" } })).status, 401);
+        assert.equal((await fresh.call("POST", "/auth/password", { body: { loginId: "U-001", currentPassword: "U-001", newPassword: "new-password-1" } })).status, 401);
+
+        const pending = await fresh.call("POST", "/auth/login", { body: { loginId: "U-001", password: code } });
+        assert.equal(pending.status, 200);
+        assert.equal(pending.body.mustChangePassword, true);
+        assert.equal(pending.body.token, undefined);
+
+        const set = await fresh.call("POST", "/auth/password", { body: { loginId: "U-001", currentPassword: code, newPassword: "new-password-1" } });
+        assert.equal(set.status, 200);
+        assert.ok(set.body.token);
+        // コードは1回限り
+        assert.equal((await fresh.call("POST", "/auth/password", { body: { loginId: "U-001", currentPassword: code, newPassword: "new-password-2" } })).status, 401);
+        assert.ok(await login(fresh.call, "U-001", "new-password-1"));
+      } finally {
+        await fresh.close();
+      }
+    });
+
+    test("パスワードの初期化はセットアップコードを返し、ログイン中のセッションを切る", async () => {
+      assert.equal((await api.call("POST", "/users/U-003/reset-password", { token: tokens["U-002"] })).status, 403);
+
+      const reset = await api.call("POST", "/users/U-003/reset-password", { token: tokens["U-001"] });
+      assert.equal(reset.status, 200);
+      assert.ok(reset.body.setupToken);
+      assert.equal((await api.call("GET", "/auth/me", { token: tokens["U-003"] })).status, 401);
+      assert.equal((await api.call("POST", "/auth/login", { body: { loginId: "U-003", password: PASSWORD } })).status, 401);
+      assert.equal((await api.call("POST", "/auth/login", { body: { loginId: "U-003", password: "U-003" } })).status, 401);
+      // セットアップコードは API の認証には使えない
+      assert.equal((await api.call("GET", "/auth/me", { token: reset.body.setupToken })).status, 401);
+
+      const set = await api.call("POST", "/auth/password", { body: { loginId: "U-003", currentPassword: reset.body.setupToken, newPassword: "new-password-1" } });
+      assert.equal(set.status, 200);
+      assert.equal((await api.call("GET", "/auth/me", { token: set.body.token })).body.id, "U-003");
+    });
+
+    test("他のユーザーのセットアップコードでは設定できない", async () => {
+      const { body } = await api.call("POST", "/users/U-003/reset-password", { token: tokens["U-001"] });
+      await api.call("POST", "/users/U-004/reset-password", { token: tokens["U-001"] });
+      assert.equal((await api.call("POST", "/auth/password", { body: { loginId: "U-004", currentPassword: body.setupToken, newPassword: "new-password-1" } })).status, 401);
+    });
+
+    test("許可していない Origin からのリクエストは 403", async () => {
+      assert.equal((await api.call("GET", "/auth/me", { token: tokens["U-001"], headers: { Origin: "https://example.com" } })).status, 403);
+      const allowed = await api.call("GET", "/auth/me", { token: tokens["U-001"], headers: { Origin: "http://localhost:5173" } });
+      assert.equal(allowed.status, 200);
+      assert.equal(allowed.headers.get("access-control-allow-origin"), "http://localhost:5173");
+    });
+  });
+
+  describe("役割ごとの書込み", () => {
+    test("計画担当は予定を変更でき、点検担当・業者は日程を変えられない", async () => {
+      const event = await get("/events/T-001");
+      assert.equal((await put("/events/T-001", tokens["U-003"], { ...event, dueDate: "2027-01-31" })).status, 403);
+      assert.equal((await put("/events/T-001", tokens["U-005"], { ...event, dueDate: "2027-01-31" })).status, 403);
+      assert.equal((await put("/events/T-001", tokens["U-005"], { ...event, assigneeId: "U-004" })).status, 403);
+      assert.equal((await put("/events/T-001", tokens["U-002"], { ...event, dueDate: "2027-01-31" })).status, 200);
+    });
+
+    test("点検担当は自分が担当の予定に、報告書・是正タスクとまとめて点検結果を反映できる", async () => {
+      const event = await get("/events/T-001");
+      const completed = { ...event, status: "完了", reportId: "RP-001", completedAt: "2026-11-10T09:00:00.000Z", sequence: 1, updatedAt: "2026-11-10T09:00:00.000Z" };
+      const { status, body } = await batch(tokens["U-003"], [
+        { op: "put", resource: "reports", record: { id: "RP-001", eventId: "T-001", completedAt: completed.completedAt, assignee: { id: "U-003" }, vendor: { id: "V-001" } } },
+        { op: "put", resource: "events", record: completed },
+        { op: "put", resource: "events", record: corrective("CR-001", "T-001", "U-003") },
+      ]);
+      assert.equal(status, 200);
+      assert.deepEqual(body.results.map(r => r.op), ["create", "update", "create"]);
+      assert.equal((await get("/events/T-001")).status, "完了");
+    });
+
+    test("点検担当は他人の予定に書けず、担当の予定でも完了以外の状態にはできない", async () => {
+      const other = await get("/events/T-002");
+      assert.equal((await put("/events/T-002", tokens["U-003"], { ...other, status: "完了", reportId: "RP-002", completedAt: "2026-11-10T09:00:00.000Z" })).status, 403);
+      const own = await get("/events/T-001");
+      assert.equal((await put("/events/T-001", tokens["U-003"], { ...own, status: "中止" })).status, 403);
+      assert.equal((await put("/events/T-001", tokens["U-003"], { ...own, status: "完了" })).status, 403);
+    });
+
+    test("業者は自社の予定にだけ点検結果を反映でき、他社の予定は見えない", async () => {
+      const own = await get("/events/T-001");
+      assert.equal((await put("/events/T-001", tokens["U-005"], { ...own, status: "完了", reportId: "RP-001", completedAt: "2026-11-10T09:00:00.000Z", sequence: 1 })).status, 200);
+      const other = await get("/events/T-002");
+      assert.equal((await put("/events/T-002", tokens["U-005"], { ...other, status: "完了", reportId: "RP-002", completedAt: "2026-11-10T09:00:00.000Z" })).status, 403);
+      assert.equal((await api.call("GET", "/events/T-002", { token: tokens["U-005"] })).status, 404);
+    });
+
+    test("点検担当は自分が担当の点検の是正タスクだけ作成・更新できる", async () => {
+      assert.equal((await batch(tokens["U-003"], [{ op: "put", resource: "events", record: corrective("CR-002", "T-002", "U-003") }])).status, 403);
+      assert.equal((await batch(tokens["U-004"], [{ op: "put", resource: "events", record: corrective("CR-002", "T-002", "U-004") }])).status, 200);
+      const task = await get("/corrective-tasks/CR-002");
+      assert.equal((await put("/corrective-tasks/CR-002", tokens["U-003"], { ...task, dueDate: "2027-01-31" })).status, 403);
+      // 元の点検を自分の担当のものに付け替えることもできない
+      assert.equal((await put("/corrective-tasks/CR-002", tokens["U-003"], { ...task, parentId: "T-001" })).status, 403);
+      assert.equal((await put("/corrective-tasks/CR-002", tokens["U-004"], { ...task, dueDate: "2027-01-31" })).status, 200);
+    });
+
+    test("是正タスクの履歴の操作者は書き込む本人でなければならない", async () => {
+      assert.equal((await batch(tokens["U-003"], [{ op: "put", resource: "events", record: corrective("CR-001", "T-001", "U-001") }])).status, 403);
+      assert.equal((await batch(tokens["U-003"], [{ op: "put", resource: "events", record: corrective("CR-001", "T-001", "U-003") }])).status, 200);
+      const task = await get("/corrective-tasks/CR-001");
+      const quote = { ...task, correctiveStatus: "quote", history: [...task.history, { from: "open", to: "quote", by: "U-002", at: "2026-11-11T09:00:00.000Z" }] };
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-003"], quote)).status, 403);
+      // 過去の履歴の書き換えも不可
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-001"], { ...task, history: [{ ...task.history[0], by: "U-001" }] })).status, 403);
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-003"], { ...quote, history: [...task.history, { from: "open", to: "quote", by: "U-003", at: "2026-11-11T09:00:00.000Z" }] })).status, 200);
+    });
+
+    test("業者は是正タスクの見積・写真と状態の遷移だけ変更でき、是正完了からは遷移できない", async () => {
+      await batch(tokens["U-001"], [{ op: "put", resource: "events", record: corrective("CR-001", "T-001", "U-001", { vendorId: "V-001" }) }]);
+      const task = await get("/corrective-tasks/CR-001");
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-005"], { ...task, dueDate: "2027-01-31" })).status, 403);
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-005"], { ...task, status: "完了" })).status, 403);
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-005"], { ...task, quote: { vendorId: "V-001", amount: 50000 } })).status, 200);
+
+      const steps = [["open", "quote"], ["quote", "inProgress"], ["inProgress", "completed"]];
+      let current = await get("/corrective-tasks/CR-001");
+      for (const [from, to] of steps) {
+        const res = await put("/corrective-tasks/CR-001", tokens["U-005"], { ...current, correctiveStatus: to, history: [...current.history, { from, to, by: "U-005", at: "2026-11-12T09:00:00.000Z" }] });
+        assert.equal(res.status, 200, `${from} → ${to}`);
+        current = res.body;
+      }
+      const closed = { ...current, correctiveStatus: "closed", status: "完了", photos: { before: ["b"], after: ["a"] }, history: [...current.history, { from: "completed", to: "closed", by: "U-005", at: "2026-11-13T09:00:00.000Z" }] };
+      assert.equal((await put("/corrective-tasks/CR-001", tokens["U-005"], closed)).status, 403);
+    });
+
+    test("読み取り専用のキーは書き込めない", async () => {
+      const { token } = issueToken(db, { kind: "key", name: "集計", role: "readonly" });
+      assert.equal((await api.call("GET", "/events", { token })).status, 200);
+      assert.equal((await put("/properties/P-001", token, { id: "P-001", name: "変更" })).status, 403);
+    });
+  });
+
+  describe("版の確認（ETag / If-Match）", () => {
+    test("読み込んだ版と違う If-Match の更新は 412", async () => {
+      const first = await api.call("GET", "/properties/P-001", { token: tokens["U-001"] });
+      const etag = first.headers.get("etag");
+      const updated = await put("/properties/P-001", tokens["U-001"], { ...first.body, name: "本社ビル（新館）" }, { "If-Match": etag });
+      assert.equal(updated.status, 200);
+      assert.notEqual(updated.headers.get("etag"), etag);
+
+      const stale = await put("/properties/P-001", tokens["U-001"], { ...first.body, name: "古い内容" }, { "If-Match": etag });
+      assert.equal(stale.status, 412);
+      assert.equal((await get("/properties/P-001")).name, "本社ビル（新館）");
+    });
+
+    test("batch の ifVersion が違えば 412", async () => {
+      const { versions } = await get("/properties");
+      const property = await get("/properties/P-001");
+      assert.equal((await batch(tokens["U-001"], [{ op: "put", resource: "properties", record: { ...property, name: "A" }, ifVersion: versions["P-001"] + 1 }])).status, 412);
+      assert.equal((await batch(tokens["U-001"], [{ op: "put", resource: "properties", record: { ...property, name: "A" }, ifVersion: versions["P-001"] }])).status, 200);
+    });
+  });
+
+  describe("batch", () => {
+    test("1件でも失敗したら全て取り消す", async () => {
+      const res = await batch(tokens["U-001"], [
+        { op: "put", resource: "properties", record: { id: "P-002", name: "新しい物件" } },
+        { op: "put", resource: "events", record: { id: "T-003", propertyId: "P-002" } },
+      ]);
+      assert.equal(res.status, 422);
+      assert.equal((await api.call("GET", "/properties/P-002", { token: tokens["U-001"] })).status, 404);
+    });
+
+    test("点検結果の提出で是正タスクが拒否されたら、報告書と予定も保存しない", async () => {
+      const event = await get("/events/T-001");
+      const res = await batch(tokens["U-003"], [
+        { op: "put", resource: "reports", record: { id: "RP-001", eventId: "T-001", completedAt: "2026-11-10T09:00:00.000Z", assignee: { id: "U-003" }, vendor: { id: "V-001" } } },
+        { op: "put", resource: "events", record: { ...event, status: "完了", reportId: "RP-001", completedAt: "2026-11-10T09:00:00.000Z", sequence: 1 } },
+        { op: "put", resource: "events", record: corrective("CR-001", "T-001", "U-004") },
+      ]);
+      assert.equal(res.status, 403);
+      assert.equal((await api.call("GET", "/reports/RP-001", { token: tokens["U-001"] })).status, 404);
+      assert.equal((await get("/events/T-001")).status, "予定");
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import crypto from "node:crypto";
+
+/**
+ * サーバー側の監査ログ（追記のみ・ハッシュチェーン）
+ * - エントリの形・正規化・ハッシュはブラウザ側（src/lib/audit.js）と同じ。出力したチェーンはアプリの verifyChain でも検証できる
+ * - putRecord / deleteRecord が書込みと同じトランザクションで追記する（連携システムや他の端末からの変更も残る）
+ * - collection はテーブル名（是正タスクは events）。写真の data URL は中身の代わりに長さと SHA-256、パスワードのハッシュは伏せる
+ */
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const REDACTED_FIELDS = ["passwordHash", "passwordSalt"];
+/** これより長い data URL は中身を残さずハッシュにする */
+const INLINE_DATA_URL_LIMIT = 256;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/** キー順を固定した JSON（ハッシュ計算用。undefined のキーは落とす） */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v ?? null)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function snapshotValue(value) {
+  if (typeof value === "string" && value.startsWith("data:") && value.length > INLINE_DATA_URL_LIMIT) {
+    return { dataUrl: value.slice(5, value.indexOf(";")), length: value.length, sha256: sha256(value) };
+  }
+  if (Array.isArray(value)) return value.map(snapshotValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, REDACTED_FIELDS.includes(k) && v ? { redacted: true } : snapshotValue(v)]));
+  }
+  return value ?? null;
+}
+
+/** 項目（トップレベルのキー）単位の変更前後 */
+function recordChanges(before, after) {
+  const b = snapshotValue(before ?? {}), a = snapshotValue(after ?? {});
+  const fields = [...new Set([...Object.keys(b), ...Object.keys(a)])].sort();
+  return fields
+    .filter(f => canonicalJSON(b[f]) !== canonicalJSON(a[f]) || (REDACTED_FIELDS.includes(f) && before?.[f] !== after?.[f]))
+    .map(f => ({ field: f, before: b[f] ?? null, after: a[f] ?? null }));
+}
+
+export const entryHash = (entry) => sha256(canonicalJSON({ ...entry, hash: undefined }));
+
+const headEntry = (db) => {
+  const row = db.prepare("SELECT entry FROM audit_log ORDER BY seq DESC LIMIT 1").get();
+  return row ? JSON.parse(row.entry) : null;
+};
+
+/**
+ * 変更 1 件を封印して追記する（呼び出し側のトランザクション内で使う。変更のない更新は記録しない）
+ * change = { before, after }（作成は before なし、削除は after なし）
+ */
+export function appendAudit(db, collection, { before, after }, principal) {
+  const record = after ?? before;
+  const action = !before ? "create" : !after ? "delete" : "update";
+  const changes = recordChanges(before, after);
+  if (action === "update" && !changes.length) return null;
+  const prev = headEntry(db);
+  const entry = {
+    seq: (prev?.seq ?? 0) + 1,
+    at: new Date().toISOString(),
+    actorId: principal?.id ?? null, actorName: principal?.name ?? "システム",
+    collection, recordId: record.id, eventId: collection === "events" ? record.id : record.eventId ?? null,
+    action, changes,
+    prevHash: prev?.hash ?? GENESIS_HASH,
+  };
+  entry.hash = entryHash(entry);
+  db.prepare("INSERT INTO audit_log (seq, at, collection, record_id, event_id, entry, hash) VALUES (?, ?, ?, ?, ?, ?, ?)")
+    .run(entry.seq, entry.at, collection, entry.recordId, entry.eventId, JSON.stringify(entry), entry.hash);
+  return entry;
+}
+
+/** チェーン全体の検証（ブラウザ側の verifyChain と同じ判定） */
+export function verifyAuditLog(db) {
+  const errors = [];
+  let prev = null, count = 0;
+  for (const row of db.prepare("SELECT entry FROM audit_log ORDER BY seq").iterate()) {
+    const entry = JSON.parse(row.entry);
+    if (entry.seq !== (prev?.seq ?? 0) + 1) errors.push({ seq: entry.seq, reason: `連番が飛んでいます（直前 ${prev?.seq ?? 0}）` });
+    if (entry.prevHash !== (prev?.hash ?? GENESIS_HASH)) errors.push({ seq: entry.seq, reason: "直前のエントリのハッシュと一致しません" });
+    if (entry.hash !== entryHash(entry)) errors.push({ seq: entry.seq, reason: "内容がハッシュと一致しません（改ざんの可能性）" });
+    prev = entry; count++;
+  }
+  return { ok: errors.length === 0, count, headSeq: prev?.seq ?? 0, headHash: prev?.hash ?? GENESIS_HASH, errors };
+}
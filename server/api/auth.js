@@ -0,0 +1,97 @@
+import crypto from "node:crypto";
+
+/**
+ * API の認証
+ * - ログイン：ユーザーID（またはメールアドレス）とパスワード。ハッシュはブラウザ側（src/lib/auth.js）と同じ PBKDF2-SHA256
+ * - パスワード未設定のユーザーは、管理者が発行したセットアップコード（1回限り）を現在のパスワードとしてパスワードを設定する
+ *   （ログインにセットアップコードを使うとトークンは出さず mustChangePassword を返す）
+ * - トークンは Authorization: Bearer で渡す。DB には SHA-256 のみ保存
+ *   - session: ログインで発行（SESSION_TTL_HOURS で失効）
+ *   - key: 連携システム用（`npm run api -- create-key <名前> [役割]` で発行、失効なし）
+ *   - setup: セットアップコード（初回起動・パスワードの初期化・`npm run api -- setup-token <ユーザーID>` で発行。SETUP_TTL_HOURS で失効）。API の認証には使えない
+ */
+
+export const ROLES = { ADMIN: "admin", PLANNER: "planner", INSPECTOR: "inspector", VENDOR: "vendor", READONLY: "readonly" };
+export const PASSWORD_MIN_LENGTH = 8;
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_TTL_HOURS = Number(process.env.API_SESSION_TTL_HOURS ?? 12);
+const SETUP_TTL_HOURS = Number(process.env.API_SETUP_TTL_HOURS ?? 72);
+const TTL_HOURS = { session: SESSION_TTL_HOURS, setup: SETUP_TTL_HOURS };
+
+/** 保存・応答に含めないユーザーの項目 */
+export const CREDENTIAL_FIELDS = ["passwordHash", "passwordSalt", "passwordChangedAt"];
+
+export const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const derive = (password, salt) => crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, 32, "sha256").toString("hex");
+
+export function createCredentials(password) {
+  const passwordSalt = crypto.randomBytes(16).toString("hex");
+  return { passwordSalt, passwordHash: derive(password, passwordSalt), passwordChangedAt: new Date().toISOString() };
+}
+
+export const mustChangePassword = (user) => !user.passwordHash;
+
+/** 設定済みのパスワードの確認（未設定のユーザーは常に false。セットアップコードは checkSetupToken） */
+export function verifyPassword(user, password) {
+  if (mustChangePassword(user)) return false;
+  const expected = Buffer.from(user.passwordHash, "hex");
+  const actual = Buffer.from(derive(password, user.passwordSalt), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function passwordErrors(user, password) {
+  const errors = [];
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) errors.push(`パスワードは${PASSWORD_MIN_LENGTH}文字以上にしてください`);
+  if (password === user.id) errors.push("ユーザーIDと同じパスワードは使えません");
+  return errors;
+}
+
+export function findLoginUser(users, loginId) {
+  const q = String(loginId ?? "").trim().toLowerCase();
+  return q ? users.find(u => u.id.toLowerCase() === q || (u.email && u.email.toLowerCase() === q)) : undefined;
+}
+
+export const publicUser = (user) => Object.fromEntries(Object.entries(user).filter(([k]) => !CREDENTIAL_FIELDS.includes(k)));
+
+export function issueToken(db, { kind, name, userId = null, role, vendorId = null }) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const expiresAt = TTL_HOURS[kind] ? new Date(now.getTime() + TTL_HOURS[kind] * 3600000).toISOString() : null;
+  db.prepare("INSERT INTO tokens (token_hash, kind, name, user_id, role, vendor_id, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+    .run(sha256(token), kind, name, userId, role, vendorId, now.toISOString(), expiresAt);
+  return { token, expiresAt };
+}
+
+export const revokeToken = (db, token) => db.prepare("DELETE FROM tokens WHERE token_hash = ?").run(sha256(token));
+
+/** セットアップコードを発行する（そのユーザーの発行済みのコードは無効にする） */
+export function issueSetupToken(db, user) {
+  db.prepare("DELETE FROM tokens WHERE kind = 'setup' AND user_id = ?").run(user.id);
+  return issueToken(db, { kind: "setup", name: user.id, userId: user.id, role: user.role, vendorId: user.vendorId || null });
+}
+
+/** セットアップコードがそのユーザーの有効なものか（consume なら使い切る） */
+export function checkSetupToken(db, user, token, { consume = false } = {}) {
+  if (!token) return false;
+  const row = db.prepare("SELECT * FROM tokens WHERE token_hash = ? AND kind = 'setup'").get(sha256(token));
+  if (!row || row.user_id !== user.id || row.expires_at < new Date().toISOString()) return false;
+  if (consume) db.prepare("DELETE FROM tokens WHERE token_hash = ?").run(row.token_hash);
+  return true;
+}
+
+/**
+ * Authorization ヘッダからリクエストの主体を返す（無効なら null）
+ * セッションは都度ユーザーを読み直すので、役割の変更や削除はすぐに反映される
+ */
+export function authenticate(db, header) {
+  const token = /^Bearer (.+)$/.exec(header ?? "")?.[1];
+  if (!token) return null;
+  const row = db.prepare("SELECT * FROM tokens WHERE token_hash = ?").get(sha256(token));
+  if (!row || row.kind === "setup" || (row.expires_at && row.expires_at < new Date().toISOString())) return null;
+  db.prepare("UPDATE tokens SET last_used_at = ? WHERE token_hash = ?").run(new Date().toISOString(), row.token_hash);
+  if (row.kind !== "session") return { id: `key:${row.name}`, name: row.name, role: row.role, vendorId: row.vendor_id, token };
+  const user = db.prepare("SELECT data FROM users WHERE id = ?").get(row.user_id);
+  if (!user) return null;
+  const u = JSON.parse(user.data);
+  return { id: u.id, name: u.name, role: u.role, vendorId: u.vendorId || null, token };
+}
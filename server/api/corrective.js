@@ -0,0 +1,34 @@
+/**
+ * 是正タスクの状態遷移の検証（ブラウザ側 src/lib/corrective.js の TRANSITIONS・transitionErrors と同じ規則）
+ * - 作成は未着手（open）のみ
+ * - correctiveStatus が変わる更新は、許可された遷移か、見積金額・クローズ時の是正前後の写真・履歴の操作者を確認する
+ */
+
+const LABELS = { open: "未着手", quote: "業者見積", inProgress: "是正工事中", completed: "是正完了", closed: "検証済・クローズ" };
+
+const TRANSITIONS = {
+  open: ["quote"],
+  quote: ["inProgress", "open"],
+  inProgress: ["completed"],
+  completed: ["closed", "inProgress"],
+  closed: [],
+};
+
+export const isCorrectiveTransition = (before, after) => !!before && before.correctiveStatus !== after?.correctiveStatus;
+
+export function correctiveTransitionErrors(before, after) {
+  const to = after.correctiveStatus;
+  if (!before) return to && to !== "open" ? [`是正タスクは「${LABELS.open}」で作成してください`] : [];
+  const from = before.correctiveStatus;
+  if (from === to) return [];
+  const errors = [];
+  if (!TRANSITIONS[from]?.includes(to)) errors.push(`「${LABELS[from] ?? from}」から「${LABELS[to] ?? to}」へは変更できません`);
+  const last = after.history?.at(-1);
+  if (!last?.by || last.from !== from || last.to !== to) errors.push("遷移の履歴（操作者）がありません");
+  if (from === "quote" && to === "inProgress" && !(after.quote?.amount > 0)) errors.push("見積金額を入力してください");
+  if (to === "closed") {
+    if (!after.photos?.before?.length) errors.push("是正前の写真が必要です");
+    if (!after.photos?.after?.length) errors.push("是正後の写真が必要です");
+  }
+  return errors;
+}
@@ -0,0 +1,154 @@
+import { DatabaseSync } from "node:sqlite";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * SQLite（Node 組込みの node:sqlite）の接続とマイグレーション
+ * - レコードはブラウザ側（IndexedDB）と同じ形の JSON を data 列にそのまま保存し、絞り込みは json_extract で行う
+ * - version は更新ごとに 1 増える（ETag / If-Match による楽観ロック）
+ * - MIGRATIONS は追記のみ。適用済みのバージョンは PRAGMA user_version で管理
+ */
+
+/** JSON 文書として保存するテーブル（API のリソース名とは別。是正タスクは events に含まれる） */
+export const DOCUMENT_TABLES = ["properties", "vendors", "users", "events", "reports"];
+
+const documentTable = (name) => `
+  CREATE TABLE ${name} (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX ${name}_updated_at ON ${name}(updated_at);
+`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    sql: `
+      ${DOCUMENT_TABLES.map(documentTable).join("\n")}
+      CREATE INDEX events_property ON events(json_extract(data, '$.propertyId'));
+      CREATE INDEX events_type ON events(json_extract(data, '$.type'));
+      CREATE INDEX reports_event ON reports(json_extract(data, '$.eventId'));
+
+      -- 報告書 PDF（再発行ごとに版を追加）
+      CREATE TABLE report_pdfs (
+        report_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (report_id, revision)
+      );
+
+      -- 予定・報告書に含まれる写真（id = 内容の SHA-256）
+      CREATE TABLE photos (
+        id TEXT PRIMARY KEY,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE photo_links (
+        photo_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        event_id TEXT,
+        field TEXT NOT NULL,
+        PRIMARY KEY (photo_id, resource, record_id, field)
+      );
+      CREATE INDEX photo_links_record ON photo_links(resource, record_id);
+      CREATE INDEX photo_links_event ON photo_links(event_id);
+
+      -- API トークン（ログインのセッションと連携用のキー。保存するのはハッシュのみ）
+      CREATE TABLE tokens (
+        token_hash TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        name TEXT NOT NULL,
+        user_id TEXT,
+        role TEXT NOT NULL,
+        vendor_id TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        last_used_at TEXT
+      );
+
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+    `,
+  },
+  {
+    version: 2,
+    sql: `
+      -- 行政への届出（物件×様式ごと）
+      ${documentTable("filings")}
+      CREATE INDEX filings_property ON filings(json_extract(data, '$.propertyId'));
+    `,
+  },
+  {
+    version: 3,
+    sql: `
+      -- 監査ログ（追記のみ。entry はブラウザ側と同じ形の JSON、hash はその封印）
+      CREATE TABLE audit_log (
+        seq INTEGER PRIMARY KEY,
+        at TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        event_id TEXT,
+        entry TEXT NOT NULL,
+        hash TEXT NOT NULL
+      );
+      CREATE INDEX audit_log_record ON audit_log(collection, record_id);
+      CREATE INDEX audit_log_event ON audit_log(event_id);
+    `,
+  },
+];
+
+export function openDatabase(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;");
+  const current = db.prepare("PRAGMA user_version").get().user_version;
+  for (const m of MIGRATIONS.filter(m => m.version > current)) {
+    transaction(db, () => {
+      db.exec(m.sql);
+      db.exec(`PRAGMA user_version = ${m.version}`);
+    });
+  }
+  return db;
+}
+
+/** fn を1トランザクションで実行（例外時はロールバックして投げ直す） */
+export function transaction(db, fn) {
+  db.exec("BEGIN IMMEDIATE");
+  try {
+    const result = fn();
+    db.exec("COMMIT");
+    return result;
+  } catch (err) {
+    db.exec("ROLLBACK");
+    throw err;
+  }
+}
@@ -0,0 +1,422 @@
+import http from "node:http";
+import { openDatabase, transaction } from "./db.js";
+import { ROLES, authenticate, checkSetupToken, createCredentials, findLoginUser, issueSetupToken, issueToken, mustChangePassword, passwordErrors, publicUser, revokeToken, verifyPassword } from "./auth.js";
+import { RESOURCES, newId } from "./resources.js";
+import { apiError, applyBatch, deleteRecord, getReportPdf, getVisibleRecord, listRecords, mergePatch, present, putRecord, putReportPdf, reportPdfs } from "./store.js";
+import { createWebhook, dispatch, publicWebhook } from "./webhooks.js";
+import { openApiDocument } from "./openapi.js";
+import { appendAudit, verifyAuditLog } from "./audit.js";
+
+/**
+ * 点検システムの REST API（/api/v1）
+ * - データは SQLite（node:sqlite。Node 22.13 以降）に保存。ブラウザ版は VITE_API_URL を設定するとこの API を使う
+ * - 一覧は limit / offset でページング（応答の page.next が次のページ）。絞り込みは resources.js の filters
+ * - 単体の取得は ETag（版）を返し、PUT / PATCH / DELETE は If-Match で楽観ロック（不一致は 412）
+ * - 変更は登録済みの Webhook に通知（webhooks.js）し、監査ログ（audit.js）に同じトランザクションで追記する
+ * - 既定では 127.0.0.1 だけで待ち受ける。CORS は API_CORS_ORIGIN（カンマ区切り）だけ許可し、それ以外の Origin からのリクエストは 403
+ * 環境変数: API_HOST, API_PORT, API_DB, API_CORS_ORIGIN, API_BODY_LIMIT_MB, API_SESSION_TTL_HOURS, API_SETUP_TTL_HOURS
+ * 連携用キーの発行: npm run api -- create-key <名前> [役割]
+ * セットアップコードの発行（パスワードを初期化する。管理者がログインできなくなったときなど）: npm run api -- setup-token <ユーザーID>
+ */
+
+const API_HOST = process.env.API_HOST ?? "127.0.0.1";
+const API_PORT = Number(process.env.API_PORT ?? 8788);
+const API_DB = process.env.API_DB ?? "data/inspection.db";
+const CORS_ORIGINS = (process.env.API_CORS_ORIGIN ?? "http://localhost:5173").split(",").map(s => s.trim()).filter(Boolean);
+const BODY_LIMIT = Number(process.env.API_BODY_LIMIT_MB ?? 50) * 1024 * 1024;
+const PREFIX = "/api/v1";
+const PAGE_LIMIT = { default: 100, max: 500 };
+
+/** 最初の起動時に作る管理者（ブラウザ版の初期ユーザーと同じ ID。パスワードは表示するセットアップコードで設定する） */
+const BOOTSTRAP_ADMIN = { id: "U-001", name: "管理者", email: "", role: ROLES.ADMIN, vendorId: "", workdays: [], unavailableDates: [] };
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", c => {
+      size += c.length;
+      if (size > BODY_LIMIT) { reject(apiError(413, "本文が大きすぎます")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function readJSON(req) {
+  const body = await readBody(req);
+  try { return JSON.parse(body.toString("utf8") || "{}"); } catch { throw apiError(400, "JSON が不正です"); }
+}
+
+const send = (res, status, body, headers = {}) => {
+  if (body === undefined) { res.writeHead(status, headers).end(); return; }
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) { res.writeHead(status, headers).end(body); return; }
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers }).end(JSON.stringify(body));
+};
+
+const etag = (version) => `"${version}"`;
+/** If-Match: "3" → 3（なければ undefined。* は存在すればよい） */
+function ifMatch(req) {
+  const h = req.headers["if-match"];
+  if (!h || h === "*") return undefined;
+  const v = Number(/^(?:W\/)?"?(\d+)"?$/.exec(h.trim())?.[1]);
+  if (!Number.isInteger(v)) throw apiError(400, "If-Match が不正です");
+  return v;
+}
+
+function pageOf(query) {
+  const limit = Math.min(PAGE_LIMIT.max, Math.max(1, Number(query.get("limit")) || PAGE_LIMIT.default));
+  const offset = Math.max(0, Number(query.get("offset")) || 0);
+  return { limit, offset };
+}
+
+function nextPage(url, { limit, offset }, total) {
+  if (offset + limit >= total) return null;
+  const next = new URL(url);
+  next.searchParams.set("limit", limit);
+  next.searchParams.set("offset", offset + limit);
+  return `${next.pathname}${next.search}`;
+}
+
+/** 変更結果から Webhook のイベント（作成・更新・削除と、完了・クローズなどの業務イベント）を作る */
+function changeEvents(results) {
+  return results.filter(r => r.op && r.op !== "noop").flatMap(({ resource, op, before, after }) => {
+    const def = RESOURCES[resource];
+    const record = after ?? before;
+    const singular = def.singularOf?.(record) ?? def.singular;
+    const data = present(resource, record, { photoRefs: true, base: PREFIX });
+    const verb = { create: "created", update: "updated", delete: "deleted" }[op];
+    return [`${singular}.${verb}`, ...(def.changeEvents?.(before, after) ?? [])].map(type => ({ type, data }));
+  });
+}
+
+function requireRole(principal, ...roles) {
+  if (!roles.includes(principal.role)) throw apiError(403, "権限がありません");
+}
+
+const allUsers = (db) => db.prepare("SELECT data FROM users").all().map(r => JSON.parse(r.data));
+
+function bootstrap(db) {
+  if (db.prepare("SELECT COUNT(*) AS n FROM users").get().n) return;
+  const now = new Date().toISOString();
+  const { token, expiresAt } = transaction(db, () => {
+    db.prepare("INSERT INTO users (id, data, version, created_at, updated_at) VALUES (?, ?, 1, ?, ?)").run(BOOTSTRAP_ADMIN.id, JSON.stringify(BOOTSTRAP_ADMIN), now, now);
+    return issueSetupToken(db, BOOTSTRAP_ADMIN);
+  });
+  console.log(`[api] 管理者ユーザー ${BOOTSTRAP_ADMIN.id} を作成しました。セットアップコード（${expiresAt} まで・1回限り）: ${token}`);
+}
+
+/** パスワードの設定・初期化（actor は操作した人。呼び出し側のトランザクション内で監査ログに残す） */
+function setUserCredentials(db, user, credentials, actor) {
+  const next = { ...user, ...credentials };
+  db.prepare("UPDATE users SET data = ?, version = version + 1, updated_at = ? WHERE id = ?").run(JSON.stringify(next), new Date().toISOString(), user.id);
+  appendAudit(db, "users", { before: user, after: next }, actor);
+  return next;
+}
+
+/** パスワードを初期化してセットアップコードを発行する（ログイン中のセッションも切る） */
+function resetCredentials(db, user, actor) {
+  return transaction(db, () => {
+    setUserCredentials(db, user, { passwordHash: null, passwordSalt: null }, actor);
+    db.prepare("DELETE FROM tokens WHERE kind = 'session' AND user_id = ?").run(user.id);
+    return issueSetupToken(db, user);
+  });
+}
+
+const session = (db, user) => ({ ...issueToken(db, { kind: "session", name: user.id, userId: user.id, role: user.role, vendorId: user.vendorId || null }), user: publicUser(user), mustChangePassword: false });
+
+/** 認証不要のルート */
+const PUBLIC_ROUTES = {
+  "GET /openapi.json": ({ url }) => ({ body: openApiDocument(`${url.origin}${PREFIX}`) }),
+  "POST /auth/login": async ({ db, req }) => {
+    const { loginId, password } = await readJSON(req);
+    const user = findLoginUser(allUsers(db), loginId);
+    // パスワード未設定ならセットアップコードを確認するだけでトークンは出さず、パスワードの設定を求める（コードは設定時に使い切る）
+    if (user && mustChangePassword(user) && checkSetupToken(db, user, String(password ?? ""))) return { body: { mustChangePassword: true, user: publicUser(user) } };
+    if (!user || !verifyPassword(user, String(password ?? ""))) throw apiError(401, "ユーザーID またはパスワードが違います");
+    return { body: session(db, user) };
+  },
+  "POST /auth/password": async ({ db, req }) => {
+    const { loginId, currentPassword, newPassword } = await readJSON(req);
+    const user = findLoginUser(allUsers(db), loginId);
+    const current = String(currentPassword ?? "");
+    const valid = user && (mustChangePassword(user) ? checkSetupToken(db, user, current) : verifyPassword(user, current));
+    if (!valid) throw apiError(401, "現在のパスワードが違います");
+    const errors = passwordErrors(user, newPassword);
+    if (errors.length) throw apiError(422, errors[0], errors);
+    const updated = transaction(db, () => {
+      // 同じコードで2回設定されないよう、トランザクション内で使い切る
+      if (mustChangePassword(user) && !checkSetupToken(db, user, current, { consume: true })) throw apiError(401, "現在のパスワードが違います");
+      return setUserCredentials(db, user, createCredentials(newPassword), user);
+    });
+    return { body: session(db, updated) };
+  },
+};
+
+/** 認証が必要なルート（パスは PREFIX 以降。:name はパラメータ） */
+const ROUTES = [
+  ["GET", "/auth/me", ({ principal }) => ({ body: { id: principal.id, name: principal.name, role: principal.role, vendorId: principal.vendorId } })],
+  ["POST", "/auth/logout", ({ db, principal }) => { revokeToken(db, principal.token); return { status: 204 }; }],
+  ["POST", "/auth/verify-password", async ({ db, req, principal }) => {
+    const { password } = await readJSON(req);
+    const user = allUsers(db).find(u => u.id === principal.id);
+    return { body: { ok: !!user && verifyPassword(user, String(password ?? "")) } };
+  }],
+  ["POST", "/users/:id/reset-password", ({ db, principal, params }) => {
+    requireRole(principal, ROLES.ADMIN);
+    const user = allUsers(db).find(u => u.id === params.id);
+    if (!user) throw apiError(404, "ユーザーが見つかりません");
+    const { token, expiresAt } = resetCredentials(db, user, principal);
+    return { body: { setupToken: token, expiresAt } };
+  }],
+  ["POST", "/batch", async ({ db, req, principal }) => {
+    const { operations } = await readJSON(req);
+    const results = applyBatch(db, operations, principal);
+    dispatch(db, changeEvents(results));
+    return { body: { results: results.map(r => ({ resource: r.resource, id: r.after?.id ?? r.before?.id ?? r.id, op: r.op, version: r.version ?? null })) } };
+  }],
+
+  ["GET", "/audit-log", ({ db, principal, url }) => {
+    requireRole(principal, ROLES.ADMIN, ROLES.PLANNER);
+    const q = url.searchParams;
+    const page = pageOf(q);
+    const where = [], params = [];
+    if (q.get("collection")) { where.push("collection = ?"); params.push(q.get("collection")); }
+    if (q.get("recordId")) { where.push("record_id = ?"); params.push(q.get("recordId")); }
+    if (q.get("eventId")) { where.push("event_id = ?"); params.push(q.get("eventId")); }
+    if (q.get("since")) { where.push("at >= ?"); params.push(q.get("since")); }
+    const sql = `FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`;
+    const total = db.prepare(`SELECT COUNT(*) AS n ${sql}`).get(...params).n;
+    const rows = db.prepare(`SELECT entry ${sql} ORDER BY seq LIMIT ? OFFSET ?`).all(...params, page.limit, page.offset);
+    return { body: { data: rows.map(r => JSON.parse(r.entry)), page: { ...page, total, next: nextPage(url, page, total) } } };
+  }],
+  ["GET", "/audit-log/verify", ({ db, principal }) => {
+    requireRole(principal, ROLES.ADMIN, ROLES.PLANNER);
+    return { body: verifyAuditLog(db) };
+  }],
+
+  ["GET", "/reports/:id/pdf", ({ db, principal, params, url }) => {
+    if (!getVisibleRecord(db, "reports", params.id, principal)) throw apiError(404, "報告書が見つかりません");
+    const revision = Number(url.searchParams.get("revision")) || null;
+    const sha = url.searchParams.get("sha256");
+    const pdf = sha ? db.prepare("SELECT * FROM report_pdfs WHERE report_id = ? AND sha256 = ?").get(params.id, sha) : getReportPdf(db, params.id, revision);
+    if (!pdf) throw apiError(404, "PDF が見つかりません");
+    return { body: Buffer.from(pdf.data), headers: { "Content-Type": "application/pdf", "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(pdf.filename)}`, "X-Revision": String(pdf.revision) } };
+  }],
+  ["PUT", "/reports/:id/pdf", async ({ db, req, principal, params, url }) => {
+    const row = getVisibleRecord(db, "reports", params.id, principal);
+    if (!row) throw apiError(404, "報告書が見つかりません");
+    if (!RESOURCES.reports.canWrite(principal, "update", row.record, row.record)) throw apiError(403, "報告書を更新する権限がありません");
+    const data = await readBody(req);
+    if (data.subarray(0, 5).toString("latin1") !== "%PDF-") throw apiError(415, "PDF ではありません");
+    const result = putReportPdf(db, params.id, { filename: url.searchParams.get("filename") || `${params.id}.pdf`, data });
+    if (result.created) dispatch(db, [{ type: "report.pdf_created", data: { reportId: params.id, eventId: row.record.eventId, ...result, created: undefined } }]);
+    return { status: result.created ? 201 : 200, body: { revision: result.revision, sha256: result.sha256, size: result.size } };
+  }],
+  ["GET", "/reports/:id/pdfs", ({ db, principal, params }) => {
+    if (!getVisibleRecord(db, "reports", params.id, principal)) throw apiError(404, "報告書が見つかりません");
+    return { body: { data: reportPdfs(db, params.id) } };
+  }],
+
+  ["GET", "/photos", ({ db, principal, url }) => {
+    const q = url.searchParams;
+    const page = pageOf(q);
+    const where = [], params = [];
+    if (q.get("eventId")) { where.push("l.event_id = ?"); params.push(q.get("eventId")); }
+    if (q.get("reportId")) { where.push("l.resource = 'reports' AND l.record_id = ?"); params.push(q.get("reportId")); }
+    // 業者は自社の予定に紐づく写真だけ
+    if (principal.role === ROLES.VENDOR) { where.push("l.event_id IN (SELECT id FROM events WHERE json_extract(data, '$.vendorId') = ?)"); params.push(principal.vendorId); }
+    const sql = `FROM photo_links l JOIN photos p ON p.id = l.photo_id ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`;
+    const total = db.prepare(`SELECT COUNT(*) AS n ${sql}`).get(...params).n;
+    const rows = db.prepare(`SELECT p.id, p.content_type, p.size, l.resource, l.record_id, l.event_id, l.field ${sql} ORDER BY l.event_id, l.record_id, l.field LIMIT ? OFFSET ?`).all(...params, page.limit, page.offset);
+    return {
+      body: {
+        data: rows.map(r => ({ id: r.id, contentType: r.content_type, size: r.size, resource: r.resource, recordId: r.record_id, eventId: r.event_id, field: r.field, url: `${PREFIX}/photos/${r.id}` })),
+        page: { ...page, total, next: nextPage(url, page, total) },
+      },
+    };
+  }],
+  ["GET", "/photos/:id", ({ db, principal, params }) => {
+    const photo = db.prepare("SELECT * FROM photos WHERE id = ?").get(params.id);
+    const visible = principal.role !== ROLES.VENDOR || db.prepare("SELECT 1 FROM photo_links l JOIN events e ON e.id = l.event_id WHERE l.photo_id = ? AND json_extract(e.data, '$.vendorId') = ?").get(params.id, principal.vendorId);
+    if (!photo || !visible) throw apiError(404, "写真が見つかりません");
+    return { body: Buffer.from(photo.data), headers: { "Content-Type": photo.content_type, "Cache-Control": "private, max-age=31536000, immutable" } };
+  }],
+  ["POST", "/corrective-tasks/:id/photos", async ({ db, req, principal, params, url }) => {
+    const phase = url.searchParams.get("phase");
+    if (!["before", "after"].includes(phase)) throw apiError(400, "phase は before か after にしてください");
+    const type = String(req.headers["content-type"] ?? "").split(";")[0];
+    if (!/^image\/[\w.+-]+$/.test(type)) throw apiError(415, "画像を送ってください");
+    const data = await readBody(req);
+    const result = transaction(db, () => {
+      const row = getVisibleRecord(db, "corrective-tasks", params.id, principal);
+      if (!row) throw apiError(404, "是正タスクが見つかりません");
+      const task = row.record;
+      const dataUrl = `data:${type};base64,${data.toString("base64")}`;
+      const next = { ...task, photos: { ...task.photos, [phase]: [...(task.photos?.[phase] || []), dataUrl] } };
+      return { resource: "corrective-tasks", ...putRecord(db, "corrective-tasks", next, { principal, ifVersion: ifMatch(req) }) };
+    });
+    dispatch(db, changeEvents([result]));
+    return { status: 201, body: present("corrective-tasks", result.after, { photoRefs: url.searchParams.get("photos") === "ref", base: PREFIX }), headers: { ETag: etag(result.version) } };
+  }],
+
+  ["GET", "/webhooks", ({ db, principal }) => {
+    requireRole(principal, ROLES.ADMIN);
+    return { body: { data: db.prepare("SELECT * FROM webhooks ORDER BY created_at").all().map(w => publicWebhook(w)) } };
+  }],
+  ["POST", "/webhooks", async ({ db, req, principal }) => {
+    requireRole(principal, ROLES.ADMIN);
+    const { url, events } = await readJSON(req);
+    if (!/^https?:\/\//.test(url ?? "")) throw apiError(422, "Webhook URL が不正です");
+    if (events !== undefined && (!Array.isArray(events) || events.some(e => typeof e !== "string"))) throw apiError(422, "events は文字列の配列にしてください");
+    return { status: 201, body: publicWebhook(createWebhook(db, { url, events }), { withSecret: true }) };
+  }],
+  ["DELETE", "/webhooks/:id", ({ db, principal, params }) => {
+    requireRole(principal, ROLES.ADMIN);
+    if (!db.prepare("DELETE FROM webhooks WHERE id = ?").run(params.id).changes) throw apiError(404, "Webhook が見つかりません");
+    return { status: 204 };
+  }],
+  ["GET", "/webhooks/:id/deliveries", ({ db, principal, params, url }) => {
+    requireRole(principal, ROLES.ADMIN);
+    const limit = pageOf(url.searchParams).limit;
+    const rows = db.prepare("SELECT id, event_type, status, attempts, response_status, error, created_at, delivered_at FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?").all(params.id, limit);
+    return { body: { data: rows.map(r => ({ id: r.id, type: r.event_type, status: r.status, attempts: r.attempts, responseStatus: r.response_status, error: r.error, createdAt: r.created_at, deliveredAt: r.delivered_at })) } };
+  }],
+
+  // リソースの CRUD（個別のルートより後に置く）
+  ["GET", "/:resource", ({ db, principal, params, url }) => {
+    const page = pageOf(url.searchParams);
+    const { rows, total } = listRecords(db, params.resource, principal, url.searchParams, page);
+    const photoRefs = url.searchParams.get("photos") === "ref";
+    // versions は各レコードの版（ETag と同じ値。batch の ifVersion に使う）
+    return { body: { data: rows.map(r => present(params.resource, r.record, { photoRefs, base: PREFIX })), versions: Object.fromEntries(rows.map(r => [r.record.id, r.version])), page: { ...page, total, next: nextPage(url, page, total) } } };
+  }],
+  ["POST", "/:resource", async ({ db, req, principal, params }) => {
+    const record = await readJSON(req);
+    const result = transaction(db, () => putRecord(db, params.resource, { ...record, id: record.id || newId(params.resource) }, { principal, createOnly: true }));
+    dispatch(db, changeEvents([{ resource: params.resource, ...result }]));
+    return { status: 201, body: present(params.resource, result.after), headers: { ETag: etag(result.version), Location: `${PREFIX}/${params.resource}/${result.after.id}` } };
+  }],
+  ["GET", "/:resource/:id", ({ db, principal, params, url }) => {
+    const row = getVisibleRecord(db, params.resource, params.id, principal);
+    if (!row) throw apiError(404, `${RESOURCES[params.resource].label}が見つかりません`);
+    return { body: present(params.resource, row.record, { photoRefs: url.searchParams.get("photos") === "ref", base: PREFIX }), headers: { ETag: etag(row.version), "Last-Modified": new Date(row.updatedAt).toUTCString() } };
+  }],
+  ["PUT", "/:resource/:id", async ({ db, req, principal, params }) => {
+    const record = await readJSON(req);
+    if (record.id && record.id !== params.id) throw apiError(400, "本文の id が URL と違います");
+    const result = transaction(db, () => {
+      // 閲覧範囲の外の既存レコードは上書きさせない
+      if (!getVisibleRecord(db, params.resource, params.id, principal) && db.prepare(`SELECT 1 FROM ${RESOURCES[params.resource].table} WHERE id = ?`).get(params.id)) throw apiError(403, "権限がありません");
+      return putRecord(db, params.resource, { ...record, id: params.id }, { principal, ifVersion: ifMatch(req) });
+    });
+    dispatch(db, changeEvents([{ resource: params.resource, ...result }]));
+    return { status: result.op === "create" ? 201 : 200, body: present(params.resource, result.after), headers: { ETag: etag(result.version) } };
+  }],
+  ["PATCH", "/:resource/:id", async ({ db, req, principal, params }) => {
+    const patch = await readJSON(req);
+    const result = transaction(db, () => {
+      const row = getVisibleRecord(db, params.resource, params.id, principal);
+      if (!row) throw apiError(404, `${RESOURCES[params.resource].label}が見つかりません`);
+      const expected = ifMatch(req);
+      return putRecord(db, params.resource, { ...mergePatch(row.record, patch), id: params.id }, { principal, ifVersion: expected ?? row.version });
+    });
+    dispatch(db, changeEvents([{ resource: params.resource, ...result }]));
+    return { body: present(params.resource, result.after), headers: { ETag: etag(result.version) } };
+  }],
+  ["DELETE", "/:resource/:id", ({ db, req, principal, params }) => {
+    const result = transaction(db, () => {
+      if (!getVisibleRecord(db, params.resource, params.id, principal)) throw apiError(404, `${RESOURCES[params.resource].label}が見つかりません`);
+      return deleteRecord(db, params.resource, params.id, { principal, ifVersion: ifMatch(req) });
+    });
+    dispatch(db, changeEvents([{ resource: params.resource, ...result }]));
+    return { status: 204 };
+  }],
+];
+
+/** パスの各部分をデコードする（不正なエスケープは 400） */
+function decodePath(path) {
+  try {
+    return path.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    if (err instanceof URIError) throw apiError(400, "パスが不正です");
+    throw err;
+  }
+}
+
+/** パスは一致してメソッドだけ違う場合は 405 */
+function matchRoute(method, path) {
+  const parts = decodePath(path);
+  let pathMatched = false;
+  for (const [m, pattern, handler] of ROUTES) {
+    const pp = pattern.split("/").filter(Boolean);
+    if (pp.length !== parts.length || !pp.every((p, i) => p.startsWith(":") || p === parts[i])) continue;
+    const params = Object.fromEntries(pp.map((p, i) => [p, parts[i]]).filter(([p]) => p.startsWith(":")).map(([p, v]) => [p.slice(1), v]));
+    if (params.resource && !RESOURCES[params.resource]) continue;
+    if (m === method) return { handler, params };
+    pathMatched = true;
+  }
+  throw pathMatched ? apiError(405, "このメソッドは使えません") : apiError(404, "見つかりません");
+}
+
+export function createApi(db) {
+  bootstrap(db);
+  return http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    // Origin のないリクエストはブラウザ以外（連携システム）。トークンで認証する
+    if (origin && !CORS_ORIGINS.includes(origin)) { send(res, 403, { error: "この Origin からは使えません" }); return; }
+    if (origin) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Vary", "Origin");
+      res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match");
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+      res.setHeader("Access-Control-Expose-Headers", "ETag, Location, X-Revision");
+    }
+    if (req.method === "OPTIONS") { send(res, 204); return; }
+    const url = new URL(req.url, `http://${req.headers.host ?? "localhost"}`);
+    if (!url.pathname.startsWith(`${PREFIX}/`)) { send(res, 404, { error: "見つかりません" }); return; }
+    const path = url.pathname.slice(PREFIX.length).replace(/\/+$/, "");
+    try {
+      let result;
+      const open = PUBLIC_ROUTES[`${req.method} ${path}`];
+      if (open) result = await open({ db, req, url });
+      else {
+        const principal = authenticate(db, req.headers.authorization);
+        if (!principal) throw apiError(401, "ログインしてください");
+        const route = matchRoute(req.method, path);
+        result = await route.handler({ db, req, url, principal, params: route.params });
+      }
+      send(res, result.status ?? 200, result.body, result.headers);
+    } catch (err) {
+      if (!err.status) console.error(`[api] ${req.method} ${url.pathname}`, err);
+      send(res, err.status ?? 500, { error: err.status ? err.message : "サーバーでエラーが発生しました", ...(err.details ? { details: err.details } : {}) });
+    }
+  });
+}
+
+/** 連携システム用のキーを発行して表示する（キーは再表示できない） */
+function createKey(db, [name, role = ROLES.READONLY, vendorId]) {
+  if (!name) throw new Error("使い方: npm run api -- create-key <名前> [役割] [業者ID]");
+  if (!Object.values(ROLES).includes(role)) throw new Error(`役割は ${Object.values(ROLES).join(" / ")} のいずれかです`);
+  const { token } = issueToken(db, { kind: "key", name, role, vendorId });
+  console.log(`キー「${name}」（${role}）: ${token}`);
+}
+
+/** パスワードを初期化してセットアップコードを表示する（コードは再表示できない） */
+function createSetupToken(db, [userId]) {
+  if (!userId) throw new Error("使い方: npm run api -- setup-token <ユーザーID>");
+  bootstrap(db);
+  const user = allUsers(db).find(u => u.id === userId);
+  if (!user) throw new Error(`ユーザー ${userId} が見つかりません`);
+  const { token, expiresAt } = resetCredentials(db, user, null);
+  console.log(`${user.name}（${user.id}）のセットアップコード（${expiresAt} まで・1回限り）: ${token}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const db = openDatabase(API_DB);
+  const [command, ...args] = process.argv.slice(2);
+  if (command === "create-key") createKey(db, args);
+  else if (command === "setup-token") createSetupToken(db, args);
+  else createApi(db).listen(API_PORT, API_HOST, () => console.log(`点検 API http://${API_HOST}:${API_PORT}${PREFIX}（DB ${API_DB}・許可する Origin ${CORS_ORIGINS.join(", ") || "なし"}）`));
+}
@@ -0,0 +1,267 @@
+import { RESOURCES, filterDefinitions } from "./resources.js";
+
+/**
+ * OpenAPI 3.1 の定義（GET /api/v1/openapi.json で配布）
+ * - リソースの一覧・絞り込みは resources.js から生成する（レコードの項目はブラウザ側と同じ形で、スキーマは主な項目のみ）
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonBody = (schema) => ({ content: { "application/json": { schema } } });
+const errorResponse = (description) => ({ description, ...jsonBody(ref("Error")) });
+const ERRORS = {
+  401: errorResponse("未認証（トークンがない・失効した）"),
+  403: errorResponse("権限がない"),
+};
+
+const RECORD_SCHEMAS = {
+  properties: { required: ["id", "name"], properties: { id: { type: "string" }, name: { type: "string" }, address: { type: "string" }, useType: { type: "string" }, floors: { type: "integer" }, inspectionKinds: { type: "array", items: { type: "string" } }, lat: { type: ["number", "null"], description: "写真の撮影位置の照合に使う" }, lng: { type: ["number", "null"] },
+    structure: { type: "string" }, totalFloorArea: { type: ["number", "null"], description: "延べ面積（㎡）" }, ownerName: { type: "string" }, ownerAddress: { type: "string" },
+    fireStation: { type: "string", description: "消防の届出先（例: 品川消防署長）" }, buildingAuthority: { type: "string", description: "建築の届出先（特定行政庁。例: 品川区長）" } } },
+  vendors: { required: ["id", "name"], properties: { id: { type: "string" }, name: { type: "string" }, skills: { type: "array", items: { type: "string" } }, email: { type: "string" }, dailyCapacity: { type: "integer" } } },
+  users: { required: ["id", "name", "role"], properties: { id: { type: "string" }, name: { type: "string" }, role: { enum: ["admin", "planner", "inspector", "vendor"] }, vendorId: { type: "string" }, email: { type: "string" } } },
+  events: {
+    required: ["id", "propertyId", "kind", "date", "dueDate", "status"],
+    properties: {
+      id: { type: "string" }, type: { type: "string", description: "是正タスクは corrective" }, propertyId: { type: "string" }, kind: { type: "string" },
+      date: { type: "string", format: "date-time" }, dueDate: { type: "string", format: "date-time" }, status: { type: "string" },
+      assigneeId: { type: "string" }, vendorId: { type: "string" }, reportId: { type: "string" }, completedAt: { type: "string", format: "date-time" },
+    },
+  },
+  "corrective-tasks": {
+    required: ["id", "parentId", "propertyId", "kind", "dueDate", "correctiveStatus"],
+    properties: {
+      id: { type: "string" }, type: { const: "corrective" }, parentId: { type: "string" }, propertyId: { type: "string" }, kind: { type: "string" },
+      dueDate: { type: "string", format: "date-time" }, correctiveStatus: { enum: ["open", "quote", "inProgress", "completed", "closed"] },
+      finding: { type: "object", properties: { itemId: { type: "string" }, severity: { type: "string" }, note: { type: "string" } } },
+      photos: { type: "object", properties: { before: { type: "array", items: ref("EvidencePhoto") }, after: { type: "array", items: ref("EvidencePhoto") } } },
+    },
+  },
+  reports: {
+    required: ["id", "eventId", "completedAt"],
+    properties: {
+      id: { type: "string" }, eventId: { type: "string" }, propertyId: { type: "string" }, completedAt: { type: "string", format: "date-time" },
+      answers: { type: "object" }, nonConformities: { type: "array", items: { type: "object" } }, revision: { type: "integer" },
+      photos: { type: "array", items: ref("EvidencePhoto"), description: "現場写真（itemId・ncIndex で証明する項目・不適合に紐付く）" },
+      pdf: { type: "object", description: "PDF の情報（本体は /reports/{id}/pdf）", properties: { filename: { type: "string" }, pageCount: { type: "integer" } } },
+    },
+  },
+  filings: {
+    required: ["id", "propertyId", "formId", "status"],
+    properties: {
+      id: { type: "string" }, propertyId: { type: "string" }, formId: { enum: ["fire", "elevator", "buildingEquipment", "fireDoor"] }, kind: { type: "string" },
+      eventIds: { type: "array", items: { type: "string" }, description: "届出に含める完了済みの点検" }, reportIds: { type: "array", items: { type: "string" } },
+      dueDate: { type: ["string", "null"], format: "date-time", description: "届出期限（手入力した場合のみ）" }, status: { enum: ["draft", "filed", "accepted", "returned"] },
+      filedAt: { type: ["string", "null"], format: "date-time" }, acceptedAt: { type: ["string", "null"], format: "date-time" }, returnedAt: { type: ["string", "null"], format: "date-time" },
+      receiptNo: { type: "string", description: "行政の受付番号" }, note: { type: "string" },
+      history: { type: "array", items: { type: "object", properties: { from: { type: ["string", "null"] }, to: { type: "string" }, by: { type: "string" }, at: { type: "string", format: "date-time" }, note: { type: "string" } } } },
+    },
+  },
+};
+
+const schemaName = (resource) => resource.replace(/(^|-)(\w)/g, (_, __, c) => c.toUpperCase());
+
+function resourcePaths(resource) {
+  const def = RESOURCES[resource];
+  const name = schemaName(resource);
+  const idParam = { name: "id", in: "path", required: true, schema: { type: "string" } };
+  const ifMatch = { name: "If-Match", in: "header", schema: { type: "string" }, description: "取得時の ETag。一致しなければ 412" };
+  const single = { description: "OK", headers: { ETag: { schema: { type: "string" } } }, ...jsonBody(ref(name)) };
+  const filters = Object.entries(filterDefinitions(resource)).map(([n, f]) => ({ name: n, in: "query", description: f.description, schema: { type: "string", ...(f.format ? { format: f.format } : {}) } }));
+  return {
+    [`/${resource}`]: {
+      get: {
+        tags: [def.label], summary: `${def.label}の一覧`,
+        parameters: [{ $ref: "#/components/parameters/limit" }, { $ref: "#/components/parameters/offset" }, { $ref: "#/components/parameters/sort" }, { $ref: "#/components/parameters/photos" }, ...filters],
+        responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { data: { type: "array", items: ref(name) }, versions: { type: "object", additionalProperties: { type: "integer" }, description: "id → 版（ETag と同じ値。batch の ifVersion に使う）" }, page: ref("Page") } }) }, ...ERRORS },
+      },
+      post: {
+        tags: [def.label], summary: `${def.label}の作成（id を省略すると採番）`, requestBody: jsonBody(ref(name)),
+        responses: { 201: single, 409: errorResponse("同じ id が存在する"), 422: errorResponse("入力内容の誤り"), ...ERRORS },
+      },
+    },
+    [`/${resource}/{id}`]: {
+      parameters: [idParam],
+      get: { tags: [def.label], summary: `${def.label}の取得`, parameters: [{ $ref: "#/components/parameters/photos" }], responses: { 200: single, 404: errorResponse("存在しない"), ...ERRORS } },
+      put: {
+        tags: [def.label], summary: `${def.label}の作成・置換`, parameters: [ifMatch], requestBody: jsonBody(ref(name)),
+        responses: { 200: single, 201: single, 412: errorResponse("版の不一致"), 422: errorResponse("入力内容の誤り"), ...ERRORS },
+      },
+      patch: {
+        tags: [def.label], summary: `${def.label}の部分更新（JSON Merge Patch）`, parameters: [ifMatch],
+        requestBody: { content: { "application/merge-patch+json": { schema: { type: "object" } }, "application/json": { schema: { type: "object" } } } },
+        responses: { 200: single, 404: errorResponse("存在しない"), 412: errorResponse("版の不一致"), 422: errorResponse("入力内容の誤り"), ...ERRORS },
+      },
+      delete: { tags: [def.label], summary: `${def.label}の削除`, parameters: [ifMatch], responses: { 204: { description: "削除した" }, 404: errorResponse("存在しない"), 412: errorResponse("版の不一致"), ...ERRORS } },
+    },
+  };
+}
+
+export function openApiDocument(serverUrl) {
+  const paths = Object.assign({}, ...Object.keys(RESOURCES).map(resourcePaths));
+  return {
+    openapi: "3.1.0",
+    info: { title: "法定点検カレンダー API", version: "1.0.0", description: "物件・業者・ユーザー・予定・是正タスク・報告書・写真の REST API。認証は Authorization: Bearer <token>（/auth/login で取得）。" },
+    servers: [{ url: serverUrl }],
+    security: [{ bearer: [] }],
+    tags: [...Object.values(RESOURCES).map(d => ({ name: d.label })), { name: "認証" }, { name: "写真" }, { name: "監査ログ" }, { name: "Webhook" }],
+    paths: {
+      "/auth/login": {
+        post: {
+          tags: ["認証"], summary: "ログイン（セッショントークンを発行。パスワード未設定でセットアップコードを渡すとトークンは出さず mustChangePassword を返す）", security: [],
+          requestBody: jsonBody({ type: "object", required: ["loginId", "password"], properties: { loginId: { type: "string" }, password: { type: "string" } } }),
+          responses: { 200: { description: "OK", ...jsonBody(ref("Session")) }, 401: errorResponse("ID かパスワードが違う") },
+        },
+      },
+      "/auth/password": {
+        post: {
+          tags: ["認証"], summary: "パスワードの設定・変更（パスワード未設定ならセットアップコードを現在のパスワードとして渡す。コードは使い切り）", security: [],
+          requestBody: jsonBody({ type: "object", required: ["loginId", "currentPassword", "newPassword"], properties: { loginId: { type: "string" }, currentPassword: { type: "string" }, newPassword: { type: "string" } } }),
+          responses: { 200: { description: "OK", ...jsonBody(ref("Session")) }, 401: errorResponse("ID かパスワードが違う"), 422: errorResponse("パスワードの条件を満たさない") },
+        },
+      },
+      "/auth/logout": { post: { tags: ["認証"], summary: "ログアウト（トークンを失効）", responses: { 204: { description: "OK" } } } },
+      "/auth/verify-password": {
+        post: {
+          tags: ["認証"], summary: "ログイン中のユーザーのパスワード確認",
+          requestBody: jsonBody({ type: "object", required: ["password"], properties: { password: { type: "string" } } }),
+          responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { ok: { type: "boolean" } } }) }, ...ERRORS },
+        },
+      },
+      "/auth/me": { get: { tags: ["認証"], summary: "トークンの主体", responses: { 200: { description: "OK", ...jsonBody({ type: "object" }) }, ...ERRORS } } },
+      "/users/{id}/reset-password": {
+        post: { tags: ["ユーザー"], summary: "パスワードの初期化とセットアップコードの発行（管理者。コードは再表示できない）", parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }], responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { setupToken: { type: "string" }, expiresAt: { type: "string", format: "date-time" } } }) }, 404: errorResponse("ユーザーが見つからない"), ...ERRORS } },
+      },
+      ...paths,
+      "/batch": {
+        post: {
+          tags: ["予定"], summary: "複数の作成・置換・削除を1トランザクションで実行",
+          requestBody: jsonBody({ type: "object", required: ["operations"], properties: { operations: { type: "array", items: ref("BatchOperation") } } }),
+          responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { results: { type: "array", items: { type: "object" } } } }) }, 412: errorResponse("版の不一致（全て取り消し）"), 422: errorResponse("入力内容の誤り（全て取り消し）"), ...ERRORS },
+        },
+      },
+      "/audit-log": {
+        get: {
+          tags: ["監査ログ"], summary: "監査ログ（seq 昇順。管理者・計画担当）",
+          parameters: [
+            { name: "collection", in: "query", schema: { type: "string" }, description: "テーブル名（events・reports・filings など。是正タスクは events）" },
+            { name: "recordId", in: "query", schema: { type: "string" } }, { name: "eventId", in: "query", schema: { type: "string" } },
+            { name: "since", in: "query", schema: { type: "string", format: "date-time" } }, { $ref: "#/components/parameters/limit" }, { $ref: "#/components/parameters/offset" },
+          ],
+          responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { data: { type: "array", items: ref("AuditEntry") }, page: ref("Page") } }) }, ...ERRORS },
+        },
+      },
+      "/audit-log/verify": {
+        get: {
+          tags: ["監査ログ"], summary: "ハッシュチェーンの検証（連番の欠け・prevHash の不一致・改ざん）",
+          responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { ok: { type: "boolean" }, count: { type: "integer" }, headSeq: { type: "integer" }, headHash: { type: "string" }, errors: { type: "array", items: { type: "object" } } } }) }, ...ERRORS },
+        },
+      },
+      "/reports/{id}/pdf": {
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+        get: {
+          tags: ["報告書"], summary: "報告書 PDF（既定は最新版）", parameters: [{ name: "revision", in: "query", schema: { type: "integer" } }],
+          responses: { 200: { description: "PDF", content: { "application/pdf": { schema: { type: "string", format: "binary" } } } }, 404: errorResponse("存在しない"), ...ERRORS },
+        },
+        put: {
+          tags: ["報告書"], summary: "報告書 PDF の登録（内容が変わったときだけ版を追加）", parameters: [{ name: "filename", in: "query", schema: { type: "string" } }],
+          requestBody: { content: { "application/pdf": { schema: { type: "string", format: "binary" } } } },
+          responses: { 200: { description: "OK", ...jsonBody(ref("PdfRevision")) }, 201: { description: "版を追加", ...jsonBody(ref("PdfRevision")) }, ...ERRORS },
+        },
+      },
+      "/reports/{id}/pdfs": {
+        get: { tags: ["報告書"], summary: "報告書 PDF の版の一覧", parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }], responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { data: { type: "array", items: ref("PdfRevision") } } }) }, ...ERRORS } },
+      },
+      "/photos": {
+        get: {
+          tags: ["写真"], summary: "写真の一覧（予定・報告書の記録から索引）",
+          parameters: [{ name: "eventId", in: "query", schema: { type: "string" } }, { name: "reportId", in: "query", schema: { type: "string" } }, { $ref: "#/components/parameters/limit" }, { $ref: "#/components/parameters/offset" }],
+          responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { data: { type: "array", items: ref("Photo") }, page: ref("Page") } }) }, ...ERRORS },
+        },
+      },
+      "/photos/{id}": {
+        get: { tags: ["写真"], summary: "写真の本体", parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }], responses: { 200: { description: "画像", content: { "image/*": { schema: { type: "string", format: "binary" } } } }, 404: errorResponse("存在しない"), ...ERRORS } },
+      },
+      "/corrective-tasks/{id}/photos": {
+        post: {
+          tags: ["是正タスク"], summary: "是正前・是正後の写真を追加",
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }, { name: "phase", in: "query", required: true, schema: { enum: ["before", "after"] } }],
+          requestBody: { content: { "image/jpeg": { schema: { type: "string", format: "binary" } }, "image/png": { schema: { type: "string", format: "binary" } } } },
+          responses: { 201: { description: "追加した", ...jsonBody(ref("CorrectiveTasks")) }, 404: errorResponse("存在しない"), ...ERRORS },
+        },
+      },
+      "/webhooks": {
+        get: { tags: ["Webhook"], summary: "登録済みの Webhook（管理者）", responses: { 200: { description: "OK", ...jsonBody({ type: "object", properties: { data: { type: "array", items: ref("Webhook") } } }) }, ...ERRORS } },
+        post: {
+          tags: ["Webhook"], summary: "Webhook の登録（secret はこの応答でのみ返す）",
+          requestBody: jsonBody({ type: "object", required: ["url"], properties: { url: { type: "string", format: "uri" }, events: { type: "array", items: { type: "string" }, description: "例: event.created, event.completed, corrective.closed, report.created, filing.accepted。省略時は全て（*）" } } }),
+          responses: { 201: { description: "登録した", ...jsonBody(ref("Webhook")) }, ...ERRORS },
+          callbacks: {
+            change: {
+              "{$request.body#/url}": {
+                post: {
+                  summary: "変更の通知。X-Inspection-Signature: sha256=<本文の HMAC-SHA256（secret）>",
+                  requestBody: jsonBody(ref("WebhookEvent")),
+                  responses: { 200: { description: "2xx 以外は最大3回まで再送" } },
+                },
+              },
+            },
+          },
+        },
+      },
+      "/webhooks/{id}": {
+        delete: { tags: ["Webhook"], summary: "Webhook の削除", parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }], responses: { 204: { description: "削除した" }, ...ERRORS } },
+      },
+      "/webhooks/{id}/deliveries": {
+        get: { tags: ["Webhook"], summary: "配信履歴（新しい順）", parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }, { $ref: "#/components/parameters/limit" }], responses: { 200: { description: "OK", ...jsonBody({ type: "object" }) }, ...ERRORS } },
+      },
+    },
+    components: {
+      securitySchemes: { bearer: { type: "http", scheme: "bearer" } },
+      parameters: {
+        limit: { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 500, default: 100 } },
+        offset: { name: "offset", in: "query", schema: { type: "integer", minimum: 0, default: 0 } },
+        sort: { name: "sort", in: "query", schema: { enum: ["id", "updatedAt"], default: "id" } },
+        photos: { name: "photos", in: "query", description: "ref にすると写真の data URL を /photos/{id} の URL に置き換える", schema: { enum: ["inline", "ref"], default: "inline" } },
+      },
+      schemas: {
+        ...Object.fromEntries(Object.entries(RECORD_SCHEMAS).map(([r, s]) => [schemaName(r), { type: "object", additionalProperties: true, ...s }])),
+        Page: { type: "object", properties: { limit: { type: "integer" }, offset: { type: "integer" }, total: { type: "integer" }, next: { type: ["string", "null"] } } },
+        Error: { type: "object", properties: { error: { type: "string" }, details: {} } },
+        Session: { type: "object", properties: { token: { type: "string" }, expiresAt: { type: "string", format: "date-time" }, user: ref("Users"), mustChangePassword: { type: "boolean" } } },
+        BatchOperation: {
+          type: "object", required: ["op", "resource"],
+          properties: { op: { enum: ["put", "delete"] }, resource: { enum: Object.keys(RESOURCES) }, id: { type: "string" }, record: { type: "object" }, ifVersion: { type: "integer" } },
+        },
+        AuditEntry: {
+          type: "object", description: "監査ログのエントリ（hash は hash を除く全項目のキー順を固定した JSON の SHA-256）",
+          properties: {
+            seq: { type: "integer" }, at: { type: "string", format: "date-time" }, actorId: { type: ["string", "null"] }, actorName: { type: "string" },
+            collection: { type: "string" }, recordId: { type: "string" }, eventId: { type: ["string", "null"] }, action: { enum: ["create", "update", "delete"] },
+            changes: { type: "array", items: { type: "object", properties: { field: { type: "string" }, before: {}, after: {} } } }, prevHash: { type: "string" }, hash: { type: "string" },
+          },
+        },
+        PdfRevision: { type: "object", properties: { revision: { type: "integer" }, filename: { type: "string" }, sha256: { type: "string" }, size: { type: "integer" } } },
+        EvidencePhoto: {
+          description: "記録内の写真。旧形式は data URL の文字列",
+          oneOf: [
+            { type: "string" },
+            {
+              type: "object", required: ["id", "src"],
+              properties: {
+                id: { type: "string" }, src: { type: "string", description: "data URL（photos=ref なら /photos/{id} の URL）" }, width: { type: "integer" }, height: { type: "integer" },
+                takenAt: { type: ["string", "null"], format: "date-time", description: "EXIF の撮影日時" },
+                gps: { type: ["object", "null"], properties: { lat: { type: "number" }, lng: { type: "number" } } },
+                warnings: { type: "array", items: { type: "string" }, description: "撮影日時・撮影場所の警告" },
+                annotations: { type: "array", items: { type: "object", properties: { type: { enum: ["arrow", "circle"] }, color: { type: "string" }, x1: { type: "number" }, y1: { type: "number" }, x2: { type: "number" }, y2: { type: "number" } } } },
+                itemId: { type: ["string", "null"] }, ncIndex: { type: ["integer", "null"] },
+              },
+            },
+          ],
+        },
+        Photo: { type: "object", properties: { id: { type: "string", description: "内容の SHA-256" }, contentType: { type: "string" }, size: { type: "integer" }, resource: { type: "string" }, recordId: { type: "string" }, eventId: { type: "string" }, field: { type: "string" }, url: { type: "string" } } },
+        Webhook: { type: "object", properties: { id: { type: "string" }, url: { type: "string" }, events: { type: "array", items: { type: "string" } }, active: { type: "boolean" }, secret: { type: "string" } } },
+        WebhookEvent: { type: "object", properties: { id: { type: "string" }, type: { type: "string" }, occurredAt: { type: "string", format: "date-time" }, data: { type: "object" } } },
+      },
+    },
+  };
+}
@@ -0,0 +1,203 @@
+import crypto from "node:crypto";
+import { ROLES } from "./auth.js";
+import { correctiveTransitionErrors, isCorrectiveTransition } from "./corrective.js";
+
+/**
+ * API のリソース定義（一覧の絞り込み・閲覧範囲・書込み権限・検証・Webhook のイベント名）
+ * - 予定と是正タスクは同じ events テーブル（是正タスクは type = "corrective"）
+ * - 日付はブラウザ側と同じく ISO 8601 文字列で保存（絞り込みの日付のみ指定は UTC の日付として扱う）
+ * - canWrite(p, op, before, after, lookup) の lookup(resource, id) は関連するレコード（是正タスクの元の予定など）を引く
+ */
+
+const json = (field) => `json_extract(data, '$.${field}')`;
+const equals = (field, description) => ({ description, where: (v) => [`${json(field)} = ?`, [v]] });
+
+/** 日付のみ（yyyy-MM-dd）の上限はその日の終わりまで含める */
+const dateRange = (field, bound, description) => ({
+  description, format: "date",
+  where: (v) => bound === "from" ? [`${json(field)} >= ?`, [v]] : /^\d{4}-\d{2}-\d{2}$/.test(v) ? [`${json(field)} < date(?, '+1 day')`, [v]] : [`${json(field)} <= ?`, [v]],
+});
+
+const COMMON_FILTERS = {
+  updatedSince: { description: "この日時以降に更新されたもの（差分取得用）", format: "date-time", where: (v) => ["updated_at >= ?", [v]] },
+};
+
+const required = (fields) => (r) => fields.filter(f => r[f] === undefined || r[f] === null || r[f] === "").map(f => `${f} は必須です`);
+const isAdmin = (p) => p.role === ROLES.ADMIN;
+const isPlanner = (p) => p.role === ROLES.ADMIN || p.role === ROLES.PLANNER;
+const ownVendor = (p, ...records) => !!p.vendorId && records.every(r => !r || r.vendorId === p.vendorId);
+
+const INSPECTION_FILTERS = {
+  propertyId: equals("propertyId", "物件ID"),
+  vendorId: equals("vendorId", "業者ID"),
+  assigneeId: equals("assigneeId", "担当者ID"),
+  status: equals("status", "状態（予定・未完・完了・中止 など）"),
+  kind: equals("kind", "点検種別"),
+  dateFrom: dateRange("date", "from", "予定日（以降）"),
+  dateTo: dateRange("date", "to", "予定日（以前）"),
+  dueFrom: dateRange("dueDate", "from", "法定期限（以降）"),
+  dueTo: dateRange("dueDate", "to", "法定期限（以前）"),
+};
+
+/** 変更された項目（トップレベルのキー） */
+const changedFields = (before, after) => [...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])]
+  .filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]));
+const onlyChanges = (before, after, fields) => changedFields(before, after).every(f => fields.includes(f));
+
+/** 点検担当・業者が予定に書ける項目（点検結果の反映と、アプリが更新のたびに進める sequence・updatedAt） */
+const RESULT_EVENT_FIELDS = ["status", "reportId", "completedAt", "sequence", "updatedAt"];
+/** 点検結果の反映だけか（状態を変えるなら報告書付きの完了のみ） */
+const isResultUpdate = (before, after) => onlyChanges(before, after, RESULT_EVENT_FIELDS)
+  && (after.status === before.status || (after.status === "完了" && !!after.reportId));
+
+/** 業者が是正タスクに書ける項目（見積・写真。状態の遷移ではその記録も） */
+const VENDOR_CORRECTIVE_FIELDS = ["quote", "photos", "sequence", "updatedAt"];
+const CORRECTIVE_TRANSITION_FIELDS = ["correctiveStatus", "status", "completedAt", "closedAt", "closedBy", "history"];
+
+// 計画担当以上は全件。点検担当は自分が担当の予定、業者は自社の予定への点検結果の反映のみ
+const canWriteInspection = (p, op, before, after) => isPlanner(p)
+  || (p.role === ROLES.INSPECTOR && op === "update" && before.assigneeId === p.id && isResultUpdate(before, after))
+  || (p.role === ROLES.VENDOR && op === "update" && ownVendor(p, before, after) && isResultUpdate(before, after));
+/** 履歴は追記のみで、追記する操作者（by）は書き込む本人 */
+const appendsOwnHistory = (p, before, after) => {
+  const prev = before?.history ?? [];
+  const next = after?.history ?? [];
+  return next.length >= prev.length && JSON.stringify(next.slice(0, prev.length)) === JSON.stringify(prev)
+    && next.slice(prev.length).every(h => h.by === p.id);
+};
+// 是正タスクは点検結果の提出で作られるので、提出できる役割は作成も可。点検担当は元の点検が自分の担当のものだけ（元の点検は付け替えさせない）
+// 是正完了からの遷移（検証・差戻し）は業者には許可しない
+const canWriteInspectorCorrective = (p, before, after, lookup) => (!before || before.parentId === after.parentId)
+  && lookup("events", after.parentId)?.assigneeId === p.id;
+const canWriteVendorCorrective = (before, after) => !(isCorrectiveTransition(before, after) && before.correctiveStatus === "completed")
+  && onlyChanges(before, after, isCorrectiveTransition(before, after) ? [...VENDOR_CORRECTIVE_FIELDS, ...CORRECTIVE_TRANSITION_FIELDS] : VENDOR_CORRECTIVE_FIELDS);
+const canWriteCorrective = (p, op, before, after, lookup) => (op === "delete" || appendsOwnHistory(p, before, after)) && (isPlanner(p)
+  || (p.role === ROLES.INSPECTOR && op !== "delete" && canWriteInspectorCorrective(p, before, after, lookup))
+  || (p.role === ROLES.VENDOR && op !== "delete" && ownVendor(p, before, after) && (op === "create" || canWriteVendorCorrective(before, after))));
+
+// 報告書の更新は提出者（assignee）か計画担当以上。発行済み（PDF あり）の版は内容を変えず、
+// PDF の再生成と、是正結果を載せた再発行（版を1つ上げる。点検担当以上）だけを受け付ける
+const REISSUE_FIELDS = ["revision", "reissuedAt", "corrections", "previousPdfs", "pdf"];
+const canReissue = (p) => isPlanner(p) || p.role === ROLES.INSPECTOR;
+const isReissue = (before, after) => after.revision === (before.revision ?? 1) + 1 && onlyChanges(before, after, REISSUE_FIELDS);
+const canWriteReport = (p, op, before, after) => {
+  if (op === "delete") return isAdmin(p);
+  if (p.role === ROLES.READONLY || (p.role === ROLES.VENDOR && ![before, after].every(r => !r || r.vendor?.id === p.vendorId))) return false;
+  if (op === "create") return true;
+  const mine = isPlanner(p) || (before.assignee?.id === p.id && after.assignee?.id === p.id);
+  if (!before.pdf) return mine;
+  if (onlyChanges(before, after, ["pdf"])) return mine || canReissue(p);
+  return canReissue(p) && isReissue(before, after);
+};
+
+const validateCorrective = (r, before) => [...required(["parentId", "propertyId", "kind", "dueDate", "correctiveStatus"])(r), ...correctiveTransitionErrors(before, r)];
+const inspectionEvents = (before, after) => after && after.type !== "corrective" && after.status === "完了" && before?.status !== "完了" ? ["event.completed"] : [];
+const correctiveEvents = (before, after) => after?.correctiveStatus === "closed" && before?.correctiveStatus !== "closed" ? ["corrective.closed"] : [];
+const FILING_EVENTS = { filed: "filing.filed", accepted: "filing.accepted", returned: "filing.returned" };
+const filingEvents = (before, after) => after && FILING_EVENTS[after.status] && after.status !== before?.status ? [FILING_EVENTS[after.status]] : [];
+
+export const RESOURCES = {
+  properties: {
+    table: "properties", singular: "property", label: "物件", idPrefix: "P",
+    filters: { q: { description: "名称・住所の部分一致", where: (v) => [`(${json("name")} LIKE ? OR ${json("address")} LIKE ?)`, [`%${v}%`, `%${v}%`]] } },
+    validate: required(["name"]),
+    canWrite: (p) => isAdmin(p),
+  },
+  vendors: {
+    table: "vendors", singular: "vendor", label: "業者", idPrefix: "V",
+    filters: { kind: { description: "対応する点検種別", where: (v) => [`EXISTS (SELECT 1 FROM json_each(data, '$.skills') WHERE value = ?)`, [v]] } },
+    validate: required(["name"]),
+    canWrite: (p) => isAdmin(p),
+  },
+  users: {
+    table: "users", singular: "user", label: "ユーザー", idPrefix: "U",
+    filters: { role: equals("role", "役割"), vendorId: equals("vendorId", "所属業者ID") },
+    // 業者ユーザーは自分だけ
+    scope: (p) => p.role === ROLES.VENDOR ? ["id = ?", [p.id]] : null,
+    validate: (r) => [
+      ...required(["name", "role"])(r),
+      ...(r.role && ![ROLES.ADMIN, ROLES.PLANNER, ROLES.INSPECTOR, ROLES.VENDOR].includes(r.role) ? ["role が不正です"] : []),
+      ...(r.role === ROLES.VENDOR && !r.vendorId ? ["業者ユーザーは vendorId が必須です"] : []),
+    ],
+    canWrite: (p) => isAdmin(p),
+  },
+  events: {
+    table: "events", singular: "event", label: "予定", idPrefix: "T",
+    filters: {
+      type: { description: "inspection（点検の予定のみ）か corrective（是正タスクのみ）。省略時は両方", where: (v) => v === "corrective" ? [`${json("type")} = 'corrective'`, []] : [`${json("type")} IS NOT 'corrective'`, []] },
+      ...INSPECTION_FILTERS,
+    },
+    scope: (p) => p.role === ROLES.VENDOR ? [`${json("vendorId")} = ?`, [p.vendorId]] : null,
+    // 是正タスクは corrective-tasks と同じ検証・権限
+    validate: (r, before) => r.type === "corrective" ? validateCorrective(r, before) : required(["propertyId", "kind", "date", "dueDate", "status"])(r),
+    canWrite: (p, op, before, after, lookup) => (after ?? before).type === "corrective" ? canWriteCorrective(p, op, before, after, lookup) : canWriteInspection(p, op, before, after),
+    singularOf: (r) => r.type === "corrective" ? "corrective" : "event",
+    changeEvents: (before, after) => [...inspectionEvents(before, after), ...correctiveEvents(before, after)],
+  },
+  "corrective-tasks": {
+    table: "events", singular: "corrective", label: "是正タスク", idPrefix: "CR",
+    base: [`${json("type")} = 'corrective'`, []],
+    defaults: { type: "corrective" },
+    filters: {
+      propertyId: equals("propertyId", "物件ID"),
+      vendorId: equals("vendorId", "業者ID"),
+      parentId: equals("parentId", "元の点検の予定ID"),
+      correctiveStatus: equals("correctiveStatus", "是正状態（open / quote / inProgress / completed / closed）"),
+      severity: equals("finding.severity", "重要度（重大・中・軽）"),
+      dueFrom: dateRange("dueDate", "from", "是正期限（以降）"),
+      dueTo: dateRange("dueDate", "to", "是正期限（以前）"),
+    },
+    scope: (p) => p.role === ROLES.VENDOR ? [`${json("vendorId")} = ?`, [p.vendorId]] : null,
+    validate: validateCorrective,
+    canWrite: canWriteCorrective,
+    changeEvents: correctiveEvents,
+  },
+  reports: {
+    table: "reports", singular: "report", label: "報告書", idPrefix: "RP",
+    filters: {
+      eventId: equals("eventId", "予定ID"),
+      propertyId: equals("propertyId", "物件ID"),
+      completedFrom: dateRange("completedAt", "from", "完了日時（以降）"),
+      completedTo: dateRange("completedAt", "to", "完了日時（以前）"),
+    },
+    scope: (p) => p.role === ROLES.VENDOR ? [`${json("vendor.id")} = ?`, [p.vendorId]] : null,
+    validate: required(["eventId", "completedAt"]),
+    canWrite: canWriteReport,
+  },
+  filings: {
+    table: "filings", singular: "filing", label: "届出", idPrefix: "FL",
+    filters: {
+      propertyId: equals("propertyId", "物件ID"),
+      formId: equals("formId", "様式（fire / elevator / buildingEquipment / fireDoor）"),
+      status: equals("status", "状態（draft / filed / accepted / returned）"),
+      filedFrom: dateRange("filedAt", "from", "提出日（以降）"),
+      filedTo: dateRange("filedAt", "to", "提出日（以前）"),
+    },
+    // 行政への届出は事務所側の業務なので業者には見せない
+    scope: (p) => p.role === ROLES.VENDOR ? ["0", []] : null,
+    validate: required(["propertyId", "formId", "status"]),
+    canWrite: (p) => isPlanner(p),
+    changeEvents: filingEvents,
+  },
+};
+
+/** 読み取りは全役割（readonly のキーを含む）。書込みはリソースごとの canWrite */
+export const canRead = (p) => !!p;
+
+export const newId = (resource) => `${RESOURCES[resource].idPrefix}-${crypto.randomUUID().slice(0, 8).toUpperCase()}`;
+
+/** 一覧の WHERE 句（base・閲覧範囲・クエリの絞り込み） */
+export function listConditions(resource, principal, query) {
+  const def = RESOURCES[resource];
+  const parts = [def.base, def.scope?.(principal)];
+  const filters = { ...def.filters, ...COMMON_FILTERS };
+  for (const [name, f] of Object.entries(filters)) {
+    const v = query.get(name);
+    if (v !== null && v !== "") parts.push(f.where(v));
+  }
+  const used = parts.filter(Boolean);
+  return { where: used.length ? `WHERE ${used.map(([sql]) => `(${sql})`).join(" AND ")}` : "", params: used.flatMap(([, params]) => params) };
+}
+
+export const filterNames = (resource) => Object.keys({ ...RESOURCES[resource].filters, ...COMMON_FILTERS });
+export const filterDefinitions = (resource) => ({ ...RESOURCES[resource].filters, ...COMMON_FILTERS });
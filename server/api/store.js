@@ -0,0 +1,176 @@
+import crypto from "node:crypto";
+import { transaction } from "./db.js";
+import { CREDENTIAL_FIELDS } from "./auth.js";
+import { appendAudit } from "./audit.js";
+import { RESOURCES, listConditions } from "./resources.js";
+
+/**
+ * 文書テーブルの読み書き（HTTP に依存しない部分）
+ * - 書込みは version を 1 増やす。ifVersion を渡すと一致しなければ 412（他の人が先に更新した）
+ * - 写真（data URL）は保存時に photos / photo_links へ索引する（レコード内の data URL はそのまま残す）
+ * - 作成・更新・削除は同じトランザクションで監査ログ（audit.js）に追記する
+ */
+
+export const apiError = (status, message, details) => Object.assign(new Error(message), { status, details });
+
+const DATA_URL = /^data:(image\/[\w.+-]+);base64,/;
+const photoId = (dataUrl) => crypto.createHash("sha256").update(dataUrl.slice(dataUrl.indexOf(",") + 1), "base64").digest("hex");
+
+const parseRow = (row) => row && { record: JSON.parse(row.data), version: row.version, createdAt: row.created_at, updatedAt: row.updated_at };
+
+/** events は是正タスクを含む全件、corrective-tasks は是正タスクだけ */
+const belongs = (resource, record) => resource !== "corrective-tasks" || record.type === "corrective";
+
+export function getRecord(db, resource, id) {
+  const { table } = RESOURCES[resource];
+  const row = parseRow(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+  return row && belongs(resource, row.record) ? row : null;
+}
+
+/** 権限の判定に使う関連レコードの参照（resources.js の canWrite の lookup） */
+const lookup = (db) => (resource, id) => getRecord(db, resource, id)?.record;
+
+/** 閲覧範囲の外は存在しないものとして扱う */
+export function getVisibleRecord(db, resource, id, principal) {
+  const row = getRecord(db, resource, id);
+  if (!row) return null;
+  const scope = RESOURCES[resource].scope?.(principal);
+  if (!scope) return row;
+  const { table } = RESOURCES[resource];
+  return db.prepare(`SELECT 1 FROM ${table} WHERE id = ? AND (${scope[0]})`).get(id, ...scope[1]) ? row : null;
+}
+
+export function listRecords(db, resource, principal, query, { limit, offset }) {
+  const { table } = RESOURCES[resource];
+  const { where, params } = listConditions(resource, principal, query);
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM ${table} ${where}`).get(...params).n;
+  const sort = query.get("sort") === "updatedAt" ? "updated_at" : "id";
+  const rows = db.prepare(`SELECT * FROM ${table} ${where} ORDER BY ${sort}, id LIMIT ? OFFSET ?`).all(...params, limit, offset);
+  return { rows: rows.map(parseRow), total };
+}
+
+/** ユーザーの認証情報は API から書き換えさせず、保存済みの値を引き継ぐ */
+function prepareRecord(resource, record, before) {
+  const def = RESOURCES[resource];
+  let next = { ...def.defaults, ...record };
+  if (resource === "users") {
+    next = Object.fromEntries(Object.entries(next).filter(([k]) => !CREDENTIAL_FIELDS.includes(k)));
+    for (const k of CREDENTIAL_FIELDS) if (before?.[k] !== undefined) next[k] = before[k];
+  }
+  return next;
+}
+
+function indexPhotos(db, resource, record) {
+  const { table } = RESOURCES[resource];
+  db.prepare("DELETE FROM photo_links WHERE resource = ? AND record_id = ?").run(table, record.id);
+  const eventId = table === "reports" ? record.eventId : record.id;
+  const insertPhoto = db.prepare("INSERT OR IGNORE INTO photos (id, content_type, size, data, created_at) VALUES (?, ?, ?, ?, ?)");
+  const insertLink = db.prepare("INSERT OR IGNORE INTO photo_links (photo_id, resource, record_id, event_id, field) VALUES (?, ?, ?, ?, ?)");
+  const walk = (value, path) => {
+    if (typeof value === "string") {
+      const m = DATA_URL.exec(value);
+      if (!m) return;
+      const data = Buffer.from(value.slice(m[0].length), "base64");
+      const id = photoId(value);
+      insertPhoto.run(id, m[1], data.length, data, new Date().toISOString());
+      insertLink.run(id, table, record.id, eventId ?? null, path);
+    } else if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${path}.${i}`));
+    else if (value && typeof value === "object") Object.entries(value).forEach(([k, v]) => walk(v, path ? `${path}.${k}` : k));
+  };
+  walk(record, "");
+}
+
+/**
+ * 作成・置換（upsert）。返り値の before は Webhook・権限判定用
+ * 呼び出し側のトランザクション内で使う（batch でまとめて実行するため）
+ */
+export function putRecord(db, resource, record, { principal, ifVersion, createOnly = false }) {
+  const def = RESOURCES[resource];
+  if (!record || typeof record !== "object" || Array.isArray(record)) throw apiError(400, "本文はオブジェクトにしてください");
+  if (!record.id) throw apiError(400, "id は必須です");
+  const existing = getRecord(db, resource, record.id);
+  if (!existing && db.prepare(`SELECT 1 FROM ${def.table} WHERE id = ?`).get(record.id)) throw apiError(409, `${record.id} は別の種類のレコードです`);
+  if (existing && createOnly) throw apiError(409, `${record.id} は既に存在します`);
+  if (ifVersion !== undefined && (existing?.version ?? 0) !== ifVersion) throw apiError(412, "他の利用者が先に更新しました。読み込み直してください", { version: existing?.version ?? 0 });
+  const before = existing?.record;
+  const after = prepareRecord(resource, record, before);
+  const errors = def.validate(after, before);
+  if (errors.length) throw apiError(422, "入力内容に誤りがあります", errors);
+  const op = before ? "update" : "create";
+  if (!def.canWrite(principal, op, before, after, lookup(db))) throw apiError(403, `${def.label}を${op === "create" ? "作成" : "更新"}する権限がありません`);
+  const now = new Date().toISOString();
+  const data = JSON.stringify(after);
+  if (existing) db.prepare(`UPDATE ${def.table} SET data = ?, version = version + 1, updated_at = ? WHERE id = ?`).run(data, now, after.id);
+  else db.prepare(`INSERT INTO ${def.table} (id, data, version, created_at, updated_at) VALUES (?, ?, 1, ?, ?)`).run(after.id, data, now, now);
+  indexPhotos(db, resource, after);
+  appendAudit(db, def.table, { before, after }, principal);
+  return { before, after, version: (existing?.version ?? 0) + 1, op };
+}
+
+export function deleteRecord(db, resource, id, { principal, ifVersion }) {
+  const def = RESOURCES[resource];
+  const existing = getRecord(db, resource, id);
+  if (!existing) return null;
+  if (ifVersion !== undefined && existing.version !== ifVersion) throw apiError(412, "他の利用者が先に更新しました。読み込み直してください", { version: existing.version });
+  if (!def.canWrite(principal, "delete", existing.record, undefined, lookup(db))) throw apiError(403, `${def.label}を削除する権限がありません`);
+  db.prepare(`DELETE FROM ${def.table} WHERE id = ?`).run(id);
+  db.prepare("DELETE FROM photo_links WHERE resource = ? AND record_id = ?").run(def.table, id);
+  appendAudit(db, def.table, { before: existing.record }, principal);
+  return { before: existing.record, op: "delete" };
+}
+
+/** JSON Merge Patch（RFC 7386）。null は項目の削除 */
+export function mergePatch(target, patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) return patch;
+  const out = target && typeof target === "object" && !Array.isArray(target) ? { ...target } : {};
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete out[k];
+    else out[k] = mergePatch(out[k], v);
+  }
+  return out;
+}
+
+/** 複数の作成・更新・削除を1トランザクションで（1件でも失敗したら全て取り消す） */
+export function applyBatch(db, operations, principal) {
+  if (!Array.isArray(operations) || !operations.length) throw apiError(400, "operations は1件以上の配列にしてください");
+  return transaction(db, () => operations.map((o, i) => {
+    if (!RESOURCES[o.resource]) throw apiError(400, `operations[${i}]: resource が不正です`);
+    try {
+      if (o.op === "put") return { resource: o.resource, ...putRecord(db, o.resource, o.record, { principal, ifVersion: o.ifVersion }) };
+      if (o.op === "delete") return { resource: o.resource, id: o.id, ...(deleteRecord(db, o.resource, o.id, { principal, ifVersion: o.ifVersion }) ?? { op: "noop" }) };
+    } catch (err) {
+      err.message = `operations[${i}]: ${err.message}`;
+      throw err;
+    }
+    throw apiError(400, `operations[${i}]: op は put か delete にしてください`);
+  }));
+}
+
+/** 応答用の表現（認証情報を除く。photos=ref なら data URL を写真の URL に置き換える） */
+export function present(resource, record, { photoRefs = false, base = "" } = {}) {
+  const out = resource === "users" ? Object.fromEntries(Object.entries(record).filter(([k]) => !CREDENTIAL_FIELDS.includes(k))) : record;
+  if (!photoRefs) return out;
+  const replace = (v) => typeof v === "string" ? (DATA_URL.test(v) ? `${base}/photos/${photoId(v)}` : v)
+    : Array.isArray(v) ? v.map(replace)
+    : v && typeof v === "object" ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, replace(x)])) : v;
+  return replace(out);
+}
+
+/** 報告書 PDF は内容が同じなら版を増やさない */
+export function putReportPdf(db, reportId, { filename, data }) {
+  const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+  const latest = db.prepare("SELECT revision, sha256 FROM report_pdfs WHERE report_id = ? ORDER BY revision DESC LIMIT 1").get(reportId);
+  if (latest?.sha256 === sha256) return { revision: latest.revision, sha256, size: data.length, created: false };
+  const revision = (latest?.revision ?? 0) + 1;
+  db.prepare("INSERT INTO report_pdfs (report_id, revision, filename, sha256, size, data, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+    .run(reportId, revision, filename, sha256, data.length, data, new Date().toISOString());
+  return { revision, sha256, size: data.length, created: true };
+}
+
+export const reportPdfs = (db, reportId) => db.prepare("SELECT revision, filename, sha256, size, created_at AS createdAt FROM report_pdfs WHERE report_id = ? ORDER BY revision").all(reportId);
+
+export function getReportPdf(db, reportId, revision) {
+  return revision
+    ? db.prepare("SELECT * FROM report_pdfs WHERE report_id = ? AND revision = ?").get(reportId, revision)
+    : db.prepare("SELECT * FROM report_pdfs WHERE report_id = ? ORDER BY revision DESC LIMIT 1").get(reportId);
+}
@@ -0,0 +1,80 @@
+import crypto from "node:crypto";
+
+/**
+ * Webhook の配信
+ * - 本文は { id, type, occurredAt, data }。X-Inspection-Signature に本文の HMAC-SHA256（登録時の secret）を付ける
+ * - 2xx 以外・接続失敗は間隔を空けて最大 DELIVERY_ATTEMPTS 回まで再送し、結果を webhook_deliveries に残す
+ * - 登録の events は購読するイベント名の配列（"*" は全件）
+ */
+
+const DELIVERY_ATTEMPTS = 3;
+const RETRY_DELAY_MS = Number(process.env.API_WEBHOOK_RETRY_MS ?? 2000);
+const TIMEOUT_MS = 10000;
+
+export const signature = (secret, body) => `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+const subscribes = (hook, type) => {
+  const events = JSON.parse(hook.events);
+  return events.includes("*") || events.includes(type);
+};
+
+async function deliver(db, hook, deliveryId, type, body) {
+  const update = db.prepare("UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, delivered_at = ? WHERE id = ?");
+  for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetch(hook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Inspection-Event": type, "X-Inspection-Signature": signature(hook.secret, body) },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      status = res.status;
+      if (res.ok) {
+        update.run("delivered", attempt, status, null, new Date().toISOString(), deliveryId);
+        return;
+      }
+      error = `応答 ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+    const last = attempt === DELIVERY_ATTEMPTS;
+    update.run(last ? "failed" : "retrying", attempt, status, error, null, deliveryId);
+    if (last) console.error(`[api] Webhook ${hook.url} ${type}: ${error}`);
+    else await new Promise(r => setTimeout(r, RETRY_DELAY_MS * attempt));
+  }
+}
+
+/** events = [{ type, data }]。配信は応答を待たずに非同期で行う */
+export function dispatch(db, events) {
+  if (!events.length) return;
+  const hooks = db.prepare("SELECT * FROM webhooks WHERE active = 1").all();
+  const insert = db.prepare("INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, created_at) VALUES (?, ?, ?, 'pending', ?)");
+  for (const { type, data } of events) {
+    const occurredAt = new Date().toISOString();
+    for (const hook of hooks.filter(h => subscribes(h, type))) {
+      const body = JSON.stringify({ id: crypto.randomUUID(), type, occurredAt, data });
+      const { lastInsertRowid } = insert.run(hook.id, type, body, occurredAt);
+      deliver(db, hook, Number(lastInsertRowid), type, body).catch(err => console.error("[api] Webhook", err));
+    }
+  }
+}
+
+export function createWebhook(db, { url, events }) {
+  const hook = {
+    id: `WH-${crypto.randomUUID().slice(0, 8).toUpperCase()}`,
+    url,
+    events: JSON.stringify(events?.length ? events : ["*"]),
+    secret: crypto.randomBytes(24).toString("hex"),
+    created_at: new Date().toISOString(),
+  };
+  db.prepare("INSERT INTO webhooks (id, url, events, secret, created_at) VALUES (?, ?, ?, ?, ?)").run(hook.id, hook.url, hook.events, hook.secret, hook.created_at);
+  return hook;
+}
+
+/** secret は登録時の応答でのみ返す */
+export const publicWebhook = (row, { withSecret = false } = {}) => ({
+  id: row.id, url: row.url, events: JSON.parse(row.events), active: !!row.active, createdAt: row.created_at,
+  ...(withSecret ? { secret: row.secret } : {}),
+});
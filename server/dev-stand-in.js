@@ -0,0 +1,80 @@
+import http from "node:http";
+import net from "node:net";
+
+/**
+ * 開発・検証用のスタブ（実際には送信しない）
+ * - SMTP（既定 2525）: 受け取ったメールを件名・本文を復号して表示
+ * - HTTP（既定 8090）: POST された Webhook の JSON を表示
+ * 環境変数: STUB_SMTP_PORT, STUB_HTTP_PORT
+ */
+
+const SMTP_PORT = Number(process.env.STUB_SMTP_PORT ?? 2525);
+const HTTP_PORT = Number(process.env.STUB_HTTP_PORT ?? 8090);
+
+const decodeHeader = (s) => s.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b) => Buffer.from(b, "base64").toString("utf8"));
+
+function printMail(envelope, data) {
+  const [head, ...rest] = data.split("\r\n\r\n");
+  const body = rest.join("\r\n\r\n");
+  const subject = decodeHeader(head.match(/^Subject: (.*)$/m)?.[1] ?? "");
+  const text = /base64/i.test(head) ? Buffer.from(body.replace(/\s/g, ""), "base64").toString("utf8") : body;
+  console.log(`[smtp] ${envelope.from} → ${envelope.to.join(", ")}\n  件名: ${subject}\n  ${text.replace(/\n/g, "\n  ")}`);
+}
+
+export function createSmtpStub(onMail = printMail) {
+  return net.createServer((socket) => {
+    socket.setEncoding("utf8");
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffer = "";
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 stand-in ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (data !== null) {
+          if (line === ".") {
+            onMail(envelope, data.join("\r\n"));
+            envelope = { from: null, to: [] }; data = null;
+            reply("250 OK queued");
+          } else data.push(line.startsWith("..") ? line.slice(1) : line);
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO" || cmd === "HELO") reply("250-stand-in\r\n250 AUTH PLAIN");
+        else if (cmd === "AUTH") reply("235 OK");
+        else if (cmd === "MAIL") { envelope.from = line.match(/<(.*)>/)?.[1]; reply("250 OK"); }
+        else if (cmd === "RCPT") { envelope.to.push(line.match(/<(.*)>/)?.[1]); reply("250 OK"); }
+        else if (cmd === "DATA") { data = []; reply("354 End data with <CR><LF>.<CR><LF>"); }
+        else if (cmd === "RSET") { envelope = { from: null, to: [] }; reply("250 OK"); }
+        else if (cmd === "QUIT") { reply("221 Bye"); socket.end(); }
+        else reply("250 OK");
+      }
+    });
+  });
+}
+
+export function createWebhookStub(onPost = (url, body) => console.log(`[webhook] POST ${url}\n  ${JSON.stringify(body)}`)) {
+  return http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      if (req.method !== "POST") { res.writeHead(204).end(); return; }
+      let parsed = body;
+      try { parsed = JSON.parse(body); } catch { /* JSON 以外はそのまま表示 */ }
+      onPost(req.url, parsed);
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true }));
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createSmtpStub().listen(SMTP_PORT, () => console.log(`SMTP スタブ localhost:${SMTP_PORT}`));
+  createWebhookStub().listen(HTTP_PORT, () => console.log(`Webhook スタブ http://localhost:${HTTP_PORT}`));
+}
@@ -0,0 +1,215 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+
+/**
+ * 通知中継サーバ（ブラウザからは SMTP を直接話せないため）
+ * - POST /notify { key, channels, recipient, notification } → channels（email / webhook）へ配信し、チャネルごとの結果を返す
+ *   - email は recipient.email へ SMTP で、webhook は RELAY_WEBHOOK_URL へ JSON を POST（宛先はサーバー側の設定だけ。リクエストでは指定できない）
+ *   - 外部への配信の重複排除はここで一度だけ行う。同じ key（通知の dedupeKey）×チャネルは、どの端末から届いても最初の1回だけ送り、
+ *     以降は duplicate: true を返す。送信済みの key は RELAY_STATE のファイルに残し、RELAY_DEDUPE_DAYS を過ぎたら捨てる
+ * - 既定では 127.0.0.1 だけで待ち受け、Authorization: Bearer <RELAY_SECRET> のないリクエストは 401
+ * - CORS は RELAY_ALLOWED_ORIGIN（カンマ区切り）だけ許可し、それ以外の Origin からのリクエストは 403
+ * 環境変数: RELAY_HOST, RELAY_PORT, RELAY_SECRET（必須）, RELAY_ALLOWED_ORIGIN, RELAY_WEBHOOK_URL, RELAY_STATE, RELAY_DEDUPE_DAYS,
+ *           SMTP_HOST, SMTP_PORT, SMTP_FROM, SMTP_USER, SMTP_PASS
+ * STARTTLS/SMTPS には対応しない（社内リレーやローカルのスタブ向け）
+ */
+
+const RELAY = {
+  host: process.env.RELAY_HOST ?? "127.0.0.1",
+  port: Number(process.env.RELAY_PORT ?? 8787),
+  secret: process.env.RELAY_SECRET ?? "",
+  allowedOrigins: (process.env.RELAY_ALLOWED_ORIGIN ?? "http://localhost:5173").split(",").map(s => s.trim()).filter(Boolean),
+  webhookUrl: process.env.RELAY_WEBHOOK_URL ?? "",
+  statePath: process.env.RELAY_STATE ?? "data/relay-sent.json",
+  dedupeDays: Number(process.env.RELAY_DEDUPE_DAYS ?? 400),
+};
+const SMTP = {
+  host: process.env.SMTP_HOST ?? "localhost",
+  port: Number(process.env.SMTP_PORT ?? 2525),
+  from: process.env.SMTP_FROM ?? "inspection@localhost",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+};
+
+const b64 = (s) => Buffer.from(s, "utf8").toString("base64");
+const encodeHeader = (s) => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${b64(s)}?=`;
+const isAddress = (s) => typeof s === "string" && /^[^\s@<>]+@[^\s@<>]+$/.test(s);
+
+function buildMessage({ from, to, subject, text }) {
+  const body = b64(text).replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/** 最小限の SMTP クライアント（応答コードを1コマンドずつ確認する） */
+export function sendMail({ to, subject, text }, smtp = SMTP) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: smtp.host, port: smtp.port });
+    socket.setEncoding("utf8");
+    socket.setTimeout(15000, () => socket.destroy(new Error("SMTP タイムアウト")));
+    let buffer = "";
+    let waiting = null;
+    // 複数行応答は "250-..." が続き、最終行が "250 ..." になる
+    const drain = () => {
+      const lines = buffer.split("\r\n");
+      const last = lines.findIndex(l => /^\d{3} /.test(l));
+      if (last < 0 || !waiting) return;
+      const reply = lines.slice(0, last + 1).join("\n");
+      buffer = lines.slice(last + 1).join("\r\n");
+      const w = waiting; waiting = null;
+      w(Number(lines[last].slice(0, 3)), reply);
+    };
+    socket.on("data", (chunk) => { buffer += chunk; drain(); });
+    socket.on("error", reject);
+
+    const expect = (codes, line) => new Promise((res, rej) => {
+      waiting = (code, reply) => codes.includes(code) ? res(reply) : rej(new Error(`SMTP ${line ?? "接続"}: ${reply}`));
+      if (line != null) socket.write(`${line}\r\n`);
+      else drain();
+    });
+
+    (async () => {
+      await expect([220]);
+      await expect([250], `EHLO ${os.hostname()}`);
+      if (smtp.user) await expect([235], `AUTH PLAIN ${b64(`\0${smtp.user}\0${smtp.pass ?? ""}`)}`);
+      await expect([250], `MAIL FROM:<${smtp.from}>`);
+      await expect([250, 251], `RCPT TO:<${to}>`);
+      await expect([354], "DATA");
+      // ドット始まりの行はエスケープ
+      const data = buildMessage({ from: smtp.from, to, subject, text }).replace(/^\./gm, "..");
+      await expect([250], `${data}\r\n.`);
+      await expect([221], "QUIT").catch(() => {});
+      socket.end();
+    })().then(resolve, (err) => { socket.destroy(); reject(err); });
+  });
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", c => { body += c; if (body.length > 1e6) req.destroy(new Error("本文が大きすぎます")); });
+    req.on("end", () => { try { resolve(JSON.parse(body || "{}")); } catch { reject(new Error("JSON が不正です")); } });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * 送信済みの key×チャネル（statePath が null ならメモリのみ）
+ * 送る前に記録し（同時に届いた同じ通知を二重に送らない）、失敗したら取り消して再送できるようにする
+ */
+function createSentStore(statePath, dedupeDays) {
+  let sent = {};
+  if (statePath && fs.existsSync(statePath)) sent = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  const save = () => {
+    if (!statePath) return;
+    const cutoff = Date.now() - dedupeDays * 86400000;
+    sent = Object.fromEntries(Object.entries(sent).filter(([, at]) => Date.parse(at) >= cutoff));
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(sent));
+  };
+  const id = (key, channel) => `${channel}|${key}`;
+  return {
+    has: (key, channel) => id(key, channel) in sent,
+    mark: (key, channel) => { sent[id(key, channel)] = new Date().toISOString(); save(); },
+    unmark: (key, channel) => { delete sent[id(key, channel)]; save(); },
+  };
+}
+
+/** Webhook の送信内容（受け側で扱いやすいようにフラットな JSON） */
+const webhookPayload = (key, n, recipient) => ({
+  type: "inspection.notification",
+  id: n.id, key, ruleId: n.ruleId ?? null, eventId: n.eventId ?? null, level: n.level,
+  message: n.message, at: n.at,
+  recipient: recipient ? { id: recipient.id, name: recipient.name, email: recipient.email ?? null } : null,
+});
+
+const SENDERS = {
+  email: async (key, n, recipient) => {
+    if (!isAddress(recipient?.email)) throw new Error("宛先メールアドレスが不正です");
+    await sendMail({ to: recipient.email, subject: `[法定点検] ${n.message}`, text: `${recipient.name ?? ""} 様\n\n${n.message}\n\n（法定点検管理システムからの自動通知）` });
+  },
+  webhook: async (key, n, recipient, config) => {
+    if (!config.webhookUrl) throw new Error("中継サーバに Webhook の宛先（RELAY_WEBHOOK_URL）が設定されていません");
+    const res = await fetch(config.webhookUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(webhookPayload(key, n, recipient)) });
+    if (!res.ok) throw new Error(`Webhook 応答 ${res.status}`);
+  },
+};
+
+const ROUTES = {
+  "/notify": async ({ key, channels, recipient, notification }, config, sent) => {
+    if (typeof key !== "string" || !key) throw Object.assign(new Error("key は必須です"), { status: 400 });
+    if (!Array.isArray(channels) || !channels.length || channels.some(c => !SENDERS[c])) throw Object.assign(new Error(`channels は ${Object.keys(SENDERS).join(" / ")} の配列で指定してください`), { status: 400 });
+    if (typeof notification?.message !== "string") throw Object.assign(new Error("notification.message は必須です"), { status: 400 });
+    const n = { ...notification, at: notification.at ?? new Date().toISOString() };
+    const deliveries = await Promise.all([...new Set(channels)].map(async (channel) => {
+      const at = new Date().toISOString();
+      if (sent.has(key, channel)) return { channel, ok: true, at, duplicate: true };
+      sent.mark(key, channel);
+      try {
+        await SENDERS[channel](key, n, recipient, config);
+        return { channel, ok: true, at };
+      } catch (err) {
+        sent.unmark(key, channel);
+        console.error(`[relay] ${channel} ${key}`, err.message);
+        return { channel, ok: false, at, error: err.message };
+      }
+    }));
+    return { deliveries };
+  },
+};
+
+/** 共有シークレットの照合（長さの違いも時間で漏らさないよう、ハッシュを比べる） */
+function authorized(req, secret) {
+  const token = (req.headers.authorization ?? "").match(/^Bearer (.+)$/)?.[1] ?? "";
+  const digest = (s) => crypto.createHash("sha256").update(s).digest();
+  return !!token && crypto.timingSafeEqual(digest(token), digest(secret));
+}
+
+export function createRelay(config = RELAY) {
+  if (!config.secret) throw new Error("RELAY_SECRET（中継サーバの共有シークレット）を設定してください");
+  const sent = createSentStore(config.statePath, config.dedupeDays ?? 400);
+  return http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    // Origin のないリクエストはブラウザ以外（サーバー間の呼び出し）。シークレットで認証する
+    if (origin && !config.allowedOrigins.includes(origin)) { res.writeHead(403).end(); return; }
+    if (origin) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Vary", "Origin");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+      res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+    }
+    if (req.method === "OPTIONS") { res.writeHead(204).end(); return; }
+    const route = ROUTES[req.url];
+    if (req.method !== "POST" || !route) { res.writeHead(404).end(); return; }
+    if (!authorized(req, config.secret)) {
+      res.writeHead(401, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: false, error: "中継サーバのシークレットが一致しません" }));
+      return;
+    }
+    try {
+      const result = await route(await readJSON(req), config, sent);
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true, ...result }));
+    } catch (err) {
+      console.error(`[relay] ${req.url}`, err.message);
+      res.writeHead(err.status ?? 502, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: false, error: err.message }));
+    }
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createRelay().listen(RELAY.port, RELAY.host, () => console.log(`通知中継サーバ http://${RELAY.host}:${RELAY.port} → SMTP ${SMTP.host}:${SMTP.port}・Webhook ${RELAY.webhookUrl || "（未設定）"}`));
+}
@@ -1,7 +1,54 @@
-import React, { useMemo, useState, useEffect } from "react";
-import { format, addMonths, startOfMonth, endOfMonth, startOfWeek, endOfWeek, addDays, isSameDay, isToday, isBefore, differenceInCalendarDays } from "date-fns";
+import { useMemo, useState, useEffect, useCallback, useRef, createElement } from "react";
+import { format, addMonths, addWeeks, addYears, startOfWeek, endOfWeek, addDays, isSameDay, isBefore, startOfDay } from "date-fns";
 import { ja } from "date-fns/locale";
-import { CheckCircle2, CalendarDays, Plus, AlertTriangle, Camera, FileDown, House, Building2, Wrench, Bell, X, Loader2 } from "lucide-react";
+import { CheckCircle2, CalendarDays, Plus, AlertTriangle, Camera, FileDown, House, Building2, Wrench, X, Loader2, Database, ListChecks, BellRing, Share2, KeyRound, LogOut, ShieldCheck, History, BarChart3, Landmark } from "lucide-react";
+import { eventRepository, reportRepository, notificationRepository, propertyRepository, vendorRepository, userRepository, scheduleOverrideRepository, notificationRuleRepository, subscriptionRepository, notificationKeyRepository, metaRepository, proposalRepository, draftRepository, outboxRepository, auditRepository, savedViewRepository, filingRepository, saveTogether, seedOnce } from "./lib/repository";
+import { usePersistedCollection } from "./hooks/usePersistedCollection";
+import { useOnlineStatus } from "./hooks/useOnlineStatus";
+import { Severity, INSPECTION_KINDS, ROLES } from "./lib/constants";
+import { initialProperties, initialVendors, initialUsers } from "./lib/masterData";
+import { classNames, kindLabel, downloadBlob, isCancelled, dueColor } from "./lib/utils";
+import { getTemplate, getReportTemplate, missingItems, suggestNonConformities, templateItems, ITEM_TYPES } from "./lib/checklistTemplates";
+import { renderReportPDF } from "./lib/reportPdf";
+import { createCorrectiveTask, applyTransition, transitionErrors, slaDaysOf, correctiveTasksOf, correctionSummary, isCorrective, CORRECTIVE_LABELS, CORRECTIVE_STATES } from "./lib/corrective";
+import { occurrencesBetween, occurrenceId, isScheduled } from "./lib/recurrence";
+import { DEFAULT_NOTIFICATION_RULES, defaultSubscription, evaluateNotifications, snoozeIndex, snoozeUntil } from "./lib/notificationRules";
+import { DEFAULT_CHANNEL_SETTINGS, deliver } from "./lib/notificationChannels";
+import { allocate, rebalance, detectConflicts } from "./lib/allocation";
+import { bumpSequences, toICS, proposalsFromICS, ICS_SCOPES } from "./lib/ics";
+import { rescheduleEvent, isReschedulable } from "./lib/reschedule";
+import { can, canView, correctiveAction, deniedMessage, roleLabel, findLoginUser, verifyPassword, mustChangePassword, createCredentials } from "./lib/auth";
+import { auditDraft, verifyChain } from "./lib/audit";
+import { apiEnabled, apiLogin, apiLogout, apiMe, apiResetPassword, apiSetPassword, apiVerifyPassword, getToken, isConflict, setToken } from "./lib/api";
+import { DEFAULT_BUSINESS_CALENDAR, SLA_UNITS, SLA_UNIT_LABELS } from "./lib/businessCalendar";
+import { MAX_FILES, readPhotos, inspectionDayOf, photosOfNonConformity, unlinkNonConformity } from "./lib/photos";
+import { buildAuditBundle, bundleEvents, verifyAuditBundle } from "./lib/auditBundle";
+import { FILING_LABELS, FILING_STATES, applyFilingTransition, createFiling, formOf, openFilingEvent, unfiledIndex } from "./lib/filings";
+import { renderFilingPDF } from "./lib/filingPdf";
+import { DEFAULT_FILTERS, filtersFromQuery, filtersToQuery, filterEvents, buildSearchIndex, needsReports } from "./lib/search";
+import { OUTBOX_STATUS, CONFLICT_TYPES, DRAFT_SAVE_DELAY, eventSnapshot, toDraft, toOutboxEntry, draftFromOutbox, submissionConflicts, isBlocked, reportFromOutbox } from "./lib/fieldSync";
+import MasterData from "./components/MasterData";
+import PlanPreview from "./components/PlanPreview";
+import AllocationPanel from "./components/AllocationPanel";
+import CalendarSync from "./components/CalendarSync";
+import { MonthView, WeekView, AgendaView, YearMatrix, GanttView } from "./components/CalendarViews";
+import RescheduleDialog from "./components/RescheduleDialog";
+import ChecklistForm from "./components/ChecklistForm";
+import CorrectiveDetail from "./components/CorrectiveDetail";
+import NotificationPanel from "./components/NotificationPanel";
+import NotificationSettings from "./components/NotificationSettings";
+import SyncPanel from "./components/SyncPanel";
+import PhotoInput from "./components/PhotoInput";
+import PhotoGallery from "./components/PhotoGallery";
+import LoginScreen, { PasswordForm } from "./components/LoginScreen";
+import VendorPortal from "./components/VendorPortal";
+import AuditLog from "./components/AuditLog";
+import AuditHistory from "./components/AuditHistory";
+import AnalyticsDashboard from "./components/AnalyticsDashboard";
+import BusinessCalendarSettings from "./components/BusinessCalendarSettings";
+import FilterPanel from "./components/FilterPanel";
+import SearchResults from "./components/SearchResults";
+import FilingPanel from "./components/FilingPanel";
 
 /**
  * 法定点検管理・登録システム（カレンダーUI｜すべての物件対応）
@@ -10,218 +57,857 @@ import { CheckCircle2, CalendarDays, Plus, AlertTriangle, Camera, FileDown, Hous
  * - チェックリスト + 写真 → PDF自動作成（INSP-02）
  * - 期限超過は最上段固定＆赤点滅（INSP-03）
  * - 不適合→是正タスク自動作成＆通知（NEW-INSP-04）
+ * - 予定・報告書・通知履歴は IndexedDB に永続化（リロードで消えない）
+ * - 物件・業者・ユーザーのマスタ管理＋CSV入出力
+ * - 点検種別ごとの版管理されたチェックリストテンプレート
+ * - 周期ルールエンジン（サブ点検・前回完了起算・物件ごとの上書き）と計画プレビュー
+ * - 日本語フォント埋め込みの報告書 PDF（種別ごとのレイアウト・写真付録・署名欄）を報告書に保存
+ * - 是正ライフサイクル（未着手→見積→工事中→完了→検証済）、全件クローズで報告書を再発行
+ * - 通知ルールエンジン（期限7/3/1日前・当日・超過・エスカレーション）、購読・既読・スヌーズ、メール/Webhook 配信
+ * - 業者の受注上限・休業日・対応エリア、担当者の勤務日を考慮した割当と競合検出・再割当
+ * - ICS 出力（固定 UID・SEQUENCE・中止は CANCELLED）と業者の日程提案の取込・承認
+ * - 月・週・一覧・年間マトリクス・ガント表示、ドラッグで予定日変更（理由必須・法定期限は維持）
+ * - 現場モード（PWA）：オフライン動作、点検ごとの下書き自動保存、送信待ちキューと事務所側変更との競合解決
+ * - ログインと役割（管理者・計画担当・点検担当・業者）による権限、業者ポータル
+ * - 全ての変更を記録する監査ログ（ハッシュチェーン）、予定・報告書ごとの変更履歴、監査バンドル出力
+ * - 遵守状況ダッシュボード（期限内完了率・超過推移・不適合内訳・是正日数・業者実績、CSV/XLSX 出力）
+ * - 担当者・業者・状態・期間・重要度での絞り込みと全文検索（条件は URL に反映）、名前付きの保存ビュー
+ * - 祝日・会社休業日・業者の稼働曜日を考慮した営業日カレンダー（計画日の移動、営業日での是正期限、期日の色分け）
+ * - 行政への届出（消防用設備等点検結果報告書・建築基準法の定期検査報告書の様式出力、届出期限・提出／受理の管理、未届出の表示）
  */
 
-const Severity = { HIGH: "重大", MEDIUM: "中", LOW: "軽" };
-
-const INSPECTION_KINDS = {
-  "消防設備": { label: "消防設備", defaultFreq: "yearly" },
-  "エレベーター": { label: "エレベーター", defaultFreq: "monthly" },
-  "受水槽": { label: "受水槽", defaultFreq: "yearly" },
-  "排水管": { label: "排水管", defaultFreq: "yearly" },
-  "非常照明": { label: "非常照明", defaultFreq: "yearly" },
+const CALENDAR_MODES = { month: "月", week: "週", agenda: "一覧", year: "年間", gantt: "ガント" };
+/** 表示ごとの ← → の移動幅と見出し */
+const CALENDAR_STEP = {
+  month: [(d, n) => addMonths(d, n), d => format(d, "yyyy年 M月", { locale: ja })],
+  week: [(d, n) => addWeeks(d, n), d => `${format(startOfWeek(d), "yyyy年 M/d")} 〜 ${format(endOfWeek(d), "M/d")}`],
+  agenda: [(d, n) => addMonths(d, n), d => format(d, "yyyy年 M月", { locale: ja })],
+  year: [(d, n) => addYears(d, n), d => format(d, "yyyy年")],
+  gantt: [(d, n) => addMonths(d, n), d => `${format(d, "yyyy年 M月")} 〜 ${format(addMonths(d, 2), "M月")}`],
 };
 
-function dueColor(dueDate) {
-  const today = new Date();
-  const d = new Date(dueDate);
-  const days = differenceInCalendarDays(d, new Date(format(today, 'yyyy-MM-dd')));
-  if (days < 0) return "animate-blink text-red-600 border-red-600";
-  if (days === 0) return "text-red-600 border-red-600";
-  if (days <= 3) return "text-yellow-500 border-yellow-500";
-  return "text-blue-500 border-blue-500";
-}
-
-const initialProperties = [
-  { id: "P-001", name: "サンライト大崎", address: "品川区大崎1-1-1" },
-  { id: "P-002", name: "グリーンヒルズ三軒茶屋", address: "世田谷区太子堂2-2-2" },
-  { id: "P-003", name: "リバーテラス門前仲町", address: "江東区富岡3-3-3" },
+const VIEWS = [
+  { id: "calendar", icon: CalendarDays, label: "カレンダー" },
+  { id: "plan", icon: ListChecks, label: "計画プレビュー" },
+  { id: "master", icon: Database, label: "マスタ管理" },
+  { id: "notify", icon: BellRing, label: "通知設定" },
+  { id: "ics", icon: Share2, label: "カレンダー連携" },
+  { id: "analytics", icon: BarChart3, label: "分析" },
+  { id: "filing", icon: Landmark, label: "届出" },
+  { id: "audit", icon: ShieldCheck, label: "監査ログ" },
 ];
+/** サイドバーの画面ごとに必要な権限 */
+const VIEW_PERMISSIONS = { plan: "plan.edit", master: "master.edit", notify: "notify.settings", ics: "ics.manage", analytics: "analytics.view", filing: "filing.manage", audit: "audit.export" };
 
-const initialVendors = [
-  { id: "V-AX", name: "東京防災メンテナンス", skills: ["消防設備", "非常照明"] },
-  { id: "V-LF", name: "リフト総合サービス", skills: ["エレベーター"] },
-  { id: "V-WT", name: "ウォータープラス", skills: ["受水槽", "排水管"] },
-];
+const NOTIFICATION_DISPLAY_LIMIT = 50;
+const AUDIT_DISPLAY_LIMIT = 100;
+/** 保存・読込の失敗の通知文（保存の失敗は画面上も元に戻る） */
+function syncErrorMessage(err, phase) {
+  const action = phase === "load" ? "読み込めませんでした" : "保存できませんでした（変更を元に戻しました）";
+  if (!apiEnabled) return `データを${action}`;
+  if (!err.status) return `サーバーに接続できないため${action}`;
+  if (err.status === 401) return "ログインの有効期限が切れました。もう一度ログインしてください";
+  if (isConflict(err)) return "他の利用者が先に更新していたため保存できませんでした（変更を元に戻し、最新の内容を読み込み直しました）";
+  return `サーバーに${action}：${err.message}`;
+}
 
-const initialUsers = [
-  { id: "U-001", name: "山田 太郎" },
-  { id: "U-002", name: "佐藤 花子" },
-  { id: "U-003", name: "李 小龍" },
-];
+/** 日付が変わったときの期限通知の再評価間隔 */
+const NOTIFICATION_EVALUATE_INTERVAL = 60 * 60 * 1000;
 
-function nextDatesForYear(baseDate, freq) {
-  const dates = [];
-  const start = startOfMonth(baseDate);
-  if (freq === "monthly") {
-    for (let i = 0; i < 12; i++) dates.push(addMonths(start, i));
-  } else if (freq === "quarterly") {
-    for (let i of [0, 3, 6, 9]) dates.push(addMonths(start, i));
-  } else {
-    dates.push(addMonths(start, 5)); // 6月
-  }
-  return dates.map(d => new Date(d.getFullYear(), d.getMonth(), freq === 'monthly' ? 20 : freq === 'quarterly' ? 15 : 30));
-}
+const seedProperties = () => seedOnce("propertiesSeeded", initialProperties);
+const seedVendors = () => seedOnce("vendorsSeeded", initialVendors);
+const seedUsers = () => seedOnce("usersSeeded", initialUsers);
+const seedNotificationRules = () => seedOnce("notificationRulesSeeded", DEFAULT_NOTIFICATION_RULES);
 
-function classNames(...c){return c.filter(Boolean).join(" ");}
-
-async function generatePDF(report) {
-  const { default: jsPDF } = await import("jspdf");
-  const doc = new jsPDF({ unit: "pt", format: "a4" });
-  const margin = 40;
-  doc.setFontSize(16);
-  doc.text("法定点検報告書", margin, 50);
-  doc.setFontSize(10);
-  doc.text(`物件: ${report.property.name}`, margin, 70);
-  doc.text(`点検種別: ${report.kind}`, margin, 85);
-  doc.text(`実施日: ${format(report.completedAt, "yyyy-MM-dd", { locale: ja })}`, margin, 100);
-  doc.text(`担当者: ${report.assignee?.name ?? "-"}`, margin, 115);
-  doc.setFontSize(12);
-  doc.text("チェック結果:", margin, 145);
-  let y = 165;
-  Object.entries(report.answers).forEach(([k, v]) => { doc.text(`- ${k}: ${v ? "OK" : "不適合"}`, margin, y); y += 16; });
-  if (report.nonConformities?.length) {
-    y += 10; doc.text("不適合詳細:", margin, y); y += 20;
-    report.nonConformities.forEach((nc, idx) => {
-      doc.text(`${idx + 1}. 事象: ${nc.note}`, margin, y); y += 16;
-      doc.text(`   重要度: ${nc.severity}`, margin, y); y += 16;
-    });
-  }
-  for (let i = 0; i < Math.min(3, report.photos.length); i++) {
-    const img = report.photos[i]; const w = 220, h = 140;
-    if (y + h + 20 > 800) { doc.addPage(); y = 60; }
-    try { doc.addImage(img, "JPEG", margin, y, w, h); } catch {}
-    y += h + 20;
-  }
-  doc.save(`${report.property.name}_${report.kind}_報告書_${format(new Date(), "yyyyMMdd_HHmm")}.pdf`);
+/** 初回起動時のみデモ予定を投入（以降は保存済みデータを優先） */
+function seedDemoEvents() {
+  const today = new Date();
+  return seedOnce("demoSeeded", [
+    { id: "T-1001", date: today, dueDate: today, propertyId: "P-001", kind: "エレベーター", assigneeId: "U-001", vendorId: "V-LF", status: "予定" },
+    { id: "T-1002", date: addDays(today, -5), dueDate: addDays(today, -1), propertyId: "P-002", kind: "消防設備", assigneeId: "U-002", vendorId: "V-AX", status: "未完" },
+    { id: "T-1003", date: addDays(today, 10), dueDate: addDays(today, 10), propertyId: "P-003", kind: "受水槽", assigneeId: "U-003", vendorId: "V-WT", status: "予定" },
+  ]);
 }
 
 export default function App() {
   const [month, setMonth] = useState(new Date());
-  const [properties] = useState(initialProperties);
-  const [vendors] = useState(initialVendors);
-  const [users] = useState(initialUsers);
-  const [selectedPropertyId, setSelectedPropertyId] = useState('ALL');
-  const [selectedKinds, setSelectedKinds] = useState(Object.keys(INSPECTION_KINDS));
-  const [events, setEvents] = useState([]);
+  const [calendarMode, setCalendarMode] = useState("month");
+  const [moving, setMoving] = useState(null);
+  const [view, setView] = useState("calendar");
+  const [auditTick, setAuditTick] = useState(0);
+  const auditActor = useRef(null);
+  /** 保存した変更を監査ログに追記する（操作者は保存時点のログインユーザー） */
+  const recordAudit = useCallback((collection, changes) => {
+    const actor = auditActor.current, at = new Date();
+    auditRepository.append(Promise.all(changes.map(c => auditDraft(collection, c, actor, at))))
+      .then(() => setAuditTick(t => t + 1))
+      .catch(err => console.error("監査ログの記録に失敗しました", err));
+  }, []);
+  // API のログイン・ログアウトで読み直す（ログイン前は手元の控えしか読めない）
+  const [reloadKey, setReloadKey] = useState(0);
+  const syncOptions = (collection) => ({
+    onChange: (changes) => recordAudit(collection, changes),
+    onError: (err, phase) => {
+      notify(syncErrorMessage(err, phase), "error");
+      if (apiEnabled && err.status === 401) endSession();
+      // 競合は後勝ちで上書きせず、サーバーの最新を読み直してから操作し直してもらう
+      if (isConflict(err)) setReloadKey(k => k + 1);
+    },
+    reloadKey,
+  });
+  const [properties, setProperties] = usePersistedCollection(propertyRepository, seedProperties, syncOptions("properties"));
+  const [vendors, setVendors] = usePersistedCollection(vendorRepository, seedVendors, syncOptions("vendors"));
+  const [users, setUsers, usersLoaded] = usePersistedCollection(userRepository, seedUsers, syncOptions("users"));
+  const [scheduleOverrides, setScheduleOverrides] = usePersistedCollection(scheduleOverrideRepository, undefined, syncOptions("scheduleOverrides"));
+  // 絞り込み条件は URL と同期する（リンクで共有できる）
+  const [filters, setFilters] = useState(() => filtersFromQuery(window.location.search));
+  const { propertyId: selectedPropertyId, kinds: selectedKinds } = filters;
+  const [savedViews, setSavedViews] = usePersistedCollection(savedViewRepository);
+  const [events, setEventsRaw, eventsLoaded] = usePersistedCollection(eventRepository, seedDemoEvents, syncOptions("events"));
+  /** 予定の更新は必ずここを通し、ICS に影響する変更で SEQUENCE を進める */
+  const setEvents = useCallback((update) => setEventsRaw(prev => bumpSequences(prev, typeof update === "function" ? update(prev) : update)), [setEventsRaw]);
+  const [proposals, setProposals] = usePersistedCollection(proposalRepository, undefined, syncOptions("proposals"));
+  const [filings, setFilings] = usePersistedCollection(filingRepository, undefined, syncOptions("filings"));
   const [notifications, setNotifications] = useState([]);
+  const [notificationsLoaded, setNotificationsLoaded] = useState(false);
+  const [notificationRules, setNotificationRules, rulesLoaded] = usePersistedCollection(notificationRuleRepository, seedNotificationRules);
+  const [savedSubscriptions, setSavedSubscriptions, subscriptionsLoaded] = usePersistedCollection(subscriptionRepository);
+  const [channelSettings, setChannelSettings] = useState(null);
+  const [businessCalendar, setBusinessCalendar] = useState(DEFAULT_BUSINESS_CALENDAR);
+  const [session, setSession] = useState(undefined);
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [auditHistory, setAuditHistory] = useState(null);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditVerification, setAuditVerification] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [evaluateTick, setEvaluateTick] = useState(0);
+  const sentKeys = useRef(null);
   const [activeTask, setActiveTask] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [unassignable, setUnassignable] = useState([]);
+  const [outbox, setOutbox, outboxLoaded] = usePersistedCollection(outboxRepository);
+  const [syncing, setSyncing] = useState(false);
+  const syncLock = useRef(false);
+  const online = useOnlineStatus();
 
   useEffect(() => {
-    const today = new Date();
-    const demo = [
-      { id: "T-1001", date: today, dueDate: today, propertyId: "P-001", kind: "エレベーター", assigneeId: "U-001", vendorId: "V-LF", status: "予定" },
-      { id: "T-1002", date: addDays(today, -5), dueDate: addDays(today, -1), propertyId: "P-002", kind: "消防設備", assigneeId: "U-002", vendorId: "V-AX", status: "未完" },
-      { id: "T-1003", date: addDays(today, 10), dueDate: addDays(today, 10), propertyId: "P-003", kind: "受水槽", assigneeId: "U-003", vendorId: "V-WT", status: "予定" },
-    ];
-    setEvents(demo);
+    notificationRepository.recent(NOTIFICATION_DISPLAY_LIMIT)
+      .then(saved => setNotifications(n => [...n, ...saved].slice(0, NOTIFICATION_DISPLAY_LIMIT)))
+      .catch(err => console.error("通知履歴の読み込みに失敗しました", err))
+      .finally(() => setNotificationsLoaded(true));
   }, []);
 
   useEffect(() => {
-    const id = setInterval(() => {
-      const now = new Date();
-      const overdue = events.filter(e => isBefore(new Date(e.dueDate), new Date(format(now, 'yyyy-MM-dd'))) && e.status !== "完了");
-      if (overdue.length) setNotifications(n => [{ id: Math.random().toString(36), message: `${overdue.length}件の点検が期限超過しています`, at: new Date(), level: "error" }, ...n].slice(0, 5));
-    }, 15000);
+    Promise.all([notificationKeyRepository.all(), metaRepository.get("notificationChannels")])
+      .then(([keys, settings]) => { sentKeys.current = keys; setChannelSettings({ ...DEFAULT_CHANNEL_SETTINGS, ...settings }); })
+      .catch(err => console.error("通知設定の読み込みに失敗しました", err));
+    const id = setInterval(() => setEvaluateTick(t => t + 1), NOTIFICATION_EVALUATE_INTERVAL);
     return () => clearInterval(id);
-  }, [events]);
+  }, []);
+
+  useEffect(() => {
+    metaRepository.get("businessCalendar")
+      .then(saved => setBusinessCalendar({ ...DEFAULT_BUSINESS_CALENDAR, ...saved }))
+      .catch(err => console.error("営業日カレンダーの読み込みに失敗しました", err));
+  }, []);
+
+  const notify = useCallback((message, level) => {
+    const n = { id: Math.random().toString(36), message, at: new Date(), level, read: false };
+    setNotifications(prev => [n, ...prev].slice(0, NOTIFICATION_DISPLAY_LIMIT));
+    notificationRepository.add(n).catch(err => console.error("通知の保存に失敗しました", err));
+  }, []);
+
+  /** 購読未設定のユーザーは既定の購読（担当分・アプリ内のみ）とみなす */
+  const subscriptions = useMemo(() => users.map(u => ({ ...(savedSubscriptions.find(s => s.id === u.id) ?? defaultSubscription(u)), vendorId: u.role === ROLES.VENDOR ? u.vendorId : null })), [users, savedSubscriptions]);
+  const setSubscription = (sub) => {
+    if (!authorize("notify.settings")) return;
+    setSavedSubscriptions(prev => [...prev.filter(s => s.id !== sub.id), sub]);
+  };
+
+  const updateNotificationRules = (update) => {
+    if (!authorize("notify.settings")) return;
+    setNotificationRules(update);
+  };
+
+  const updateBusinessCalendar = (calendar) => {
+    if (!authorize("plan.edit")) return;
+    setBusinessCalendar(calendar);
+    metaRepository.set("businessCalendar", calendar).catch(err => console.error("営業日カレンダーの保存に失敗しました", err));
+  };
+
+  const updateChannelSettings = (settings) => {
+    if (!authorize("notify.settings")) return;
+    setChannelSettings(settings);
+    metaRepository.set("notificationChannels", settings).catch(err => console.error("通知設定の保存に失敗しました", err));
+  };
+
+  const updateNotifications = useCallback((list, patch) => {
+    const ids = new Set(list.map(n => n.id));
+    const updated = list.map(n => ({ ...n, ...patch }));
+    setNotifications(prev => prev.map(n => ids.has(n.id) ? { ...n, ...patch } : n));
+    notificationRepository.putMany(updated).catch(err => console.error("通知の保存に失敗しました", err));
+  }, []);
+
+  /**
+   * アプリ内に保存し、外部チャネル（メール・Webhook）は中継サーバに配信を依頼して結果を記録する
+   * 端末ごとの評価で同じ通知が複数の端末から依頼されても、外部への送信は中継サーバが dedupeKey で一度だけ行う
+   */
+  const dispatchNotifications = useCallback((drafts) => {
+    setNotifications(prev => [...drafts, ...prev].slice(0, NOTIFICATION_DISPLAY_LIMIT));
+    drafts.forEach(async (n) => {
+      await notificationRepository.add(n).catch(err => console.error("通知の保存に失敗しました", err));
+      const external = n.channels.filter(c => c !== "inApp");
+      if (!external.length) return;
+      const deliveries = await deliver(n, users.find(u => u.id === n.userId), external, channelSettings);
+      updateNotifications([n], { deliveries });
+    });
+  }, [users, channelSettings, updateNotifications]);
+
+  useEffect(() => {
+    if (!sentKeys.current || !channelSettings || !notificationsLoaded || !eventsLoaded || !usersLoaded || !rulesLoaded || !subscriptionsLoaded) return;
+    const drafts = evaluateNotifications({ events, rules: notificationRules, subscriptions, properties, users, sentKeys: sentKeys.current, snoozes: snoozeIndex(notifications) });
+    if (!drafts.length) return;
+    // 非同期保存の完了前に再評価されてもアプリ内に二重に出さないよう、先にキーを登録する
+    drafts.forEach(d => sentKeys.current.add(d.dedupeKey));
+    notificationKeyRepository.addMany(drafts.map(d => d.dedupeKey)).catch(err => console.error("通知キーの保存に失敗しました", err));
+    dispatchNotifications(drafts);
+  }, [events, notificationRules, subscriptions, properties, users, notifications, channelSettings, notificationsLoaded, eventsLoaded, usersLoaded, rulesLoaded, subscriptionsLoaded, evaluateTick, dispatchNotifications]);
+
+  // API のトークンが失効していたらログアウト扱い（通信できないときは手元の控えで続ける）
+  useEffect(() => {
+    (async () => {
+      const s = await metaRepository.get("session");
+      if (!s || !apiEnabled) return s ?? null;
+      const expired = !getToken() || await apiMe().then(() => false, err => err.status === 401);
+      if (expired) setToken(null);
+      return expired ? null : s;
+    })().then(setSession).catch(() => setSession(null));
+  }, []);
+
+  const currentUser = useMemo(() => session ? users.find(u => u.id === session.userId) ?? null : null, [session, users]);
+  const isVendor = currentUser?.role === ROLES.VENDOR;
+  useEffect(() => { auditActor.current = currentUser; }, [currentUser]);
+
+  useEffect(() => {
+    if (view !== "audit" || !can(currentUser, "audit.export")) return;
+    auditRepository.recent(AUDIT_DISPLAY_LIMIT).then(setAuditEntries).catch(err => console.error("監査ログの読み込みに失敗しました", err));
+  }, [view, currentUser, auditTick]);
+
+  // 分析は報告書の完了日時も、全文検索・重要度の絞り込みは回答と不適合も使う（提出で予定も更新されるので、予定の変更ごとに読み直す）
+  const reportsNeeded = (view === "analytics" && can(currentUser, "analytics.view")) || (!isVendor && needsReports(filters));
+  useEffect(() => {
+    if (!reportsNeeded) return;
+    reportRepository.all().then(setReports).catch(err => console.error("報告書の読み込みに失敗しました", err));
+  }, [reportsNeeded, events]);
+
+  useEffect(() => {
+    const query = filtersToQuery(filters);
+    window.history.replaceState(window.history.state, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+  }, [filters]);
+
+  /** 権限がなければ通知して false（画面で隠していても処理側で必ず確認する） */
+  const authorize = (action, event) => {
+    if (can(currentUser, action, event)) return true;
+    notify(deniedMessage(action), "error");
+    return false;
+  };
+
+  const startSession = (user) => {
+    const s = { userId: user.id, at: new Date() };
+    setSession(s);
+    metaRepository.set("session", s).catch(err => console.error("ログイン状態の保存に失敗しました", err));
+  };
+
+  /** API のログイン・パスワード設定で発行されたトークンで始め、サーバーから読み直す */
+  const startApiSession = ({ token, user }) => {
+    setToken(token);
+    startSession(user);
+    setReloadKey(k => k + 1);
+  };
+
+  const login = async (loginId, password) => {
+    if (apiEnabled) {
+      try {
+        const result = await apiLogin(loginId, password);
+        if (result.mustChangePassword) return { mustChange: true, user: result.user };
+        startApiSession(result);
+        return {};
+      } catch (err) {
+        return { error: err.status === 401 ? "ユーザーID またはパスワードが違います" : `サーバーに接続できません（${err.message}）` };
+      }
+    }
+    const user = findLoginUser(users, loginId);
+    if (!user || !(await verifyPassword(user, password))) return { error: "ユーザーID またはパスワードが違います" };
+    if (mustChangePassword(user)) return { mustChange: true, user };
+    startSession(user);
+    return {};
+  };
+
+  /** current は現在のパスワード（初回設定ではログインに使ったユーザーID、API ではセットアップコード） */
+  const setPassword = async (user, password, current) => {
+    if (apiEnabled) {
+      try {
+        const result = await apiSetPassword(user.id, current, password);
+        if (currentUser) setToken(result.token); else startApiSession(result);
+      } catch (err) {
+        notify(`パスワードを設定できませんでした：${err.message}`, "error");
+        return;
+      }
+      setChangingPassword(false);
+      notify("パスワードを設定しました", "success");
+      return;
+    }
+    const credentials = await createCredentials(password);
+    // 初回ログイン時の設定はまだセッションがないので、本人を操作者として記録する
+    if (!currentUser) auditActor.current = user;
+    setUsers(prev => prev.map(u => u.id === user.id ? { ...u, ...credentials } : u));
+    if (!currentUser) startSession(user);
+    setChangingPassword(false);
+    notify("パスワードを設定しました", "success");
+  };
+
+  const endSession = () => {
+    closeTask();
+    setView("calendar");
+    setSession(null);
+    metaRepository.set("session", null).catch(err => console.error("ログイン状態の保存に失敗しました", err));
+    if (apiEnabled && getToken()) {
+      setToken(null);
+      setReloadKey(k => k + 1);
+    }
+  };
+
+  const logout = () => {
+    if (apiEnabled) apiLogout().catch(err => console.error("ログアウトの通知に失敗しました", err));
+    endSession();
+  };
+
+  const resetPassword = async (user) => {
+    if (!authorize("master.edit")) return;
+    if (!window.confirm(`${user.name} のパスワードを初期化しますか？（${apiEnabled ? "次回ログインには、表示するセットアップコードを使います" : "次回ログイン時のパスワードはユーザーID"}）`)) return;
+    if (apiEnabled) {
+      try {
+        const { setupToken, expiresAt } = await apiResetPassword(user.id);
+        // コードは再表示できないので、コピーできる形で見せる
+        window.prompt(`${user.name} のセットアップコード（${format(new Date(expiresAt), "M/d HH:mm")} まで・1回限り）。本人に伝えてください`, setupToken);
+        notify(`${user.name} のパスワードを初期化しました`, "info");
+      } catch (err) {
+        notify(`パスワードを初期化できませんでした：${err.message}`, "error");
+      }
+      return;
+    }
+    setUsers(prev => prev.map(u => u.id === user.id ? { ...u, passwordHash: null, passwordSalt: null } : u));
+    notify(`${user.name} のパスワードを初期化しました`, "info");
+  };
+
+  const snoozeNotification = (n, days) => updateNotifications([n], { read: true, snoozedUntil: snoozeUntil(days) });
+
+  const testNotification = async (userId) => {
+    if (!authorize("notify.settings")) return null;
+    const channels = subscriptions.find(s => s.id === userId)?.channels ?? ["inApp"];
+    const n = { id: `N-TEST-${Date.now()}`, userId, level: "info", message: "通知のテスト送信です", at: new Date(), read: false, channels };
+    const deliveries = await deliver(n, users.find(u => u.id === userId), channels, channelSettings);
+    setNotifications(prev => [{ ...n, deliveries }, ...prev].slice(0, NOTIFICATION_DISPLAY_LIMIT));
+    notificationRepository.add({ ...n, deliveries }).catch(err => console.error("通知の保存に失敗しました", err));
+    return deliveries;
+  };
 
   const selectedProperty = useMemo(() => properties.find(p=>p.id===selectedPropertyId), [properties, selectedPropertyId]);
 
+  const overrideMap = useMemo(() => Object.fromEntries(scheduleOverrides.map(({ id, ...ov }) => [id, ov])), [scheduleOverrides]);
+
+  /** ルールエンジンの発生を予定として追加（同じ物件・種別・サブ点検・日付の既存予定はスキップ、割当できないものは作成しない） */
+  const createPlannedEvents = (occurrences) => {
+    const candidates = occurrences
+      .map(o => ({ id: occurrenceId(o), date: o.date, dueDate: o.dueDate, ...(o.ruleDate ? { ruleDate: o.ruleDate } : {}), propertyId: o.propertyId, kind: o.kind, subKind: o.subKind, status: "予定" }))
+      .filter(ne => !events.some(e => e.id === ne.id) && !isScheduled(events, ne));
+    const { assigned, unassignable: failed } = allocate(candidates, { vendors, users, properties, calendar: businessCalendar }, events, { reschedule: true, notBefore: startOfDay(new Date()) });
+    setEvents(prev => [...prev, ...assigned]);
+    setUnassignable(failed);
+    if (failed.length) notify(`${failed.length}件は業者・担当者を割り当てられないため作成しませんでした（計画プレビューで理由を確認できます）`, "error");
+    return assigned.length;
+  };
+
+  const rebalancePlan = (from) => {
+    if (!authorize("plan.edit")) return;
+    const result = rebalance(events, { vendors, users, properties, calendar: businessCalendar }, from);
+    setEvents(result.events);
+    notify(`再割当しました（変更 ${result.changed}件${result.unassignable.length ? `、割当先なし ${result.unassignable.length}件は現状維持` : ""}）`, result.unassignable.length ? "error" : "success");
+    setUnassignable(result.unassignable);
+  };
+
+  const conflicts = useMemo(() => detectConflicts(events, { vendors, users, properties, calendar: businessCalendar }), [events, vendors, users, properties, businessCalendar]);
+  const conflictsByEvent = useMemo(() => {
+    const m = new Map();
+    conflicts.forEach(c => c.eventIds.forEach(id => m.set(id, [...(m.get(id) ?? []), c.message])));
+    return m;
+  }, [conflicts]);
+
   const generateAnnualPlan = () => {
-    const base = new Date();
-    const newEvents = [];
+    if (!authorize("plan.edit")) return;
+    const from = startOfDay(new Date());
     const targetProperties = selectedPropertyId === 'ALL' ? properties : properties.filter(p => p.id === selectedPropertyId);
+    const occurrences = occurrencesBetween({ properties: targetProperties, kinds: selectedKinds, from, to: addDays(addMonths(from, 12), -1), overrides: overrideMap, events, calendar: businessCalendar })
+      .filter(o => !isScheduled(events, o));
+    const n = createPlannedEvents(occurrences);
+    notify(`1年分の年間計画を生成しました（${n}件）`, "info");
+  };
 
-    targetProperties.forEach((prop) => {
-      selectedKinds.forEach((kindKey, kindIdx) => {
-        const kind = kindKey;
-        const freq = INSPECTION_KINDS[kind].defaultFreq;
-        const dates = nextDatesForYear(base, freq);
-        dates.forEach((d, idx) => {
-          const candidateVendors = vendors.filter(v => v.skills.includes(kind));
-          const v = candidateVendors[(idx + kindIdx) % (candidateVendors.length || 1)];
-          const assignee = users[(idx + kindIdx) % users.length];
-          newEvents.push({
-            id: `AP-${prop.id}-${kind}-${format(d, 'yyyyMMdd')}`,
-            date: d,
-            dueDate: d,
-            propertyId: prop.id,
-            kind,
-            assigneeId: assignee.id,
-            vendorId: v?.id,
-            status: "予定",
-          });
-        });
-      });
-    });
+  const createFromPreview = (occurrences) => {
+    if (!authorize("plan.edit")) return;
+    const n = createPlannedEvents(occurrences);
+    notify(`計画プレビューから${n}件の予定を作成しました`, "info");
+  };
 
-    setEvents(prev => {
-      const ids = new Set(prev.map(e=>e.id));
-      const merged = [...prev];
-      newEvents.forEach(ne=>{ if(!ids.has(ne.id)) merged.push(ne); });
-      return merged;
-    });
-    setNotifications(n => [{ id: Math.random().toString(36), message: "1年分の年間計画を生成しました", at: new Date(), level: "info" }, ...n].slice(0, 5));
+  const exportICS = ({ scope, targetId, includeCompleted }) => {
+    if (!authorize("ics.manage")) return;
+    const target = [...properties, ...vendors, ...users].find(x => x.id === targetId);
+    const list = events.filter(e => ICS_SCOPES[scope].match(e, targetId) && (includeCompleted || e.status !== "完了"));
+    const name = `法定点検${target ? ` ${target.name}` : ""}`;
+    const ics = toICS(list, { name, properties, vendors, users });
+    downloadBlob(new Blob([ics], { type: "text/calendar;charset=utf-8" }), `inspection-${scope}${targetId ? `-${targetId}` : ""}.ics`);
+    notify(`${list.length}件の予定を ICS に出力しました`, "info");
+  };
+
+  const importICS = async (text, opts) => {
+    if (!authorize("ics.manage")) return { proposals: [], skipped: [] };
+    const result = proposalsFromICS(text, events, opts);
+    const known = new Set(proposals.filter(p => p.status === "pending").map(p => `${p.eventId}|${format(p.proposedDate, "yyyyMMdd")}`));
+    const fresh = result.proposals.filter(p => !known.has(`${p.eventId}|${format(p.proposedDate, "yyyyMMdd")}`));
+    setProposals(prev => [...prev, ...fresh]);
+    notify(`日程変更の提案を${fresh.length}件取込みました`, fresh.length ? "info" : "error");
+    return { ...result, proposals: fresh };
+  };
+
+  /** 提案の承認で予定日を変更（法定期限は変えない）。同じ予定の他の未対応提案は却下扱い */
+  const decideProposal = (proposal, status) => {
+    if (!authorize("ics.manage")) return;
+    const decidedAt = new Date();
+    setProposals(prev => prev.map(p => p.id === proposal.id ? { ...p, status, decidedAt }
+      : status === "accepted" && p.eventId === proposal.eventId && p.status === "pending" ? { ...p, status: "rejected", decidedAt } : p));
+    if (status !== "accepted") return;
+    const event = events.find(e => e.id === proposal.eventId);
+    const vendorName = vendors.find(v => v.id === proposal.vendorId)?.name ?? "業者";
+    setEvents(prev => prev.map(e => e.id === proposal.eventId ? rescheduleEvent(e, proposal.proposedDate, { reason: `${vendorName}からの日程提案${proposal.note ? `（${proposal.note}）` : ""}`, by: currentUser.id, source: "ics" }) : e));
+    const late = event && proposal.proposedDate > new Date(event.dueDate);
+    notify(`日程変更を承認しました（${format(proposal.proposedDate, "M/d")}）${late ? "。法定期限を過ぎるため注意してください" : ""}`, late ? "error" : "success");
+  };
+
+  /** ドロップで日付変更ダイアログを開く（理由の入力後に反映） */
+  const dropEvent = (id, day) => {
+    const event = events.find(e => e.id === id);
+    if (!event || !isReschedulable(event) || isSameDay(new Date(event.date), day) || !authorize("schedule.edit")) return;
+    setMoving({ event, to: startOfDay(day) });
+  };
+
+  const confirmMove = (reason) => {
+    // 確認中に権限が変わった場合（ログアウト・役割の変更）も保存しない
+    if (!authorize("schedule.edit")) { setMoving(null); return; }
+    const { event, to } = moving;
+    const moved = rescheduleEvent(event, to, { reason, by: currentUser.id });
+    setEvents(prev => prev.map(e => e.id === event.id ? moved : e));
+    setMoving(null);
+    const late = moved.reschedules.at(-1).pastDue;
+    notify(`予定日を${format(to, "M/d")}に変更しました${late ? "（法定期限超過）" : ""}`, late ? "error" : "info");
+  };
+
+  const cancelEvent = (task) => {
+    if (!authorize("schedule.edit")) return;
+    if (!window.confirm("この予定を中止しますか？（ICS では取消として配信されます）")) return;
+    setEvents(prev => prev.map(e => e.id === task.id ? { ...e, status: "中止", statusBeforeCancel: e.status, cancelledAt: new Date() } : e));
+    setActiveTask(null);
+    notify("予定を中止しました", "info");
   };
 
-  const weeks = useMemo(() => {
-    const start = startOfWeek(startOfMonth(month), { weekStartsOn: 0 });
-    const end = endOfWeek(endOfMonth(month), { weekStartsOn: 0 });
-    const days = []; let cur = start; while (cur <= end) { days.push(cur); cur = addDays(cur, 1); }
-    const w = []; for (let i = 0; i < days.length; i += 7) w.push(days.slice(i, i + 7));
-    return w;
-  }, [month]);
+  const restoreEvent = (event) => authorize("schedule.edit") && setEvents(prev => prev.map(e => e.id === event.id ? { ...e, status: e.statusBeforeCancel ?? "予定", statusBeforeCancel: null, cancelledAt: null } : e));
+
+  const referencedIds = useMemo(() => ({
+    properties: new Set([...events.map(e => e.propertyId), ...filings.map(f => f.propertyId)]),
+    vendors: new Set(events.map(e => e.vendorId)),
+    users: new Set(events.map(e => e.assigneeId)),
+  }), [events, filings]);
+
+  /** 業者は自社の予定のみ */
+  const visibleEvents = useMemo(() => isVendor ? events.filter(e => canView(currentUser, e)) : events, [events, isVendor, currentUser]);
 
-  const filteredEvents = useMemo(() => {
-    return events.filter(e => (selectedPropertyId === 'ALL' || e.propertyId === selectedPropertyId) && selectedKinds.includes(e.kind));
-  }, [events, selectedPropertyId, selectedKinds]);
+  const searchIndex = useMemo(() => buildSearchIndex({ events: visibleEvents, reports, properties }), [visibleEvents, reports, properties]);
+  /** 業者ポータルには絞り込みがないので、URL の条件は使わない */
+  const filteredEvents = useMemo(() => filterEvents(visibleEvents, isVendor ? DEFAULT_FILTERS : filters, { viewerId: currentUser?.id, index: searchIndex }), [visibleEvents, isVendor, filters, currentUser, searchIndex]);
+
+  /** カレンダーの「未届出」表示（届出は事務所側の業務なので業者には出さない） */
+  const unfiledByEvent = useMemo(() => can(currentUser, "filing.manage") ? unfiledIndex(events, filings) : new Map(), [events, filings, currentUser]);
 
   const overdueTasks = useMemo(() => {
     const now = new Date();
     return filteredEvents.filter(e => isBefore(new Date(e.dueDate), new Date(format(now, 'yyyy-MM-dd'))) && e.status !== "完了");
   }, [filteredEvents]);
 
-  const openTask = (task) => {
+  /** 現在の条件を名前を付けて保存（自分の同名のビューは上書き） */
+  const saveView = (name, shared) => {
+    const now = new Date();
+    setSavedViews(prev => {
+      const existing = prev.find(v => v.ownerId === currentUser.id && v.name === name);
+      const saved = { id: existing?.id ?? `SV-${currentUser.id}-${format(now, "yyyyMMddHHmmss")}`, name, ownerId: currentUser.id, shared, filters, createdAt: existing?.createdAt ?? now, updatedAt: now };
+      return existing ? prev.map(v => v === existing ? saved : v) : [...prev, saved];
+    });
+    notify(`ビュー「${name}」を保存しました`, "success");
+  };
+
+  const deleteView = (savedView) => {
+    if (!window.confirm(`ビュー「${savedView.name}」を削除しますか？`)) return;
+    setSavedViews(prev => prev.filter(v => v.id !== savedView.id));
+  };
+
+  const copyFilterLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => notify("この条件のリンクをコピーしました", "success"), () => notify("リンクをコピーできませんでした", "error"));
+  };
+
+  /** 下書きを即時保存（保存後、その間に編集がなければ未保存フラグを下ろす） */
+  const saveDraft = useCallback((task) => {
+    const draft = toDraft(task);
+    draftRepository.put(draft)
+      .then(() => setActiveTask(t => t?.id !== task.id ? t : { ...t, dirty: t === task ? false : t.dirty, draftSavedAt: draft.savedAt, draftStartedAt: draft.startedAt }))
+      .catch(err => { console.error(err); notify("下書きの保存に失敗しました", "error"); });
+  }, [notify]);
+
+  // 入力が止まったら下書きを保存。画面が裏に回ったとき（モバイルで終了されうる）は即時保存
+  useEffect(() => {
+    if (!activeTask?.dirty) return;
+    const task = activeTask;
+    const save = () => { clearTimeout(timer); saveDraft(task); };
+    const timer = setTimeout(save, DRAFT_SAVE_DELAY);
+    const onHide = () => { if (document.visibilityState === "hidden") save(); };
+    document.addEventListener("visibilitychange", onHide);
+    return () => { clearTimeout(timer); document.removeEventListener("visibilitychange", onHide); };
+  }, [activeTask, saveDraft]);
+
+  /** 点検入力の変更（下書き自動保存の対象にする） */
+  const editTask = useCallback((update) => setActiveTask(t => {
+    const next = typeof update === "function" ? update(t) : update;
+    return next && next !== t ? { ...next, dirty: true } : next;
+  }), []);
+
+  const closeTask = () => {
+    if (activeTask?.dirty) saveDraft(activeTask);
+    setActiveTask(null);
+  };
+
+  const openTask = async (task) => {
+    if (!canView(currentUser, task)) return;
+    if (activeTask?.dirty) saveDraft(activeTask);
+    if (isCorrective(task)) { setActiveTask({ ...task }); return; }
     const assignee = users.find(u => u.id === task.assigneeId);
     const vendor = vendors.find(v => v.id === task.vendorId);
     const property = properties.find(p => p.id === task.propertyId);
-    setActiveTask({ ...task, assignee, vendor, property, answers: {}, photos: [], nonConformities: [] });
+    const report = task.reportId ? await reportRepository.get(task.reportId).catch(() => null) : null;
+    const draft = report ? null : await draftRepository.get(task.id).catch(() => null);
+    const template = report ? getReportTemplate(report) : (draft && getReportTemplate(draft)) || getTemplate(task.kind, { onDate: new Date(task.date) });
+    const saved = report ?? draft;
+    setActiveTask({
+      ...task, assignee, vendor, property, template, answers: saved?.answers ?? {}, photos: saved?.photos ?? [], nonConformities: saved?.nonConformities ?? [], report,
+      draftBase: draft?.base ?? eventSnapshot(task), draftStartedAt: draft?.startedAt ?? null, draftSavedAt: draft?.savedAt ?? null,
+    });
   };
 
-  const onUploadPhotos = async (files) => {
-    const reads = Array.from(files).slice(0, 6).map(file => new Promise((res, rej) => { const fr = new FileReader(); fr.onload = () => res(fr.result); fr.onerror = rej; fr.readAsDataURL(file); }));
-    const dataUrls = await Promise.all(reads);
-    setActiveTask(t => ({ ...t, photos: [...(t?.photos||[]), ...dataUrls] }));
+  /** 下書きを破棄して最新の予定・テンプレートで入力し直す */
+  const discardDraft = async () => {
+    if (!window.confirm("この点検の下書きを破棄しますか？（入力内容と写真が消えます）")) return;
+    const event = events.find(e => e.id === activeTask.id) ?? activeTask;
+    await draftRepository.removeMany([event.id]).catch(err => console.error(err));
+    setActiveTask(t => ({
+      ...t, template: getTemplate(event.kind, { onDate: new Date(event.date) }), answers: {}, photos: [], nonConformities: [],
+      draftBase: eventSnapshot(event), draftStartedAt: null, draftSavedAt: null, dirty: false,
+    }));
   };
 
-  const submitChecklist = async () => {
-    if (!activeTask) return; setSubmitting(true);
-    const report = { property: activeTask.property, kind: activeTask.kind, completedAt: new Date(), assignee: activeTask.assignee, answers: activeTask.answers, photos: activeTask.photos, nonConformities: activeTask.nonConformities };
+  /** 写真を縮小して取り込む（撮影日時・位置を点検日・物件の位置と照合して警告を付ける）。link は紐付け先 */
+  const importPhotos = async (files, task, link) => {
+    const { photos, failed, skipped } = await readPhotos(files, { inspectionDay: inspectionDayOf(task), property: properties.find(p => p.id === task.propertyId), ...link });
+    if (failed.length) notify(`読み込めない写真がありました: ${failed.join(", ")}`, "error");
+    if (skipped) notify(`一度に取り込めるのは${MAX_FILES}枚までです（${skipped}枚は取り込んでいません）`, "info");
+    const warned = photos.filter(p => p.warnings.length).length;
+    if (warned) notify(`${warned}枚の写真に撮影日時・撮影場所の警告があります`, "error");
+    return photos;
+  };
+
+  const onUploadPhotos = async (files, link) => {
+    const photos = await importPhotos(files, activeTask, link);
+    editTask(t => ({ ...t, photos: [...(t?.photos||[]), ...photos] }));
+  };
+
+  const onUploadItemPhotos = async (itemId, files) => {
+    const photos = await importPhotos(files, activeTask);
+    editTask(t => ({ ...t, answers: { ...t.answers, [itemId]: [...(t.answers?.[itemId] || []), ...photos] } }));
+  };
+
+  /** 報告書の保存（IndexedDB へ直接書くため、変更前を読んで監査ログに記録する） */
+  const saveReport = async (report) => {
+    const before = await reportRepository.get(report.id);
+    await reportRepository.put(report);
+    recordAudit("reports", [{ before, after: report }]);
+  };
+
+  const updateOutbox = (id, patch) => setOutbox(prev => prev.map(o => o.id === id ? { ...o, ...patch } : o));
+
+  /**
+   * 送信待ちの提出を報告書・予定に反映する（保存に失敗したら送信待ちに残す）
+   * 報告書・完了にした予定・是正タスクは1つの batch で送り、どれかが拒否されたらどれも保存しない
+   */
+  const applySubmission = async (entry, event) => {
+    const report = reportFromOutbox(entry, event, { properties, users, vendors });
+    const [completed] = bumpSequences([event], [{ ...event, status: "完了", reportId: report.id, completedAt: entry.completedAt }]);
+    const correctiveTasks = (entry.nonConformities || []).map((nc, i) => createCorrectiveTask(event, nc, i, { reportId: report.id, by: entry.submittedBy, at: entry.completedAt, calendar: businessCalendar, photos: photosOfNonConformity(entry.photos, i) }));
     try {
-      await generatePDF(report);
-      const severities = { [Severity.HIGH]: 7, [Severity.MEDIUM]: 14, [Severity.LOW]: 30 };
-      const correctiveTasks = (activeTask.nonConformities || []).map((nc, i) => ({
-        id: `CR-${activeTask.id}-${i+1}`,
-        date: new Date(), dueDate: addDays(new Date(), severities[nc.severity]),
-        propertyId: activeTask.propertyId, kind: `${activeTask.kind} 是正: ${nc.note}`,
-        assigneeId: activeTask.assigneeId, vendorId: activeTask.vendorId,
-        status: "是正中", parentId: activeTask.id,
-      }));
-      setEvents(prev => prev.map(e => e.id === activeTask.id ? { ...e, status: "完了" } : e).concat(correctiveTasks));
-      setNotifications(n => [ { id: Math.random().toString(36), message: "報告書を生成して保存しました（PDF）", at: new Date(), level: "success" }, ...(correctiveTasks.length ? [{ id: Math.random().toString(36), message: `${correctiveTasks.length}件の是正タスクを作成しました（期限通知あり）`, at: new Date(), level: "info" }] : []), ...n ].slice(0, 5));
+      const before = await reportRepository.get(report.id);
+      await saveTogether([[reportRepository, [report]], [eventRepository, [completed, ...correctiveTasks]]]);
+      recordAudit("reports", [{ before, after: report }]);
+    } catch (err) {
+      console.error(err);
+      updateOutbox(entry.id, { status: OUTBOX_STATUS.FAILED, attempts: entry.attempts + 1, error: "報告書の保存に失敗しました" });
+      notify("報告書の保存に失敗しました（送信待ちに残しています）", "error");
+      return false;
+    }
+    setOutbox(prev => prev.filter(o => o.id !== entry.id));
+    setEvents(prev => prev.map(e => e.id === event.id ? completed : e).concat(correctiveTasks));
+    const pdfSaved = await storeReportPDF(report);
+    notify(pdfSaved ? "報告書を生成して保存しました（PDF）" : "報告書を保存しました（PDFは後から再生成してください）", pdfSaved ? "success" : "error");
+    if (correctiveTasks.length) notify(`${correctiveTasks.length}件の是正タスクを作成しました（期限通知あり）`, "info");
+    return true;
+  };
+
+  /** 送信待ちを順に送る。下書き開始後に事務所側で予定が変わっていたら競合として止める */
+  const syncOutbox = async (entries = outbox.filter(o => o.status !== OUTBOX_STATUS.CONFLICT)) => {
+    if (syncLock.current || !entries.length) return false;
+    syncLock.current = true; setSyncing(true);
+    try {
+      for (const entry of entries) {
+        const event = events.find(e => e.id === entry.eventId);
+        const conflicts = submissionConflicts(entry.base, event);
+        if (conflicts.length) {
+          updateOutbox(entry.id, { status: OUTBOX_STATUS.CONFLICT, conflicts });
+          notify(`送信待ちの点検が事務所側の変更と競合しています（${conflicts.map(c => CONFLICT_TYPES[c.type]).join("、")}）`, "error");
+          continue;
+        }
+        await applySubmission(entry, event);
+      }
+    } finally { syncLock.current = false; setSyncing(false); }
+    return true;
+  };
+
+  // 起動時とオンライン復帰時に送信待ちを送る（リスナーからも最新の状態で呼べるよう ref 経由）
+  const syncOutboxRef = useRef(null);
+  useEffect(() => { syncOutboxRef.current = syncOutbox; });
+  useEffect(() => {
+    if (online && outboxLoaded && eventsLoaded && usersLoaded) syncOutboxRef.current();
+  }, [online, outboxLoaded, eventsLoaded, usersLoaded]);
+
+  /** 競合の解決：このまま提出（最新の予定に対して報告）・下書きに戻す・破棄 */
+  const resolveOutbox = async (entry, action) => {
+    const event = events.find(e => e.id === entry.eventId);
+    if (action === "submit") {
+      if (!authorize("checklist.submit", event)) return;
+      const conflicts = submissionConflicts(entry.base, event);
+      if (isBlocked({ conflicts })) { updateOutbox(entry.id, { conflicts }); notify("この点検はそのまま提出できません", "error"); return; }
+      await applySubmission({ ...entry, conflicts, resolvedAt: new Date() }, event);
+    } else if (action === "draft") {
+      await draftRepository.put(draftFromOutbox(entry, event));
+      setOutbox(prev => prev.filter(o => o.id !== entry.id));
+      if (event && !isCancelled(event)) openTask(event);
+      notify("下書きに戻しました", "info");
+    } else if (window.confirm("送信待ちの点検結果を破棄しますか？（入力内容と写真は元に戻せません）")) {
+      setOutbox(prev => prev.filter(o => o.id !== entry.id));
+    }
+  };
+
+  /** 提出はいったん送信待ちに積み、オンラインならそのまま送る */
+  const submitChecklist = async () => {
+    if (!activeTask) return;
+    const missing = missingItems(activeTask.template, activeTask.answers);
+    if (!authorize("checklist.submit", activeTask)) return;
+    if (missing.length) { notify(`未入力の必須項目があります: ${missing.map(i => i.label).join("、")}`, "error"); return; }
+    const entry = toOutboxEntry(activeTask, currentUser.id);
+    setActiveTask(t => ({ ...t, dirty: false }));
+    setOutbox(prev => [...prev.filter(o => o.eventId !== entry.eventId), entry]);
+    await draftRepository.removeMany([entry.eventId]).catch(err => console.error(err));
+    if (!online) {
       setActiveTask(null);
+      notify("オフラインのため送信待ちに保存しました。オンラインに戻ると自動で送信します", "info");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      if (!await syncOutbox([entry])) notify("送信待ちに保存しました（送信中の処理が終わったら「今すぐ送信」で送れます）", "info");
+    } finally { setSubmitting(false); setActiveTask(null); }
+  };
+
+  /** PDF を生成して報告書レコードに保存し、ダウンロードさせる（失敗時は false） */
+  const storeReportPDF = async (report) => {
+    try {
+      const pdf = await renderReportPDF(report);
+      const saved = { ...report, pdf };
+      await saveReport(saved);
+      downloadBlob(pdf.blob, pdf.filename);
+      return saved;
+    } catch (err) {
+      console.error(err);
+      notify("PDFの生成に失敗しました", "error");
+      return false;
+    }
+  };
+
+  const reissuePDF = async () => {
+    if (!activeTask?.report || !authorize("report.reissue", activeTask)) return;
+    setSubmitting(true);
+    try {
+      const saved = await storeReportPDF(activeTask.report);
+      if (saved) setActiveTask(t => ({ ...t, report: saved }));
     } finally { setSubmitting(false); }
   };
 
+  const downloadStoredPDF = () => {
+    const pdf = activeTask?.report?.pdf;
+    if (pdf) downloadBlob(pdf.blob, pdf.filename);
+  };
+
+  /** 予定（是正タスクを含む）とその報告書の監査ログ */
+  const showHistory = async (task) => {
+    if (!authorize("audit.view", task)) return;
+    const entries = await auditRepository.byEvent(task.id).catch(err => { console.error(err); return []; });
+    setAuditHistory({ title: `${properties.find(p => p.id === task.propertyId)?.name ?? task.propertyId} ${kindLabel(task)}`, entries });
+  };
+
+  const verifyAudit = async () => {
+    if (!authorize("audit.export")) return;
+    const result = await verifyChain(await auditRepository.all());
+    setAuditVerification({ ...result, at: new Date() });
+    if (!result.ok) notify(`監査ログに${result.errors.length}件の不整合があります`, "error");
+  };
+
+  /** 物件・期間の予定・報告書・PDF・監査ログを ZIP にまとめる。出力したこと自体も監査ログに残す */
+  const exportAuditBundle = async ({ propertyId, from, to }) => {
+    if (!authorize("audit.export")) return;
+    try {
+      const scoped = bundleEvents(events, propertyId, from, to);
+      const ids = new Set(scoped.map(e => e.id));
+      const reports = (await reportRepository.all()).filter(r => ids.has(r.eventId));
+      const chain = await auditRepository.all();
+      const verification = await verifyChain(chain);
+      const bundle = await buildAuditBundle({ property: properties.find(p => p.id === propertyId), from, to, events: scoped, reports, chain, verification, generatedBy: currentUser });
+      downloadBlob(bundle.blob, bundle.filename);
+      recordAudit("exports", [{ action: "export", after: { id: bundle.id, propertyId, from, to, ...bundle.counts, manifestSha256: bundle.manifestSha256 } }]);
+      notify(`監査バンドルを出力しました（予定${bundle.counts.events}件・報告書${bundle.counts.reports}件、manifest SHA-256 ${bundle.manifestSha256.slice(0, 12)}…）`, "success");
+      if (!verification.ok) notify(`監査ログに${verification.errors.length}件の不整合があります（バンドルの manifest に記載しました）`, "error");
+    } catch (err) {
+      console.error(err);
+      notify("監査バンドルの出力に失敗しました", "error");
+    }
+  };
+
+  const verifyBundle = (bytes) => verifyAuditBundle(bytes).catch(err => ({ ok: false, manifest: null, errors: [{ reason: `ZIP を読み込めません（${err.message}）` }] }));
+
+  const activeCorrective = isCorrective(activeTask) ? (events.find(e => e.id === activeTask.id) ?? activeTask) : null;
+
+  const updateCorrective = (id, patch) => {
+    if (!authorize("corrective.edit", activeCorrective)) return;
+    setEvents(prev => prev.map(e => e.id === id ? { ...e, ...patch } : e));
+  };
+
+  const onUploadCorrectivePhotos = async (phase, files) => {
+    if (!authorize("corrective.edit", activeCorrective)) return;
+    const id = activeCorrective.id;
+    const photos = await importPhotos(files, activeCorrective);
+    setEvents(prev => prev.map(e => e.id === id ? { ...e, photos: { ...e.photos, [phase]: [...(e.photos?.[phase] || []), ...photos] } } : e));
+  };
+
+  /** 全ての是正がクローズされたら、是正結果を載せた報告書を再発行する */
+  const reissueAfterCorrections = async (parent, tasks) => {
+    const report = parent?.reportId && await reportRepository.get(parent.reportId);
+    if (!report) return;
+    const reissued = {
+      ...report,
+      revision: (report.revision ?? 1) + 1, reissuedAt: new Date(),
+      corrections: correctionSummary(tasks, users),
+      previousPdfs: [...(report.previousPdfs || []), ...(report.pdf ? [report.pdf] : [])],
+    };
+    await saveReport(reissued);
+    if (await storeReportPDF(reissued)) notify(`全ての不適合が是正されたため報告書を再発行しました（第${reissued.revision}版）`, "success");
+  };
+
+  const transitionCorrective = async (to, { note }) => {
+    if (!authorize(correctiveAction(activeCorrective), activeCorrective)) return;
+    // 画面の検証を通らない呼び出し（古い状態の画面など）でも、遷移の条件を満たさなければ保存しない
+    const errors = transitionErrors(activeCorrective, to, currentUser?.id);
+    if (errors.length) { notify(`是正タスクの状態を変更できません: ${errors.join("、")}`, "error"); return; }
+    const next = applyTransition(activeCorrective, to, { by: currentUser.id, note });
+    // 他の更新（同期・写真の追加など）を上書きしないよう、最新の予定に対して置き換える
+    setEvents(prev => prev.map(e => e.id === next.id ? next : e));
+    notify(`是正タスク「${next.finding?.note}」を「${CORRECTIVE_LABELS[to]}」にしました`, to === CORRECTIVE_STATES.CLOSED ? "success" : "info");
+    if (to !== CORRECTIVE_STATES.CLOSED) return;
+    const siblings = correctiveTasksOf(events, next.parentId).map(t => t.id === next.id ? next : t);
+    if (siblings.every(t => t.correctiveStatus === CORRECTIVE_STATES.CLOSED)) {
+      await reissueAfterCorrections(events.find(e => e.id === next.parentId), siblings).catch(err => { console.error(err); notify("報告書の再発行に失敗しました", "error"); });
+    }
+  };
+
+  /** 未届出の点検から届出（作成中）を作り、その ID を返す */
+  const createFilingFor = (form, property, unfiled) => {
+    if (!authorize("filing.manage")) return null;
+    const filing = createFiling(form, property, unfiled, { by: currentUser.id });
+    setFilings(prev => [...prev, filing]);
+    return filing.id;
+  };
+
+  const updateFiling = (filing, patch) => authorize("filing.manage") && setFilings(prev => prev.map(f => f.id === filing.id ? { ...f, ...patch } : f));
+
+  const deleteFiling = (filing) => {
+    if (!authorize("filing.manage") || !window.confirm("作成中の届出を削除しますか？")) return;
+    setFilings(prev => prev.filter(f => f.id !== filing.id));
+  };
+
+  /** 消防設備は最初の提出で「点検結果報告」の予定を完了にする（次回の届出期限はそこから起算される） */
+  const transitionFiling = (filing, to, options) => {
+    if (!authorize("filing.manage")) return;
+    const next = applyFilingTransition(filing, to, options);
+    const form = formOf(next);
+    setFilings(prev => prev.map(f => f.id === next.id ? next : f));
+    notify(`${properties.find(p => p.id === next.propertyId)?.name ?? next.propertyId} の${form.title}を「${FILING_LABELS[to]}」にしました`, to === FILING_STATES.RETURNED ? "error" : "success");
+    if (to !== FILING_STATES.FILED || events.some(e => e.filingId === next.id)) return;
+    const target = openFilingEvent(form, next.propertyId, events);
+    if (target) setEvents(prev => prev.map(e => e.id === target.id ? { ...e, status: "完了", completedAt: next.filedAt, filingId: next.id } : e));
+  };
+
+  /** 届出に含めた点検の報告書と物件マスタから様式の PDF を作ってダウンロード */
+  const printFiling = async (filing) => {
+    try {
+      const reports = (await Promise.all((filing.reportIds || []).map(id => reportRepository.get(id)))).filter(Boolean);
+      const included = events.filter(e => filing.eventIds?.includes(e.id)).sort((a, b) => new Date(a.completedAt ?? a.date) - new Date(b.completedAt ?? b.date));
+      const pdf = await renderFilingPDF({ filing, form: formOf(filing), property: properties.find(p => p.id === filing.propertyId), events: included, reports });
+      downloadBlob(pdf.blob, pdf.filename);
+    } catch (err) {
+      console.error(err);
+      notify("届出様式の PDF を作成できませんでした", "error");
+    }
+  };
+
+  if (session === undefined || !usersLoaded) return <div className="min-h-screen bg-neutral-950" />;
+  if (!currentUser) return <LoginScreen onLogin={login} onSetPassword={setPassword} setupCode={apiEnabled} />;
+
+  const currentView = VIEW_PERMISSIONS[view] && !can(currentUser, VIEW_PERMISSIONS[view]) ? "calendar" : view;
+
   return (
-    <div className="min-h-screen bg-neutral-950 text-neutral-100 flex">
-      <aside className="w-80 border-r border-neutral-800 p-4 space-y-4">
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 flex flex-col lg:flex-row">
+      <aside className={classNames("order-last lg:order-none w-full lg:w-80 shrink-0 border-t lg:border-t-0 lg:border-r border-neutral-800 p-3 lg:p-4 space-y-4", activeTask && "hidden lg:block")}>
         <div className="flex items-center gap-2 text-neutral-300"><CalendarDays size={18}/><span className="text-sm">法定点検カレンダー</span></div>
+        {!isVendor && (<>
+        <div className="grid grid-cols-2 gap-2">
+          {VIEWS.filter(v => !VIEW_PERMISSIONS[v.id] || can(currentUser, VIEW_PERMISSIONS[v.id])).map(({ id, icon, label }) => (
+            <button key={id} onClick={()=>setView(id)} className={classNames("flex items-center justify-center gap-1 text-xs rounded-xl py-1.5 border", currentView===id ? "border-blue-500 text-blue-400" : "border-neutral-800 text-neutral-400 hover:text-neutral-200")}>{createElement(icon, { size: 14 })} {label}{id === "ics" && proposals.some(p => p.status === "pending") && <span className="rounded-full bg-yellow-500 w-1.5 h-1.5"></span>}</button>
+          ))}
+        </div>
         <div className="bg-neutral-900 rounded-2xl p-3 space-y-3 shadow">
           <div className="text-xs text-neutral-400 mb-1">物件</div>
-          <select className="w-full bg-neutral-800 rounded-xl p-2 text-sm focus:outline-none" value={selectedPropertyId} onChange={e => setSelectedPropertyId(e.target.value)}>
+          <select className="w-full bg-neutral-800 rounded-xl p-2 text-sm focus:outline-none" value={selectedPropertyId} onChange={e => setFilters(f => ({ ...f, propertyId: e.target.value }))}>
             <option value="ALL">すべての物件</option>
             {properties.map(p => (<option key={p.id} value={p.id}>{p.name}</option>))}
           </select>
@@ -231,98 +917,127 @@ export default function App() {
           <div className="text-xs text-neutral-400 mb-1">点検種別</div>
           <div className="grid grid-cols-2 gap-2">
             {Object.keys(INSPECTION_KINDS).map(k => (
-              <button key={k} onClick={() => setSelectedKinds(prev => prev.includes(k) ? prev.filter(x=>x!==k) : [...prev, k])} className={classNames("text-xs rounded-xl px-2 py-1 border", selectedKinds.includes(k) ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400 hover:text-neutral-200")}>{k}</button>
+              <button key={k} onClick={() => setFilters(f => ({ ...f, kinds: f.kinds.includes(k) ? f.kinds.filter(x=>x!==k) : [...f.kinds, k] }))} className={classNames("text-xs rounded-xl px-2 py-1 border", selectedKinds.includes(k) ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400 hover:text-neutral-200")}>{k}</button>
             ))}
           </div>
         </div>
+        <FilterPanel filters={filters} onChange={setFilters} users={users} vendors={vendors} views={savedViews} viewerId={currentUser.id} onSaveView={saveView} onDeleteView={deleteView} onCopyLink={copyFilterLink} />
+        {can(currentUser, "plan.edit") && (
         <div className="bg-neutral-900 rounded-2xl p-3 space-y-3">
           <div className="text-xs text-neutral-400">操作</div>
           <button onClick={generateAnnualPlan} className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-500 transition rounded-xl py-2 text-sm"><Plus size={16}/> 年間計画を作る</button>
-          <div className="text-[11px] text-neutral-400">※ 「すべての物件」選択時は全物件に対し一括生成します。</div>
-        </div>
-        <div className="bg-neutral-900 rounded-2xl p-3 space-y-2">
-          <div className="flex items-center gap-2 text-xs text-neutral-400"><Bell size={14}/> 通知</div>
-          <div className="space-y-2 max-h-56 overflow-auto pr-1 custom-scroll">
-            {notifications.length === 0 && <div className="text-xs text-neutral-500">通知はありません</div>}
-            {notifications.map(n => (
-              <div key={n.id} className={classNames("text-xs rounded-xl px-3 py-2 border", n.level === 'error' ? 'border-red-600/60 text-red-400' : n.level==='success' ? 'border-emerald-600/60 text-emerald-400' : 'border-neutral-700 text-neutral-300') }>
-                <div>{n.message}</div>
-                <div className="text-[10px] text-neutral-500">{format(n.at, "M/d HH:mm")}</div>
-              </div>
-            ))}
-          </div>
+          <div className="text-[11px] text-neutral-400">※ 「すべての物件」選択時は全物件に対し一括生成します。物件マスタで設定された点検種別のみ作成されます。</div>
         </div>
+        )}
+        </>)}
+        <NotificationPanel notifications={notifications} viewerId={currentUser.id} onRead={(list) => updateNotifications(list, { read: true })} onSnooze={snoozeNotification} onOpenEvent={(id) => { const e = events.find(x => x.id === id); if (e) openTask(e); }} />
         <div className="bg-neutral-900 rounded-2xl p-3 space-y-2">
           <div className="text-xs text-neutral-400">レジェンド</div>
           <div className="space-y-1 text-[11px]">
             <div className="flex items-center gap-2"><span className="w-2 h-2 rounded-full bg-blue-500"></span> 期限余裕</div>
-            <div className="flex items-center gap-2"><span className="w-2 h-2 rounded-full bg-yellow-500"></span> 期日3~1日前</div>
+            <div className="flex items-center gap-2"><span className="w-2 h-2 rounded-full bg-yellow-500"></span> 期日3~1営業日前</div>
             <div className="flex items-center gap-2"><span className="w-2 h-2 rounded-full bg-red-600"></span> 期日当日</div>
             <div className="flex items-center gap-2 animate-blink"><span className="w-2 h-2 rounded-full bg-red-600"></span> 期限超過（点滅）</div>
+            {can(currentUser, "filing.manage") && <div className="flex items-center gap-2"><span className="rounded-full border border-yellow-600 text-yellow-400 px-1 text-[10px] leading-4">未届出</span> 完了済み・行政へ未提出</div>}
           </div>
         </div>
       </aside>
 
-      <main className="flex-1 p-6">
-        <div className="flex items-center justify-between mb-4">
-          <div className="flex items-center gap-2">
-            <button className="px-3 py-1.5 rounded-xl bg-neutral-900 border border-neutral-800" onClick={()=>setMonth(addMonths(month, -1))}>←</button>
-            <div className="text-lg font-semibold">{format(month, "yyyy年 M月", { locale: ja })}</div>
-            <button className="px-3 py-1.5 rounded-xl bg-neutral-900 border border-neutral-800" onClick={()=>setMonth(addMonths(month, 1))}>→</button>
+      <main className={classNames("flex-1 p-3 lg:p-6 min-w-0", activeTask && "hidden lg:block")}>
+        {isVendor ? (
+          <VendorPortal vendor={vendors.find(v => v.id === currentUser.vendorId)} events={visibleEvents.filter(e => !isCancelled(e))} properties={properties} calendar={businessCalendar} onOpen={openTask} />
+        ) : currentView === "master" ? (
+          <MasterData collections={{ properties: [properties, setProperties], vendors: [vendors, setVendors], users: [users, setUsers] }} referencedIds={referencedIds} rowActions={{ users: [{ title: "パスワード初期化", icon: KeyRound, onClick: resetPassword }] }} notify={notify} />
+        ) : currentView === "analytics" ? (
+          <AnalyticsDashboard events={events} reports={reports} properties={properties} vendors={vendors} />
+        ) : currentView === "filing" ? (
+          <FilingPanel properties={selectedPropertyId === "ALL" ? properties : properties.filter(p => p.id === selectedPropertyId)} events={events} filings={filings} users={users} overrides={overrideMap} currentUser={currentUser}
+            onCreate={createFilingFor} onUpdate={updateFiling} onTransition={transitionFiling} onDelete={deleteFiling} onPrint={printFiling} onOpenEvent={openTask} />
+        ) : currentView === "audit" ? (
+          <AuditLog entries={auditEntries} properties={properties} verification={auditVerification} onVerify={verifyAudit} onExport={exportAuditBundle} onVerifyBundle={verifyBundle} />
+        ) : currentView === "ics" ? (
+          <CalendarSync events={events} proposals={proposals} properties={properties} vendors={vendors} users={users} onExport={exportICS} onImport={importICS} onDecide={decideProposal} onRestore={restoreEvent} />
+        ) : currentView === "notify" ? (
+          <NotificationSettings rules={notificationRules} setRules={updateNotificationRules} subscriptions={subscriptions} setSubscription={setSubscription} users={users} properties={properties} channelSettings={channelSettings ?? DEFAULT_CHANNEL_SETTINGS} setChannelSettings={updateChannelSettings} onTest={testNotification} />
+        ) : currentView === "plan" ? (
+          <div className="space-y-4">
+          <AllocationPanel conflicts={conflicts} unassignable={unassignable} events={events} properties={properties} onRebalance={rebalancePlan} onDismissUnassignable={() => setUnassignable([])} onOpenEvent={(id) => { const e = events.find(x => x.id === id); if (e) openTask(e); }} />
+          <BusinessCalendarSettings calendar={businessCalendar} onChange={updateBusinessCalendar} />
+          <PlanPreview properties={properties} selectedPropertyId={selectedPropertyId} selectedKinds={selectedKinds} events={events} overrides={scheduleOverrides} setOverrides={setScheduleOverrides} calendar={businessCalendar} onCreate={createFromPreview} />
+          </div>
+        ) : (<>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <button className="px-3 py-1.5 rounded-xl bg-neutral-900 border border-neutral-800" onClick={()=>setMonth(CALENDAR_STEP[calendarMode][0](month, -1))}>←</button>
+            <div className="text-lg font-semibold">{CALENDAR_STEP[calendarMode][1](month)}</div>
+            <button className="px-3 py-1.5 rounded-xl bg-neutral-900 border border-neutral-800" onClick={()=>setMonth(CALENDAR_STEP[calendarMode][0](month, 1))}>→</button>
+            <button className="px-3 py-1.5 rounded-xl text-xs text-neutral-400 hover:text-neutral-200" onClick={()=>setMonth(new Date())}>今日</button>
+            <div className="flex ml-2 rounded-xl border border-neutral-800 overflow-hidden">
+              {Object.entries(CALENDAR_MODES).map(([k, label]) => (<button key={k} onClick={() => setCalendarMode(k)} className={classNames("px-3 py-1.5 text-xs", calendarMode === k ? "bg-blue-600 text-white" : "bg-neutral-900 text-neutral-400 hover:text-neutral-200")}>{label}</button>))}
+            </div>
           </div>
           <div className="text-sm text-neutral-400 flex items-center gap-2"><Building2 size={16}/>{selectedPropertyId==='ALL' ? 'すべての物件' : (selectedProperty?.name || '')} / {selectedKinds.join("・")}</div>
         </div>
 
+        {filters.q.trim() && <SearchResults events={filteredEvents} index={searchIndex} q={filters.q} properties={properties} users={users} calendar={businessCalendar} onOpen={openTask} />}
+
         {overdueTasks.length > 0 && (
           <div className="mb-4 bg-neutral-900 border border-red-800/60 rounded-2xl p-3">
             <div className="flex items-center gap-2 text-red-400 font-medium mb-2 animate-blink"><AlertTriangle size={16}/>期限超過 {overdueTasks.length} 件</div>
             <div className="grid lg:grid-cols-3 md:grid-cols-2 grid-cols-1 gap-3">
               {overdueTasks.map(t => (
-                <TaskCard key={t.id} task={t} users={users} vendors={vendors} onOpen={()=>openTask(t)} />
+                <TaskCard key={t.id} task={t} users={users} vendors={vendors} calendar={businessCalendar} conflicts={conflictsByEvent.get(t.id)} onOpen={()=>openTask(t)} />
               ))}
             </div>
           </div>
         )}
 
-        <div className="grid grid-cols-7 gap-2">
-          {["日","月","火","水","木","金","土"].map(d => (<div key={d} className="text-center text-xs text-neutral-400 py-1">{d}</div>))}
-          {weeks.map((row, i) => (
-            <React.Fragment key={i}>
-              {row.map((d, j) => (
-                <div key={j} className={classNames("min-h-[110px] rounded-2xl border p-2 bg-neutral-900 border-neutral-800 flex flex-col", d.getMonth()!==month.getMonth() && "opacity-40") }>
-                  <div className={classNames("text-xs mb-2", isToday(d) ? "text-blue-400 font-semibold" : "text-neutral-400")}>{format(d, "d", { locale: ja })}</div>
-                  <div className="space-y-2">
-                    {filteredEvents.filter(e => isSameDay(new Date(e.date), d)).map(e => (
-                      <button key={e.id} onClick={()=>openTask(e)} className={classNames("w-full text-left text-[11px] rounded-xl px-2 py-1 border", dueColor(e.dueDate))}>
-                        <div className="flex items-center justify-between">
-                          <span>{e.kind} <span className="opacity-60">({properties.find(p=>p.id===e.propertyId)?.name})</span></span>
-                          <span className="opacity-70">{users.find(u=>u.id===e.assigneeId)?.name?.slice(0,6)}</span>
-                        </div>
-                      </button>
-                    ))}
-                  </div>
-                </div>
-              ))}
-            </React.Fragment>
-          ))}
-        </div>
+        {calendarMode === "month" && <MonthView cursor={month} events={filteredEvents} properties={properties} users={users} calendar={businessCalendar} conflictsByEvent={conflictsByEvent} unfiled={unfiledByEvent} onOpen={openTask} onDrop={dropEvent} />}
+        {calendarMode === "week" && <WeekView cursor={month} events={filteredEvents} properties={properties} users={users} calendar={businessCalendar} conflictsByEvent={conflictsByEvent} unfiled={unfiledByEvent} onOpen={openTask} onDrop={dropEvent} />}
+        {calendarMode === "agenda" && <AgendaView cursor={month} events={filteredEvents} properties={properties} users={users} vendors={vendors} calendar={businessCalendar} unfiled={unfiledByEvent} onOpen={openTask} />}
+        {calendarMode === "year" && <YearMatrix cursor={month} events={filteredEvents} properties={selectedPropertyId === 'ALL' ? properties : properties.filter(p => p.id === selectedPropertyId)} kinds={selectedKinds} calendar={businessCalendar} unfiled={unfiledByEvent} onOpen={openTask} />}
+        {calendarMode === "gantt" && <GanttView cursor={month} events={filteredEvents.filter(e => !isCorrective(e))} properties={properties} onOpen={openTask} onDrop={dropEvent} />}
+        </>)}
       </main>
 
-      <section className="w-[420px] border-l border-neutral-800 p-4 overflow-auto">
+      {auditHistory && <AuditHistory title={auditHistory.title} entries={auditHistory.entries} onClose={() => setAuditHistory(null)} />}
+      {moving && <RescheduleDialog event={moving.event} to={moving.to} property={properties.find(p => p.id === moving.event.propertyId)} calendar={businessCalendar} onConfirm={confirmMove} onCancel={() => setMoving(null)} />}
+
+      <section className="order-first lg:order-none w-full lg:w-[420px] shrink-0 border-b lg:border-b-0 lg:border-l border-neutral-800 p-3 lg:p-4 lg:overflow-auto space-y-3">
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-neutral-300">{currentUser.name}<span className="ml-2 text-neutral-500">{roleLabel(currentUser)}</span></span>
+          <span className="flex items-center gap-3 text-neutral-400">
+            <button onClick={() => setChangingPassword(v => !v)} className="flex items-center gap-1 hover:text-neutral-200"><KeyRound size={12}/>パスワード変更</button>
+            <button onClick={logout} className="flex items-center gap-1 hover:text-neutral-200"><LogOut size={12}/>ログアウト</button>
+          </span>
+        </div>
+        {changingPassword && (
+          <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3">
+            <PasswordForm user={currentUser} verifyCurrent={(pw) => apiEnabled ? apiVerifyPassword(pw).catch(() => false) : verifyPassword(currentUser, pw)} onSubmit={(pw, current) => setPassword(currentUser, pw, current)} onCancel={() => setChangingPassword(false)} />
+          </div>
+        )}
+        <SyncPanel online={online} outbox={outbox.filter(o => canView(currentUser, events.find(e => e.id === o.eventId)))} events={events} properties={properties} users={users} syncing={syncing} onSync={() => syncOutbox()} onResolve={resolveOutbox} />
         {!activeTask ? (
           <div>
             <div className="text-sm text-neutral-400 mb-2">本日のタスク</div>
             <div className="space-y-2">
               {filteredEvents.filter(e=> isSameDay(new Date(e.date), new Date())).map(t => (
-                <TaskCard key={t.id} task={t} users={users} vendors={vendors} onOpen={()=>openTask(t)} />
+                <TaskCard key={t.id} task={t} users={users} vendors={vendors} calendar={businessCalendar} conflicts={conflictsByEvent.get(t.id)} onOpen={()=>openTask(t)} />
               ))}
               {filteredEvents.filter(e=> isSameDay(new Date(e.date), new Date())).length===0 && (
                 <div className="text-xs text-neutral-500">本日のタスクはありません</div>
               )}
             </div>
           </div>
+        ) : activeCorrective ? (
+          <CorrectiveDetail key={activeCorrective.id} task={activeCorrective} parent={events.find(e => e.id === activeCorrective.parentId)} users={users} vendors={vendors}
+            currentUser={currentUser} canEdit={can(currentUser, "corrective.edit", activeCorrective)} canMove={() => can(currentUser, correctiveAction(activeCorrective), activeCorrective)}
+            onTransition={transitionCorrective} onUpdate={patch => updateCorrective(activeCorrective.id, patch)} onUploadPhotos={onUploadCorrectivePhotos}
+            onClose={closeTask} onOpenParent={() => { const p = events.find(e => e.id === activeCorrective.parentId); if (p) openTask(p); }}
+            onShowHistory={can(currentUser, "audit.view", activeCorrective) ? () => showHistory(activeCorrective) : null} />
         ) : (
-          <TaskDetail task={activeTask} setTask={setActiveTask} submit={submitChecklist} onUploadPhotos={onUploadPhotos} submitting={submitting} />
+          <TaskDetail task={activeTask} correctives={correctiveTasksOf(visibleEvents, activeTask.id)} currentUser={currentUser} users={users} calendar={businessCalendar}
+            permissions={{ submit: can(currentUser, "checklist.submit", activeTask), cancel: can(currentUser, "schedule.edit"), reissue: can(currentUser, "report.reissue", activeTask), history: can(currentUser, "audit.view", activeTask) }} onShowHistory={() => showHistory(activeTask)} queued={outbox.find(o => o.eventId === activeTask.id)} onOpenTask={openTask} setTask={editTask} onClose={closeTask} onDiscardDraft={discardDraft} submit={submitChecklist} reissue={reissuePDF} downloadPDF={downloadStoredPDF} onUploadPhotos={onUploadPhotos} onUploadItemPhotos={onUploadItemPhotos} onCancel={() => cancelEvent(activeTask)} submitting={submitting} />
         )}
       </section>
 
@@ -336,82 +1051,151 @@ export default function App() {
   );
 }
 
-function TaskCard({ task, users, vendors, onOpen }){
+function TaskCard({ task, users, vendors, calendar, conflicts, onOpen }){
   const assignee = users.find(u=>u.id===task.assigneeId);
   const vendor = vendors.find(v=>v.id===task.vendorId);
   return (
     <button onClick={onOpen} className="w-full text-left bg-neutral-900 border border-neutral-800 rounded-2xl p-3 hover:border-neutral-700">
-      <div className="flex items-center gap-2 text-sm font-medium"><Wrench size={16}/><span>{task.kind}</span></div>
+      <div className="flex items-center gap-2 text-sm font-medium"><Wrench size={16}/><span>{kindLabel(task)}</span></div>
       <div className="text-xs text-neutral-400 mt-1">物件: {task.propertyId}</div>
-      <div className="text-xs text-neutral-400 mt-1">期日: <span className={classNames("px-2 py-0.5 rounded-full border", dueColor(task.dueDate))}>{format(new Date(task.dueDate), "M/d")}</span></div>
+      <div className="text-xs text-neutral-400 mt-1">期日: <span className={classNames("px-2 py-0.5 rounded-full border", dueColor(task.dueDate, calendar))}>{format(new Date(task.dueDate), "M/d")}</span></div>
       <div className="mt-2 grid grid-cols-2 gap-2 text-[11px] text-neutral-400">
         <div>担当: {assignee?.name}</div>
         <div>業者: {vendor?.name}</div>
       </div>
-      <div className="mt-1 text-[11px] text-neutral-500">状態: {task.status}</div>
+      {conflicts?.map((c, i) => (<div key={i} className="mt-1 flex items-center gap-1 text-[11px] text-yellow-400"><AlertTriangle size={12}/>{c}</div>))}
+      <div className="mt-1 text-[11px] text-neutral-500">状態: {isCorrective(task) ? `是正 ${CORRECTIVE_LABELS[task.correctiveStatus]}` : task.status}</div>
     </button>
   );
 }
 
-function TaskDetail({ task, setTask, submit, onUploadPhotos, submitting }){
-  const checks = ["外観損傷なし", "動作正常", "表示・ラベル正常", "法定項目確認"];
-  const toggleAnswer = (k) => setTask(t => ({ ...t, answers: { ...(t.answers||{}), [k]: !t.answers?.[k] } }));
+function TaskDetail({ task, correctives, currentUser, users, calendar, permissions, onShowHistory, queued, onOpenTask, setTask, onClose, onDiscardDraft, submit, reissue, downloadPDF, onUploadPhotos, onUploadItemPhotos, onCancel, submitting }){
+  // 提出済み、届出の提出で完了した、または提出権限がない（計画担当の閲覧など）ときは閲覧のみ
+  const readOnly = !!task.report || !!task.filingId || !permissions.submit;
+  // 重要度ごとの是正期限（営業日カレンダーの設定どおりの日数・数え方）
+  const slaLabel = (severity) => `${severity}（${slaDaysOf(severity, calendar)}${calendar?.slaUnit === SLA_UNITS.BUSINESS ? SLA_UNIT_LABELS[SLA_UNITS.BUSINESS] : "日"}）`;
+  const suggestions = readOnly || !task.template ? [] : suggestNonConformities(task.template, task.answers, task.nonConformities);
+  const setAnswers = (answers) => setTask(t => ({ ...t, answers }));
+  const acceptSuggestion = (s) => setTask(t => ({ ...t, nonConformities: [ ...(t.nonConformities||[]), s ] }));
   const addNC = () => setTask(t => ({ ...t, nonConformities: [ ...(t.nonConformities||[]), { note: "", severity: Severity.LOW } ] }));
   const updateNC = (idx, patch) => setTask(t => ({ ...t, nonConformities: t.nonConformities.map((n,i)=> i===idx ? { ...n, ...patch } : n) }));
-  const removeNC = (idx) => setTask(t => ({ ...t, nonConformities: t.nonConformities.filter((_,i)=>i!==idx) }));
+  const removeNC = (idx) => setTask(t => ({ ...t, nonConformities: t.nonConformities.filter((_,i)=>i!==idx), photos: unlinkNonConformity(t.photos, idx) }));
+  const setPhotos = (photos) => setTask(t => ({ ...t, photos }));
+  // 現場写真の紐付け先（写真必須の項目は項目側で撮るので除く）
+  const photoLinks = [
+    ...(task.template ? templateItems(task.template).filter(i => i.type !== ITEM_TYPES.PHOTO).map(i => ({ group: "チェックリスト", label: `${i.section} ${i.label}`, link: { itemId: i.id } })) : []),
+    ...(task.nonConformities || []).map((nc, i) => ({ group: "不適合", label: `不適合${i + 1} ${nc.note}`, link: { ncIndex: i } })),
+  ];
 
   return (
     <div>
       <div className="flex items-center justify-between mb-2">
         <div className="text-sm text-neutral-300">点検提出</div>
-        <button onClick={()=>setTask(null)} className="text-neutral-400 hover:text-neutral-200"><X size={18}/></button>
+        <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200 p-1"><X size={18}/></button>
       </div>
       <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
-        <div className="text-lg font-semibold">{task.kind}</div>
-        <div className="text-xs text-neutral-400">{task.property?.name || task.propertyId} / 期日 {format(new Date(task.dueDate), "yyyy-MM-dd")}</div>
-        <div>
-          <div className="text-sm mt-2 mb-1">チェックリスト</div>
-          <div className="space-y-2">
-            {checks.map(c => (
-              <label key={c} className="flex items-center gap-2 text-sm">
-                <input type="checkbox" checked={!!task.answers?.[c]} onChange={()=>toggleAnswer(c)} /> {c}
-              </label>
+        <div className="text-lg font-semibold">{kindLabel(task)}</div>
+        <div className="flex items-center justify-between">
+          <div className="text-xs text-neutral-400">{task.property?.name || task.propertyId} / 期日 {format(new Date(task.dueDate), "yyyy-MM-dd")}</div>
+          <span className="flex items-center gap-3">
+            {permissions.history && <button onClick={onShowHistory} className="flex items-center gap-1 text-[11px] text-neutral-500 hover:text-neutral-200"><History size={12}/>変更履歴</button>}
+            {!task.report && !task.filingId && permissions.cancel && <button onClick={onCancel} className="text-[11px] text-neutral-500 hover:text-red-400">予定を中止</button>}
+          </span>
+        </div>
+        {!readOnly && task.draftSavedAt && (
+          <div className="flex items-center justify-between text-[11px] text-neutral-500">
+            <span>{task.dirty ? "未保存の変更あり" : `下書き保存済み ${format(task.draftSavedAt, "M/d HH:mm:ss")}（この端末）`}</span>
+            <button onClick={onDiscardDraft} className="hover:text-red-400">下書きを破棄</button>
+          </div>
+        )}
+        {queued && !readOnly && <div className="text-[11px] text-yellow-400">この点検は{format(queued.queuedAt, "M/d HH:mm")}に提出済みで送信待ちです。再度提出すると送信待ちの内容を置き換えます。</div>}
+        {task.reschedules?.length > 0 && (
+          <div className="text-[11px] text-neutral-400 space-y-0.5">
+            <div>日程変更（当初 {format(new Date(task.originalDate), "yyyy-MM-dd")}）</div>
+            {task.reschedules.map((r, i) => (
+              <div key={i} className={classNames("border-l pl-2", r.pastDue ? "border-red-700 text-red-400" : "border-neutral-700")}>{format(new Date(r.from), "M/d")} → {format(new Date(r.to), "M/d")}：{r.reason}<span className="text-neutral-500 ml-1">{format(new Date(r.at), "M/d HH:mm")}{r.by && ` ${users.find(u => u.id === r.by)?.name ?? r.by}`}</span></div>
             ))}
           </div>
+        )}
+        <div>
+          <div className="text-sm mt-2 mb-1">チェックリスト</div>
+          {task.template ? (
+            <ChecklistForm template={task.template} answers={task.answers} photos={task.photos} onChange={setAnswers} onUploadItemPhotos={onUploadItemPhotos} readOnly={readOnly} />
+          ) : (
+            <div className="text-xs text-red-400">この報告書が記入されたテンプレート版が見つかりません（{task.report?.templateId} 第{task.report?.templateVersion}版）</div>
+          )}
         </div>
         <div>
           <div className="flex items-center justify-between mt-4 mb-2">
             <div className="text-sm">不適合</div>
-            <button onClick={addNC} className="text-xs px-2 py-1 rounded-lg border border-neutral-700 hover:border-neutral-500">+ 追加</button>
+            {!readOnly && <button onClick={addNC} className="text-xs px-2 py-1 rounded-lg border border-neutral-700 hover:border-neutral-500">+ 追加</button>}
           </div>
           <div className="space-y-2">
+            {suggestions.map(s => (
+              <div key={s.itemId} className="rounded-xl border border-yellow-600/60 p-2 flex items-center gap-2 text-xs">
+                <AlertTriangle size={14} className="text-yellow-500 shrink-0"/>
+                <span className="flex-1 text-yellow-400">候補: {s.note}（{s.severity}）</span>
+                <button onClick={()=>acceptSuggestion(s)} className="px-2 py-0.5 rounded-lg border border-yellow-600 text-yellow-400 hover:bg-yellow-600/10 shrink-0">不適合に追加</button>
+              </div>
+            ))}
             {(task.nonConformities||[]).map((nc, idx) => (
               <div key={idx} className="rounded-xl border border-neutral-800 p-2 space-y-2">
                 <div className="flex items-center gap-2">
                   <span className="text-xs text-neutral-400">重要度</span>
-                  <select value={nc.severity} onChange={e=>updateNC(idx,{severity:e.target.value})} className="bg-neutral-800 rounded-lg text-xs p-1">
-                    <option value={Severity.HIGH}>重大（7日）</option>
-                    <option value={Severity.MEDIUM}>中（14日）</option>
-                    <option value={Severity.LOW}>軽（30日）</option>
+                  <select disabled={readOnly} value={nc.severity} onChange={e=>updateNC(idx,{severity:e.target.value})} className="bg-neutral-800 rounded-lg text-xs p-1">
+                    {[Severity.HIGH, Severity.MEDIUM, Severity.LOW].map(s => (<option key={s} value={s}>{slaLabel(s)}</option>))}
                   </select>
-                  <input value={nc.note} onChange={e=>updateNC(idx,{note:e.target.value})} placeholder="事象のメモ" className="flex-1 bg-neutral-800 rounded-lg text-xs p-1"/>
-                  <button onClick={()=>removeNC(idx)} className="text-neutral-500 hover:text-neutral-300 text-xs">削除</button>
+                  <input disabled={readOnly} value={nc.note} onChange={e=>updateNC(idx,{note:e.target.value})} placeholder="事象のメモ" className="flex-1 bg-neutral-800 rounded-lg text-xs p-1"/>
+                  {!readOnly && <button onClick={()=>removeNC(idx)} className="text-neutral-500 hover:text-neutral-300 text-xs">削除</button>}
                 </div>
-                <div className="text-[11px] text-neutral-500">承認すると是正タスクが自動作成され、期限前通知/超過は管理者にも通知（写真必須）。</div>
+                <PhotoGallery photos={task.photos} only={p => p.ncIndex === idx} alt={nc.note} compact />
+                {!readOnly && <PhotoInput onFiles={files => onUploadPhotos(files, { ncIndex: idx })} />}
+                <div className="text-[11px] text-neutral-500">提出すると是正タスクが作成され、この不適合の写真は是正前の写真として引き継がれます。是正のクローズには是正後の写真も必要です。</div>
               </div>
             ))}
-            {(task.nonConformities||[]).length===0 && (<div className="text-[11px] text-neutral-500">不適合がある場合は「+ 追加」を押してください。</div>)}
+            {(task.nonConformities||[]).length===0 && !readOnly && (<div className="text-[11px] text-neutral-500">不適合がある場合は「+ 追加」を押してください。</div>)}
           </div>
         </div>
+        {correctives.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mt-4 mb-2">
+              <div className="text-sm">是正状況</div>
+              <div className="text-[11px] text-neutral-400">未クローズ {correctives.filter(c => c.correctiveStatus !== CORRECTIVE_STATES.CLOSED).length} / {correctives.length}件</div>
+            </div>
+            <div className="space-y-1">
+              {correctives.map(c => (
+                <button key={c.id} onClick={() => onOpenTask(c)} className="w-full flex items-center justify-between gap-2 text-left text-xs rounded-xl border border-neutral-800 hover:border-neutral-600 px-2 py-1">
+                  <span className="truncate">{c.finding?.note}（{c.finding?.severity}）</span>
+                  <span className={classNames("shrink-0", c.correctiveStatus === CORRECTIVE_STATES.CLOSED ? "text-emerald-400" : "text-yellow-400")}>{CORRECTIVE_LABELS[c.correctiveStatus]}</span>
+                </button>
+              ))}
+            </div>
+            {task.report?.revision > 1 && <div className="text-[11px] text-emerald-400 mt-1">是正結果を反映した報告書 第{task.report.revision}版 を発行済み</div>}
+          </div>
+        )}
         <div>
           <div className="flex items-center gap-2 mt-4 mb-2"><Camera size={16}/><div className="text-sm">写真（証跡）</div></div>
-          <input type="file" accept="image/*" multiple onChange={e=>onUploadPhotos(e.target.files)} className="text-xs" />
-          <div className="grid grid-cols-3 gap-2 mt-2">
-            {(task.photos||[]).map((src, i)=> (<img key={i} src={src} alt="photo" className="w-full h-24 object-cover rounded-lg border border-neutral-800" />))}
-          </div>
+          {!readOnly && <PhotoInput onFiles={files => onUploadPhotos(files)} />}
+          {!readOnly && <div className="text-[11px] text-neutral-500 my-1">写真ごとに証明する項目・不適合を選ぶと、PDFでその項目の下に載ります。タップすると矢印・円で注記できます。</div>}
+          <PhotoGallery photos={task.photos} onChange={readOnly ? null : setPhotos} links={photoLinks} />
         </div>
-        <button disabled={submitting} onClick={submit} className="w-full flex items-center justify-center gap-2 mt-4 bg-emerald-600 hover:bg-emerald-500 transition rounded-xl py-2 text-sm disabled:opacity-50">{submitting ? <Loader2 className="animate-spin" size={16}/> : <FileDown size={16}/>} 提出してPDFを作成</button>
-        <div className="text-[11px] text-neutral-500">PDFはブラウザからダウンロードされ、実運用では物件フォルダ（例：Gドライブ/S3）に保存してください。</div>
+        {task.report ? (
+          <div className="space-y-2 mt-4">
+            {task.report.pdf && (
+              <button onClick={downloadPDF} className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-500 transition rounded-xl py-2 text-sm"><FileDown size={16}/> 保存済みPDFをダウンロード</button>
+            )}
+            {permissions.reissue && <button disabled={submitting} onClick={reissue} className="w-full flex items-center justify-center gap-2 border border-neutral-700 hover:border-neutral-500 transition rounded-xl py-2 text-sm disabled:opacity-50">{submitting ? <Loader2 className="animate-spin" size={16}/> : <FileDown size={16}/>} 報告書からPDFを再生成</button>}
+            {task.report.pdf && <div className="text-[11px] text-neutral-500">保存済みPDF: {format(task.report.pdf.generatedAt, "yyyy-MM-dd HH:mm")} 生成 / {task.report.pdf.pageCount}ページ</div>}
+          </div>
+        ) : task.filingId ? (
+          <div className="mt-4 text-xs text-emerald-400">届出 {task.filingId} の提出（{format(new Date(task.completedAt), "yyyy-MM-dd")}）により完了</div>
+        ) : !permissions.submit ? (
+          <div className="mt-4 text-xs text-neutral-500">この点検を提出する権限がありません</div>
+        ) : (<>
+          <div className="mt-4 text-[11px] text-neutral-400">点検者: {currentUser.name}{task.assigneeId && task.assigneeId !== currentUser.id && `（担当予定: ${users.find(u => u.id === task.assigneeId)?.name ?? task.assigneeId}）`}</div>
+          <button disabled={submitting} onClick={submit} className="sticky bottom-3 lg:static w-full flex items-center justify-center gap-2 mt-2 bg-emerald-600 hover:bg-emerald-500 transition rounded-xl py-3 lg:py-2 text-sm shadow-lg lg:shadow-none disabled:opacity-50">{submitting ? <Loader2 className="animate-spin" size={16}/> : <FileDown size={16}/>} 提出してPDFを作成</button>
+        </>)}
+        <div className="text-[11px] text-neutral-500">PDFは報告書と一緒にこの端末に保存され、同時にダウンロードされます。圏外では送信待ちに保存し、オンラインに戻ると自動で送信します。</div>
       </div>
     </div>
   );
@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { AlertTriangle, Shuffle, X } from "lucide-react";
+import { CONFLICT_LABELS } from "../lib/allocation";
+import { kindLabel } from "../lib/utils";
+
+/**
+ * 割当状況
+ * - 割当できなかった発生（理由付き）と、既存予定の競合（担当者の重複・受注上限超過など）
+ * - 指定日以降の未着手予定の再割当（リバランス）
+ */
+export default function AllocationPanel({ conflicts, unassignable, events, properties, onRebalance, onDismissUnassignable, onOpenEvent }) {
+  const [from, setFrom] = useState(format(new Date(), "yyyy-MM-dd"));
+  const propertyName = (id) => properties.find(p => p.id === id)?.name ?? id;
+  const label = (id) => { const e = events.find(x => x.id === id); return e ? `${propertyName(e.propertyId)} ${kindLabel(e)}` : id; };
+
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm">割当状況</div>
+        <div className="flex items-center gap-2 text-xs">
+          <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="bg-neutral-800 rounded-lg p-1" />
+          <span className="text-neutral-400">以降の未着手予定を</span>
+          <button onClick={() => onRebalance(new Date(`${from}T00:00`))} className="flex items-center gap-1 rounded-xl px-3 py-1.5 border border-neutral-700 hover:border-neutral-500"><Shuffle size={12}/> 再割当</button>
+        </div>
+      </div>
+
+      {unassignable.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-xs text-red-400">
+            <span className="flex items-center gap-1"><AlertTriangle size={12}/>割当できず作成しなかった点検 {unassignable.length}件</span>
+            <button onClick={onDismissUnassignable} title="閉じる" className="text-neutral-400 hover:text-neutral-200"><X size={14}/></button>
+          </div>
+          <div className="max-h-40 overflow-auto custom-scroll text-[11px] space-y-1">
+            {unassignable.map(({ event, reasons }) => (
+              <div key={event.id} className="border-l border-red-800 pl-2">
+                <div>{format(new Date(event.date), "yyyy-MM-dd")} {propertyName(event.propertyId)} {kindLabel(event)}</div>
+                <div className="text-neutral-500">{[...new Set(reasons)].join(" / ")}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <div className="text-xs text-neutral-400">競合 {conflicts.length}件</div>
+        {conflicts.length === 0 && <div className="text-[11px] text-neutral-500">割当上の問題はありません</div>}
+        <div className="max-h-56 overflow-auto custom-scroll">
+          <table className="w-full text-[11px]">
+            <tbody>
+              {conflicts.map(c => (
+                <tr key={c.id} className="align-top">
+                  <td className="px-2 py-1 whitespace-nowrap">{c.date}</td>
+                  <td className="px-2 py-1 whitespace-nowrap text-yellow-400">{CONFLICT_LABELS[c.type]}</td>
+                  <td className="px-2 py-1">{c.message}</td>
+                  <td className="px-2 py-1">
+                    {c.eventIds.map(id => (<button key={id} onClick={() => onOpenEvent(id)} className="block text-blue-400 hover:underline text-left">{label(id)}</button>))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
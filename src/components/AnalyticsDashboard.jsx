@@ -0,0 +1,206 @@
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { BarChart3, FileDown } from "lucide-react";
+import { buildAnalytics, analyticsTables, defaultPeriod, OUTCOMES } from "../lib/analytics";
+import { toCSV } from "../lib/csv";
+import { toXLSX, XLSX_MIME } from "../lib/xlsx";
+import { classNames, downloadBlob } from "../lib/utils";
+import { INSPECTION_KINDS } from "../lib/constants";
+
+const OUTCOME_COLORS = { onTime: "bg-emerald-500", late: "bg-yellow-500", overdue: "bg-red-600", unknown: "bg-neutral-500", pending: "bg-neutral-700" };
+const pct = (r) => r === null ? "-" : `${Math.round(r * 1000) / 10}%`;
+const dayText = (d) => d === null ? "-" : `${Math.round(d * 10) / 10}日`;
+const rateColor = (r) => r === null ? "text-neutral-500" : r >= 0.95 ? "text-emerald-400" : r >= 0.8 ? "text-yellow-400" : "text-red-400";
+
+function Section({ title, onCSV, children, className }) {
+  return (
+    <div className={classNames("bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2", className)}>
+      <div className="flex items-center justify-between">
+        <div className="text-sm">{title}</div>
+        {onCSV && <button onClick={onCSV} className="flex items-center gap-1 text-[11px] text-neutral-400 hover:text-neutral-200"><FileDown size={12}/>CSV</button>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/** 横棒（value / max の長さ） */
+function Bars({ rows, color = "bg-blue-500" }) {
+  const max = Math.max(1, ...rows.map(r => r.value ?? 0));
+  if (!rows.length) return <div className="text-[11px] text-neutral-500">対象がありません</div>;
+  return (
+    <div className="space-y-1 text-[11px]">
+      {rows.map(r => (
+        <div key={r.key} className="grid grid-cols-[8rem_1fr_4rem] items-center gap-2">
+          <span className="truncate text-neutral-300" title={r.label}>{r.label}</span>
+          <span className="h-2.5 bg-neutral-800 rounded"><span className={classNames("block h-full rounded", r.color ?? color)} style={{ width: `${((r.value ?? 0) / max) * 100}%` }}></span></span>
+          <span className={classNames("text-right", r.className)}>{r.display ?? r.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * 遵守状況ダッシュボード
+ * - 期間（月）・物件・業者で絞り込み、保存済みの予定・報告書から集計（analytics.js）
+ * - 月別推移、物件・種別ごとの期限内完了率、不適合の内訳、是正日数、業者実績
+ * - 各表は CSV、全表は XLSX（表ごとのシート）で出力
+ */
+export default function AnalyticsDashboard({ events, reports, properties, vendors }) {
+  const [filters, setFilters] = useState({ ...defaultPeriod(), propertyId: "", vendorId: "" });
+  const setFilter = (patch) => setFilters(f => ({ ...f, ...patch }));
+  const valid = filters.from && filters.to && filters.from <= filters.to;
+  const a = useMemo(() => valid ? buildAnalytics({ events, reports, filters }) : null, [events, reports, filters, valid]);
+  const names = useMemo(() => ({
+    property: (id) => properties.find(p => p.id === id)?.name ?? id ?? "",
+    vendor: (id) => id ? vendors.find(v => v.id === id)?.name ?? id : "未割当",
+  }), [properties, vendors]);
+  const tables = useMemo(() => a ? analyticsTables(a, names) : [], [a, names]);
+
+  const fileBase = `遵守状況_${filters.from}_${filters.to}${filters.propertyId ? `_${names.property(filters.propertyId)}` : ""}${filters.vendorId ? `_${names.vendor(filters.vendorId)}` : ""}`;
+  const exportCSV = (id) => {
+    const t = tables.find(x => x.id === id);
+    downloadBlob(new Blob([toCSV(t.header, t.rows)], { type: "text/csv" }), `${fileBase}_${t.label}.csv`);
+  };
+  const exportXLSX = () => {
+    const conditions = { name: "条件", header: ["項目", "値"], rows: [["期間", `${filters.from} 〜 ${filters.to}`], ["物件", filters.propertyId ? names.property(filters.propertyId) : "すべて"], ["業者", filters.vendorId ? names.vendor(filters.vendorId) : "すべて"], ["集計日時", format(new Date(), "yyyy-MM-dd HH:mm")]] };
+    downloadBlob(new Blob([toXLSX([conditions, ...tables.map(t => ({ name: t.label, header: t.header, rows: t.rows }))])], { type: XLSX_MIME }), `${fileBase}.xlsx`);
+  };
+
+  const maxMonth = Math.max(1, ...(a?.trend ?? []).map(m => m.total));
+  const propertyKinds = a ? [...new Set(a.byPropertyKind.map(c => c.key.split("|")[0]))] : [];
+  const matrix = new Map(a?.byPropertyKind.map(c => [c.key, c]));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <div className="flex items-center gap-2 text-sm mr-2"><BarChart3 size={16}/>遵守状況</div>
+        <input type="month" value={filters.from} onChange={e => setFilter({ from: e.target.value })} className="bg-neutral-800 rounded-lg p-1" />
+        〜
+        <input type="month" value={filters.to} onChange={e => setFilter({ to: e.target.value })} className="bg-neutral-800 rounded-lg p-1" />
+        <select value={filters.propertyId} onChange={e => setFilter({ propertyId: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+          <option value="">すべての物件</option>
+          {properties.map(p => (<option key={p.id} value={p.id}>{p.name}</option>))}
+        </select>
+        <select value={filters.vendorId} onChange={e => setFilter({ vendorId: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+          <option value="">すべての業者</option>
+          {vendors.map(v => (<option key={v.id} value={v.id}>{v.name}</option>))}
+        </select>
+        <button disabled={!a} onClick={exportXLSX} className="ml-auto flex items-center gap-1 rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40"><FileDown size={14}/>XLSX（全表）</button>
+      </div>
+      {!a ? (
+        <div className="text-xs text-red-400">期間を正しく指定してください</div>
+      ) : (<>
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-2">
+        {[
+          ["期限内完了率", pct(a.summary.rate), rateColor(a.summary.rate), `${a.summary.onTime} / ${a.summary.onTime + a.summary.late + a.summary.overdue}件`],
+          ["期限超過（未完了）", `${a.summary.overdue}件`, a.summary.overdue ? "text-red-400" : "", `期限前 ${a.summary.pending}件`],
+          ["遅延完了", `${a.summary.late}件`, a.summary.late ? "text-yellow-400" : "", `対象 ${a.summary.total}件`],
+          ["不適合", `${a.summary.nonConformities}件`, "", `クローズ ${a.summary.correctivesClosed}件`],
+          ["平均是正日数", dayText(a.summary.averageCloseDays), "", "起票からクローズまで"],
+          ["是正期限超過", `${a.summary.correctivesOpenOverdue}件`, a.summary.correctivesOpenOverdue ? "text-red-400" : "", "未クローズ"],
+        ].map(([label, value, color, sub]) => (
+          <div key={label} className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3">
+            <div className="text-[11px] text-neutral-400">{label}</div>
+            <div className={classNames("text-xl font-semibold", color)}>{value}</div>
+            <div className="text-[11px] text-neutral-500">{sub}</div>
+          </div>
+        ))}
+      </div>
+
+      <Section title="月別推移（法定期限の月）" onCSV={() => exportCSV("monthly")}>
+        <div className="flex items-end gap-1 h-40 overflow-x-auto">
+          {a.trend.map(m => (
+            <div key={m.key} className="flex-1 min-w-[2rem] h-full flex flex-col items-center justify-end gap-0.5" title={Object.entries(OUTCOMES).map(([k, l]) => `${l} ${m[k]}`).join(" / ")}>
+              <span className={classNames("text-[10px]", rateColor(m.rate))}>{pct(m.rate)}</span>
+              <div className="w-full flex flex-col-reverse rounded overflow-hidden" style={{ height: `${(m.total / maxMonth) * 75}%` }}>
+                {["onTime", "late", "overdue", "unknown", "pending"].map(k => m[k] > 0 && <span key={k} className={OUTCOME_COLORS[k]} style={{ height: `${(m[k] / m.total) * 100}%` }}></span>)}
+              </div>
+              <span className="text-[10px] text-neutral-500">{m.key.slice(2).replace("-", "/")}</span>
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-3 text-[11px] text-neutral-400">
+          {["onTime", "late", "overdue", "pending"].map(k => (<span key={k} className="flex items-center gap-1"><span className={classNames("w-2 h-2 rounded-sm", OUTCOME_COLORS[k])}></span>{OUTCOMES[k]}</span>))}
+        </div>
+      </Section>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        <Section title="物件別 期限内完了率" onCSV={() => exportCSV("propertyKind")}>
+          <Bars rows={a.byProperty.map(c => ({ key: c.key, label: names.property(c.key), value: c.rate ?? 0, display: pct(c.rate), className: rateColor(c.rate), color: "bg-emerald-600" }))} />
+        </Section>
+        <Section title="種別別 期限内完了率" onCSV={() => exportCSV("kind")}>
+          <Bars rows={a.byKind.map(c => ({ key: c.key, label: c.key, value: c.rate ?? 0, display: pct(c.rate), className: rateColor(c.rate), color: "bg-emerald-600" }))} />
+        </Section>
+      </div>
+
+      <Section title="物件 × 種別" onCSV={() => exportCSV("propertyKind")}>
+        <div className="overflow-x-auto">
+          <table className="w-full text-[11px]">
+            <thead className="text-neutral-400">
+              <tr><th className="text-left font-normal px-2 py-1 border-b border-neutral-800">物件</th>{Object.keys(INSPECTION_KINDS).map(k => (<th key={k} className="text-right font-normal px-2 py-1 border-b border-neutral-800">{k}</th>))}</tr>
+            </thead>
+            <tbody>
+              {propertyKinds.map(pid => (
+                <tr key={pid}>
+                  <td className="px-2 py-1">{names.property(pid)}</td>
+                  {Object.keys(INSPECTION_KINDS).map(k => {
+                    const c = matrix.get(`${pid}|${k}`);
+                    return <td key={k} className={classNames("px-2 py-1 text-right", c && rateColor(c.rate))}>{c ? <>{pct(c.rate)}<span className="text-neutral-500 ml-1">({c.total})</span></> : ""}</td>;
+                  })}
+                </tr>
+              ))}
+              {propertyKinds.length === 0 && <tr><td colSpan={Object.keys(INSPECTION_KINDS).length + 1} className="px-2 py-4 text-center text-neutral-500">期間内に法定期限のある点検はありません</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+
+      <div className="grid lg:grid-cols-3 gap-4">
+        <Section title="不適合（重要度別）" onCSV={() => exportCSV("ncSeverity")}>
+          <Bars color="bg-red-500" rows={a.ncBySeverity.map(c => ({ key: c.key, label: `${c.key}（平均 ${dayText(c.averageCloseDays)}）`, value: c.count }))} />
+        </Section>
+        <Section title="不適合（種別別）" onCSV={() => exportCSV("ncKind")}>
+          <Bars color="bg-orange-500" rows={a.ncByKind.map(c => ({ key: c.key, label: c.key, value: c.count }))} />
+        </Section>
+        <Section title="不適合（業者別）" onCSV={() => exportCSV("ncVendor")}>
+          <Bars color="bg-orange-500" rows={a.ncByVendor.map(c => ({ key: c.key, label: names.vendor(c.key), value: c.count }))} />
+        </Section>
+      </div>
+
+      <Section title="業者実績" onCSV={() => exportCSV("vendors")}>
+        <div className="overflow-x-auto">
+          <table className="w-full text-[11px]">
+            <thead className="text-neutral-400">
+              <tr>{["業者", "点検", "期限内完了率", "遅延完了", "期限超過", "平均遅延", "不適合", "平均是正日数", "是正期限超過"].map(h => (<th key={h} className="text-left font-normal px-2 py-1 border-b border-neutral-800 whitespace-nowrap">{h}</th>))}</tr>
+            </thead>
+            <tbody>
+              {a.vendorPerformance.map(v => (
+                <tr key={v.key}>
+                  <td className="px-2 py-1">{names.vendor(v.key)}</td>
+                  <td className="px-2 py-1">{v.total}</td>
+                  <td className={classNames("px-2 py-1", rateColor(v.rate))}>{pct(v.rate)}</td>
+                  <td className="px-2 py-1">{v.late}</td>
+                  <td className={classNames("px-2 py-1", v.overdue && "text-red-400")}>{v.overdue}</td>
+                  <td className="px-2 py-1">{dayText(v.averageDelayDays)}</td>
+                  <td className="px-2 py-1">{v.nonConformities}</td>
+                  <td className="px-2 py-1">{dayText(v.averageCloseDays)}</td>
+                  <td className={classNames("px-2 py-1", v.correctivesOpenOverdue && "text-red-400")}>{v.correctivesOpenOverdue}</td>
+                </tr>
+              ))}
+              {a.vendorPerformance.length === 0 && <tr><td colSpan={9} className="px-2 py-4 text-center text-neutral-500">対象がありません</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+
+      <div className="flex gap-3 text-[11px] text-neutral-500">
+        <button onClick={() => exportCSV("inspections")} className="flex items-center gap-1 hover:text-neutral-200"><FileDown size={12}/>点検明細 CSV</button>
+        <button onClick={() => exportCSV("correctives")} className="flex items-center gap-1 hover:text-neutral-200"><FileDown size={12}/>是正タスク CSV</button>
+        <span>期限内完了率は期限前の点検を除いて計算しています</span>
+      </div>
+      </>)}
+    </div>
+  );
+}
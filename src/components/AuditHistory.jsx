@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { History, X } from "lucide-react";
+import { AUDIT_COLLECTIONS, AUDIT_ACTIONS, FIELD_LABELS, formatAuditValue } from "../lib/audit";
+import { classNames } from "../lib/utils";
+
+/** 1件の監査ログ（項目ごとの変更前 → 変更後） */
+export function AuditEntry({ entry }) {
+  const short = (v) => { const s = formatAuditValue(v); return s.length > 80 ? `${s.slice(0, 80)}…` : s; };
+  const rows = entry.changes.map(c => (
+    <div key={c.field} className="grid grid-cols-[7rem_1fr] gap-2">
+      <span className="text-neutral-500 truncate">{FIELD_LABELS[c.field] ?? c.field}</span>
+      <span className="break-all">{entry.action !== "create" && <><span className="text-neutral-500 line-through">{short(c.before)}</span> → </>}{short(c.after)}</span>
+    </div>
+  ));
+  return (
+    <div className="border-l border-neutral-700 pl-2 space-y-0.5">
+      <div className="flex flex-wrap items-center gap-x-2">
+        <span className="text-neutral-500">#{entry.seq}</span>
+        <span>{format(new Date(entry.at), "yyyy-MM-dd HH:mm:ss")}</span>
+        <span className="text-neutral-300">{entry.actorName}</span>
+        <span className={classNames("rounded px-1", entry.action === "delete" ? "bg-red-900/60" : "bg-neutral-800")}>{AUDIT_COLLECTIONS[entry.collection] ?? entry.collection} {AUDIT_ACTIONS[entry.action]}</span>
+      </div>
+      {rows.length > 3 ? (
+        <details><summary className="cursor-pointer text-neutral-400">{rows.length}項目</summary><div className="space-y-0.5 mt-0.5">{rows}</div></details>
+      ) : rows}
+      <div className="text-[10px] text-neutral-600 font-mono truncate">{entry.hash}</div>
+    </div>
+  );
+}
+
+/**
+ * 予定・報告書の変更履歴（監査ログから表示。新しい順）
+ */
+export default function AuditHistory({ title, entries, onClose }) {
+  const [collection, setCollection] = useState("all");
+  const collections = [...new Set(entries.map(e => e.collection))];
+  const shown = entries.filter(e => collection === "all" || e.collection === collection).sort((a, b) => b.seq - a.seq);
+  return (
+    <div className="fixed inset-0 z-40 bg-black/60 flex items-center justify-center p-3" onClick={onClose}>
+      <div className="w-full max-w-[560px] max-h-[80vh] flex flex-col bg-neutral-900 border border-neutral-700 rounded-2xl p-4 space-y-3" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-sm font-semibold"><History size={16}/>変更履歴</div>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200 p-1"><X size={16}/></button>
+        </div>
+        <div className="text-xs text-neutral-300">{title}</div>
+        {collections.length > 1 && (
+          <div className="flex gap-1 text-[11px]">
+            {["all", ...collections].map(c => (
+              <button key={c} onClick={() => setCollection(c)} className={classNames("rounded-lg px-2 py-0.5 border", collection === c ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400")}>{c === "all" ? "すべて" : AUDIT_COLLECTIONS[c] ?? c}</button>
+            ))}
+          </div>
+        )}
+        <div className="overflow-auto space-y-2 text-[11px] custom-scroll">
+          {shown.map(e => <AuditEntry key={e.seq} entry={e} />)}
+          {shown.length === 0 && <div className="text-neutral-500">記録はありません</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
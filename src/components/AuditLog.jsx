@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { format, startOfYear } from "date-fns";
+import { ShieldCheck, ShieldAlert, FileArchive, Loader2 } from "lucide-react";
+import { AUDIT_COLLECTIONS } from "../lib/audit";
+import { AuditEntry } from "./AuditHistory";
+
+/**
+ * 監査ログ
+ * - ハッシュチェーン全体の検証
+ * - 物件・期間を指定した監査バンドル（JSON・PDF・検証用マニフェストの ZIP）の出力と、出力済みバンドルの検証
+ */
+export default function AuditLog({ entries, properties, verification, onVerify, onExport, onVerifyBundle }) {
+  const [collection, setCollection] = useState("all");
+  const [propertyId, setPropertyId] = useState("");
+  const [from, setFrom] = useState(format(startOfYear(new Date()), "yyyy-MM-dd"));
+  const [to, setTo] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [busy, setBusy] = useState(null);
+  const [bundleResult, setBundleResult] = useState(null);
+  const shown = entries.filter(e => collection === "all" || e.collection === collection);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try { return await fn(); } finally { setBusy(null); }
+  };
+  const checkBundle = async (file) => {
+    if (!file) return;
+    setBundleResult(await run("bundle", async () => ({ name: file.name, ...(await onVerifyBundle(new Uint8Array(await file.arrayBuffer()))) })));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-sm"><ShieldCheck size={16}/>ハッシュチェーンの検証</div>
+          <button disabled={!!busy} onClick={() => run("verify", onVerify)} className="flex items-center gap-1 text-xs rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">{busy === "verify" && <Loader2 size={12} className="animate-spin"/>}検証する</button>
+        </div>
+        {verification && (
+          <div className="text-[11px] space-y-1">
+            <div className={verification.ok ? "text-emerald-400" : "text-red-400"}>
+              {verification.ok ? `改ざんは検出されませんでした（${verification.count}件）` : `${verification.errors.length}件の不整合があります（${verification.count}件中）`}
+              <span className="text-neutral-500 ml-2">{format(verification.at, "M/d HH:mm:ss")} 検証</span>
+            </div>
+            <div className="text-neutral-500 font-mono break-all">先頭 #{verification.headSeq} {verification.headHash}</div>
+            {verification.errors.map((err, i) => (<div key={i} className="flex items-center gap-1 text-red-400"><ShieldAlert size={12}/>#{err.seq}: {err.reason}</div>))}
+          </div>
+        )}
+        <div className="text-[11px] text-neutral-500">各記録は直前の記録のハッシュを含めて SHA-256 で封印されています。途中の記録を書き換え・削除・差込みすると以降のハッシュが一致しなくなります。</div>
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center gap-2 text-sm"><FileArchive size={16}/>監査バンドルの出力</div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <select value={propertyId} onChange={e => setPropertyId(e.target.value)} className="bg-neutral-800 rounded-lg p-1">
+            <option value="">物件を選択</option>
+            {properties.map(p => (<option key={p.id} value={p.id}>{p.name}</option>))}
+          </select>
+          <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="bg-neutral-800 rounded-lg p-1" />
+          〜
+          <input type="date" value={to} onChange={e => setTo(e.target.value)} className="bg-neutral-800 rounded-lg p-1" />
+          <button disabled={!propertyId || !from || !to || from > to || !!busy} onClick={() => run("export", () => onExport({ propertyId, from, to }))} className="flex items-center gap-1 rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">{busy === "export" && <Loader2 size={12} className="animate-spin"/>}ZIP を出力</button>
+        </div>
+        <div className="text-[11px] text-neutral-500">期間内の予定（是正タスクを含む）・報告書・PDF・監査ログと、各ファイルの SHA-256 と検証手順を記載した manifest.json をまとめます。出力したこと自体も監査ログに記録されます。</div>
+        <div className="flex flex-wrap items-center gap-2 text-xs pt-1">
+          <span className="text-neutral-400">出力済みバンドルの検証</span>
+          <input type="file" accept=".zip,application/zip" disabled={!!busy} onChange={e => { checkBundle(e.target.files[0]); e.target.value = ""; }} className="text-[11px]" />
+        </div>
+        {bundleResult && (
+          <div className="text-[11px] space-y-1">
+            <div className={bundleResult.ok ? "text-emerald-400" : "text-red-400"}>{bundleResult.name}: {bundleResult.ok ? "ファイル・監査ログとも改ざんは検出されませんでした" : "不整合があります"}</div>
+            {bundleResult.manifest && <div className="text-neutral-500">{bundleResult.manifest.property?.name} {bundleResult.manifest.period?.from}〜{bundleResult.manifest.period?.to} / {bundleResult.manifest.generatedBy?.name} {format(new Date(bundleResult.manifest.generatedAt), "yyyy-MM-dd HH:mm")} 出力</div>}
+            {bundleResult.errors.map((err, i) => (<div key={i} className="text-red-400">{err.path ?? (err.seq ? `#${err.seq}` : "")} {err.reason}</div>))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="text-sm">最近の記録</div>
+          <select value={collection} onChange={e => setCollection(e.target.value)} className="bg-neutral-800 rounded-lg p-1 text-xs">
+            <option value="all">すべて</option>
+            {Object.entries(AUDIT_COLLECTIONS).map(([k, label]) => (<option key={k} value={k}>{label}</option>))}
+          </select>
+        </div>
+        <div className="space-y-2 text-[11px]">
+          {shown.map(e => <AuditEntry key={e.seq} entry={e} />)}
+          {shown.length === 0 && <div className="text-neutral-500">記録はありません</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
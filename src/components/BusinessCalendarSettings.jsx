@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { ja } from "date-fns/locale";
+import { X } from "lucide-react";
+import { WEEKDAYS, Severity } from "../lib/constants";
+import { JAPANESE_HOLIDAYS } from "../lib/holidays";
+import { SHIFT_RULES, SHIFT_RULE_LABELS, SLA_UNITS, SLA_UNIT_LABELS, isHolidayDataCovered } from "../lib/businessCalendar";
+import { slaDaysOf } from "../lib/corrective";
+import { classNames } from "../lib/utils";
+
+/**
+ * 営業日カレンダーの設定（営業曜日・会社の休業日・計画日の移動ルール・是正期限）
+ * - 祝日は同梱データを表示のみ。業者の稼働曜日・休業日はマスタ管理で設定する
+ */
+export default function BusinessCalendarSettings({ calendar, onChange }) {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [closure, setClosure] = useState("");
+  const set = (patch) => onChange({ ...calendar, ...patch });
+  const toggle = (list, v) => list.includes(v) ? list.filter(x => x !== v) : [...list, v];
+  const holidays = Object.entries(JAPANESE_HOLIDAYS).filter(([d]) => d.startsWith(`${year}-`));
+  const addClosure = () => {
+    if (!closure || calendar.closures.includes(closure)) return;
+    set({ closures: [...calendar.closures, closure].sort() });
+    setClosure("");
+  };
+
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3 text-xs">
+      <div className="text-sm">営業日カレンダー</div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <div className="text-neutral-400">営業曜日</div>
+            <div className="flex gap-1">
+              {WEEKDAYS.map(w => (<button key={w} onClick={() => set({ workdays: toggle(calendar.workdays, w) })} className={classNames("rounded-lg px-2 py-0.5 border", calendar.workdays.includes(w) ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-500")}>{w}</button>))}
+            </div>
+          </div>
+          <label className="block space-y-1">
+            <div className="text-neutral-400">休みに当たる計画日</div>
+            <select value={calendar.shiftRule} onChange={e => set({ shiftRule: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+              {Object.values(SHIFT_RULES).map(r => (<option key={r} value={r}>{SHIFT_RULE_LABELS[r]}</option>))}
+            </select>
+            <div className="text-[11px] text-neutral-500">年間計画・計画プレビューで、祝日・休業日・営業曜日以外に当たる日を移します（作成済みの予定は動かしません）。</div>
+          </label>
+          <div className="space-y-1">
+            <div className="flex items-center gap-2 text-neutral-400">是正期限
+              <select value={calendar.slaUnit} onChange={e => set({ slaUnit: e.target.value })} className="bg-neutral-800 rounded-lg p-1 text-neutral-100">
+                {Object.values(SLA_UNITS).map(u => (<option key={u} value={u}>{SLA_UNIT_LABELS[u]}で数える</option>))}
+              </select>
+            </div>
+            <div className="flex gap-3">
+              {Object.values(Severity).map(s => (
+                <label key={s} className="flex items-center gap-1">{s}
+                  <input type="number" min={1} value={slaDaysOf(s, calendar)} onChange={e => set({ slaDays: { ...calendar.slaDays, [s]: Math.max(1, Number(e.target.value) || 1) } })} className="w-14 bg-neutral-800 rounded-lg p-1" />日
+                </label>
+              ))}
+            </div>
+            <div className="text-[11px] text-neutral-500">点検の提出時に起票する是正タスクの期日に使います。</div>
+          </div>
+          <div className="space-y-1">
+            <div className="text-neutral-400">会社の休業日</div>
+            <div className="flex items-center gap-1">
+              <input type="date" value={closure} onChange={e => setClosure(e.target.value)} className="bg-neutral-800 rounded-lg p-1" />
+              <button onClick={addClosure} disabled={!closure} className="rounded-lg px-2 py-1 border border-neutral-700 hover:border-neutral-500 disabled:opacity-40">追加</button>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {calendar.closures.length === 0 && <span className="text-neutral-500">なし</span>}
+              {calendar.closures.map(d => (
+                <span key={d} className="flex items-center gap-1 rounded-lg border border-neutral-700 px-1.5 py-0.5">{d}<button onClick={() => set({ closures: calendar.closures.filter(x => x !== d) })} className="text-neutral-500 hover:text-red-400"><X size={10}/></button></span>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="space-y-1">
+          <div className="flex items-center gap-2 text-neutral-400">
+            <button onClick={() => setYear(y => y - 1)} className="px-1 hover:text-neutral-200">←</button>{year}年の祝日<button onClick={() => setYear(y => y + 1)} className="px-1 hover:text-neutral-200">→</button>
+          </div>
+          {!isHolidayDataCovered(new Date(year, 0, 1)) && <div className="text-yellow-400">この年の祝日データは同梱されていません（祝日なしとして扱います）</div>}
+          <div className="grid grid-cols-2 gap-x-3">
+            {holidays.map(([d, name]) => (<div key={d} className="flex justify-between gap-2"><span className="text-neutral-400">{format(new Date(`${d}T00:00`), "M/d（E）", { locale: ja })}</span><span>{name}</span></div>))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { CalendarDays, Upload, Check, X, AlertTriangle, RotateCcw } from "lucide-react";
+import { ICS_SCOPES, PROPOSAL_LABELS } from "../lib/ics";
+import { classNames, kindLabel, isCancelled } from "../lib/utils";
+
+/**
+ * カレンダー連携
+ * - 物件・業者・担当者ごとの .ics 出力（Outlook / Google カレンダーに取り込める）
+ * - 業者から戻った .ics を日程変更の提案として取込み、計画担当が承認・却下
+ */
+export default function CalendarSync({ events, proposals, properties, vendors, users, onExport, onImport, onDecide, onRestore }) {
+  const [scope, setScope] = useState("property");
+  const [targetId, setTargetId] = useState("");
+  const [includeCompleted, setIncludeCompleted] = useState(false);
+  const [vendorId, setVendorId] = useState("");
+  const [result, setResult] = useState(null);
+  const options = { property: properties, vendor: vendors, assignee: users }[scope] ?? [];
+  const propertyName = (id) => properties.find(p => p.id === id)?.name ?? id;
+  const eventOf = (id) => events.find(e => e.id === id);
+  const pending = proposals.filter(p => p.status === "pending");
+  const decided = proposals.filter(p => p.status !== "pending").sort((a, b) => new Date(b.decidedAt) - new Date(a.decidedAt)).slice(0, 20);
+  const cancelled = events.filter(isCancelled);
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setResult(await onImport(await file.text(), { vendorId, source: file.name }));
+  };
+
+  const proposalRow = (p, actions) => {
+    const e = eventOf(p.eventId);
+    const late = e && p.proposedDate > new Date(e.dueDate);
+    return (
+      <tr key={p.id} className="align-top">
+        <td className="px-2 py-1">{e ? `${propertyName(e.propertyId)} ${kindLabel(e)}` : p.eventId}</td>
+        <td className="px-2 py-1 whitespace-nowrap">{format(p.previousDate, "yyyy-MM-dd")} → <span className={classNames(late && "text-red-400")}>{format(p.proposedDate, "yyyy-MM-dd")}</span></td>
+        <td className="px-2 py-1 whitespace-nowrap">{e ? format(new Date(e.dueDate), "yyyy-MM-dd") : "-"}</td>
+        <td className="px-2 py-1">{vendors.find(v => v.id === p.vendorId)?.name ?? "-"}</td>
+        <td className="px-2 py-1">
+          {p.note}
+          {late && <div className="text-red-400 flex items-center gap-1"><AlertTriangle size={10}/>法定期限を過ぎます</div>}
+          {p.stale && <div className="text-yellow-400 flex items-center gap-1"><AlertTriangle size={10}/>出力後に予定が変更されています（SEQUENCE が古い）</div>}
+        </td>
+        <td className="px-2 py-1 whitespace-nowrap">{actions}</td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center gap-2 text-sm"><CalendarDays size={16}/>ICS 出力</div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <select value={scope} onChange={e => { setScope(e.target.value); setTargetId(""); }} className="bg-neutral-800 rounded-lg p-1">
+            {Object.entries(ICS_SCOPES).map(([k, s]) => (<option key={k} value={k}>{s.label}</option>))}
+          </select>
+          {scope !== "all" && (
+            <select value={targetId} onChange={e => setTargetId(e.target.value)} className="bg-neutral-800 rounded-lg p-1">
+              <option value="">選択してください</option>
+              {options.map(o => (<option key={o.id} value={o.id}>{o.name}</option>))}
+            </select>
+          )}
+          <label className="flex items-center gap-1"><input type="checkbox" checked={includeCompleted} onChange={e => setIncludeCompleted(e.target.checked)} />完了済みも含める</label>
+          <button disabled={scope !== "all" && !targetId} onClick={() => onExport({ scope, targetId, includeCompleted })} className="rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">.ics をダウンロード</button>
+        </div>
+        <div className="text-[11px] text-neutral-500">同じ予定は常に同じ UID で出力されます。日付・担当・業者の変更や中止は SEQUENCE を増やして出力するため、再取込みでカレンダー側の予定が更新・削除されます。</div>
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center gap-2 text-sm"><Upload size={16}/>業者からの日程提案を取込む</div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <select value={vendorId} onChange={e => setVendorId(e.target.value)} className="bg-neutral-800 rounded-lg p-1">
+            <option value="">提案元: 予定の業者</option>
+            {vendors.map(v => (<option key={v.id} value={v.id}>{v.name}</option>))}
+          </select>
+          <input type="file" accept=".ics,text/calendar" onChange={e => { importFile(e.target.files[0]); e.target.value = ""; }} className="text-[11px]" />
+        </div>
+        {result && (
+          <div className="text-[11px] space-y-1">
+            <div className="text-neutral-300">提案 {result.proposals.length}件を取込みました{result.skipped.length > 0 && `（取込まなかった予定 ${result.skipped.length}件）`}</div>
+            {result.skipped.map((s, i) => (<div key={i} className="text-neutral-500">{s.uid || "(UID なし)"}: {s.reason}</div>))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="text-sm">日程変更の提案（未対応 {pending.length}件）</div>
+        <table className="w-full text-[11px]">
+          <thead className="text-neutral-400">
+            <tr>{["予定", "日付", "法定期限", "提案元", "メモ", ""].map(h => (<th key={h} className="text-left font-normal px-2 py-1 border-b border-neutral-800">{h}</th>))}</tr>
+          </thead>
+          <tbody>
+            {pending.map(p => proposalRow(p, (
+              <span className="flex gap-1">
+                <button onClick={() => onDecide(p, "accepted")} className="flex items-center gap-1 rounded-lg px-2 py-0.5 bg-emerald-600 hover:bg-emerald-500"><Check size={12}/>承認</button>
+                <button onClick={() => onDecide(p, "rejected")} className="flex items-center gap-1 rounded-lg px-2 py-0.5 border border-neutral-700 hover:border-neutral-500"><X size={12}/>却下</button>
+              </span>
+            )))}
+            {pending.length === 0 && (<tr><td colSpan={6} className="px-2 py-4 text-center text-neutral-500">未対応の提案はありません</td></tr>)}
+            {decided.map(p => proposalRow(p, (<span className={p.status === "accepted" ? "text-emerald-400" : "text-neutral-500"}>{PROPOSAL_LABELS[p.status]} {format(p.decidedAt, "M/d HH:mm")}</span>)))}
+          </tbody>
+        </table>
+      </div>
+
+      {cancelled.length > 0 && (
+        <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+          <div className="text-sm">中止した予定（ICS では CANCELLED として出力）</div>
+          {cancelled.map(e => (
+            <div key={e.id} className="flex items-center justify-between text-[11px]">
+              <span>{format(new Date(e.date), "yyyy-MM-dd")} {propertyName(e.propertyId)} {kindLabel(e)}<span className="text-neutral-500 ml-1">SEQUENCE {e.sequence ?? 0}</span></span>
+              <button onClick={() => onRestore(e)} className="flex items-center gap-1 text-neutral-400 hover:text-neutral-200"><RotateCcw size={12}/>予定に戻す</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
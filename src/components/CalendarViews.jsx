@@ -0,0 +1,232 @@
+import { useMemo, useState } from "react";
+import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, addDays, addMonths, isSameDay, isSameMonth, isToday, differenceInCalendarDays, startOfYear } from "date-fns";
+import { ja } from "date-fns/locale";
+import { AlertTriangle, X } from "lucide-react";
+import { classNames, dueColor, kindLabel } from "../lib/utils";
+import { isReschedulable } from "../lib/reschedule";
+import { holidayName, isBusinessDay } from "../lib/businessCalendar";
+
+/**
+ * カレンダー表示（月・週・一覧・年間マトリクス・ガント）
+ * - 予定はドラッグして別の日へ移動できる（ドロップ後に理由を入力する）
+ * - 月表示は1日3件まで表示し、残りは「+N件」のポップオーバーにまとめる
+ * - 祝日・会社の休業日など営業日でない日は日付を赤で示し、祝日名を添える
+ * - unfiled（予定ID → 届出様式）の予定は、完了済みで行政へ未届出であることを示す
+ */
+
+const MONTH_CELL_LIMIT = 3;
+const GANTT_MONTHS = 3;
+const DRAG_TYPE = "text/x-inspection-event";
+
+const daysBetween = (start, end) => { const out = []; for (let d = start; d <= end; d = addDays(d, 1)) out.push(d); return out; };
+const eventsOn = (events, d) => events.filter(e => isSameDay(new Date(e.date), d));
+
+function DayLabel({ day, calendar, pattern }) {
+  const holiday = holidayName(day);
+  const closed = !isBusinessDay(day, calendar);
+  return (
+    <div className={classNames("text-xs mb-2 flex items-center gap-1", isToday(day) ? "text-blue-400 font-semibold" : closed ? "text-red-400" : "text-neutral-400")}>
+      {format(day, pattern, { locale: ja })}{holiday && <span className="text-[10px] truncate">{holiday}</span>}
+    </div>
+  );
+}
+
+function UnfiledBadge({ form }) {
+  return <span title={`${form.title}が未提出です`} className="shrink-0 rounded-full border border-yellow-600 text-yellow-400 px-1 text-[10px] leading-4">未届出</span>;
+}
+
+function EventChip({ event, properties, users, calendar, conflicts, unfiled, onOpen, detailed }) {
+  const draggable = isReschedulable(event);
+  return (
+    <button draggable={draggable} onDragStart={e => { e.dataTransfer.setData(DRAG_TYPE, event.id); e.dataTransfer.effectAllowed = "move"; }}
+      onClick={() => onOpen(event)} className={classNames("w-full text-left text-[11px] rounded-xl px-2 py-1 border", dueColor(event.dueDate, calendar), draggable && "cursor-grab active:cursor-grabbing")}>
+      <div className="flex items-center justify-between gap-1">
+        <span className="truncate">{conflicts && <span title={conflicts.join("\n")}><AlertTriangle size={10} className="inline mr-1 text-yellow-400"/></span>}{kindLabel(event)} <span className="opacity-60">({properties.find(p => p.id === event.propertyId)?.name})</span></span>
+        {unfiled ? <UnfiledBadge form={unfiled} /> : <span className="opacity-70 shrink-0">{users.find(u => u.id === event.assigneeId)?.name?.slice(0, 6)}</span>}
+      </div>
+      {detailed && <div className="opacity-60">期限 {format(new Date(event.dueDate), "M/d")}{event.originalDate && ` / 当初 ${format(new Date(event.originalDate), "M/d")}`}</div>}
+    </button>
+  );
+}
+
+/** ドロップ先の日付セル */
+function DayDrop({ day, onDrop, className, children }) {
+  const [over, setOver] = useState(false);
+  return (
+    <div className={classNames(className, over && "ring-1 ring-blue-500")}
+      onDragOver={e => { if (e.dataTransfer.types.includes(DRAG_TYPE)) { e.preventDefault(); setOver(true); } }}
+      onDragLeave={() => setOver(false)}
+      onDrop={e => { e.preventDefault(); setOver(false); const id = e.dataTransfer.getData(DRAG_TYPE); if (id) onDrop(id, day); }}>
+      {children}
+    </div>
+  );
+}
+
+export function MonthView({ cursor, events, properties, users, calendar, conflictsByEvent, unfiled, onOpen, onDrop }) {
+  const [moreDay, setMoreDay] = useState(null);
+  const days = useMemo(() => daysBetween(startOfWeek(startOfMonth(cursor), { weekStartsOn: 0 }), endOfWeek(endOfMonth(cursor), { weekStartsOn: 0 })), [cursor]);
+  const chip = (e) => (<EventChip key={e.id} event={e} properties={properties} users={users} calendar={calendar} conflicts={conflictsByEvent.get(e.id)} unfiled={unfiled.get(e.id)} onOpen={onOpen} />);
+  return (
+    <div className="grid grid-cols-7 gap-2">
+      {["日","月","火","水","木","金","土"].map(d => (<div key={d} className="text-center text-xs text-neutral-400 py-1">{d}</div>))}
+      {days.map(d => {
+        const list = eventsOn(events, d);
+        const hidden = list.length - MONTH_CELL_LIMIT;
+        const open = moreDay && isSameDay(moreDay, d);
+        return (
+          <DayDrop key={d.getTime()} day={d} onDrop={onDrop} className={classNames("relative min-h-[110px] rounded-2xl border p-2 bg-neutral-900 border-neutral-800 flex flex-col", !isSameMonth(d, cursor) && "opacity-40")}>
+            <DayLabel day={d} calendar={calendar} pattern="d" />
+            <div className="space-y-2">
+              {list.slice(0, hidden > 0 ? MONTH_CELL_LIMIT - 1 : MONTH_CELL_LIMIT).map(chip)}
+              {hidden > 0 && <button onClick={() => setMoreDay(open ? null : d)} className="w-full text-left text-[11px] text-neutral-400 hover:text-neutral-200 px-2">+{hidden + 1}件</button>}
+            </div>
+            {open && (
+              <div className="absolute z-20 top-0 left-0 w-64 bg-neutral-900 border border-neutral-700 rounded-2xl p-2 shadow-xl space-y-2">
+                <div className="flex items-center justify-between text-xs text-neutral-300">{format(d, "M月d日（E）", { locale: ja })} {list.length}件<button onClick={() => setMoreDay(null)} className="text-neutral-400 hover:text-neutral-200"><X size={14}/></button></div>
+                <div className="space-y-1 max-h-72 overflow-auto custom-scroll">{list.map(chip)}</div>
+              </div>
+            )}
+          </DayDrop>
+        );
+      })}
+    </div>
+  );
+}
+
+export function WeekView({ cursor, events, properties, users, calendar, conflictsByEvent, unfiled, onOpen, onDrop }) {
+  const days = daysBetween(startOfWeek(cursor, { weekStartsOn: 0 }), endOfWeek(cursor, { weekStartsOn: 0 }));
+  return (
+    <div className="grid grid-cols-7 gap-2">
+      {days.map(d => (
+        <DayDrop key={d.getTime()} day={d} onDrop={onDrop} className="min-h-[60vh] rounded-2xl border p-2 bg-neutral-900 border-neutral-800">
+          <DayLabel day={d} calendar={calendar} pattern="M/d（E）" />
+          <div className="space-y-2">
+            {eventsOn(events, d).map(e => (<EventChip key={e.id} event={e} properties={properties} users={users} calendar={calendar} conflicts={conflictsByEvent.get(e.id)} unfiled={unfiled.get(e.id)} onOpen={onOpen} detailed />))}
+          </div>
+        </DayDrop>
+      ))}
+    </div>
+  );
+}
+
+export function AgendaView({ cursor, events, properties, users, vendors, calendar, unfiled, onOpen }) {
+  const from = startOfMonth(cursor); const to = endOfMonth(cursor);
+  const list = events.filter(e => new Date(e.date) >= from && new Date(e.date) <= to).sort((a, b) => new Date(a.date) - new Date(b.date));
+  const byDay = list.reduce((m, e) => { const k = format(new Date(e.date), "yyyy-MM-dd"); (m[k] = m[k] || []).push(e); return m; }, {});
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
+      {Object.keys(byDay).length === 0 && <div className="text-xs text-neutral-500 text-center py-6">この月の予定はありません</div>}
+      {Object.entries(byDay).map(([day, items]) => (
+        <div key={day}>
+          <DayLabel day={new Date(`${day}T00:00`)} calendar={calendar} pattern="M月d日（E）" />
+          <table className="w-full text-xs">
+            <tbody>
+              {items.map(e => (
+                <tr key={e.id} onClick={() => onOpen(e)} className="cursor-pointer hover:bg-neutral-800/40">
+                  <td className="px-2 py-1 w-1/3">{kindLabel(e)}</td>
+                  <td className="px-2 py-1">{properties.find(p => p.id === e.propertyId)?.name}</td>
+                  <td className="px-2 py-1">{users.find(u => u.id === e.assigneeId)?.name ?? "-"}</td>
+                  <td className="px-2 py-1">{vendors.find(v => v.id === e.vendorId)?.name ?? "-"}</td>
+                  <td className="px-2 py-1"><span className={classNames("px-2 py-0.5 rounded-full border", dueColor(e.dueDate, calendar))}>期限 {format(new Date(e.dueDate), "M/d")}</span></td>
+                  <td className="px-2 py-1 text-neutral-500"><span className="flex items-center gap-1">{e.status}{e.originalDate && `（当初 ${format(new Date(e.originalDate), "M/d")}）`}{unfiled.has(e.id) && <UnfiledBadge form={unfiled.get(e.id)} />}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const statusColor = (e, calendar, unfiled) => unfiled ? "bg-yellow-600/20 text-yellow-300 border-yellow-600"
+  : e.status === "完了" ? "bg-emerald-600/30 text-emerald-300 border-emerald-700" : `${dueColor(e.dueDate, calendar)} bg-neutral-800`;
+
+/** 物件×種別の行、月の列で1年分を並べる */
+export function YearMatrix({ cursor, events, properties, kinds, calendar, unfiled, onOpen }) {
+  const year = startOfYear(cursor);
+  const months = Array.from({ length: 12 }, (_, i) => addMonths(year, i));
+  const rows = properties.flatMap(p => kinds.filter(k => p.inspectionKinds?.includes(k)).map(kind => ({ property: p, kind })));
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl overflow-auto custom-scroll">
+      <table className="w-full text-[11px]">
+        <thead className="text-neutral-400">
+          <tr>
+            <th className="text-left font-normal px-2 py-1 border-b border-neutral-800">物件</th>
+            <th className="text-left font-normal px-2 py-1 border-b border-neutral-800">種別</th>
+            {months.map(m => (<th key={m.getMonth()} className="font-normal px-1 py-1 border-b border-neutral-800">{m.getMonth() + 1}月</th>))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ property, kind }, i) => (
+            <tr key={`${property.id}-${kind}`} className={classNames(i > 0 && rows[i - 1].property.id !== property.id && "border-t border-neutral-700")}>
+              <td className="px-2 py-1 whitespace-nowrap">{i === 0 || rows[i - 1].property.id !== property.id ? property.name : ""}</td>
+              <td className="px-2 py-1 whitespace-nowrap text-neutral-400">{kind}</td>
+              {months.map(m => {
+                const list = events.filter(e => e.propertyId === property.id && e.kind === kind && isSameMonth(new Date(e.date), m));
+                return (
+                  <td key={m.getMonth()} className="px-1 py-1 border-l border-neutral-800/60 align-top">
+                    <div className="flex flex-col gap-0.5">
+                      {list.map(e => (<button key={e.id} onClick={() => onOpen(e)} title={`${format(new Date(e.date), "M/d")} ${kindLabel(e)} ${e.status}${unfiled.has(e.id) ? "（未届出）" : ""}`} className={classNames("rounded-md border px-1 truncate", statusColor(e, calendar, unfiled.has(e.id)))}>{format(new Date(e.date), "d")}日{e.subKind && ` ${e.subKind}`}</button>))}
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          {rows.length === 0 && (<tr><td colSpan={14} className="px-2 py-6 text-center text-neutral-500">表示する物件・種別がありません</td></tr>)}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/** 予定日から法定期限までを帯で表示（期限を過ぎた予定は超過分を赤で表示） */
+export function GanttView({ cursor, events, properties, onOpen, onDrop }) {
+  const from = startOfMonth(cursor);
+  const to = endOfMonth(addMonths(from, GANTT_MONTHS - 1));
+  const days = daysBetween(from, to);
+  const pct = (d) => Math.min(100, Math.max(0, differenceInCalendarDays(d, from) / days.length * 100));
+  const list = events.filter(e => new Date(e.date) <= to && new Date(e.dueDate) >= from)
+    .sort((a, b) => a.propertyId.localeCompare(b.propertyId) || a.kind.localeCompare(b.kind) || new Date(a.date) - new Date(b.date));
+  const dropAt = (ev, e) => {
+    ev.preventDefault();
+    const id = ev.dataTransfer.getData(DRAG_TYPE);
+    const rect = ev.currentTarget.getBoundingClientRect();
+    const day = days[Math.min(days.length - 1, Math.max(0, Math.floor((ev.clientX - rect.left) / rect.width * days.length)))];
+    if (id === e.id) onDrop(id, day);
+  };
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 overflow-auto custom-scroll">
+      <div className="flex text-[10px] text-neutral-400">
+        <div className="w-56 shrink-0"></div>
+        <div className="relative flex-1 h-4">
+          {days.filter(d => d.getDate() === 1 || d.getDay() === 0).map(d => (<span key={d.getTime()} className="absolute" style={{ left: `${pct(d)}%` }}>{d.getDate() === 1 ? format(d, "M月") : d.getDate()}</span>))}
+        </div>
+      </div>
+      {list.map(e => {
+        const start = new Date(e.date); const due = new Date(e.dueDate);
+        const late = start > due;
+        const left = pct(late ? due : start); const right = pct(addDays(late ? start : due, 1));
+        return (
+          <div key={e.id} className="flex items-center text-[11px] border-t border-neutral-800/60">
+            <button onClick={() => onOpen(e)} className="w-56 shrink-0 text-left truncate pr-2 py-1 hover:underline">{properties.find(p => p.id === e.propertyId)?.name} {kindLabel(e)}</button>
+            <div className="relative flex-1 h-6" onDragOver={ev => { if (ev.dataTransfer.types.includes(DRAG_TYPE)) ev.preventDefault(); }} onDrop={ev => dropAt(ev, e)}>
+              {new Date() >= from && new Date() <= to && <div className="absolute top-0 bottom-0 w-px bg-blue-500/60" style={{ left: `${pct(new Date())}%` }}></div>}
+              <div className={classNames("absolute top-1.5 h-3 rounded", late ? "bg-red-600/50" : e.status === "完了" ? "bg-emerald-600/50" : "bg-blue-600/40")} style={{ left: `${left}%`, width: `${Math.max(right - left, 0.5)}%` }} title={`予定 ${format(start, "M/d")} / 期限 ${format(due, "M/d")}`}></div>
+              <div draggable={isReschedulable(e)} onDragStart={ev => { ev.dataTransfer.setData(DRAG_TYPE, e.id); ev.dataTransfer.effectAllowed = "move"; }}
+                className={classNames("absolute top-1 h-4 w-2 -ml-1 rounded-sm border", late ? "bg-red-500 border-red-300" : "bg-blue-400 border-blue-200", isReschedulable(e) && "cursor-grab")} style={{ left: `${pct(start)}%` }} title="ドラッグで予定日を変更"></div>
+              <div className="absolute top-0 bottom-0 w-0.5 bg-red-600" style={{ left: `${pct(due)}%` }} title={`法定期限 ${format(due, "M/d")}`}></div>
+            </div>
+          </div>
+        );
+      })}
+      {list.length === 0 && <div className="text-xs text-neutral-500 text-center py-6">この期間の予定はありません</div>}
+      <div className="flex gap-4 mt-2 text-[10px] text-neutral-400">
+        <span className="flex items-center gap-1"><span className="w-3 h-2 rounded bg-blue-600/40"></span>予定日〜法定期限</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-2 rounded bg-red-600/50"></span>期限超過分</span>
+        <span className="flex items-center gap-1"><span className="w-0.5 h-3 bg-red-600"></span>法定期限</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { Camera } from "lucide-react";
+import { ITEM_TYPES, RESULTS, RESULT_LABELS, isOutOfRange, rangeLabel } from "../lib/checklistTemplates";
+import { classNames } from "../lib/utils";
+import PhotoInput from "./PhotoInput";
+import PhotoGallery from "./PhotoGallery";
+
+/**
+ * テンプレート駆動のチェックリスト入力
+ * - answers[item.id] に種別ごとの値（result: "pass"|"fail"|"na" / number / text / photo: 写真の記録[]）
+ * - photos（現場写真）のうち項目に紐付けた写真は、その項目の下に小さく表示する
+ * - readOnly 時は提出済み報告書の表示
+ * - 現場のスマートフォン入力を前提に、狭い画面ではボタン・入力欄を大きくする
+ */
+export default function ChecklistForm({ template, answers, photos, onChange, onUploadItemPhotos, readOnly }) {
+  const set = (id, v) => onChange({ ...answers, [id]: v });
+  return (
+    <div className="space-y-3">
+      <div className="text-[11px] text-neutral-500">テンプレート: {template.id} 第{template.version}版</div>
+      {template.sections.map(section => (
+        <div key={section.title} className="space-y-2">
+          <div className="text-xs text-neutral-400 border-b border-neutral-800 pb-1">{section.title}</div>
+          {section.items.map(item => (
+            <div key={item.id} className="space-y-1">
+              <ChecklistItem item={item} value={answers?.[item.id]} readOnly={readOnly}
+                onChange={v => set(item.id, v)} onUploadPhotos={files => onUploadItemPhotos(item.id, files)} />
+              <PhotoGallery photos={photos} only={p => p.itemId === item.id} alt={item.label} compact />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ChecklistItem({ item, value, onChange, onUploadPhotos, readOnly }) {
+  switch (item.type) {
+    case ITEM_TYPES.RESULT:
+      return (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-1 sm:gap-2 text-sm">
+          <span>{item.label}</span>
+          {typeof value === "boolean" ? (
+            <span className="text-xs text-neutral-400">{value ? "OK" : "不適合"}</span>
+          ) : (
+            <div className="flex gap-1 shrink-0">
+              {Object.values(RESULTS).map(r => (
+                <button key={r} type="button" disabled={readOnly} onClick={() => onChange(r)}
+                  className={classNames("flex-1 sm:flex-none text-sm lg:text-xs rounded-lg px-3 py-2 lg:px-2 lg:py-0.5 border", value === r ? (r === RESULTS.FAIL ? "border-red-500 text-red-400" : "border-blue-500 text-blue-400") : "border-neutral-700 text-neutral-400")}>{RESULT_LABELS[r]}</button>
+              ))}
+            </div>
+          )}
+        </div>
+      );
+    case ITEM_TYPES.NUMBER: {
+      const out = isOutOfRange(item, value);
+      return (
+        <div className="text-sm">
+          <div className="flex items-center justify-between gap-2">
+            <span>{item.label}</span>
+            <div className="flex items-center gap-1 shrink-0">
+              <input type="number" step="any" inputMode="decimal" disabled={readOnly} value={value ?? ""} onChange={e => onChange(e.target.value === "" ? "" : Number(e.target.value))}
+                className={classNames("w-24 lg:w-20 bg-neutral-800 rounded-lg text-sm lg:text-xs p-2 lg:p-1 text-right border", out ? "border-red-500 text-red-400" : "border-transparent")} />
+              <span className="text-xs text-neutral-400 w-10">{item.unit}</span>
+            </div>
+          </div>
+          <div className={classNames("text-[11px]", out ? "text-red-400" : "text-neutral-500")}>基準 {rangeLabel(item)}{out && "（基準外）"}</div>
+        </div>
+      );
+    }
+    case ITEM_TYPES.TEXT:
+      return (
+        <div className="text-sm space-y-1">
+          <div>{item.label}</div>
+          <textarea disabled={readOnly} value={value ?? ""} onChange={e => onChange(e.target.value)} rows={2} className="w-full bg-neutral-800 rounded-lg text-sm lg:text-xs p-2" />
+        </div>
+      );
+    case ITEM_TYPES.PHOTO:
+      return (
+        <div className="text-sm space-y-1">
+          <div className="flex items-center gap-2"><Camera size={14}/>{item.label}<span className="text-[11px] text-red-400">写真必須</span></div>
+          {!readOnly && <PhotoInput onFiles={onUploadPhotos} />}
+          <PhotoGallery photos={value} onChange={readOnly ? null : onChange} alt={item.label} />
+        </div>
+      );
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { X, Camera, ArrowRight, CheckCircle2, History } from "lucide-react";
+import { CORRECTIVE_FLOW, CORRECTIVE_LABELS, CORRECTIVE_STATES, nextStates, transitionErrors } from "../lib/corrective";
+import { classNames } from "../lib/utils";
+import PhotoGallery from "./PhotoGallery";
+
+/**
+ * 是正タスク詳細
+ * - 状態遷移（ログイン中のユーザーを操作者として、日時・メモと共に履歴に記録）
+ * - 業者見積、是正前／是正後の写真（クローズ時に必須。注記・削除もここで行う）
+ * - canEdit / canMove で役割ごとに操作を制限（業者は検証・クローズ不可）
+ * - onShowHistory があれば監査ログの変更履歴を開ける
+ */
+export default function CorrectiveDetail({ task, parent, users, vendors, currentUser, canEdit, canMove, onTransition, onUpdate, onUploadPhotos, onClose, onOpenParent, onShowHistory }) {
+  const by = currentUser?.id ?? "";
+  const [note, setNote] = useState("");
+  const [attempted, setAttempted] = useState(null);
+  const closed = task.correctiveStatus === CORRECTIVE_STATES.CLOSED;
+  const locked = closed || !canEdit;
+  const moves = nextStates(task).filter(to => canMove(to));
+  const userName = (id) => users.find(u => u.id === id)?.name ?? id ?? "-";
+  const errors = attempted ? transitionErrors(task, attempted, by) : [];
+
+  const move = (to) => {
+    setAttempted(to);
+    if (transitionErrors(task, to, by).length) return;
+    onTransition(to, { by, note });
+    setNote(""); setAttempted(null);
+  };
+
+  const stepIndex = CORRECTIVE_FLOW.indexOf(task.correctiveStatus);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm text-neutral-300">是正タスク</div>
+        <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200"><X size={18}/></button>
+      </div>
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-4">
+        <div>
+          <div className="text-lg font-semibold">{task.finding?.note || "(事象未記入)"}</div>
+          <div className="text-xs text-neutral-400">{task.kind} / 重要度 {task.finding?.severity} / 是正期限 {format(new Date(task.dueDate), "yyyy-MM-dd")}</div>
+          <div className="flex items-center gap-3">
+            {parent && <button onClick={onOpenParent} className="text-[11px] text-blue-400 hover:underline">元の点検: {parent.id}</button>}
+            {onShowHistory && <button onClick={onShowHistory} className="flex items-center gap-1 text-[11px] text-neutral-500 hover:text-neutral-200"><History size={12}/>変更履歴</button>}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-1 flex-wrap">
+          {CORRECTIVE_FLOW.map((s, i) => (
+            <div key={s} className="flex items-center gap-1">
+              <span className={classNames("text-[11px] rounded-full px-2 py-0.5 border", i < stepIndex ? "border-emerald-700 text-emerald-500" : i === stepIndex ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-500")}>{CORRECTIVE_LABELS[s]}</span>
+              {i < CORRECTIVE_FLOW.length - 1 && <ArrowRight size={10} className="text-neutral-600"/>}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-sm">業者見積</div>
+          <div className="grid grid-cols-2 gap-2">
+            <select disabled={locked} value={task.quote?.vendorId ?? task.vendorId ?? ""} onChange={e => onUpdate({ quote: { ...task.quote, vendorId: e.target.value } })} className="bg-neutral-800 rounded-lg text-xs p-1">
+              <option value="">業者を選択</option>
+              {vendors.map(v => (<option key={v.id} value={v.id}>{v.name}</option>))}
+            </select>
+            <input disabled={locked} type="number" min={0} placeholder="見積金額（円）" value={task.quote?.amount ?? ""} onChange={e => onUpdate({ quote: { ...task.quote, amount: e.target.value === "" ? null : Number(e.target.value) } })} className="bg-neutral-800 rounded-lg text-xs p-1" />
+          </div>
+          <input disabled={locked} placeholder="見積メモ（工事内容・予定日など）" value={task.quote?.note ?? ""} onChange={e => onUpdate({ quote: { ...task.quote, note: e.target.value } })} className="w-full bg-neutral-800 rounded-lg text-xs p-1" />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {[["before", "是正前"], ["after", "是正後"]].map(([phase, label]) => (
+            <div key={phase} className="space-y-1">
+              <div className="flex items-center gap-1 text-sm"><Camera size={14}/>{label}<span className="text-[11px] text-red-400">必須</span></div>
+              {!locked && <input type="file" accept="image/*" capture="environment" multiple onChange={e => onUploadPhotos(phase, e.target.files)} className="text-[11px] w-full" />}
+              <PhotoGallery photos={task.photos?.[phase]} onChange={locked ? null : list => onUpdate({ photos: { ...task.photos, [phase]: list } })} alt={label} />
+            </div>
+          ))}
+        </div>
+
+        {!closed && moves.length === 0 && <div className="text-[11px] text-neutral-500">この状態から進める権限がありません</div>}
+        {!closed && moves.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm">状態を進める</div>
+            <div className="text-xs text-neutral-400">操作者: {currentUser?.name}</div>
+            <input value={note} onChange={e => setNote(e.target.value)} placeholder="メモ（任意）" className="w-full bg-neutral-800 rounded-lg text-xs p-1" />
+            <div className="flex flex-wrap gap-2">
+              {moves.map(to => {
+                const back = CORRECTIVE_FLOW.indexOf(to) < stepIndex;
+                return (
+                  <button key={to} onClick={() => move(to)} className={classNames("text-xs rounded-xl px-3 py-1.5", back ? "border border-neutral-700 hover:border-neutral-500" : "bg-blue-600 hover:bg-blue-500")}>
+                    {back ? `差戻し: ${CORRECTIVE_LABELS[to]}` : `${CORRECTIVE_LABELS[to]}へ`}
+                  </button>
+                );
+              })}
+            </div>
+            {errors.length > 0 && <div className="text-xs text-red-400">{errors.join(" / ")}</div>}
+          </div>
+        )}
+        {closed && <div className="flex items-center gap-2 text-sm text-emerald-400"><CheckCircle2 size={16}/>{format(new Date(task.closedAt), "yyyy-MM-dd HH:mm")} {userName(task.closedBy)} がクローズ</div>}
+
+        <div className="space-y-1">
+          <div className="text-sm">履歴</div>
+          {[...(task.history || [])].reverse().map((h, i) => (
+            <div key={i} className="text-[11px] text-neutral-400 border-l border-neutral-700 pl-2">
+              <div>{format(new Date(h.at), "yyyy-MM-dd HH:mm")} {userName(h.by)}</div>
+              <div className="text-neutral-300">{h.from ? `${CORRECTIVE_LABELS[h.from]} → ` : ""}{CORRECTIVE_LABELS[h.to]}{h.note && `（${h.note}）`}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
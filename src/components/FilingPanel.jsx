@@ -0,0 +1,205 @@
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { Landmark, FileDown, Plus, Trash2, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { FILING_FORMS, FILING_LABELS, FILING_STATES, filingStatus, formOf, formsOfProperty, nextFilingStates, filingTransitionErrors, isFilingSource } from "../lib/filings";
+import { classNames, kindLabel } from "../lib/utils";
+
+const STATUS_COLORS = {
+  draft: "border-neutral-600 text-neutral-300",
+  filed: "border-blue-500 text-blue-400",
+  accepted: "border-emerald-600 text-emerald-400",
+  returned: "border-red-600 text-red-400",
+};
+const ACTION_LABELS = { filed: "提出済みにする", accepted: "受理", returned: "差戻し" };
+
+const ymd = (d) => d ? format(new Date(d), "yyyy-MM-dd") : "-";
+
+function StatusBadge({ status }) {
+  return <span className={classNames("text-[11px] rounded-full px-2 py-0.5 border whitespace-nowrap", STATUS_COLORS[status])}>{FILING_LABELS[status]}</span>;
+}
+
+/**
+ * 行政への届出
+ * - 物件×様式ごとに前回の提出・未届出の点検・届出期限を一覧し、未届出の点検から届出を作る
+ * - 届出では含める点検の選択・期限の手入力・様式の PDF 出力・提出／受理／差戻しの記録を行う
+ */
+export default function FilingPanel({ properties, events, filings, users, overrides, currentUser, onCreate, onUpdate, onTransition, onDelete, onPrint, onOpenEvent }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const rows = useMemo(() => properties.flatMap(property => formsOfProperty(property).map(form => filingStatus({ form, property, events, filings, overrides }))), [properties, events, filings, overrides]);
+  const propertyIds = new Set(properties.map(p => p.id));
+  const past = filings.filter(f => propertyIds.has(f.propertyId)).sort((a, b) => new Date(b.filedAt ?? b.history?.[0]?.at ?? 0) - new Date(a.filedAt ?? a.history?.[0]?.at ?? 0));
+  const selected = filings.find(f => f.id === selectedId);
+  const unfiledCount = rows.reduce((n, r) => n + r.unfiled.length, 0);
+  const overdueCount = rows.filter(r => r.overdue).length;
+
+  const create = (row) => setSelectedId(onCreate(row.form, row.property, row.unfiled));
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-2 text-sm"><Landmark size={16}/>行政への届出</div>
+          <div className="flex gap-3 text-[11px]">
+            <span className={unfiledCount ? "text-yellow-400" : "text-neutral-500"}>未届出の点検 {unfiledCount}件</span>
+            <span className={overdueCount ? "text-red-400" : "text-neutral-500"}>届出期限超過 {overdueCount}件</span>
+          </div>
+        </div>
+        <div className="overflow-auto custom-scroll">
+          <table className="w-full text-xs">
+            <thead className="text-neutral-400">
+              <tr>{["物件", "様式", "届出先", "周期", "前回の提出", "未届出", "届出期限", "状態", ""].map(h => (<th key={h} className="text-left font-normal px-2 py-1 border-b border-neutral-800 whitespace-nowrap">{h}</th>))}</tr>
+            </thead>
+            <tbody>
+              {rows.map(r => {
+                const open = r.current ?? null;
+                return (
+                  <tr key={`${r.property.id}-${r.form.id}`} className="hover:bg-neutral-800/40">
+                    <td className="px-2 py-1 whitespace-nowrap">{r.property.name}</td>
+                    <td className="px-2 py-1">{r.form.title}</td>
+                    <td className="px-2 py-1 text-neutral-400">{r.property[r.form.authority.field] || r.form.authority.label}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">{r.periodMonths % 12 === 0 ? `${r.periodMonths / 12}年` : `${r.periodMonths}か月`}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">{r.lastFiled ? <button onClick={() => setSelectedId(r.lastFiled.id)} className="hover:underline">{ymd(r.lastFiled.filedAt)}</button> : "-"}</td>
+                    <td className={classNames("px-2 py-1", r.unfiled.length && "text-yellow-400")}>{r.unfiled.length}件</td>
+                    <td className={classNames("px-2 py-1 whitespace-nowrap", r.overdue && "text-red-400")}>{r.dueDate ? ymd(r.dueDate) : "-"}{r.overdue && <AlertTriangle size={11} className="inline ml-1"/>}</td>
+                    <td className="px-2 py-1">{open ? <StatusBadge status={open.status} /> : r.lastFiled ? <StatusBadge status={r.lastFiled.status} /> : "-"}</td>
+                    <td className="px-2 py-1 text-right whitespace-nowrap">
+                      {open ? <button onClick={() => setSelectedId(open.id)} className="text-blue-400 hover:underline">開く</button>
+                        : r.unfiled.length > 0 && <button onClick={() => create(r)} className="flex items-center gap-1 ml-auto text-blue-400 hover:underline"><Plus size={12}/>届出を作成</button>}
+                    </td>
+                  </tr>
+                );
+              })}
+              {rows.length === 0 && (<tr><td colSpan={9} className="px-2 py-6 text-center text-neutral-500">届出の対象となる点検種別（{[...new Set(Object.values(FILING_FORMS).map(f => f.kind))].join("・")}）が設定された物件がありません</td></tr>)}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-[11px] text-neutral-500">届出期限は前回の提出から周期の月末まで（初回は最初の未届出の点検から）。消防設備は用途により 特定防火対象物 1年・その他 3年で、「点検結果報告」の予定があればその期限です。</div>
+      </div>
+
+      {selected && (
+        <FilingDetail key={selected.id} filing={selected} property={properties.find(p => p.id === selected.propertyId)} events={events} filings={filings} users={users} currentUser={currentUser}
+          onUpdate={patch => onUpdate(selected, patch)} onTransition={(to, opts) => onTransition(selected, to, opts)} onDelete={() => { onDelete(selected); setSelectedId(null); }}
+          onPrint={() => onPrint(selected)} onOpenEvent={onOpenEvent} onClose={() => setSelectedId(null)} />
+      )}
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="text-sm">届出の記録</div>
+        {past.length === 0 && <div className="text-[11px] text-neutral-500">まだ届出はありません</div>}
+        {past.map(f => (
+          <button key={f.id} onClick={() => setSelectedId(f.id)} className={classNames("w-full grid grid-cols-[1fr_auto_auto] items-center gap-2 text-left text-xs rounded-xl border px-2 py-1", f.id === selectedId ? "border-blue-500" : "border-neutral-800 hover:border-neutral-600")}>
+            <span className="truncate">{properties.find(p => p.id === f.propertyId)?.name ?? f.propertyId} / {formOf(f)?.title ?? f.formId}</span>
+            <span className="text-neutral-400">{f.filedAt ? `提出 ${ymd(f.filedAt)}` : "未提出"}{f.receiptNo && ` / 受付 ${f.receiptNo}`}</span>
+            <StatusBadge status={f.status} />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function FilingDetail({ filing, property, events, filings, users, currentUser, onUpdate, onTransition, onDelete, onPrint, onOpenEvent, onClose }) {
+  const form = formOf(filing);
+  const by = currentUser?.id ?? "";
+  const [note, setNote] = useState("");
+  const [filedAt, setFiledAt] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [receiptNo, setReceiptNo] = useState(filing.receiptNo ?? "");
+  const [attempted, setAttempted] = useState(null);
+  const editable = filing.status === FILING_STATES.DRAFT || filing.status === FILING_STATES.RETURNED;
+  const userName = (id) => users.find(u => u.id === id)?.name ?? id ?? "-";
+  const options = { by, note, filedAt: filedAt && new Date(`${filedAt}T00:00`), receiptNo };
+  const errors = attempted ? filingTransitionErrors(filing, attempted, options) : [];
+
+  // 含められる点検: この届出の点検と、ほかの提出済・受理の届出に入っていない完了済みの点検
+  const taken = new Set(filings.filter(f => f.id !== filing.id && [FILING_STATES.FILED, FILING_STATES.ACCEPTED].includes(f.status)).flatMap(f => f.eventIds || []));
+  const candidates = events
+    .filter(e => filing.eventIds?.includes(e.id) || (editable && e.propertyId === filing.propertyId && isFilingSource(form, e) && e.status === "完了" && e.reportId && !taken.has(e.id)))
+    .sort((a, b) => new Date(a.completedAt ?? a.date) - new Date(b.completedAt ?? b.date));
+  const toggle = (e) => {
+    const ids = filing.eventIds?.includes(e.id) ? filing.eventIds.filter(id => id !== e.id) : [...(filing.eventIds || []), e.id];
+    const included = candidates.filter(c => ids.includes(c.id));
+    onUpdate({ eventIds: included.map(c => c.id), reportIds: included.map(c => c.reportId) });
+  };
+
+  const move = (to) => {
+    setAttempted(to);
+    if (filingTransitionErrors(filing, to, options).length) return;
+    onTransition(to, options);
+    setNote(""); setAttempted(null);
+  };
+
+  return (
+    <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-4">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">{form.title}</div>
+          <div className="text-xs text-neutral-400">{property?.name ?? filing.propertyId} / 届出先 {property?.[form.authority.field] || form.authority.label} / 根拠 {form.basis}</div>
+          <div className="text-[11px] text-neutral-500">{filing.id}</div>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <StatusBadge status={filing.status} />
+          <button onClick={onClose} className="text-xs text-neutral-400 hover:text-neutral-200">閉じる</button>
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <div className="text-sm">届出に含める{form.terms.check}</div>
+        {candidates.length === 0 && <div className="text-[11px] text-neutral-500">含められる完了済みの{form.terms.check}がありません</div>}
+        {candidates.map(e => (
+          <label key={e.id} className="flex items-center gap-2 text-xs">
+            <input type="checkbox" disabled={!editable} checked={!!filing.eventIds?.includes(e.id)} onChange={() => toggle(e)} />
+            <span className="flex-1">{kindLabel(e)} 完了 {ymd(e.completedAt ?? e.date)}</span>
+            <button onClick={() => onOpenEvent(e)} className="text-[11px] text-blue-400 hover:underline">{e.reportId}</button>
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-xs">
+        <label className="space-y-1">
+          <div className="text-neutral-400">届出期限（空欄は自動）</div>
+          <input type="date" disabled={!editable} value={filing.dueDate ? format(new Date(filing.dueDate), "yyyy-MM-dd") : ""} onChange={e => onUpdate({ dueDate: e.target.value ? new Date(`${e.target.value}T00:00`) : null })} className="w-full bg-neutral-800 rounded-lg p-1" />
+        </label>
+        <label className="space-y-1">
+          <div className="text-neutral-400">メモ</div>
+          <input disabled={filing.status === FILING_STATES.ACCEPTED} value={filing.note ?? ""} onChange={e => onUpdate({ note: e.target.value })} placeholder="提出方法・担当窓口など" className="w-full bg-neutral-800 rounded-lg p-1" />
+        </label>
+      </div>
+
+      <button onClick={onPrint} disabled={!filing.eventIds?.length} className="w-full flex items-center justify-center gap-2 border border-neutral-700 hover:border-neutral-500 transition rounded-xl py-2 text-sm disabled:opacity-50"><FileDown size={16}/> 様式を出力（PDF）</button>
+      {(!property?.ownerName || !property?.[form.authority.field]) && <div className="text-[11px] text-yellow-400">物件マスタに所有者・届出先が未登録です（様式では空欄になります）</div>}
+
+      {nextFilingStates(filing).length > 0 && (
+        <div className="space-y-2">
+          <div className="text-sm">状態を進める</div>
+          <div className="text-xs text-neutral-400">操作者: {currentUser?.name}</div>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            {nextFilingStates(filing).includes(FILING_STATES.FILED) && (
+              <label className="space-y-1"><div className="text-neutral-400">提出日</div><input type="date" value={filedAt} onChange={e => setFiledAt(e.target.value)} className="w-full bg-neutral-800 rounded-lg p-1" /></label>
+            )}
+            {nextFilingStates(filing).includes(FILING_STATES.ACCEPTED) && (
+              <label className="space-y-1"><div className="text-neutral-400">受付番号（任意）</div><input value={receiptNo} onChange={e => setReceiptNo(e.target.value)} className="w-full bg-neutral-800 rounded-lg p-1" /></label>
+            )}
+          </div>
+          <input value={note} onChange={e => setNote(e.target.value)} placeholder={nextFilingStates(filing).includes(FILING_STATES.RETURNED) ? "メモ（差戻しは理由が必須）" : "メモ（任意）"} className="w-full bg-neutral-800 rounded-lg text-xs p-1" />
+          <div className="flex flex-wrap gap-2">
+            {nextFilingStates(filing).map(to => (
+              <button key={to} onClick={() => move(to)} className={classNames("text-xs rounded-xl px-3 py-1.5", to === FILING_STATES.RETURNED ? "border border-neutral-700 hover:border-neutral-500" : "bg-blue-600 hover:bg-blue-500")}>{ACTION_LABELS[to]}</button>
+            ))}
+            {filing.status === FILING_STATES.DRAFT && <button onClick={onDelete} className="flex items-center gap-1 text-xs rounded-xl px-3 py-1.5 text-neutral-400 hover:text-red-400"><Trash2 size={12}/>削除</button>}
+          </div>
+          {errors.length > 0 && <div className="text-xs text-red-400">{errors.join(" / ")}</div>}
+        </div>
+      )}
+      {filing.status === FILING_STATES.ACCEPTED && <div className="flex items-center gap-2 text-sm text-emerald-400"><CheckCircle2 size={16}/>{ymd(filing.acceptedAt)} 受理{filing.receiptNo && `（受付番号 ${filing.receiptNo}）`}</div>}
+
+      <div className="space-y-1">
+        <div className="text-sm">履歴</div>
+        {[...(filing.history || [])].reverse().map((h, i) => (
+          <div key={i} className="text-[11px] text-neutral-400 border-l border-neutral-700 pl-2">
+            <div>{format(new Date(h.at), "yyyy-MM-dd HH:mm")} {userName(h.by)}</div>
+            <div className="text-neutral-300">{h.from ? `${FILING_LABELS[h.from]} → ` : ""}{FILING_LABELS[h.to]}{h.note && `（${h.note}）`}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { Search, Filter, Bookmark, Link2, Trash2, Users } from "lucide-react";
+import { STATUS_FILTERS, SEVERITY_FILTERS, DEFAULT_FILTERS, ME, activeFilterCount } from "../lib/search";
+import { classNames } from "../lib/utils";
+
+const chip = (on) => classNames("text-xs rounded-xl px-2 py-1 border", on ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400 hover:text-neutral-200");
+const toggle = (list, v) => list.includes(v) ? list.filter(x => x !== v) : [...list, v];
+
+/**
+ * サイドバーの絞り込み（物件・種別以外）と保存ビュー
+ * - 条件は即時に反映（URL にも載る）
+ * - 保存ビューは自分のものと、共有されたものを表示。削除は作成者のみ
+ */
+export default function FilterPanel({ filters, onChange, users, vendors, views, viewerId, onSaveView, onDeleteView, onCopyLink }) {
+  const [name, setName] = useState("");
+  const [shared, setShared] = useState(false);
+  const set = (patch) => onChange({ ...filters, ...patch });
+  const count = activeFilterCount(filters);
+  const visibleViews = views.filter(v => v.ownerId === viewerId || v.shared).sort((a, b) => a.name.localeCompare(b.name, "ja"));
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSaveView(name.trim(), shared);
+    setName(""); setShared(false);
+  };
+
+  return (
+    <div className="bg-neutral-900 rounded-2xl p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-xs text-neutral-400"><Filter size={14}/> 絞り込み{count > 0 && <span className="rounded-full bg-blue-600 text-white text-[10px] px-1.5">{count}</span>}</div>
+        <span className="flex items-center gap-3 text-[11px] text-neutral-400">
+          <button onClick={onCopyLink} title="この条件のリンクをコピー" className="flex items-center gap-1 hover:text-neutral-200"><Link2 size={12}/>リンク</button>
+          {count > 0 && <button onClick={() => onChange({ ...DEFAULT_FILTERS, propertyId: filters.propertyId, kinds: filters.kinds })} className="hover:text-neutral-200">クリア</button>}
+        </span>
+      </div>
+      <label className="flex items-center gap-2 bg-neutral-800 rounded-xl px-2">
+        <Search size={14} className="text-neutral-500"/>
+        <input type="search" value={filters.q} onChange={e => set({ q: e.target.value })} placeholder="不適合・回答・物件名・住所を検索" className="w-full bg-transparent py-2 text-sm focus:outline-none" />
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        <select value={filters.assigneeId} onChange={e => set({ assigneeId: e.target.value })} className="bg-neutral-800 rounded-xl p-2 text-xs focus:outline-none">
+          <option value="">担当者: すべて</option>
+          <option value={ME}>自分</option>
+          {users.filter(u => u.id !== viewerId).map(u => (<option key={u.id} value={u.id}>{u.name}</option>))}
+        </select>
+        <select value={filters.vendorId} onChange={e => set({ vendorId: e.target.value })} className="bg-neutral-800 rounded-xl p-2 text-xs focus:outline-none">
+          <option value="">業者: すべて</option>
+          {vendors.map(v => (<option key={v.id} value={v.id}>{v.name}</option>))}
+        </select>
+      </div>
+      <div className="space-y-1">
+        <div className="text-[11px] text-neutral-500">状態</div>
+        <div className="flex flex-wrap gap-1">
+          {STATUS_FILTERS.map(s => (<button key={s} onClick={() => set({ statuses: toggle(filters.statuses, s) })} className={chip(filters.statuses.includes(s))}>{s}</button>))}
+          <button onClick={() => set({ overdue: !filters.overdue })} className={classNames(chip(filters.overdue), filters.overdue && "border-red-600 text-red-400")}>期限超過</button>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <div className="text-[11px] text-neutral-500">不適合の重要度</div>
+        <div className="flex flex-wrap gap-1">
+          {SEVERITY_FILTERS.map(s => (<button key={s} onClick={() => set({ severities: toggle(filters.severities, s) })} className={chip(filters.severities.includes(s))}>{s}</button>))}
+        </div>
+      </div>
+      <div className="space-y-1">
+        <div className="text-[11px] text-neutral-500">点検日</div>
+        <div className="flex items-center gap-1 text-xs">
+          <input type="date" value={filters.from} max={filters.to || undefined} onChange={e => set({ from: e.target.value })} className="min-w-0 flex-1 bg-neutral-800 rounded-xl p-1.5 focus:outline-none" />
+          <span className="text-neutral-500">〜</span>
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={e => set({ to: e.target.value })} className="min-w-0 flex-1 bg-neutral-800 rounded-xl p-1.5 focus:outline-none" />
+        </div>
+      </div>
+
+      <div className="border-t border-neutral-800 pt-3 space-y-2">
+        <div className="flex items-center gap-2 text-xs text-neutral-400"><Bookmark size={14}/> 保存ビュー</div>
+        {visibleViews.length === 0 && <div className="text-[11px] text-neutral-500">保存したビューはありません</div>}
+        <div className="space-y-1">
+          {visibleViews.map(v => (
+            <div key={v.id} className="flex items-center justify-between gap-2 text-xs">
+              <button onClick={() => onChange({ ...DEFAULT_FILTERS, ...v.filters })} className="flex items-center gap-1 min-w-0 text-left text-neutral-300 hover:text-blue-400">
+                {v.shared && <Users size={12} className="shrink-0 text-neutral-500"/>}<span className="truncate">{v.name}</span>
+              </button>
+              {v.ownerId === viewerId && <button onClick={() => onDeleteView(v)} title="削除" className="text-neutral-500 hover:text-red-400"><Trash2 size={12}/></button>}
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          <input value={name} onChange={e => setName(e.target.value)} onKeyDown={e => { if (e.key === "Enter") save(); }} placeholder="例: 自分の期限超過の消防設備" className="min-w-0 flex-1 bg-neutral-800 rounded-xl p-1.5 text-xs focus:outline-none" />
+          <button onClick={save} disabled={!name.trim()} className="text-xs rounded-xl px-2 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">保存</button>
+        </div>
+        <label className="flex items-center gap-1 text-[11px] text-neutral-400"><input type="checkbox" checked={shared} onChange={e => setShared(e.target.checked)} />他のユーザーにも表示する</label>
+      </div>
+    </div>
+  );
+}
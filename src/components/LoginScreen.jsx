@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { CalendarDays, Loader2 } from "lucide-react";
+import { passwordErrors, PASSWORD_MIN_LENGTH } from "../lib/auth";
+
+const input = "w-full bg-neutral-800 rounded-xl p-2 text-sm focus:outline-none";
+
+/**
+ * ログイン画面
+ * - ユーザーID またはメールアドレスとパスワードでログイン
+ * - 初期パスワード（ユーザーID。API を使うときは管理者から受け取ったセットアップコード）のままなら、続けて新しいパスワードを設定させる
+ */
+export default function LoginScreen({ onLogin, onSetPassword, setupCode = false }) {
+  const [loginId, setLoginId] = useState("");
+  const [password, setPassword] = useState("");
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const result = await onLogin(loginId, password);
+    setBusy(false);
+    setError(result.error ?? "");
+    if (result.mustChange) setPending(result.user);
+  };
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-neutral-900 border border-neutral-800 rounded-2xl p-5 space-y-4">
+        <div className="flex items-center gap-2 text-neutral-300"><CalendarDays size={18}/><span className="text-sm">法定点検管理・登録システム</span></div>
+        {pending ? (
+          <PasswordForm user={pending} onSubmit={(pw) => onSetPassword(pending, pw, password)} onCancel={() => { setPending(null); setPassword(""); }}
+            note="初期パスワードのため、新しいパスワードを設定してください。" />
+        ) : (
+          <form onSubmit={submit} className="space-y-3">
+            <label className="block space-y-1"><span className="text-xs text-neutral-400">ユーザーID またはメールアドレス</span>
+              <input autoFocus autoComplete="username" value={loginId} onChange={e => setLoginId(e.target.value)} className={input} /></label>
+            <label className="block space-y-1"><span className="text-xs text-neutral-400">パスワード</span>
+              <input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} className={input} /></label>
+            {error && <div className="text-xs text-red-400">{error}</div>}
+            <button disabled={busy || !loginId || !password} className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-500 rounded-xl py-2 text-sm disabled:opacity-50">{busy && <Loader2 size={16} className="animate-spin"/>}ログイン</button>
+            <div className="text-[11px] text-neutral-500">{setupCode
+              ? "初めてログインするとき・パスワードを初期化されたときは、管理者から受け取ったセットアップコードをパスワードに入力してください。"
+              : "初めてログインするときのパスワードはユーザーID です。"}</div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** 新しいパスワードの設定（初回ログイン・ログイン中の変更で共用。verifyCurrent があれば現在のパスワードを確認し、onSubmit にも渡す） */
+export function PasswordForm({ user, onSubmit, onCancel, note, verifyCurrent }) {
+  const [current, setCurrent] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const errs = passwordErrors(user, password, confirm);
+    setErrors(errs);
+    if (errs.length) return;
+    setBusy(true);
+    try {
+      if (verifyCurrent && !(await verifyCurrent(current))) { setErrors(["現在のパスワードが違います"]); return; }
+      await onSubmit(password, current);
+    } finally { setBusy(false); }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <div className="text-sm">{user.name}（{user.id}）</div>
+      {note && <div className="text-xs text-neutral-400">{note}</div>}
+      <input type="text" autoComplete="username" value={user.id} readOnly hidden />
+      {verifyCurrent && (
+        <label className="block space-y-1"><span className="text-xs text-neutral-400">現在のパスワード</span>
+          <input type="password" autoComplete="current-password" value={current} onChange={e => setCurrent(e.target.value)} className={input} /></label>
+      )}
+      <label className="block space-y-1"><span className="text-xs text-neutral-400">新しいパスワード（{PASSWORD_MIN_LENGTH}文字以上）</span>
+        <input autoFocus={!verifyCurrent} type="password" autoComplete="new-password" value={password} onChange={e => setPassword(e.target.value)} className={input} /></label>
+      <label className="block space-y-1"><span className="text-xs text-neutral-400">新しいパスワード（確認）</span>
+        <input type="password" autoComplete="new-password" value={confirm} onChange={e => setConfirm(e.target.value)} className={input} /></label>
+      {errors.map(e => (<div key={e} className="text-xs text-red-400">{e}</div>))}
+      <div className="flex gap-2">
+        <button disabled={busy} className="flex-1 flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-500 rounded-xl py-2 text-sm disabled:opacity-50">{busy && <Loader2 size={16} className="animate-spin"/>}設定する</button>
+        <button type="button" onClick={onCancel} className="rounded-xl px-3 py-2 text-sm border border-neutral-800">キャンセル</button>
+      </div>
+    </form>
+  );
+}
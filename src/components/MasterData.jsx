@@ -0,0 +1,168 @@
+import { createElement, useMemo, useRef, useState } from "react";
+import { format } from "date-fns";
+import { Download, Upload, Pencil, Trash2, Plus, X } from "lucide-react";
+import { MASTER_SCHEMAS, validateRecord, nextId, toFormValues, exportCSV, importCSV } from "../lib/masterData";
+import { classNames, downloadBlob } from "../lib/utils";
+
+/**
+ * マスタ管理（物件・業者・ユーザー）
+ * - 一覧・検索・追加・編集・削除
+ * - CSV 一括取込（行ごとのエラー表示）／CSV 出力
+ * - rowActions[tab] で行ごとの追加操作（ユーザーのパスワード初期化など）
+ */
+export default function MasterData({ collections, referencedIds, rowActions = {}, notify }) {
+  const [tab, setTab] = useState("properties");
+  const schema = MASTER_SCHEMAS[tab];
+  const [items, setItems] = collections[tab];
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // { id|null, values, errors }
+  const [importErrors, setImportErrors] = useState([]);
+  const fileRef = useRef(null);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const sorted = [...items].sort((a, b) => a.id.localeCompare(b.id));
+    if (!q) return sorted;
+    return sorted.filter(r => Object.values(toFormValues(schema, r)).some(v => v.toLowerCase().includes(q)));
+  }, [items, query, schema]);
+
+  const switchTab = (t) => { setTab(t); setEditing(null); setImportErrors([]); setQuery(""); };
+
+  const save = () => {
+    const { value, errors } = validateRecord(schema, editing.values);
+    if (errors.length) { setEditing(e => ({ ...e, errors })); return; }
+    const id = editing.id ?? nextId(schema, items);
+    setItems(prev => editing.id ? prev.map(r => r.id === id ? { ...r, ...value, id } : r) : [...prev, { ...value, id }]);
+    notify(`${schema.label}「${value.name}」を${editing.id ? "更新" : "登録"}しました`, "success");
+    setEditing(null);
+  };
+
+  const remove = (record) => {
+    if (referencedIds[tab]?.has(record.id)) return;
+    if (!window.confirm(`${schema.label}「${record.name}」を削除しますか？`)) return;
+    setItems(prev => prev.filter(r => r.id !== record.id));
+  };
+
+  const onExport = () => {
+    downloadBlob(new Blob([exportCSV(schema, items)], { type: "text/csv" }), `${tab}_${format(new Date(), "yyyyMMdd")}.csv`);
+  };
+
+  const onImport = async (file) => {
+    if (!file) return;
+    const result = importCSV(schema, await file.text(), items);
+    setImportErrors(result.errors);
+    if (result.errors.length) {
+      notify(`${schema.label}CSVに${result.errors.length}行のエラーがあるため取り込みを中止しました`, "error");
+    } else {
+      setItems(result.records);
+      notify(`${schema.label}CSVを取り込みました（新規 ${result.created} / 更新 ${result.updated}）`, "success");
+    }
+    fileRef.current.value = "";
+  };
+
+  const editableFields = schema.fields.filter(f => f.type !== "id");
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex gap-2">
+          {Object.entries(MASTER_SCHEMAS).map(([key, s]) => (
+            <button key={key} onClick={() => switchTab(key)} className={classNames("text-sm rounded-xl px-3 py-1.5 border", tab === key ? "border-blue-500 text-blue-400" : "border-neutral-800 text-neutral-400 hover:text-neutral-200")}>{s.label}</button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <input value={query} onChange={e => setQuery(e.target.value)} placeholder="検索" className="bg-neutral-900 border border-neutral-800 rounded-xl px-3 py-1.5 text-sm focus:outline-none" />
+          <button onClick={() => setEditing({ id: null, values: toFormValues(schema, null), errors: [] })} className="flex items-center gap-1 text-sm rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500"><Plus size={14}/> 追加</button>
+          <button onClick={() => fileRef.current.click()} className="flex items-center gap-1 text-sm rounded-xl px-3 py-1.5 border border-neutral-800 hover:border-neutral-600"><Upload size={14}/> CSV取込</button>
+          <button onClick={onExport} className="flex items-center gap-1 text-sm rounded-xl px-3 py-1.5 border border-neutral-800 hover:border-neutral-600"><Download size={14}/> CSV出力</button>
+          <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={e => onImport(e.target.files[0])} />
+        </div>
+      </div>
+
+      <div className="text-[11px] text-neutral-500">CSV列: {schema.fields.map(f => f.key).join(", ")}（複数値は「|」区切り。id 空欄は新規採番、既存 id は上書き）</div>
+
+      {importErrors.length > 0 && (
+        <div className="bg-neutral-900 border border-red-800/60 rounded-2xl p-3 text-xs space-y-1">
+          <div className="flex items-center justify-between text-red-400"><span>取込エラー（{importErrors.length}行）</span><button onClick={() => setImportErrors([])}><X size={14}/></button></div>
+          <div className="max-h-40 overflow-auto custom-scroll space-y-1">
+            {importErrors.map(e => (<div key={e.line} className="text-neutral-300">{e.line}行目: {e.messages.join(" / ")}</div>))}
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
+          <div className="text-sm">{schema.label}の{editing.id ? `編集（${editing.id}）` : "追加"}</div>
+          <div className="grid grid-cols-2 gap-3">
+            {editableFields.map(f => (
+              <FieldInput key={f.key} field={f} value={editing.values[f.key]} onChange={v => setEditing(e => ({ ...e, values: { ...e.values, [f.key]: v } }))} />
+            ))}
+          </div>
+          {editing.errors.length > 0 && (<div className="text-xs text-red-400">{editing.errors.join(" / ")}</div>)}
+          <div className="flex gap-2">
+            <button onClick={save} className="text-sm rounded-xl px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500">保存</button>
+            <button onClick={() => setEditing(null)} className="text-sm rounded-xl px-3 py-1.5 border border-neutral-800">キャンセル</button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl overflow-auto custom-scroll">
+        <table className="w-full text-xs">
+          <thead className="text-neutral-400">
+            <tr>{schema.fields.map(f => (<th key={f.key} className="text-left font-normal px-3 py-2 border-b border-neutral-800">{f.label}</th>))}<th className="border-b border-neutral-800"></th></tr>
+          </thead>
+          <tbody>
+            {visible.map(r => {
+              const values = toFormValues(schema, r);
+              const inUse = referencedIds[tab]?.has(r.id);
+              return (
+                <tr key={r.id} className="hover:bg-neutral-800/40">
+                  {schema.fields.map(f => (<td key={f.key} className="px-3 py-2 border-b border-neutral-800/60">{f.type === "list" ? values[f.key].split("|").filter(Boolean).join("・") : f.labels?.[values[f.key]] ?? values[f.key]}</td>))}
+                  <td className="px-3 py-2 border-b border-neutral-800/60 whitespace-nowrap text-right">
+                    {(rowActions[tab] ?? []).map(({ title, icon, onClick }) => (<button key={title} onClick={() => onClick(r)} title={title} className="text-neutral-400 hover:text-neutral-200 mr-2">{createElement(icon, { size: 14 })}</button>))}
+                    <button onClick={() => setEditing({ id: r.id, values, errors: [] })} className="text-neutral-400 hover:text-neutral-200 mr-2"><Pencil size={14}/></button>
+                    <button onClick={() => remove(r)} disabled={inUse} title={inUse ? "予定で使用中のため削除できません" : "削除"} className="text-neutral-400 hover:text-red-400 disabled:opacity-30 disabled:hover:text-neutral-400"><Trash2 size={14}/></button>
+                  </td>
+                </tr>
+              );
+            })}
+            {visible.length === 0 && (<tr><td colSpan={schema.fields.length + 1} className="px-3 py-6 text-center text-neutral-500">データがありません</td></tr>)}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function FieldInput({ field, value, onChange }) {
+  const base = "w-full bg-neutral-800 rounded-lg text-xs p-2 focus:outline-none";
+  const label = <div className="text-[11px] text-neutral-400 mb-1">{field.label}{field.required && <span className="text-red-400"> *</span>}</div>;
+  if (field.type === "list" && !field.options) {
+    return (<label className="col-span-2">{label}<input value={value} placeholder={field.placeholder} onChange={e => onChange(e.target.value)} className={base} /></label>);
+  }
+  if (field.type === "list") {
+    const selected = value ? value.split("|") : [];
+    const toggle = (o) => onChange((selected.includes(o) ? selected.filter(x => x !== o) : [...selected, o]).join("|"));
+    return (
+      <div className="col-span-2">{label}
+        <div className="flex flex-wrap gap-2">
+          {field.options.map(o => (
+            <button key={o} type="button" onClick={() => toggle(o)} className={classNames("text-xs rounded-xl px-2 py-1 border", selected.includes(o) ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400")}>{o}</button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  if (field.type === "enum") {
+    return (
+      <label>{label}
+        <select value={value} onChange={e => onChange(e.target.value)} className={base}>
+          <option value="">選択してください</option>
+          {field.options.map(o => (<option key={o} value={o}>{field.labels?.[o] ?? o}</option>))}
+        </select>
+      </label>
+    );
+  }
+  const inputType = { int: "number", decimal: "number", date: "date", email: "email", tel: "tel" }[field.type] ?? "text";
+  return (<label>{label}<input type={inputType} step={field.type === "decimal" ? "any" : undefined} value={value} placeholder={field.placeholder} onChange={e => onChange(e.target.value)} className={base} /></label>);
+}
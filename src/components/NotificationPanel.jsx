@@ -0,0 +1,49 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { Bell, BellOff, Check } from "lucide-react";
+import { SNOOZE_OPTIONS } from "../lib/notificationRules";
+import { classNames } from "../lib/utils";
+
+/**
+ * サイドバーの通知一覧
+ * - ログイン中のユーザー宛て（アプリ内チャネル）と宛先なしのシステム通知を表示
+ * - 未読/既読、スヌーズ（期間中は同じ予定の新規通知も抑止）
+ */
+export default function NotificationPanel({ notifications, viewerId, onRead, onSnooze, onOpenEvent }) {
+  const [snoozing, setSnoozing] = useState(null);
+  const now = new Date();
+  const visible = notifications.filter(n => !n.userId || (n.userId === viewerId && (n.channels ?? ["inApp"]).includes("inApp")));
+  const snoozed = visible.filter(n => n.snoozedUntil && new Date(n.snoozedUntil) > now);
+  const shown = visible.filter(n => !snoozed.includes(n));
+  const unread = shown.filter(n => !n.read);
+
+  return (
+    <div className="bg-neutral-900 rounded-2xl p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-xs text-neutral-400"><Bell size={14}/> 通知{unread.length > 0 && <span className="rounded-full bg-red-600 text-white text-[10px] px-1.5">{unread.length}</span>}</div>
+        {unread.length > 0 && <button onClick={() => onRead(unread)} className="text-[11px] text-neutral-400 hover:text-neutral-200">すべて既読</button>}
+      </div>
+      <div className="space-y-2 max-h-56 overflow-auto pr-1 custom-scroll">
+        {shown.length === 0 && <div className="text-xs text-neutral-500">通知はありません</div>}
+        {shown.map(n => (
+          <div key={n.id} className={classNames("text-xs rounded-xl px-3 py-2 border", n.level === 'error' ? 'border-red-600/60 text-red-400' : n.level === 'warning' ? 'border-yellow-600/60 text-yellow-400' : n.level === 'success' ? 'border-emerald-600/60 text-emerald-400' : 'border-neutral-700 text-neutral-300', n.read && "opacity-60")}>
+            <div className={classNames(!n.read && "font-medium", n.eventId && "cursor-pointer hover:underline")} onClick={() => { if (n.eventId) onOpenEvent(n.eventId); if (!n.read) onRead([n]); }}>{n.message}</div>
+            <div className="flex items-center justify-between text-[10px] text-neutral-500">
+              <span>{format(n.at, "M/d HH:mm")}{n.deliveries?.some(d => !d.ok) && <span className="text-red-400 ml-1" title={n.deliveries.filter(d => !d.ok).map(d => `${d.channel}: ${d.error}`).join("\n")}>配信失敗あり</span>}</span>
+              <span className="flex items-center gap-2">
+                {!n.read && <button onClick={() => onRead([n])} title="既読にする" className="hover:text-neutral-200"><Check size={12}/></button>}
+                {n.eventId && <button onClick={() => setSnoozing(snoozing === n.id ? null : n.id)} title="スヌーズ" className="hover:text-neutral-200"><BellOff size={12}/></button>}
+              </span>
+            </div>
+            {snoozing === n.id && (
+              <div className="flex gap-1 mt-1">
+                {SNOOZE_OPTIONS.map(o => (<button key={o.days} onClick={() => { onSnooze(n, o.days); setSnoozing(null); }} className="text-[10px] rounded-lg border border-neutral-700 px-2 py-0.5 text-neutral-300 hover:border-neutral-500">{o.label}</button>))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {snoozed.length > 0 && <div className="text-[11px] text-neutral-500">スヌーズ中 {snoozed.length}件</div>}
+    </div>
+  );
+}
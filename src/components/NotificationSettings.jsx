@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { RotateCcw, Send } from "lucide-react";
+import { INSPECTION_KINDS } from "../lib/constants";
+import { AUDIENCES, AUDIENCE_LABELS, SCOPE_LABELS, TRIGGERS, DEFAULT_NOTIFICATION_RULES } from "../lib/notificationRules";
+import { channelList } from "../lib/notificationChannels";
+import { classNames } from "../lib/utils";
+
+/**
+ * 通知設定
+ * - 通知ルール（期限前・期限超過・エスカレーション）の有効化と日数
+ * - ユーザーごとの購読（対象範囲・物件・種別・チャネル・エスカレーション受信）
+ * - メール/Webhook の中継サーバ設定とテスト送信
+ */
+export default function NotificationSettings({ rules, setRules, subscriptions, setSubscription, users, properties, channelSettings, setChannelSettings, onTest }) {
+  const [testUserId, setTestUserId] = useState(users[0]?.id ?? "");
+  const [testResult, setTestResult] = useState(null);
+  const channels = channelList();
+  const cell = "px-2 py-1 border-b border-neutral-800/60";
+  const head = "text-left font-normal px-2 py-1 border-b border-neutral-800";
+
+  const updateRule = (id, patch) => setRules(prev => prev.map(r => r.id === id ? { ...r, ...patch } : r));
+  const resetRules = () => setRules(DEFAULT_NOTIFICATION_RULES);
+  const toggle = (list = [], v) => list.includes(v) ? list.filter(x => x !== v) : [...list, v];
+  const num = (v) => Math.max(0, Number(v) || 0);
+
+  const test = async () => {
+    setTestResult(null);
+    setTestResult(await onTest(testUserId));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="text-sm">通知ルール</div>
+          <button onClick={resetRules} title="既定値に戻す" className="text-neutral-400 hover:text-neutral-200"><RotateCcw size={14}/></button>
+        </div>
+        <table className="w-full text-xs">
+          <thead className="text-neutral-400">
+            <tr>{["有効", "ルール", "タイミング", "再通知(日毎)", "宛先", "重要度"].map(h => (<th key={h} className={head}>{h}</th>))}</tr>
+          </thead>
+          <tbody>
+            {rules.map(r => (
+              <tr key={r.id} className={classNames(!r.enabled && "opacity-40")}>
+                <td className={cell}><input type="checkbox" checked={r.enabled} onChange={e => updateRule(r.id, { enabled: e.target.checked })} /></td>
+                <td className={cell}>{r.label}</td>
+                <td className={cell}>
+                  {r.trigger === TRIGGERS.BEFORE ? "期限の" : "期限超過"}
+                  <input type="number" min={0} value={r.days} onChange={e => updateRule(r.id, { days: num(e.target.value) })} className="w-14 mx-1 bg-neutral-800 rounded-lg p-1" />
+                  {r.trigger === TRIGGERS.BEFORE ? "日前" : "日目から"}
+                </td>
+                <td className={cell}>{r.trigger === TRIGGERS.AFTER ? <input type="number" min={0} value={r.repeatDays ?? 0} onChange={e => updateRule(r.id, { repeatDays: num(e.target.value) })} className="w-14 bg-neutral-800 rounded-lg p-1" /> : <span className="text-neutral-500">-</span>}</td>
+                <td className={cell}>
+                  <select value={r.audience} onChange={e => updateRule(r.id, { audience: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+                    {Object.values(AUDIENCES).map(a => (<option key={a} value={a}>{AUDIENCE_LABELS[a]}</option>))}
+                  </select>
+                </td>
+                <td className={cell}>
+                  <select value={r.level} onChange={e => updateRule(r.id, { level: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+                    {[["info", "通常"], ["warning", "注意"], ["error", "警告"]].map(([v, l]) => (<option key={v} value={v}>{l}</option>))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-[11px] text-neutral-500">期限前ルールは、その時点の残日数に最も近いものだけを1回通知します。同じ予定・宛先への同一ルールの通知は重複して送りません。</div>
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="text-sm">購読設定（ユーザーごと）</div>
+        <table className="w-full text-xs">
+          <thead className="text-neutral-400">
+            <tr>{["受信", "ユーザー", "対象", "物件", "種別", "チャネル", "エスカレーション"].map(h => (<th key={h} className={head}>{h}</th>))}</tr>
+          </thead>
+          <tbody>
+            {users.map(u => {
+              const s = subscriptions.find(x => x.id === u.id);
+              const set = (patch) => setSubscription({ ...s, ...patch });
+              return (
+                <tr key={u.id} className={classNames("align-top", !s.enabled && "opacity-40")}>
+                  <td className={cell}><input type="checkbox" checked={s.enabled} onChange={e => set({ enabled: e.target.checked })} /></td>
+                  <td className={cell}>{u.name}<div className="text-[10px] text-neutral-500">{u.email || "メール未登録"}</div></td>
+                  <td className={cell}>
+                    <select value={s.scope} onChange={e => set({ scope: e.target.value })} className="bg-neutral-800 rounded-lg p-1">
+                      {Object.entries(SCOPE_LABELS).map(([v, l]) => (<option key={v} value={v}>{l}</option>))}
+                    </select>
+                  </td>
+                  <td className={cell}>
+                    <select multiple value={s.propertyIds} onChange={e => set({ propertyIds: [...e.target.selectedOptions].map(o => o.value) })} className="bg-neutral-800 rounded-lg p-1 h-16 w-36" title="未選択ならすべて">
+                      {properties.map(p => (<option key={p.id} value={p.id}>{p.name}</option>))}
+                    </select>
+                  </td>
+                  <td className={cell}>
+                    <div className="flex flex-wrap gap-1 w-40">
+                      {Object.keys(INSPECTION_KINDS).map(k => (<button key={k} onClick={() => set({ kinds: toggle(s.kinds, k) })} className={classNames("rounded-lg px-1.5 border", s.kinds?.includes(k) ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-500")}>{k}</button>))}
+                    </div>
+                    {!s.kinds?.length && <div className="text-[10px] text-neutral-500">すべて</div>}
+                  </td>
+                  <td className={cell}>
+                    {channels.map(c => (<label key={c.id} className="flex items-center gap-1"><input type="checkbox" checked={s.channels.includes(c.id)} onChange={() => set({ channels: toggle(s.channels, c.id) })} />{c.label}</label>))}
+                  </td>
+                  <td className={cell}><input type="checkbox" checked={!!s.escalation} onChange={e => set({ escalation: e.target.checked })} /></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div className="text-[11px] text-neutral-500">物件・種別が未選択のときはすべてが対象です。エスカレーションは期限超過ルールの宛先が「管理者」のとき、チェックしたユーザーに届きます。</div>
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="text-sm">配信チャネル</div>
+        <div className="grid grid-cols-2 gap-2 text-xs">
+          <label className="space-y-1">
+            <div className="text-neutral-400">中継サーバ URL（メール送信・Webhook 中継）</div>
+            <input value={channelSettings.relayUrl} onChange={e => setChannelSettings({ ...channelSettings, relayUrl: e.target.value })} placeholder="http://localhost:8787" className="w-full bg-neutral-800 rounded-lg p-1" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-neutral-400">中継サーバのシークレット（RELAY_SECRET）</div>
+            <input type="password" value={channelSettings.relaySecret} onChange={e => setChannelSettings({ ...channelSettings, relaySecret: e.target.value })} autoComplete="off" className="w-full bg-neutral-800 rounded-lg p-1" />
+          </label>
+        </div>
+        <div className="text-[11px] text-neutral-500">中継サーバは <code>npm run relay</code>、検証用の SMTP/HTTP スタブは <code>npm run stand-in</code> で起動します。Webhook の宛先は中継サーバの <code>RELAY_WEBHOOK_URL</code> で指定します。</div>
+        <div className="flex items-center gap-2">
+          <select value={testUserId} onChange={e => setTestUserId(e.target.value)} className="bg-neutral-800 rounded-lg text-xs p-1">
+            {users.map(u => (<option key={u.id} value={u.id}>{u.name}</option>))}
+          </select>
+          <button onClick={test} className="flex items-center gap-1 text-xs rounded-xl px-3 py-1.5 border border-neutral-700 hover:border-neutral-500"><Send size={12}/> テスト送信</button>
+          {testResult && <span className="text-xs">{testResult.map(d => (<span key={d.channel} className={classNames("mr-2", d.ok ? "text-emerald-400" : "text-red-400")}>{channels.find(c => c.id === d.channel)?.label ?? d.channel}: {d.ok ? "OK" : d.error}</span>))}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useRef, useState } from "react";
+import { format } from "date-fns";
+import { X, Undo2, MapPin, AlertTriangle } from "lucide-react";
+import { ANNOTATION_TYPES, ANNOTATION_LABELS, ANNOTATION_COLORS, arrowHead, strokeWidthOf, toPhoto } from "../lib/photos";
+import { classNames } from "../lib/utils";
+
+function Shape({ a, stroke }) {
+  if (a.type === ANNOTATION_TYPES.CIRCLE) {
+    return <ellipse cx={(a.x1 + a.x2) / 2} cy={(a.y1 + a.y2) / 2} rx={Math.abs(a.x2 - a.x1) / 2} ry={Math.abs(a.y2 - a.y1) / 2} fill="none" stroke={a.color} strokeWidth={stroke} />;
+  }
+  const [l, r] = arrowHead(a, stroke * 5);
+  return (
+    <g>
+      <line x1={a.x1} y1={a.y1} x2={a.x2} y2={a.y2} stroke={a.color} strokeWidth={stroke} strokeLinecap="round" />
+      <polygon points={`${a.x2},${a.y2} ${l.x},${l.y} ${r.x},${r.y}`} fill={a.color} />
+    </g>
+  );
+}
+
+/** 注記の SVG（画像に重ねる。fit は画像の object-fit に合わせる） */
+export function AnnotationLayer({ photo, fit = "contain" }) {
+  if (!photo.annotations?.length || !photo.width) return null;
+  const stroke = strokeWidthOf(photo.width, photo.height);
+  return (
+    <svg viewBox={`0 0 ${photo.width} ${photo.height}`} preserveAspectRatio={fit === "cover" ? "xMidYMid slice" : "xMidYMid meet"} className="absolute inset-0 w-full h-full pointer-events-none">
+      {photo.annotations.map((a, i) => <Shape key={i} a={a} stroke={stroke} />)}
+    </svg>
+  );
+}
+
+/**
+ * 写真の拡大表示と注記（矢印・円をドラッグで描く）
+ * - 座標は画像のピクセルで持つ（表示の大きさに依存しない）
+ * - onSave がなければ閲覧のみ
+ */
+export default function PhotoAnnotator({ photo, linkLabel, onSave, onClose }) {
+  const p = toPhoto(photo);
+  const svgRef = useRef(null);
+  const [size, setSize] = useState(p.width ? { width: p.width, height: p.height } : null);
+  const [annotations, setAnnotations] = useState(p.annotations ?? []);
+  const [tool, setTool] = useState(ANNOTATION_TYPES.ARROW);
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [draft, setDraft] = useState(null);
+  const stroke = size ? strokeWidthOf(size.width, size.height) : 1;
+
+  const point = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) * size.width / rect.width, y: (e.clientY - rect.top) * size.height / rect.height };
+  };
+  const down = (e) => {
+    if (!onSave || !size) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { x, y } = point(e);
+    setDraft({ type: tool, color, x1: x, y1: y, x2: x, y2: y });
+  };
+  const move = (e) => { if (draft) { const { x, y } = point(e); setDraft(d => ({ ...d, x2: x, y2: y })); } };
+  const up = () => {
+    // クリックだけ（ほぼ動かしていない）は注記にしない
+    if (draft && Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) > stroke * 3) setAnnotations(list => [...list, draft]);
+    setDraft(null);
+  };
+  const save = () => { onSave({ ...p, ...size, annotations }); onClose(); };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/80 flex items-center justify-center p-3" onClick={onClose}>
+      <div className="w-full max-w-[900px] max-h-[95vh] flex flex-col bg-neutral-900 border border-neutral-700 rounded-2xl p-3 space-y-2" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between gap-2">
+          {onSave ? (
+            <div className="flex flex-wrap items-center gap-1 text-xs">
+              {Object.values(ANNOTATION_TYPES).map(t => (<button key={t} onClick={() => setTool(t)} className={classNames("rounded-lg px-2 py-1 border", tool === t ? "border-blue-500 text-blue-400" : "border-neutral-700 text-neutral-400")}>{ANNOTATION_LABELS[t]}</button>))}
+              {ANNOTATION_COLORS.map(c => (<button key={c} onClick={() => setColor(c)} style={{ background: c }} className={classNames("w-5 h-5 rounded-full border-2", color === c ? "border-white" : "border-transparent")} aria-label={c} />))}
+              <button onClick={() => setAnnotations(list => list.slice(0, -1))} disabled={!annotations.length} className="flex items-center gap-1 rounded-lg px-2 py-1 border border-neutral-700 text-neutral-400 disabled:opacity-40"><Undo2 size={12}/>元に戻す</button>
+            </div>
+          ) : <div className="text-sm">写真</div>}
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200 p-1"><X size={16}/></button>
+        </div>
+        <div className="flex-1 min-h-0 flex justify-center overflow-auto">
+          <div className="relative inline-block">
+            <img src={p.src} alt="写真" draggable={false} onLoad={e => { if (!size) setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight }); }} className="block max-w-full max-h-[65vh] select-none" />
+            {size && (
+              <svg ref={svgRef} viewBox={`0 0 ${size.width} ${size.height}`} onPointerDown={down} onPointerMove={move} onPointerUp={up} onPointerCancel={() => setDraft(null)}
+                className={classNames("absolute inset-0 w-full h-full", onSave && "cursor-crosshair touch-none")}>
+                {[...annotations, ...(draft ? [draft] : [])].map((a, i) => <Shape key={i} a={a} stroke={stroke} />)}
+              </svg>
+            )}
+          </div>
+        </div>
+        <div className="text-[11px] text-neutral-400 space-y-0.5">
+          <div className="flex flex-wrap gap-x-3">
+            <span>撮影 {p.takenAt ? format(new Date(p.takenAt), "yyyy/M/d HH:mm") : "記録なし"}</span>
+            {p.gps && <span className="flex items-center gap-0.5"><MapPin size={11}/>{p.gps.lat.toFixed(5)}, {p.gps.lng.toFixed(5)}</span>}
+            {p.addedAt && <span>取り込み {format(new Date(p.addedAt), "yyyy/M/d HH:mm")}</span>}
+            {linkLabel && <span>紐付け: {linkLabel}</span>}
+          </div>
+          {p.warnings?.map((w, i) => (<div key={i} className="flex items-center gap-1 text-yellow-400"><AlertTriangle size={11}/>{w}</div>))}
+        </div>
+        {onSave && (
+          <div className="flex justify-end gap-2">
+            <button onClick={onClose} className="text-xs rounded-xl px-3 py-1.5 border border-neutral-700 hover:border-neutral-500">キャンセル</button>
+            <button onClick={save} className="text-xs rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500">注記を保存</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
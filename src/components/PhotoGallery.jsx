@@ -0,0 +1,65 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { AlertTriangle, PenLine, Trash2 } from "lucide-react";
+import { toPhoto } from "../lib/photos";
+import { classNames } from "../lib/utils";
+import PhotoAnnotator, { AnnotationLayer } from "./PhotoAnnotator";
+
+const sameLink = (p, link) => (p.itemId ?? null) === (link.itemId ?? null) && (p.ncIndex ?? null) === (link.ncIndex ?? null);
+
+/**
+ * 写真の一覧（サムネイル・警告・注記・紐付け先の選択）
+ * - onChange がなければ閲覧のみ（拡大表示はできる）
+ * - links: 紐付け先の候補 [{ group, label, link: { itemId } | { ncIndex } }]。指定すると選択欄を出す
+ * - only: 表示する写真の条件。変更は photos 全体（元の並び）に対して返す
+ */
+export default function PhotoGallery({ photos, onChange, links, only, alt = "写真", compact }) {
+  const [open, setOpen] = useState(null);
+  const list = (photos || []).map((p, i) => ({ p: toPhoto(p, i), i })).filter(({ p }) => !only || only(p));
+  const replace = (i, photo) => onChange((photos || []).map((p, j) => j === i ? photo : p));
+  const remove = (i) => { if (window.confirm("この写真を削除しますか？")) onChange((photos || []).filter((_, j) => j !== i)); };
+  const linkIndex = (p) => links?.findIndex(l => sameLink(p, l.link)) ?? -1;
+  const relink = (i, p, value) => replace(i, { ...p, itemId: null, ncIndex: null, ...(value === "" ? {} : links[Number(value)].link) });
+  const groups = [...new Set((links || []).map(l => l.group))];
+  const current = list.find(x => x.i === open);
+
+  if (!list.length) return null;
+  return (
+    <div className={classNames("grid gap-2", compact ? "grid-cols-4" : "grid-cols-2 sm:grid-cols-3")}>
+      {list.map(({ p, i }) => (
+        <div key={p.id ?? i} className="space-y-1 min-w-0">
+          <button type="button" onClick={() => setOpen(i)} className={classNames("relative block w-full overflow-hidden rounded-lg border border-neutral-800", compact ? "h-14" : "h-24")}>
+            <img src={p.src} alt={alt} className="w-full h-full object-cover" />
+            <AnnotationLayer photo={p} fit="cover" />
+            {p.warnings?.length > 0 && <span title={p.warnings.join("\n")} className="absolute top-1 right-1 rounded-full bg-yellow-500 text-black p-0.5"><AlertTriangle size={compact ? 10 : 12}/></span>}
+          </button>
+          {!compact && (<>
+            <div className="flex items-center justify-between gap-1 text-[10px] text-neutral-500">
+              <span className="truncate">{p.takenAt ? `${format(new Date(p.takenAt), "M/d HH:mm")} 撮影` : "撮影情報なし"}</span>
+              {onChange && (
+                <span className="flex items-center gap-1.5 shrink-0">
+                  <button type="button" onClick={() => setOpen(i)} title="注記" className="hover:text-neutral-200"><PenLine size={12}/></button>
+                  <button type="button" onClick={() => remove(i)} title="削除" className="hover:text-red-400"><Trash2 size={12}/></button>
+                </span>
+              )}
+            </div>
+            {links && (onChange ? (
+              <select value={linkIndex(p) < 0 ? "" : linkIndex(p)} onChange={e => relink(i, p, e.target.value)} className="w-full bg-neutral-800 rounded-lg text-[11px] p-1">
+                <option value="">紐付けなし</option>
+                {groups.map(g => (
+                  <optgroup key={g} label={g}>
+                    {links.map((l, k) => l.group === g && <option key={k} value={k}>{l.label}</option>)}
+                  </optgroup>
+                ))}
+              </select>
+            ) : linkIndex(p) >= 0 && <div className="text-[10px] text-neutral-400 truncate">{links[linkIndex(p)].label}</div>)}
+          </>)}
+        </div>
+      ))}
+      {current && (
+        <PhotoAnnotator photo={current.p} linkLabel={links?.[linkIndex(current.p)]?.label}
+          onSave={onChange ? (photo => replace(current.i, photo)) : null} onClose={() => setOpen(null)} />
+      )}
+    </div>
+  );
+}
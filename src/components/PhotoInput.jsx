@@ -0,0 +1,16 @@
+import { Camera, ImagePlus } from "lucide-react";
+
+/**
+ * 写真の追加
+ * - 「撮影」はスマートフォンで背面カメラを直接起動、「写真を選択」は端末内の写真から選ぶ
+ */
+export default function PhotoInput({ onFiles }) {
+  const pick = (e) => { if (e.target.files.length) onFiles(e.target.files); e.target.value = ""; };
+  const button = "flex items-center gap-1 text-xs rounded-lg border border-neutral-700 hover:border-neutral-500 px-3 py-2 lg:py-1 cursor-pointer";
+  return (
+    <div className="flex gap-2">
+      <label className={button}><Camera size={14}/>撮影<input type="file" accept="image/*" capture="environment" onChange={pick} className="hidden" /></label>
+      <label className={button}><ImagePlus size={14}/>写真を選択<input type="file" accept="image/*" multiple onChange={pick} className="hidden" /></label>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useMemo, useState } from "react";
+import { format, addMonths, addDays } from "date-fns";
+import { RotateCcw } from "lucide-react";
+import { RECURRENCE_RULES, ANCHORS, ANCHOR_LABELS, effectiveRule, overrideKey, occurrencesBetween, isScheduled } from "../lib/recurrence";
+import { classNames } from "../lib/utils";
+import { closedReason } from "../lib/businessCalendar";
+
+/**
+ * 計画プレビュー
+ * - 物件ごとの周期ルール（上書き）編集
+ * - 任意期間で発生する点検を一覧し、未作成分だけ予定として作成
+ * - 休みに当たる日は営業日カレンダーの移動ルールで移した日を表示する（元の日を併記）
+ */
+export default function PlanPreview({ properties, selectedPropertyId, selectedKinds, events, overrides, setOverrides, calendar, onCreate }) {
+  const today = new Date();
+  const [from, setFrom] = useState(format(today, "yyyy-MM-dd"));
+  const [to, setTo] = useState(format(addDays(addMonths(today, 12), -1), "yyyy-MM-dd"));
+  const targetProperties = useMemo(() => selectedPropertyId === "ALL" ? properties : properties.filter(p => p.id === selectedPropertyId), [properties, selectedPropertyId]);
+  const property = selectedPropertyId === "ALL" ? null : targetProperties[0];
+
+  const overrideMap = useMemo(() => Object.fromEntries(overrides.map(({ id, ...ov }) => [id, ov])), [overrides]);
+
+  const occurrences = useMemo(() => {
+    if (!from || !to || from > to) return [];
+    return occurrencesBetween({ properties: targetProperties, kinds: selectedKinds, from: new Date(`${from}T00:00`), to: new Date(`${to}T00:00`), overrides: overrideMap, events, calendar })
+      .map(o => ({ ...o, scheduled: isScheduled(events, o) }));
+  }, [targetProperties, selectedKinds, from, to, overrideMap, events, calendar]);
+
+  const pending = occurrences.filter(o => !o.scheduled);
+
+  const setOverride = (kind, sub, patch) => {
+    const id = overrideKey(property.id, kind, sub);
+    setOverrides(prev => {
+      const cur = prev.find(o => o.id === id);
+      return cur ? prev.map(o => o.id === id ? { ...o, ...patch } : o) : [...prev, { id, ...patch }];
+    });
+  };
+  const resetOverride = (kind, sub) => setOverrides(prev => prev.filter(o => o.id !== overrideKey(property.id, kind, sub)));
+  const num = (v) => v === "" ? undefined : Number(v);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+        <div className="text-sm">周期ルール{property ? `（${property.name}・用途 ${property.useType}）` : "（既定値）"}</div>
+        {!property && <div className="text-[11px] text-neutral-500">物件を1つ選択すると、その物件だけの周期・起算方法・実施月に上書きできます。</div>}
+        <table className="w-full text-xs">
+          <thead className="text-neutral-400">
+            <tr>{["種別", "サブ点検", "周期(月)", "起算", "開始月", "実施日", "有効", ""].map(h => (<th key={h} className="text-left font-normal px-2 py-1 border-b border-neutral-800">{h}</th>))}</tr>
+          </thead>
+          <tbody>
+            {Object.entries(RECURRENCE_RULES).filter(([kind]) => selectedKinds.includes(kind) && (!property || property.inspectionKinds?.includes(kind))).flatMap(([kind, rules]) => rules.map(base => {
+              const ov = property ? overrideMap[overrideKey(property.id, kind, base.sub)] : null;
+              const rule = property ? (effectiveRule(property, kind, base, overrideMap) ?? { ...base, ...ov }) : base;
+              const editable = !!property;
+              const cell = "px-2 py-1 border-b border-neutral-800/60";
+              const input = "w-16 bg-neutral-800 rounded-lg p-1 disabled:bg-transparent";
+              return (
+                <tr key={`${kind}-${base.sub}`} className={classNames(ov?.disabled && "opacity-40")}>
+                  <td className={cell}>{kind}</td>
+                  <td className={cell}>{base.sub}{base.supersedes && <span className="text-neutral-500">（{base.supersedes}を兼ねる）</span>}{ov && <span className="ml-1 text-blue-400">上書き</span>}</td>
+                  <td className={cell}>
+                    <input type="number" min={1} disabled={!editable} value={rule.intervalMonths} onChange={e => setOverride(kind, base.sub, { intervalMonths: num(e.target.value) })} className={input} />
+                    {!property && base.intervalByUse && <span className="text-neutral-500 ml-1">用途別</span>}
+                  </td>
+                  <td className={cell}>
+                    <select disabled={!editable} value={rule.anchor} onChange={e => setOverride(kind, base.sub, { anchor: e.target.value })} className="bg-neutral-800 rounded-lg p-1 disabled:bg-transparent">
+                      {Object.values(ANCHORS).map(a => (<option key={a} value={a}>{ANCHOR_LABELS[a]}</option>))}
+                    </select>
+                  </td>
+                  <td className={cell}>{rule.anchor === ANCHORS.CALENDAR ? <input type="number" min={1} max={12} disabled={!editable} value={rule.startMonth ?? 1} onChange={e => setOverride(kind, base.sub, { startMonth: num(e.target.value) })} className={input} /> : <span className="text-neutral-500">-</span>}</td>
+                  <td className={cell}><input type="number" min={1} max={31} disabled={!editable} value={rule.day} onChange={e => setOverride(kind, base.sub, { day: num(e.target.value) })} className={input} /></td>
+                  <td className={cell}><input type="checkbox" disabled={!editable} checked={!ov?.disabled} onChange={e => setOverride(kind, base.sub, { disabled: !e.target.checked })} /></td>
+                  <td className={cell}>{ov && <button onClick={() => resetOverride(kind, base.sub)} title="既定値に戻す" className="text-neutral-400 hover:text-neutral-200"><RotateCcw size={14}/></button>}</td>
+                </tr>
+              );
+            }))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-sm">
+            <span>期間</span>
+            <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="bg-neutral-800 rounded-lg text-xs p-1" />
+            <span>〜</span>
+            <input type="date" value={to} onChange={e => setTo(e.target.value)} className="bg-neutral-800 rounded-lg text-xs p-1" />
+            <span className="text-xs text-neutral-400">{occurrences.length}件（未作成 {pending.length}件）</span>
+          </div>
+          <button disabled={!pending.length} onClick={() => onCreate(pending)} className="text-sm rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">未作成分を予定に追加</button>
+        </div>
+        <div className="max-h-[60vh] overflow-auto custom-scroll">
+          <table className="w-full text-xs">
+            <thead className="text-neutral-400 sticky top-0 bg-neutral-900">
+              <tr>{["実施予定日", "法定期限", "物件", "種別", "サブ点検", "起算", "状態"].map(h => (<th key={h} className="text-left font-normal px-2 py-1 border-b border-neutral-800">{h}</th>))}</tr>
+            </thead>
+            <tbody>
+              {occurrences.map(o => (
+                <tr key={`${o.propertyId}-${o.kind}-${o.subKind}-${o.date.getTime()}`} className={classNames(o.scheduled && "text-neutral-500")}>
+                  <td className="px-2 py-1">{format(o.date, "yyyy-MM-dd")}{o.ruleDate && <div className="text-[10px] text-neutral-500">{format(o.ruleDate, "M/d")}（{closedReason(o.ruleDate, calendar)}）から移動</div>}</td>
+                  <td className={classNames("px-2 py-1", o.dueDate < o.date && "text-red-400")}>{format(o.dueDate, "yyyy-MM-dd")}</td>
+                  <td className="px-2 py-1">{properties.find(p => p.id === o.propertyId)?.name}</td>
+                  <td className="px-2 py-1">{o.kind}</td>
+                  <td className="px-2 py-1">{o.subKind}</td>
+                  <td className="px-2 py-1">{ANCHOR_LABELS[o.anchor]} {o.intervalMonths}か月{o.overridden && <span className="text-blue-400">（上書き）</span>}</td>
+                  <td className="px-2 py-1">{o.scheduled ? "作成済み" : "未作成"}</td>
+                </tr>
+              ))}
+              {occurrences.length === 0 && (<tr><td colSpan={7} className="px-2 py-6 text-center text-neutral-500">該当する点検はありません</td></tr>)}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { AlertTriangle } from "lucide-react";
+import { rescheduleWarnings } from "../lib/reschedule";
+import { kindLabel } from "../lib/utils";
+
+const REASON_PRESETS = ["業者都合", "入居者・テナント都合", "天候", "担当者都合", "他点検とまとめて実施"];
+
+/**
+ * 予定日変更の確認（理由は必須。法定期限は変わらない）
+ */
+export default function RescheduleDialog({ event, to, property, calendar, onConfirm, onCancel }) {
+  const [reason, setReason] = useState("");
+  const warnings = rescheduleWarnings(event, to, { calendar });
+  return (
+    <div className="fixed inset-0 z-40 bg-black/60 flex items-center justify-center" onClick={onCancel}>
+      <div className="w-[420px] bg-neutral-900 border border-neutral-700 rounded-2xl p-4 space-y-3" onClick={e => e.stopPropagation()}>
+        <div className="text-sm font-semibold">予定日の変更</div>
+        <div className="text-xs text-neutral-300">{property?.name} {kindLabel(event)}</div>
+        <div className="text-sm">{format(new Date(event.date), "yyyy-MM-dd")} → <span className="text-blue-400">{format(to, "yyyy-MM-dd")}</span></div>
+        <div className="text-[11px] text-neutral-400">法定期限 {format(new Date(event.dueDate), "yyyy-MM-dd")}（変更されません）{event.originalDate && ` / 当初予定 ${format(new Date(event.originalDate), "yyyy-MM-dd")}`}</div>
+        {warnings.map(w => (<div key={w} className="flex items-center gap-2 text-xs text-red-400"><AlertTriangle size={14}/>{w}</div>))}
+        <div className="space-y-1">
+          <div className="text-xs text-neutral-400">変更理由<span className="text-red-400"> *</span></div>
+          <div className="flex flex-wrap gap-1">
+            {REASON_PRESETS.map(r => (<button key={r} onClick={() => setReason(r)} className="text-[11px] rounded-lg border border-neutral-700 hover:border-neutral-500 px-2 py-0.5">{r}</button>))}
+          </div>
+          <textarea autoFocus value={reason} onChange={e => setReason(e.target.value)} rows={2} className="w-full bg-neutral-800 rounded-lg text-xs p-2" placeholder="理由を入力してください" />
+        </div>
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="text-sm rounded-xl px-3 py-1.5 border border-neutral-800">キャンセル</button>
+          <button disabled={!reason.trim()} onClick={() => onConfirm(reason.trim())} className="text-sm rounded-xl px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-40">{warnings.length ? "警告を確認して変更" : "変更"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
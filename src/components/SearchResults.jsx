@@ -0,0 +1,33 @@
+import { format } from "date-fns";
+import { Search } from "lucide-react";
+import { classNames, dueColor, kindLabel } from "../lib/utils";
+import { matchedTexts } from "../lib/search";
+
+const RESULT_LIMIT = 100;
+
+/** 検索結果（表示中の月に限らず全期間、新しい順）。一致した箇所を併記する */
+export default function SearchResults({ events, index, q, properties, users, calendar, onOpen }) {
+  const list = [...events].sort((a, b) => new Date(b.date) - new Date(a.date));
+  return (
+    <div className="mb-4 bg-neutral-900 border border-neutral-800 rounded-2xl p-3 space-y-2">
+      <div className="flex items-center gap-2 text-sm text-neutral-300"><Search size={16}/>「{q}」の検索結果 {list.length} 件</div>
+      {list.length === 0 && <div className="text-xs text-neutral-500">一致する予定はありません</div>}
+      <table className="w-full text-xs">
+        <tbody>
+          {list.slice(0, RESULT_LIMIT).map(e => (
+            <tr key={e.id} onClick={() => onOpen(e)} className="cursor-pointer hover:bg-neutral-800/40 align-top">
+              <td className="px-2 py-1 whitespace-nowrap text-neutral-400">{format(new Date(e.date), "yyyy/M/d")}</td>
+              <td className="px-2 py-1">
+                <div>{kindLabel(e)} <span className="text-neutral-400">{properties.find(p => p.id === e.propertyId)?.name}</span></div>
+                {matchedTexts(index.get(e.id), q).map((t, i) => (<div key={i} className="text-[11px] text-neutral-500 truncate max-w-md">{t}</div>))}
+              </td>
+              <td className="px-2 py-1 whitespace-nowrap">{users.find(u => u.id === e.assigneeId)?.name ?? "-"}</td>
+              <td className="px-2 py-1 whitespace-nowrap"><span className={classNames("px-2 py-0.5 rounded-full border", e.status === "完了" ? "border-emerald-700 text-emerald-300" : dueColor(e.dueDate, calendar))}>{e.status}</span></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {list.length > RESULT_LIMIT && <div className="text-[11px] text-neutral-500">先頭 {RESULT_LIMIT} 件を表示しています。条件を追加して絞り込んでください</div>}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { format } from "date-fns";
+import { Wifi, WifiOff, CloudUpload, AlertTriangle, Undo2, Trash2, Loader2 } from "lucide-react";
+import { OUTBOX_STATUS, OUTBOX_LABELS, CONFLICT_TYPES, isBlocked } from "../lib/fieldSync";
+import { classNames, kindLabel } from "../lib/utils";
+
+/**
+ * 現場モードの接続状態と送信待ち
+ * - 圏外で提出した点検はここに残り、オンラインに戻ると自動で送信される
+ * - 事務所側の変更と競合したものは「このまま提出」「下書きに戻す」「破棄」から選ぶ
+ */
+export default function SyncPanel({ online, outbox, events, properties, users, syncing, onSync, onResolve }) {
+  const eventOf = (id) => events.find(e => e.id === id);
+  const propertyName = (id) => properties.find(p => p.id === id)?.name ?? id;
+  const userName = (id) => users.find(u => u.id === id)?.name ?? "未割当";
+  const describe = (c) => {
+    if (c.type === "rescheduled") return `${CONFLICT_TYPES[c.type]}（${format(new Date(c.from), "M/d")} → ${format(new Date(c.to), "M/d")}）`;
+    if (c.type === "reassigned") return `${CONFLICT_TYPES[c.type]}（${userName(c.from)} → ${userName(c.to)}）`;
+    return CONFLICT_TYPES[c.type];
+  };
+
+  return (
+    <div className={classNames("rounded-2xl p-3 space-y-2 border", online ? "bg-neutral-900 border-neutral-800" : "bg-yellow-950/40 border-yellow-700/60")}>
+      <div className="flex items-center justify-between text-xs">
+        <span className={classNames("flex items-center gap-2", online ? "text-neutral-400" : "text-yellow-400")}>
+          {online ? <Wifi size={14}/> : <WifiOff size={14}/>}{online ? "オンライン" : "オフライン（入力・提出は端末に保存されます）"}
+        </span>
+        {outbox.length > 0 && (
+          <button disabled={!online || syncing} onClick={onSync} className="flex items-center gap-1 text-neutral-300 hover:text-white disabled:opacity-40">
+            {syncing ? <Loader2 size={12} className="animate-spin"/> : <CloudUpload size={12}/>}今すぐ送信
+          </button>
+        )}
+      </div>
+      {outbox.map(entry => {
+        const e = eventOf(entry.eventId);
+        return (
+          <div key={entry.id} className={classNames("rounded-xl border px-3 py-2 text-xs space-y-1", entry.status === OUTBOX_STATUS.CONFLICT ? "border-yellow-600/60" : entry.status === OUTBOX_STATUS.FAILED ? "border-red-600/60" : "border-neutral-700")}>
+            <div className="flex items-center justify-between gap-2">
+              <span className="truncate">{e ? `${propertyName(e.propertyId)} ${kindLabel(e)}` : entry.eventId}</span>
+              <span className={classNames("shrink-0 text-[11px]", entry.status === OUTBOX_STATUS.CONFLICT ? "text-yellow-400" : entry.status === OUTBOX_STATUS.FAILED ? "text-red-400" : "text-neutral-400")}>{OUTBOX_LABELS[entry.status]}</span>
+            </div>
+            <div className="text-[11px] text-neutral-500">提出 {format(entry.queuedAt, "M/d HH:mm")}{entry.attempts > 0 && ` / 送信 ${entry.attempts}回`}</div>
+            {entry.status === OUTBOX_STATUS.FAILED && <div className="text-[11px] text-red-400">{entry.error}</div>}
+            {entry.status === OUTBOX_STATUS.CONFLICT && (<>
+              {entry.conflicts.map((c, i) => (<div key={i} className="flex items-center gap-1 text-[11px] text-yellow-400"><AlertTriangle size={12}/>{describe(c)}</div>))}
+              <div className="flex flex-wrap gap-2 pt-1">
+                {!isBlocked(entry) && <button onClick={() => onResolve(entry, "submit")} className="rounded-lg px-3 py-1.5 lg:py-0.5 bg-emerald-600 hover:bg-emerald-500">このまま提出</button>}
+                <button onClick={() => onResolve(entry, "draft")} className="flex items-center gap-1 rounded-lg px-3 py-1.5 lg:py-0.5 border border-neutral-700 hover:border-neutral-500"><Undo2 size={12}/>下書きに戻す</button>
+                <button onClick={() => onResolve(entry, "discard")} className="flex items-center gap-1 rounded-lg px-3 py-1.5 lg:py-0.5 text-neutral-400 hover:text-red-400"><Trash2 size={12}/>破棄</button>
+              </div>
+            </>)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { format, isBefore, startOfDay } from "date-fns";
+import { Wrench, AlertTriangle } from "lucide-react";
+import { isCorrective, CORRECTIVE_LABELS, CORRECTIVE_STATES } from "../lib/corrective";
+import { classNames, kindLabel, dueColor } from "../lib/utils";
+
+const COMPLETED_LIMIT = 20;
+
+/**
+ * 業者ポータル
+ * - ログイン中の業者に割り当てられた点検・是正タスクだけを表示（呼び出し側で絞り込み済み）
+ * - 点検結果の提出と是正の進捗登録ができる
+ */
+export default function VendorPortal({ vendor, events, properties, calendar, onOpen }) {
+  const today = startOfDay(new Date());
+  const propertyOf = (id) => properties.find(p => p.id === id);
+  const open = events.filter(e => e.status !== "完了").sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  const sections = [
+    { title: "期限超過", list: open.filter(e => !isCorrective(e) && isBefore(new Date(e.dueDate), today)), alert: true },
+    { title: "予定の点検", list: open.filter(e => !isCorrective(e) && !isBefore(new Date(e.dueDate), today)) },
+    { title: "是正依頼", list: open.filter(isCorrective) },
+    { title: "完了済み（最近）", list: events.filter(e => e.status === "完了").sort((a, b) => new Date(b.completedAt ?? b.date) - new Date(a.completedAt ?? a.date)).slice(0, COMPLETED_LIMIT) },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-lg font-semibold">業者ポータル</div>
+        <div className="text-xs text-neutral-400">{vendor?.name ?? "所属業者が見つかりません"} に割り当てられた点検のみ表示しています</div>
+      </div>
+      {sections.map(({ title, list, alert }) => (
+        <div key={title} className={classNames("bg-neutral-900 border rounded-2xl p-3 space-y-2", alert && list.length ? "border-red-800/60" : "border-neutral-800")}>
+          <div className={classNames("flex items-center gap-2 text-sm", alert && list.length && "text-red-400")}>{alert && list.length > 0 && <AlertTriangle size={14}/>}{title}（{list.length}件）</div>
+          {list.length === 0 && <div className="text-xs text-neutral-500">ありません</div>}
+          {list.map(e => (
+            <button key={e.id} onClick={() => onOpen(e)} className="w-full text-left rounded-xl border border-neutral-800 hover:border-neutral-600 px-3 py-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+              <span className="flex items-center gap-1 font-medium text-sm"><Wrench size={14}/>{isCorrective(e) ? `是正: ${e.finding?.note ?? ""}` : kindLabel(e)}</span>
+              <span className="text-neutral-400">{propertyOf(e.propertyId)?.name ?? e.propertyId}</span>
+              <span className="text-neutral-400">予定 {format(new Date(e.date), "M/d")}</span>
+              <span className={classNames("px-2 py-0.5 rounded-full border", e.status === "完了" ? "border-neutral-700 text-neutral-400" : dueColor(e.dueDate, calendar))}>期日 {format(new Date(e.dueDate), "M/d")}</span>
+              <span className="ml-auto text-neutral-500">{isCorrective(e) ? CORRECTIVE_LABELS[e.correctiveStatus] : e.status}</span>
+              {isCorrective(e) && e.correctiveStatus === CORRECTIVE_STATES.COMPLETED && <span className="w-full text-[11px] text-neutral-500">検証待ち（管理会社が確認します）</span>}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
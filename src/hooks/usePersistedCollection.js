@@ -0,0 +1,73 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * リポジトリと同期する配列ステート
+ * - 起動時に全件ロード（空なら seed() を一度だけ投入）。reloadKey が変わったら読み直す（API のログイン・ログアウト時）
+ * - 以降は setItems の結果を前回保存分と参照比較し、変更・削除分だけ書き込む
+ * - 画面には先に反映し（楽観的更新）、書込みに失敗したらその変更を元に戻して onError(err, "save") を呼ぶ（読込の失敗は "load"）
+ * - onChange を渡すと、書き込んだ変更を [{ before, after }] で通知する（監査ログ用。作成は before なし、削除は after なし）
+ */
+export function usePersistedCollection(repository, seed, { onChange, onError, reloadKey } = {}) {
+  const [items, setItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const persisted = useRef(new Map());
+  const callbacks = useRef({ onChange, onError });
+  useEffect(() => { callbacks.current = { onChange, onError }; });
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoaded(false);
+    (async () => {
+      let rows = await repository.all();
+      if (!rows.length && seed) {
+        rows = await seed();
+        if (rows.length) await repository.putMany(rows);
+      }
+      if (cancelled) return;
+      persisted.current = new Map(rows.map(r => [r.id, r]));
+      setItems(rows);
+      setLoaded(true);
+    })().catch(err => {
+      console.error("データの読み込みに失敗しました", err);
+      callbacks.current.onError?.(err, "load");
+      if (!cancelled) setLoaded(true);
+    });
+    return () => { cancelled = true; };
+  }, [repository, seed, reloadKey]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    const prev = persisted.current;
+    const next = new Map(items.map(i => [i.id, i]));
+    const changed = items.filter(i => prev.get(i.id) !== i);
+    const removed = [...prev.keys()].filter(id => !next.has(id));
+    persisted.current = next;
+    if (!changed.length && !removed.length) return;
+    const changes = [...changed.map(after => ({ before: prev.get(after.id), after })), ...removed.map(id => ({ before: prev.get(id) }))];
+
+    /** 失敗した変更を元に戻す（その後さらに変更された項目はそちらを優先） */
+    const rollback = (err) => {
+      setItems(current => {
+        const byId = new Map(current.map(i => [i.id, i]));
+        for (const { before, after } of changes) {
+          const id = (after ?? before).id;
+          if (after ? byId.get(id) !== after : byId.has(id)) continue;
+          // 戻した値は保存済みとみなす（もう一度書き込まない）
+          if (before) { byId.set(id, before); persisted.current.set(id, before); } else { byId.delete(id); persisted.current.delete(id); }
+        }
+        return [...byId.values()];
+      });
+      callbacks.current.onError?.(err, "save");
+    };
+
+    Promise.all([
+      changed.length && repository.putMany(changed),
+      removed.length && repository.removeMany(removed),
+    ]).then(() => callbacks.current.onChange?.(changes), (err) => {
+      console.error("保存に失敗しました", err);
+      rollback(err);
+    });
+  }, [repository, items, loaded]);
+
+  return [items, setItems, loaded];
+}
@@ -0,0 +1,237 @@
+import { format, addDays, startOfDay, startOfMonth, endOfMonth, isAfter, isBefore, max } from "date-fns";
+import { isCorrective } from "./corrective";
+import { isCancelled } from "./utils";
+import { isAssignable } from "./auth";
+import { closedReason } from "./businessCalendar";
+
+/**
+ * 業者・担当者の割当
+ * - 業者: 対応種別・契約期間・対応エリア（物件住所に含まれる地域名）・稼働曜日・休業日・1日の受注上限
+ * - 担当者: 点検担当・管理者のみ。勤務曜日・不在日・1日1物件（同じ物件なら複数点検可）
+ * - 祝日と会社の休業日は業者・担当者とも割り当てない（ctx.calendar。稼働曜日が未設定なら会社の営業曜日）
+ * - 候補のうち当月の割当件数が少ない順に選び、割当できない予定は理由付きで返す
+ * - reschedule を指定すると、予定日に割り当てられない予定を期限内の空きのある日へ移す（新規の計画向け。再割当では日付を動かさない）
+ */
+
+export const DEFAULT_DAILY_CAPACITY = 2;
+
+const dayKey = (d) => format(new Date(d), "yyyy-MM-dd");
+const monthKey = (d) => format(new Date(d), "yyyy-MM");
+
+/** 割当・競合判定の対象（完了済み・中止・是正タスクは除く） */
+const isAllocatable = (e) => e.status !== "完了" && !isCancelled(e) && !isCorrective(e);
+
+export function vendorServesArea(vendor, property) {
+  if (!vendor.serviceAreas?.length) return true;
+  return vendor.serviceAreas.some(a => property?.address?.includes(a));
+}
+
+/** 日付と関係なく満たすべき条件（対応種別・エリア） */
+function vendorMismatch(vendor, event, property) {
+  if (!vendor.skills?.includes(event.kind)) return `${vendor.name}は${event.kind}に対応していません`;
+  if (!vendorServesArea(vendor, property)) return `${vendor.name}は${property?.name ?? event.propertyId}の地域に対応していません`;
+  return null;
+}
+
+function vendorUnavailable(vendor, day, calendar) {
+  if (vendor.contractStart && day < vendor.contractStart) return `${vendor.name}の契約開始前です`;
+  if (vendor.contractEnd && day > vendor.contractEnd) return `${vendor.name}の契約期間外です`;
+  const closed = closedReason(new Date(`${day}T00:00`), calendar, vendor);
+  return closed && `${closed}です`;
+}
+
+function userUnavailable(user, day, calendar) {
+  const closed = closedReason(new Date(`${day}T00:00`), calendar, { name: user.name, workdays: user.workdays });
+  if (closed) return `${closed}です`;
+  if (user.unavailableDates?.includes(day)) return `${user.name}の不在日です`;
+  return null;
+}
+
+/** 日ごと・月ごとの割当状況。割当のたびに add() で更新する */
+function createLoad(events) {
+  const vendorDay = new Map(); const vendorMonth = new Map();
+  const userDay = new Map(); const userMonth = new Map();
+  const inc = (m, k) => m.set(k, (m.get(k) ?? 0) + 1);
+  const load = {
+    add(e) {
+      const d = dayKey(e.date); const m = monthKey(e.date);
+      if (e.vendorId) { inc(vendorDay, `${e.vendorId}|${d}`); inc(vendorMonth, `${e.vendorId}|${m}`); }
+      if (e.assigneeId) {
+        const k = `${e.assigneeId}|${d}`;
+        userDay.set(k, new Set([...(userDay.get(k) ?? []), e.propertyId]));
+        inc(userMonth, `${e.assigneeId}|${m}`);
+      }
+    },
+    vendorCount: (id, d) => vendorDay.get(`${id}|${d}`) ?? 0,
+    vendorMonthCount: (id, d) => vendorMonth.get(`${id}|${monthKey(d)}`) ?? 0,
+    userProperties: (id, d) => userDay.get(`${id}|${d}`) ?? new Set(),
+    userMonthCount: (id, d) => userMonth.get(`${id}|${monthKey(d)}`) ?? 0,
+  };
+  events.forEach(load.add);
+  return load;
+}
+
+const capacityOf = (vendor) => vendor.dailyCapacity ?? DEFAULT_DAILY_CAPACITY;
+
+function pickVendor(event, { vendors, properties, calendar }, load) {
+  const day = dayKey(event.date);
+  const property = properties.find(p => p.id === event.propertyId);
+  const reasons = [];
+  const candidates = vendors.filter(v => {
+    const why = vendorMismatch(v, event, property) ?? vendorUnavailable(v, day, calendar) ?? (load.vendorCount(v.id, day) >= capacityOf(v) ? `${v.name}はこの日の受注上限（${capacityOf(v)}件）に達しています` : null);
+    if (why && v.skills?.includes(event.kind)) reasons.push(why);
+    return !why;
+  });
+  if (!vendors.some(v => v.skills?.includes(event.kind))) reasons.push(`${event.kind}に対応する業者が登録されていません`);
+  const rank = (v) => [v.id === event.vendorId ? 0 : 1, load.vendorMonthCount(v.id, day), v.id];
+  return { vendor: candidates.sort((a, b) => compare(rank(a), rank(b)))[0], reasons };
+}
+
+function pickUser(event, { users, calendar }, load) {
+  const day = dayKey(event.date);
+  const reasons = [];
+  const inspectors = users.filter(isAssignable);
+  const candidates = inspectors.filter(u => {
+    const busy = [...load.userProperties(u.id, day)].some(pid => pid !== event.propertyId);
+    const why = userUnavailable(u, day, calendar) ?? (busy ? `${u.name}は同日に別物件の点検があります` : null);
+    if (why) reasons.push(why);
+    return !why;
+  });
+  if (!inspectors.length) reasons.push("点検担当のユーザーが登録されていません");
+  // 同日に同じ物件を担当している人を優先し、次に当月の件数が少ない人
+  const rank = (u) => [load.userProperties(u.id, day).has(event.propertyId) ? 0 : 1, u.id === event.assigneeId ? 0 : 1, load.userMonthCount(u.id, day), u.id];
+  return { user: candidates.sort((a, b) => compare(rank(a), rank(b)))[0], reasons };
+}
+
+function pickPair(event, ctx, load) {
+  const { vendor, reasons: vr } = pickVendor(event, ctx, load);
+  const { user, reasons: ur } = pickUser(event, ctx, load);
+  return { vendor, user, reasons: [...(!vendor ? vr : []), ...(!user ? ur : [])] };
+}
+
+/**
+ * 予定日に割り当てられないときに試す日（後ろの日を期限まで → 同じ月の前の日を notBefore まで）
+ * 期日が予定日と同じ（暦で決めた日）なら、その月の末日までを期限内とみなし期日も一緒に移す（shiftOccurrence と同じ扱い）
+ */
+function alternativeDays(event, notBefore) {
+  const date = startOfDay(new Date(event.date));
+  const last = dayKey(event.dueDate) === dayKey(date) ? endOfMonth(date) : new Date(event.dueDate);
+  const first = max([startOfMonth(date), startOfDay(notBefore)]);
+  const days = [];
+  for (let d = addDays(date, 1); !isAfter(d, last); d = addDays(d, 1)) days.push(d);
+  for (let d = addDays(date, -1); !isBefore(d, first); d = addDays(d, -1)) days.push(d);
+  return days;
+}
+
+/** 日付を移した予定（ID・重複判定に使う周期ルール上の日は ruleDate に残す） */
+const moveTo = (event, day) => ({
+  ...event, date: day,
+  dueDate: dayKey(event.dueDate) === dayKey(event.date) ? day : event.dueDate,
+  ruleDate: event.ruleDate ?? event.date,
+});
+
+function compare(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * 予定（未割当または再割当対象）に業者・担当者を割り当てる
+ * fixed: 割当済みとして負荷に数える既存予定
+ * reschedule: 予定日に割り当てられなければ期限内の別の日を探す（notBefore より前には移さない）
+ * 戻り値 { assigned, unassignable: [{ event, reasons }] }
+ */
+export function allocate(events, ctx, fixed = [], { reschedule = false, notBefore = new Date() } = {}) {
+  const load = createLoad(fixed.filter(isAllocatable));
+  const assigned = []; const unassignable = [];
+  [...events].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(event => {
+    let target = event;
+    let pick = pickPair(event, ctx, load);
+    if ((!pick.vendor || !pick.user) && reschedule) {
+      for (const day of alternativeDays(event, notBefore)) {
+        const moved = moveTo(event, day);
+        const p = pickPair(moved, ctx, load);
+        if (p.vendor && p.user) { target = moved; pick = p; break; }
+      }
+    }
+    const { vendor, user } = pick;
+    if (!vendor || !user) {
+      unassignable.push({ event, reasons: reschedule ? [...pick.reasons, "期限内の他の日にも割り当てられません"] : pick.reasons });
+      return;
+    }
+    const next = { ...target, vendorId: vendor.id, assigneeId: user.id };
+    load.add(next);
+    assigned.push(next);
+  });
+  return { assigned, unassignable };
+}
+
+/**
+ * 既存計画の再割当（from 以降の未着手の予定が対象）
+ * 条件を満たす現在の割当はなるべく維持し、割当できない予定は元のまま理由を返す
+ * 戻り値 { events（全件）, changed: 件数, unassignable }
+ */
+export function rebalance(events, ctx, from) {
+  const target = (e) => isAllocatable(e) && e.status === "予定" && dayKey(e.date) >= dayKey(from);
+  const { assigned, unassignable } = allocate(events.filter(target), ctx, events.filter(e => !target(e)));
+  const byId = new Map(assigned.map(e => [e.id, e]));
+  let changed = 0;
+  const next = events.map(e => {
+    const a = byId.get(e.id);
+    if (!a || (a.vendorId === e.vendorId && a.assigneeId === e.assigneeId)) return e;
+    changed++;
+    return a;
+  });
+  return { events: next, changed, unassignable };
+}
+
+export const CONFLICT_LABELS = {
+  inspectorDouble: "担当者の重複",
+  vendorCapacity: "業者の受注上限超過",
+  vendorUnavailable: "業者の休業・契約外",
+  vendorMismatch: "業者の種別・地域不一致",
+  userUnavailable: "担当者の不在",
+  unassigned: "未割当",
+};
+
+/** 既存予定の割当上の問題を列挙する */
+export function detectConflicts(events, { vendors, users, properties, calendar }) {
+  const active = events.filter(isAllocatable);
+  const out = [];
+  const push = (type, date, message, eventIds) => out.push({ id: `${type}|${eventIds.join(",")}`, type, date, message, eventIds });
+
+  const byUserDay = new Map(); const byVendorDay = new Map();
+  const group = (m, k, e) => m.set(k, [...(m.get(k) ?? []), e]);
+  active.forEach(e => {
+    const day = dayKey(e.date);
+    if (e.assigneeId) group(byUserDay, `${e.assigneeId}|${day}`, e);
+    if (e.vendorId) group(byVendorDay, `${e.vendorId}|${day}`, e);
+    if (!e.vendorId || !e.assigneeId) push("unassigned", day, `${!e.vendorId ? "業者" : "担当者"}が割り当てられていません`, [e.id]);
+    const vendor = vendors.find(v => v.id === e.vendorId);
+    if (vendor) {
+      const mismatch = vendorMismatch(vendor, e, properties.find(p => p.id === e.propertyId));
+      if (mismatch) push("vendorMismatch", day, mismatch, [e.id]);
+      const off = vendorUnavailable(vendor, day, calendar);
+      if (off) push("vendorUnavailable", day, off, [e.id]);
+    }
+    const user = users.find(u => u.id === e.assigneeId);
+    const away = user && userUnavailable(user, day, calendar);
+    if (away) push("userUnavailable", day, away, [e.id]);
+  });
+  byUserDay.forEach((list, k) => {
+    const propertyIds = new Set(list.map(e => e.propertyId));
+    if (propertyIds.size < 2) return;
+    const [userId, day] = k.split("|");
+    const names = [...propertyIds].map(id => properties.find(p => p.id === id)?.name ?? id);
+    push("inspectorDouble", day, `${users.find(u => u.id === userId)?.name ?? userId}が同日に${names.join("・")}を担当しています`, list.map(e => e.id));
+  });
+  byVendorDay.forEach((list, k) => {
+    const [vendorId, day] = k.split("|");
+    const vendor = vendors.find(v => v.id === vendorId);
+    if (vendor && list.length > capacityOf(vendor)) push("vendorCapacity", day, `${vendor.name}が${list.length}件（上限${capacityOf(vendor)}件）`, list.map(e => e.id));
+  });
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
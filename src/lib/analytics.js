@@ -0,0 +1,163 @@
+import { format, parseISO, startOfMonth, endOfMonth, endOfDay, addMonths, isAfter, isWithinInterval, differenceInCalendarDays } from "date-fns";
+import { isCorrective, CORRECTIVE_STATES } from "./corrective";
+import { isCancelled } from "./utils";
+import { Severity } from "./constants";
+
+/**
+ * 遵守状況の集計（保存済みの予定・報告書から都度計算する）
+ * - 点検は法定期限（dueDate）が期間内のものを対象に、期限内完了・遅延完了・期限超過（未完了）・期限前に分類
+ * - 期限内完了率 = 期限内完了 ÷（期限内完了 + 遅延完了 + 期限超過）。期限前の点検は分母に含めない
+ * - 不適合は是正タスク（CR-）の起票日が期間内のもの。是正日数は起票からクローズまで
+ */
+
+export const OUTCOMES = { onTime: "期限内完了", late: "遅延完了", overdue: "期限超過", pending: "期限前", unknown: "完了（日時不明）" };
+export const SEVERITY_ORDER = [Severity.HIGH, Severity.MEDIUM, Severity.LOW];
+
+/** 期間は "yyyy-MM"（月単位） */
+export const periodInterval = ({ from, to }) => ({ start: startOfMonth(parseISO(`${from}-01`)), end: endOfMonth(parseISO(`${to}-01`)) });
+
+export function defaultPeriod(now = new Date()) {
+  return { from: format(addMonths(now, -11), "yyyy-MM"), to: format(now, "yyyy-MM") };
+}
+
+export function inspectionOutcome(e, completedAt, now = new Date()) {
+  const due = endOfDay(new Date(e.dueDate));
+  if (e.status === "完了") return !completedAt ? "unknown" : isAfter(new Date(completedAt), due) ? "late" : "onTime";
+  return isAfter(now, due) ? "overdue" : "pending";
+}
+
+const rate = (c) => {
+  const base = c.onTime + c.late + c.overdue;
+  return base ? c.onTime / base : null;
+};
+
+const emptyCounts = () => ({ total: 0, onTime: 0, late: 0, overdue: 0, pending: 0, unknown: 0 });
+
+function tally(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    const c = groups.get(key) ?? { key, ...emptyCounts() };
+    c.total++; c[r.outcome]++;
+    groups.set(key, c);
+  }
+  return [...groups.values()].map(c => ({ ...c, rate: rate(c) }));
+}
+
+const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+/** クローズ日時（最後にクローズへ遷移した履歴） */
+export const closedAt = (task) => task.history?.filter(h => h.to === CORRECTIVE_STATES.CLOSED).at(-1)?.at ?? null;
+export const openedAt = (task) => task.history?.[0]?.at ?? task.date;
+
+export function closeDays(task) {
+  const at = closedAt(task);
+  return at ? (new Date(at) - new Date(openedAt(task))) / 86400000 : null;
+}
+
+const matches = (e, { propertyId, vendorId }) => (!propertyId || e.propertyId === propertyId) && (!vendorId || e.vendorId === vendorId);
+
+/**
+ * 集計本体
+ * filters = { from, to, propertyId, vendorId }（from/to は "yyyy-MM"、物件・業者は空なら全件）
+ */
+export function buildAnalytics({ events, reports, filters, now = new Date() }) {
+  const interval = periodInterval(filters);
+  const completedAtOf = new Map(reports.map(r => [r.id, r.completedAt]));
+  const inspections = events
+    .filter(e => !isCorrective(e) && !isCancelled(e) && matches(e, filters) && isWithinInterval(new Date(e.dueDate), interval))
+    .map(e => {
+      const completedAt = e.completedAt ?? completedAtOf.get(e.reportId) ?? null;
+      const outcome = inspectionOutcome(e, completedAt, now);
+      return { ...e, completedAt, outcome, delayDays: outcome === "late" ? differenceInCalendarDays(new Date(completedAt), new Date(e.dueDate)) : null };
+    });
+  const correctives = events
+    .filter(e => isCorrective(e) && matches(e, filters) && isWithinInterval(new Date(openedAt(e)), interval))
+    .map(e => ({ ...e, closeDays: closeDays(e), openOverdue: e.correctiveStatus !== CORRECTIVE_STATES.CLOSED && isAfter(now, endOfDay(new Date(e.dueDate))) }));
+
+  const months = [];
+  for (let m = interval.start; !isAfter(m, interval.end); m = addMonths(m, 1)) months.push(format(m, "yyyy-MM"));
+  const byMonth = new Map(tally(inspections, e => format(new Date(e.dueDate), "yyyy-MM")).map(c => [c.key, c]));
+
+  const summary = {
+    ...emptyCounts(), ...tally(inspections, () => "all")[0],
+    nonConformities: correctives.length,
+    correctivesClosed: correctives.filter(c => c.closeDays !== null).length,
+    correctivesOpenOverdue: correctives.filter(c => c.openOverdue).length,
+    averageCloseDays: average(correctives.map(c => c.closeDays).filter(d => d !== null)),
+  };
+  summary.rate = rate(summary);
+
+  const vendorIds = [...new Set([...inspections, ...correctives].map(e => e.vendorId ?? ""))];
+  const vendorPerformance = vendorIds.map(id => {
+    const own = inspections.filter(e => (e.vendorId ?? "") === id);
+    const c = { ...emptyCounts(), ...tally(own, () => id)[0] };
+    const crs = correctives.filter(e => (e.vendorId ?? "") === id);
+    return {
+      key: id, ...c, rate: rate(c),
+      averageDelayDays: average(own.map(e => e.delayDays).filter(d => d !== null)),
+      nonConformities: crs.length,
+      correctivesClosed: crs.filter(e => e.closeDays !== null).length,
+      averageCloseDays: average(crs.map(e => e.closeDays).filter(d => d !== null)),
+      correctivesOpenOverdue: crs.filter(e => e.openOverdue).length,
+    };
+  });
+
+  const ncBy = (keyOf) => {
+    const counts = new Map();
+    correctives.forEach(e => { const k = keyOf(e); counts.set(k, (counts.get(k) ?? 0) + 1); });
+    return [...counts].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count);
+  };
+
+  return {
+    summary,
+    trend: months.map(key => ({ ...emptyCounts(), rate: null, ...byMonth.get(key), key })),
+    byProperty: tally(inspections, e => e.propertyId),
+    byKind: tally(inspections, e => e.kind),
+    byPropertyKind: tally(inspections, e => `${e.propertyId}|${e.kind}`),
+    ncBySeverity: SEVERITY_ORDER.map(key => ({ key, count: correctives.filter(e => e.finding?.severity === key).length, averageCloseDays: average(correctives.filter(e => e.finding?.severity === key && e.closeDays !== null).map(e => e.closeDays)) })),
+    ncByKind: ncBy(e => e.kind),
+    ncByVendor: ncBy(e => e.vendorId ?? ""),
+    vendorPerformance,
+    inspections, correctives,
+  };
+}
+
+const percent = (r) => r === null ? "" : Math.round(r * 1000) / 10;
+const days = (d) => d === null ? "" : Math.round(d * 10) / 10;
+
+/**
+ * 出力用の表（CSV は表ごと、XLSX は全表を1ブックに）
+ * names = { property(id), vendor(id) } で ID を名称にする
+ */
+export function analyticsTables(a, names) {
+  const counts = (c) => [c.total, c.onTime, c.late, c.overdue, c.pending, percent(c.rate)];
+  const countHeader = ["件数", "期限内完了", "遅延完了", "期限超過", "期限前", "期限内完了率(%)"];
+  return [
+    { id: "monthly", label: "月別推移", header: ["月", ...countHeader], rows: a.trend.map(c => [c.key, ...counts(c)]) },
+    {
+      id: "propertyKind", label: "物件・種別別",
+      header: ["物件ID", "物件", "点検種別", ...countHeader],
+      rows: a.byPropertyKind.map(c => { const [pid, kind] = c.key.split("|"); return [pid, names.property(pid), kind, ...counts(c)]; }),
+    },
+    { id: "kind", label: "種別別", header: ["点検種別", ...countHeader], rows: a.byKind.map(c => [c.key, ...counts(c)]) },
+    { id: "ncSeverity", label: "不適合（重要度別）", header: ["重要度", "件数", "平均是正日数"], rows: a.ncBySeverity.map(c => [c.key, c.count, days(c.averageCloseDays)]) },
+    { id: "ncKind", label: "不適合（種別別）", header: ["点検種別", "件数"], rows: a.ncByKind.map(c => [c.key, c.count]) },
+    { id: "ncVendor", label: "不適合（業者別）", header: ["業者ID", "業者", "件数"], rows: a.ncByVendor.map(c => [c.key, names.vendor(c.key), c.count]) },
+    {
+      id: "vendors", label: "業者実績",
+      header: ["業者ID", "業者", ...countHeader, "平均遅延日数", "不適合", "是正クローズ", "平均是正日数", "是正期限超過"],
+      rows: a.vendorPerformance.map(v => [v.key, names.vendor(v.key), ...counts(v), days(v.averageDelayDays), v.nonConformities, v.correctivesClosed, days(v.averageCloseDays), v.correctivesOpenOverdue]),
+    },
+    {
+      id: "correctives", label: "是正タスク",
+      header: ["ID", "物件", "点検種別", "業者", "重要度", "事象", "起票日", "是正期限", "状態", "クローズ日", "是正日数"],
+      rows: a.correctives.map(e => [e.id, names.property(e.propertyId), e.kind, names.vendor(e.vendorId), e.finding?.severity ?? "", e.finding?.note ?? "", format(new Date(openedAt(e)), "yyyy-MM-dd"), format(new Date(e.dueDate), "yyyy-MM-dd"), e.correctiveStatus, closedAt(e) ? format(new Date(closedAt(e)), "yyyy-MM-dd") : "", days(e.closeDays)]),
+    },
+    {
+      id: "inspections", label: "点検明細",
+      header: ["ID", "物件", "点検種別", "業者", "法定期限", "完了日時", "区分", "遅延日数"],
+      rows: a.inspections.map(e => [e.id, names.property(e.propertyId), e.subKind ? `${e.kind}（${e.subKind}）` : e.kind, names.vendor(e.vendorId), format(new Date(e.dueDate), "yyyy-MM-dd"), e.completedAt ? format(new Date(e.completedAt), "yyyy-MM-dd HH:mm") : "", OUTCOMES[e.outcome], e.delayDays ?? ""]),
+    },
+  ];
+}
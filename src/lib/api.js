@@ -0,0 +1,203 @@
+import { sha256 } from "./audit";
+
+/**
+ * 点検 API（server/api）のクライアント
+ * - VITE_API_URL（例: http://localhost:8788/api/v1）を設定したときだけ使う。未設定なら従来どおりブラウザ内（IndexedDB）だけで動く
+ * - トークンは localStorage に保存し、Authorization: Bearer で送る
+ * - 応答の ISO 8601 の日時は Date に戻す（IndexedDB に保存していた形と揃える）
+ */
+
+export const API_BASE = (import.meta.env.VITE_API_URL ?? "").replace(/\/$/, "");
+export const apiEnabled = !!API_BASE;
+
+const TOKEN_KEY = "inspection-api-token";
+const PAGE_SIZE = 500;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const reviveDates = (_, v) => typeof v === "string" && ISO_DATETIME.test(v) ? new Date(v) : v;
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => token ? localStorage.setItem(TOKEN_KEY, token) : localStorage.removeItem(TOKEN_KEY);
+
+/** 失敗は status 付きの Error（通信できないときは status なし） */
+export async function apiRequest(path, { method = "GET", body, headers = {}, blob = false } = {}) {
+  const token = getToken();
+  const json = body !== undefined && !(body instanceof Blob);
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { ...(json ? { "Content-Type": "application/json" } : {}), ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+    body: json ? JSON.stringify(body) : body,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error ?? `API の応答 ${res.status}`), { status: res.status, details: data.details });
+  }
+  if (blob) return res.blob();
+  return res.status === 204 ? null : JSON.parse(await res.text(), reviveDates);
+}
+
+/** 通信できない・ログインしていない（手元の控えで続ける） */
+export const isUnreachable = (err) => !err.status || err.status === 401;
+
+/** 他の利用者が先に更新していた（送った版がサーバーの版と違う） */
+export const isConflict = (err) => err.status === 412;
+
+export const apiLogin = (loginId, password) => apiRequest("/auth/login", { method: "POST", body: { loginId, password } });
+export const apiSetPassword = (loginId, currentPassword, newPassword) => apiRequest("/auth/password", { method: "POST", body: { loginId, currentPassword, newPassword } });
+export const apiVerifyPassword = async (password) => (await apiRequest("/auth/verify-password", { method: "POST", body: { password } })).ok;
+export const apiMe = () => apiRequest("/auth/me");
+export const apiLogout = () => apiRequest("/auth/logout", { method: "POST" });
+/** パスワードの初期化（管理者）。応答はセットアップコード { setupToken, expiresAt } */
+export const apiResetPassword = (userId) => apiRequest(`/users/${encodeURIComponent(userId)}/reset-password`, { method: "POST" });
+
+/** 全件と各レコードの版 */
+async function fetchAll(resource) {
+  const rows = [], versions = new Map();
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, page, versions: v = {} } = await apiRequest(`/${resource}?limit=${PAGE_SIZE}&offset=${offset}`);
+    rows.push(...data);
+    Object.entries(v).forEach(([id, version]) => versions.set(id, version));
+    if (offset + PAGE_SIZE >= page.total) return { rows, versions };
+  }
+}
+
+const batch = (operations) => apiRequest("/batch", { method: "POST", body: { operations } });
+
+/**
+ * IndexedDB のリポジトリ（local）をサーバーと同期させる
+ * - all: サーバーの全件で手元の控えを置き換える（通信できない・未ログインなら控えを返す）
+ * - 書込み: 先にサーバーへ（batch で1トランザクション）。成功したら控えにも書く。失敗は例外のまま返す（呼び出し側で元に戻す）
+ *   - 読み込んだ・書き込んだ版を ifVersion で送り、他の利用者が先に更新していたら 412（isConflict）で失敗させる（後勝ちで上書きしない）
+ *   - 直前の書込みで上がった版を次に使うため、同じリポジトリの書込みは順に送る
+ *   - このリポジトリから送って保存された内容と同じレコードは送り直さない（putTogether で先に保存した分を画面の更新で二重に送らない）
+ * - toServer / fromServer: 送る形・受け取った形の変換（fromServer は控えの同じレコードも受け取る）
+ */
+export function remoteRepository(resource, local, { toServer = async (r) => r, fromServer = async (r) => r, afterPut = async () => {} } = {}) {
+  const versions = new Map();
+  const saved = new Map();
+  let writes = Promise.resolve();
+  const serial = (fn) => {
+    const run = writes.then(fn);
+    writes = run.catch(() => {});
+    return run;
+  };
+  /** 送る操作と、成功後に版・控えを更新する処理 */
+  const prepare = async (records) => {
+    const sent = await Promise.all(records.map(async (r) => {
+      const record = await toServer(r);
+      return { r, record, json: JSON.stringify(record) };
+    }));
+    const fresh = sent.filter(x => saved.get(x.r.id) !== x.json);
+    return {
+      operations: fresh.map(x => ({ op: "put", resource, record: x.record, ifVersion: versions.get(x.r.id) })),
+      commit: async (results) => {
+        results.forEach(r => versions.set(r.id, r.version));
+        fresh.forEach(x => saved.set(x.r.id, x.json));
+        await afterPut(fresh.map(x => x.r));
+        await local.putMany(records);
+      },
+    };
+  };
+  const putMany = (records) => serial(async () => {
+    if (!records.length) return;
+    const { operations, commit } = await prepare(records);
+    const { results } = operations.length ? await batch(operations) : { results: [] };
+    await commit(results);
+  });
+  return {
+    ...local,
+    all: async () => {
+      let rows;
+      try {
+        const fetched = await fetchAll(resource);
+        rows = fetched.rows;
+        versions.clear();
+        saved.clear();
+        fetched.versions.forEach((v, id) => versions.set(id, v));
+      } catch (err) {
+        if (isUnreachable(err)) return local.all();
+        throw err;
+      }
+      const cached = new Map((await local.all()).map(r => [r.id, r]));
+      const merged = await Promise.all(rows.map(r => fromServer(r, cached.get(r.id))));
+      await local.putMany(merged);
+      const ids = new Set(rows.map(r => r.id));
+      const stale = [...cached.keys()].filter(id => !ids.has(id));
+      if (stale.length) await local.removeMany(stale);
+      return merged;
+    },
+    get: async (id) => {
+      const cached = await local.get(id);
+      if (cached) return cached;
+      const row = await apiRequest(`/${resource}/${encodeURIComponent(id)}`).catch(err => { if (err.status === 404) return undefined; throw err; });
+      if (!row) return undefined;
+      const record = await fromServer(row, undefined);
+      await local.put(record);
+      return record;
+    },
+    put: (record) => putMany([record]),
+    putMany,
+    removeMany: (ids) => serial(async () => {
+      if (!ids.length) return;
+      await batch(ids.map(id => ({ op: "delete", resource, id, ifVersion: versions.get(id) })));
+      ids.forEach(id => { versions.delete(id); saved.delete(id); });
+      await local.removeMany(ids);
+    }),
+    prepare, serial,
+  };
+}
+
+/**
+ * 複数のリポジトリへの書込みを1つの batch（1トランザクション）で送る。1件でも拒否されたらどれも保存しない
+ * writes: [[リポジトリ, レコードの配列], ...]（remoteRepository のもの）
+ */
+export function putTogether(writes) {
+  const run = async () => {
+    const prepared = await Promise.all(writes.map(([repository, records]) => repository.prepare(records)));
+    const operations = prepared.flatMap(p => p.operations);
+    const { results } = operations.length ? await batch(operations) : { results: [] };
+    let offset = 0;
+    for (const p of prepared) {
+      await p.commit(results.slice(offset, offset + p.operations.length));
+      offset += p.operations.length;
+    }
+  };
+  // 各リポジトリの書込み順を守る（常に writes の順に待つ）
+  return writes.reduceRight((fn, [repository]) => () => repository.serial(fn), run)();
+}
+
+/** 報告書の PDF は JSON に載せず、本体は /reports/{id}/pdf へ（sha256 で版を特定する） */
+const pdfMeta = async (pdf) => {
+  if (!pdf?.blob) return pdf;
+  const { blob, ...meta } = pdf;
+  return { ...meta, size: blob.size, sha256: pdf.sha256 ?? await sha256(await blob.arrayBuffer()) };
+};
+
+/** 控えに同じ版があればそれを使い、なければサーバーから取る（取れなければ載せない） */
+async function withPdfBlob(reportId, pdf, cachedPdfs) {
+  if (!pdf || pdf.blob) return pdf;
+  for (const p of cachedPdfs.filter(p => p?.blob)) {
+    if ((p.sha256 ?? await sha256(await p.blob.arrayBuffer())) === pdf.sha256) return { ...p, sha256: pdf.sha256 };
+  }
+  if (!pdf.sha256) return null;
+  const blob = await apiRequest(`/reports/${encodeURIComponent(reportId)}/pdf?sha256=${pdf.sha256}`, { blob: true }).catch(() => null);
+  return blob && { ...pdf, blob };
+}
+
+export const reportSync = {
+  toServer: async (report) => ({
+    ...report,
+    pdf: await pdfMeta(report.pdf),
+    previousPdfs: report.previousPdfs && await Promise.all(report.previousPdfs.map(pdfMeta)),
+  }),
+  fromServer: async (report, cached) => {
+    const cachedPdfs = [cached?.pdf, ...(cached?.previousPdfs || [])];
+    const pdf = await withPdfBlob(report.id, report.pdf, cachedPdfs);
+    const previousPdfs = report.previousPdfs && (await Promise.all(report.previousPdfs.map(p => withPdfBlob(report.id, p, cachedPdfs)))).filter(Boolean);
+    return { ...report, pdf: pdf ?? undefined, ...(previousPdfs ? { previousPdfs } : {}) };
+  },
+  afterPut: async (reports) => {
+    for (const r of reports.filter(r => r.pdf?.blob)) {
+      await apiRequest(`/reports/${encodeURIComponent(r.id)}/pdf?filename=${encodeURIComponent(r.pdf.filename)}`, { method: "PUT", body: r.pdf.blob, headers: { "Content-Type": "application/pdf" } });
+    }
+  },
+};
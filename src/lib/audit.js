@@ -0,0 +1,138 @@
+/**
+ * 監査ログ（追記のみ・ハッシュチェーン）
+ * - 保存するコレクションの作成・変更・削除ごとに、操作者・日時・項目単位の変更前後を1件記録する
+ * - 各エントリは直前のエントリのハッシュ（prevHash）を含めて SHA-256 で封印する。途中の改ざん・削除・差込みは verifyChain で検出できる
+ * - 写真（data URL）と PDF（Blob）は中身の代わりにサイズと SHA-256 を記録し、パスワードのハッシュは伏せる
+ */
+
+export const AUDIT_COLLECTIONS = {
+  events: "予定",
+  reports: "報告書",
+  properties: "物件",
+  vendors: "業者",
+  users: "ユーザー",
+  scheduleOverrides: "周期設定",
+  proposals: "日程提案",
+  filings: "届出",
+  exports: "監査バンドル",
+};
+
+export const AUDIT_ACTIONS = { create: "作成", update: "変更", delete: "削除", export: "出力" };
+
+/** 履歴表示用の項目名（ないものはキーのまま表示） */
+export const FIELD_LABELS = {
+  date: "予定日", dueDate: "法定期限", originalDate: "当初予定日", reschedules: "日程変更",
+  assigneeId: "担当者", vendorId: "業者", status: "状態", statusBeforeCancel: "中止前の状態", cancelledAt: "中止日時",
+  reportId: "報告書", completedAt: "完了日時", sequence: "SEQUENCE", updatedAt: "更新日時",
+  correctiveStatus: "是正状態", history: "是正履歴", quote: "見積", photos: "写真", finding: "不適合内容",
+  answers: "回答", nonConformities: "不適合", revision: "版", reissuedAt: "再発行日時", corrections: "是正結果", pdf: "PDF", previousPdfs: "旧版PDF",
+  formId: "様式", eventIds: "対象の点検", reportIds: "対象の報告書", filedAt: "提出日", acceptedAt: "受理日時", returnedAt: "差戻し日時", receiptNo: "受付番号", note: "メモ", filingId: "届出",
+  name: "名称", role: "役割", passwordHash: "パスワード", passwordSalt: "パスワード（ソルト）",
+};
+
+/** 最初のエントリの prevHash */
+export const GENESIS_HASH = "0".repeat(64);
+
+const REDACTED_FIELDS = ["passwordHash", "passwordSalt"];
+/** これより長い data URL は中身を残さずハッシュにする */
+const INLINE_DATA_URL_LIMIT = 256;
+
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+export async function sha256(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+/** キー順を固定した JSON（ハッシュ計算用。undefined のキーは落とす） */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v ?? null)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** 記録用の値に変換する（Date は ISO 文字列、写真・PDF はハッシュ） */
+export async function snapshotValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof Blob !== "undefined" && value instanceof Blob) return { blob: value.type, size: value.size, sha256: await sha256(await value.arrayBuffer()) };
+  if (typeof value === "string" && value.startsWith("data:") && value.length > INLINE_DATA_URL_LIMIT) {
+    return { dataUrl: value.slice(5, value.indexOf(";")), length: value.length, sha256: await sha256(value) };
+  }
+  if (Array.isArray(value)) return Promise.all(value.map(snapshotValue));
+  if (value && typeof value === "object") {
+    const entries = await Promise.all(Object.entries(value).map(async ([k, v]) => [k, REDACTED_FIELDS.includes(k) && v ? { redacted: true } : await snapshotValue(v)]));
+    return Object.fromEntries(entries);
+  }
+  return value ?? null;
+}
+
+/** 項目（トップレベルのキー）単位の変更前後 */
+export async function recordChanges(before, after) {
+  const [b, a] = await Promise.all([snapshotValue(before ?? {}), snapshotValue(after ?? {})]);
+  const fields = [...new Set([...Object.keys(b), ...Object.keys(a)])].sort();
+  return fields
+    .filter(f => canonicalJSON(b[f]) !== canonicalJSON(a[f]) || (REDACTED_FIELDS.includes(f) && before?.[f] !== after?.[f]))
+    .map(f => ({ field: f, before: b[f] ?? null, after: a[f] ?? null }));
+}
+
+/** 予定の履歴にまとめて表示するための予定 ID（報告書は対象の予定） */
+const eventIdOf = (collection, record) => collection === "events" ? record.id : record.eventId ?? null;
+
+/**
+ * 変更 1 件分の未封印エントリ（seq・ハッシュは auditRepository.append で付与）
+ * change = { before, after }（作成は before なし、削除は after なし。出力など操作を明示する場合は action）
+ */
+export async function auditDraft(collection, { before, after, action }, actor, at = new Date()) {
+  const record = after ?? before;
+  return {
+    at: at.toISOString(),
+    actorId: actor?.id ?? null, actorName: actor?.name ?? "システム",
+    collection, recordId: record.id, eventId: eventIdOf(collection, record),
+    action: action ?? (!before ? "create" : !after ? "delete" : "update"),
+    changes: await recordChanges(before, after),
+  };
+}
+
+/** hash を除いた全項目（prevHash を含む）のハッシュ */
+export const entryHash = (entry) => sha256(canonicalJSON({ ...entry, hash: undefined }));
+
+/** 直前のエントリ（head）に続けて seq・prevHash・hash を付ける */
+export async function sealEntries(drafts, head) {
+  const sealed = [];
+  let prev = head;
+  for (const draft of drafts) {
+    const entry = { seq: (prev?.seq ?? 0) + 1, ...draft, prevHash: prev?.hash ?? GENESIS_HASH };
+    entry.hash = await entryHash(entry);
+    sealed.push(entry);
+    prev = entry;
+  }
+  return sealed;
+}
+
+/**
+ * チェーン全体の検証（seq 昇順の全エントリを渡す）
+ * 連番の欠け・prevHash の不一致・内容とハッシュの不一致を返す
+ */
+export async function verifyChain(entries) {
+  const errors = [];
+  let prev = null;
+  for (const entry of entries) {
+    if (entry.seq !== (prev?.seq ?? 0) + 1) errors.push({ seq: entry.seq, reason: `連番が飛んでいます（直前 ${prev?.seq ?? 0}）` });
+    if (entry.prevHash !== (prev?.hash ?? GENESIS_HASH)) errors.push({ seq: entry.seq, reason: "直前のエントリのハッシュと一致しません" });
+    if (entry.hash !== await entryHash(entry)) errors.push({ seq: entry.seq, reason: "内容がハッシュと一致しません（改ざんの可能性）" });
+    prev = entry;
+  }
+  return { ok: errors.length === 0, count: entries.length, headSeq: prev?.seq ?? 0, headHash: prev?.hash ?? GENESIS_HASH, errors };
+}
+
+/** 履歴表示用に値を短くする */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (typeof value !== "object") return String(value);
+  if (value.redacted) return "（非表示）";
+  if (value.sha256 && (value.dataUrl || value.blob)) return `${value.dataUrl || value.blob}（${value.sha256.slice(0, 12)}…）`;
+  if (Array.isArray(value)) return value.length ? value.map(formatAuditValue).join(", ") : "-";
+  return canonicalJSON(value);
+}
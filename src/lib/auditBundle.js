@@ -0,0 +1,109 @@
+import { zipSync, unzipSync, strToU8, strFromU8 } from "fflate";
+import { format, parseISO, startOfDay, endOfDay, isWithinInterval } from "date-fns";
+import { snapshotValue, sha256, entryHash, GENESIS_HASH } from "./audit";
+
+/**
+ * 監査用の出力バンドル（物件・期間単位の ZIP）
+ * - records.json: 予定（是正タスクを含む）と報告書。写真・PDF は SHA-256 で参照
+ * - pdfs/: 報告書の PDF（再発行前の版を含む）
+ * - audit-log.json: 対象レコードの監査ログ（全項目）
+ * - audit-chain.json: チェーン全体の seq・prevHash・hash のみ（他物件の内容を含めずにつながりを検証できる）
+ * - manifest.json: 各ファイルの SHA-256・チェーンの先頭ハッシュ・検証手順
+ */
+
+export const inPeriod = (date, from, to) => isWithinInterval(new Date(date), { start: startOfDay(parseISO(from)), end: endOfDay(parseISO(to)) });
+
+/** 物件・期間に含まれる予定（是正タスクは親の予定が含まれていれば含める） */
+export function bundleEvents(events, propertyId, from, to) {
+  const inspections = events.filter(e => e.propertyId === propertyId && !e.parentId && inPeriod(e.date, from, to));
+  const ids = new Set(inspections.map(e => e.id));
+  return [...inspections, ...events.filter(e => e.parentId && ids.has(e.parentId))];
+}
+
+/** 再発行前の版も同じファイル名なので、報告書 ID と版の順番でパスを分ける */
+const pdfPath = (report, pdf, i) => `pdfs/${report.id}/${String(i + 1).padStart(2, "0")}_${pdf.filename}`;
+
+function withPdfPaths(report) {
+  const previous = (report.previousPdfs || []).map((pdf, i) => ({ ...pdf, path: pdfPath(report, pdf, i) }));
+  return { ...report, previousPdfs: previous, pdf: report.pdf && { ...report.pdf, path: pdfPath(report, report.pdf, previous.length) } };
+}
+
+const VERIFY_STEPS = [
+  "files の各ファイルの SHA-256 が一致すること",
+  "audit-log.json の各エントリについて、hash を除いた全項目をキー順に並べた JSON の SHA-256 が hash と一致すること",
+  "audit-chain.json の seq が 1 から連番で、各 prevHash が直前の hash と一致し、最後の hash が auditChain.headHash と一致すること",
+  "audit-log.json の各エントリの seq と hash が audit-chain.json の同じ seq の行と一致すること",
+];
+
+export async function buildAuditBundle({ property, from, to, events, reports, chain, verification, generatedBy, generatedAt = new Date() }) {
+  const eventIds = new Set(events.map(e => e.id));
+  const reportIds = new Set(reports.map(r => r.id));
+  const entries = chain.filter(e => eventIds.has(e.eventId) || reportIds.has(e.recordId));
+  const files = {};
+  const add = (path, data) => { files[path] = typeof data === "string" ? strToU8(data) : data; };
+
+  const withPaths = reports.map(withPdfPaths);
+  add("records.json", JSON.stringify({
+    property: await snapshotValue(property),
+    period: { from, to },
+    events: await snapshotValue(events),
+    reports: await snapshotValue(withPaths),
+  }, null, 2));
+  for (const report of withPaths) {
+    for (const pdf of [...report.previousPdfs, ...(report.pdf ? [report.pdf] : [])]) add(pdf.path, new Uint8Array(await pdf.blob.arrayBuffer()));
+  }
+  add("audit-log.json", JSON.stringify(entries, null, 2));
+  add("audit-chain.json", JSON.stringify(chain.map(({ seq, prevHash, hash }) => ({ seq, prevHash, hash }))));
+
+  const manifest = {
+    generatedAt: generatedAt.toISOString(),
+    generatedBy: generatedBy ? { id: generatedBy.id, name: generatedBy.name } : null,
+    property: { id: property.id, name: property.name },
+    period: { from, to },
+    counts: { events: events.length, reports: reports.length, auditEntries: entries.length },
+    files: await Promise.all(Object.entries(files).map(async ([path, data]) => ({ path, size: data.length, sha256: await sha256(data) }))),
+    auditChain: {
+      algorithm: "SHA-256", headSeq: verification.headSeq, headHash: verification.headHash,
+      verifiedAtExport: verification.ok, errors: verification.errors,
+    },
+    howToVerify: VERIFY_STEPS,
+  };
+  const manifestJSON = JSON.stringify(manifest, null, 2);
+  add("manifest.json", manifestJSON);
+
+  const stamp = format(generatedAt, "yyyyMMddHHmmss");
+  return {
+    id: `AB-${property.id}-${stamp}`,
+    filename: `監査バンドル_${property.name}_${from}_${to}.zip`,
+    blob: new Blob([zipSync(files)], { type: "application/zip" }),
+    manifestSha256: await sha256(manifestJSON),
+    counts: manifest.counts,
+  };
+}
+
+/** 出力済みバンドルの検証（manifest の手順をそのまま実行する） */
+export async function verifyAuditBundle(zipBytes) {
+  const files = unzipSync(zipBytes);
+  const read = (path) => JSON.parse(strFromU8(files[path]));
+  if (!files["manifest.json"]) return { ok: false, manifest: null, errors: [{ reason: "manifest.json がありません" }] };
+  const manifest = read("manifest.json");
+  const errors = [];
+  for (const f of manifest.files) {
+    if (!files[f.path]) errors.push({ path: f.path, reason: "ファイルがありません" });
+    else if (await sha256(files[f.path]) !== f.sha256) errors.push({ path: f.path, reason: "ファイルのハッシュが一致しません" });
+  }
+  if (errors.length) return { ok: false, manifest, errors };
+
+  const chain = read("audit-chain.json");
+  chain.forEach((c, i) => {
+    if (c.seq !== i + 1) errors.push({ seq: c.seq, reason: "連番が飛んでいます" });
+    if (c.prevHash !== (i > 0 ? chain[i - 1].hash : GENESIS_HASH)) errors.push({ seq: c.seq, reason: "直前のエントリのハッシュと一致しません" });
+  });
+  if ((chain[chain.length - 1]?.hash ?? GENESIS_HASH) !== manifest.auditChain.headHash) errors.push({ reason: "チェーンの先頭ハッシュが manifest と一致しません" });
+  const bySeq = new Map(chain.map(c => [c.seq, c]));
+  for (const entry of read("audit-log.json")) {
+    if (entry.hash !== await entryHash(entry)) errors.push({ seq: entry.seq, reason: "内容がハッシュと一致しません（改ざんの可能性）" });
+    if (bySeq.get(entry.seq)?.hash !== entry.hash) errors.push({ seq: entry.seq, reason: "チェーンに含まれていません" });
+  }
+  return { ok: errors.length === 0, manifest, errors };
+}
@@ -0,0 +1,87 @@
+import { ROLES, ROLE_LABELS } from "./constants";
+import { CORRECTIVE_STATES } from "./corrective";
+
+/**
+ * ログインと権限
+ * - ユーザーはマスタ（IndexedDB）に保存し、パスワードは PBKDF2（SHA-256）のハッシュとソルトのみ持つ
+ * - パスワード未設定のユーザーはユーザーIDが初期パスワード。ログイン直後に変更させる
+ * - 業者ユーザーは自社（vendorId）の予定・是正タスクだけを扱える
+ */
+
+export const PASSWORD_MIN_LENGTH = 8;
+const PBKDF2_ITERATIONS = 100000;
+
+export const PERMISSIONS = {
+  "plan.edit": { label: "年間計画の作成・再割当", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+  "schedule.edit": { label: "予定日の変更・中止", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+  "ics.manage": { label: "カレンダー連携", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+  "checklist.submit": { label: "点検結果の提出", roles: [ROLES.ADMIN, ROLES.INSPECTOR, ROLES.VENDOR] },
+  "report.reissue": { label: "報告書の再発行", roles: [ROLES.ADMIN, ROLES.PLANNER, ROLES.INSPECTOR] },
+  "corrective.edit": { label: "是正タスクの更新", roles: [ROLES.ADMIN, ROLES.PLANNER, ROLES.INSPECTOR, ROLES.VENDOR] },
+  "corrective.verify": { label: "是正の検証・クローズ", roles: [ROLES.ADMIN, ROLES.PLANNER, ROLES.INSPECTOR] },
+  "master.edit": { label: "マスタ管理", roles: [ROLES.ADMIN] },
+  "notify.settings": { label: "通知設定", roles: [ROLES.ADMIN] },
+  "analytics.view": { label: "遵守状況の分析", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+  "audit.view": { label: "変更履歴の閲覧", roles: [ROLES.ADMIN, ROLES.PLANNER, ROLES.INSPECTOR] },
+  "audit.export": { label: "監査ログの検証・出力", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+  "filing.manage": { label: "行政への届出", roles: [ROLES.ADMIN, ROLES.PLANNER] },
+};
+
+export const roleLabel = (user) => ROLE_LABELS[user?.role] ?? "-";
+
+/** 点検の担当者として割り当てられる役割 */
+export const isAssignable = (user) => user.role === ROLES.INSPECTOR || user.role === ROLES.ADMIN;
+
+/** 予定が見えるか（業者は自社分のみ） */
+export const canView = (user, event) => !!user && (user.role !== ROLES.VENDOR || (!!user.vendorId && event?.vendorId === user.vendorId));
+
+const ASSIGNED_ONLY_FOR_INSPECTOR = ["checklist.submit", "corrective.edit", "corrective.verify"];
+
+/**
+ * 権限の判定。event を渡すと業者の自社分チェックも行う
+ * 点検担当の提出・是正タスクの更新は自分が担当の予定だけ（是正タスクの assigneeId は元の点検の担当者。サーバーの権限と同じ）
+ */
+export function can(user, action, event) {
+  if (!user || !PERMISSIONS[action]?.roles.includes(user.role)) return false;
+  if (ASSIGNED_ONLY_FOR_INSPECTOR.includes(action) && user.role === ROLES.INSPECTOR && event && event.assigneeId !== user.id) return false;
+  return !event || canView(user, event);
+}
+
+/** 是正完了からの遷移（クローズ・差戻し）は検証にあたるため業者には許可しない */
+export const correctiveAction = (task) => task.correctiveStatus === CORRECTIVE_STATES.COMPLETED ? "corrective.verify" : "corrective.edit";
+
+export const deniedMessage = (action) => `権限がありません（${PERMISSIONS[action]?.label ?? action}）`;
+
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+async function derive(password, salt) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: new TextEncoder().encode(salt), iterations: PBKDF2_ITERATIONS }, key, 256);
+  return toHex(bits);
+}
+
+export async function createCredentials(password) {
+  const passwordSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { passwordSalt, passwordHash: await derive(password, passwordSalt), passwordChangedAt: new Date() };
+}
+
+export const mustChangePassword = (user) => !user.passwordHash;
+
+export async function verifyPassword(user, password) {
+  if (mustChangePassword(user)) return password === user.id;
+  return (await derive(password, user.passwordSalt)) === user.passwordHash;
+}
+
+export function passwordErrors(user, password, confirm) {
+  const errors = [];
+  if (password.length < PASSWORD_MIN_LENGTH) errors.push(`パスワードは${PASSWORD_MIN_LENGTH}文字以上にしてください`);
+  if (password === user.id) errors.push("ユーザーIDと同じパスワードは使えません");
+  if (password !== confirm) errors.push("確認用のパスワードが一致しません");
+  return errors;
+}
+
+/** ユーザーID（大文字小文字を区別しない）またはメールアドレスで検索 */
+export function findLoginUser(users, loginId) {
+  const q = loginId.trim().toLowerCase();
+  return q ? users.find(u => u.id.toLowerCase() === q || (u.email && u.email.toLowerCase() === q)) : undefined;
+}
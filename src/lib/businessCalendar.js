@@ -0,0 +1,83 @@
+import { addDays, format, getDay, isSameDay } from "date-fns";
+import { WEEKDAYS } from "./constants";
+import { JAPANESE_HOLIDAYS, HOLIDAY_YEARS } from "./holidays";
+
+/**
+ * 営業日カレンダー
+ * - 休みは 国民の祝日（holidays.js）・会社の休業日（closures）・営業曜日（workdays）以外の曜日
+ * - 業者・担当者（who）を渡すと、曜日はその人の稼働曜日（workdays 未設定なら会社の営業曜日）、休業日（blackoutDates）も休みとする
+ * - 計画日の移動ルール（shiftRule）と是正期限の数え方（slaUnit）も同じ設定に持つ（meta の "businessCalendar"）
+ */
+
+export const SHIFT_RULES = { NONE: "none", PREVIOUS: "previous", NEXT: "next" };
+export const SHIFT_RULE_LABELS = { none: "移動しない", previous: "前の営業日", next: "次の営業日" };
+export const SLA_UNITS = { CALENDAR: "calendar", BUSINESS: "business" };
+export const SLA_UNIT_LABELS = { calendar: "暦日", business: "営業日" };
+
+export const DEFAULT_BUSINESS_CALENDAR = {
+  workdays: ["月", "火", "水", "木", "金"],
+  closures: [],
+  shiftRule: SHIFT_RULES.PREVIOUS,
+  slaUnit: SLA_UNITS.CALENDAR,
+  slaDays: {},
+};
+
+/** 営業日を探す最大日数（長期休業でも止まるように） */
+const SEARCH_LIMIT = 60;
+
+const dayKey = (d) => format(new Date(d), "yyyy-MM-dd");
+
+export const holidayName = (date) => JAPANESE_HOLIDAYS[dayKey(date)] ?? null;
+export const isHolidayDataCovered = (date) => new Date(date).getFullYear() >= HOLIDAY_YEARS.from && new Date(date).getFullYear() <= HOLIDAY_YEARS.to;
+
+/** 休みの理由（営業日なら null） */
+export function closedReason(date, calendar = DEFAULT_BUSINESS_CALENDAR, who) {
+  const day = dayKey(date);
+  const holiday = JAPANESE_HOLIDAYS[day];
+  if (holiday) return `祝日（${holiday}）`;
+  if (calendar.closures?.includes(day)) return "会社の休業日";
+  const own = who?.workdays?.length > 0;
+  const workdays = own ? who.workdays : calendar.workdays;
+  if (workdays?.length && !workdays.includes(WEEKDAYS[getDay(new Date(date))])) return own ? `${who.name}の稼働曜日外` : "休業曜日";
+  if (who?.blackoutDates?.includes(day)) return `${who.name}の休業日`;
+  return null;
+}
+
+export const isBusinessDay = (date, calendar, who) => !closedReason(date, calendar, who);
+
+/** step 方向（1 / -1）で最初の営業日（date 自身を含む） */
+function seek(date, step, calendar) {
+  for (let i = 0, d = new Date(date); i <= SEARCH_LIMIT; i++, d = addDays(d, step)) {
+    if (isBusinessDay(d, calendar)) return d;
+  }
+  return new Date(date);
+}
+
+/** 移動ルールに従って営業日へ寄せる */
+export function shiftToBusinessDay(date, calendar = DEFAULT_BUSINESS_CALENDAR) {
+  if (calendar.shiftRule === SHIFT_RULES.PREVIOUS) return seek(date, -1, calendar);
+  if (calendar.shiftRule === SHIFT_RULES.NEXT) return seek(date, 1, calendar);
+  return new Date(date);
+}
+
+/**
+ * 計画の発生日を営業日へ移す（ruleDate に周期ルール上の日を残す）
+ * - 期日が予定日と同じ日（暦で決めた日）なら期日も一緒に移す。法定期限として別に持つ期日はそのまま
+ * - 前へ移すと notBefore（計画の開始日）より前になる場合は次の営業日にする
+ */
+export function shiftOccurrence(o, calendar, notBefore) {
+  let date = shiftToBusinessDay(o.date, calendar);
+  if (notBefore && date < notBefore) date = seek(o.date, 1, calendar);
+  if (isSameDay(date, o.date)) return o;
+  return { ...o, date, dueDate: isSameDay(o.date, o.dueDate) ? date : o.dueDate, ruleDate: o.date };
+}
+
+/** n 営業日後（起点日は数えない） */
+export function addBusinessDays(date, n, calendar = DEFAULT_BUSINESS_CALENDAR) {
+  let d = new Date(date);
+  for (let left = n; left > 0;) {
+    d = addDays(d, 1);
+    if (isBusinessDay(d, calendar)) left--;
+  }
+  return d;
+}
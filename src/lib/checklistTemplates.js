@@ -0,0 +1,211 @@
+import { format } from "date-fns";
+import { Severity } from "./constants";
+
+/**
+ * 点検種別ごとのチェックリストテンプレート
+ * - 1テンプレート = 種別 × 版（version）。公開済みの版は変更せず、改訂時は新しい版を追加する
+ * - 報告書は記入時の templateId / templateVersion を保持し、常にその版で表示・出力する
+ * - 項目タイプ: result（合/否/該当なし）, number（基準範囲つき測定値）, text, photo（写真必須）
+ */
+
+export const ITEM_TYPES = { RESULT: "result", NUMBER: "number", TEXT: "text", PHOTO: "photo" };
+
+export const RESULTS = { PASS: "pass", FAIL: "fail", NA: "na" };
+export const RESULT_LABELS = { [RESULTS.PASS]: "合", [RESULTS.FAIL]: "否", [RESULTS.NA]: "該当なし" };
+
+const TEMPLATES = [
+  {
+    id: "generic", kind: null, version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "共通", items: [
+        { id: "外観損傷なし", type: "result", label: "外観損傷なし" },
+        { id: "動作正常", type: "result", label: "動作正常" },
+        { id: "表示・ラベル正常", type: "result", label: "表示・ラベル正常" },
+        { id: "法定項目確認", type: "result", label: "法定項目確認" },
+      ] },
+    ],
+  },
+  {
+    id: "fire", kind: "消防設備", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "消火器", items: [
+        { id: "ext-place", type: "result", label: "設置場所・標識" },
+        { id: "ext-body", type: "result", label: "本体容器の腐食・変形" },
+        { id: "ext-pressure", type: "number", label: "指示圧力値", unit: "MPa", min: 0.7, max: 0.98 },
+        { id: "ext-expiry", type: "result", label: "使用期限・製造年" },
+      ] },
+      { title: "自動火災報知設備", items: [
+        { id: "afa-panel", type: "result", label: "受信機の表示・警報音" },
+        { id: "afa-detector", type: "result", label: "感知器の作動試験" },
+        { id: "afa-battery", type: "number", label: "予備電源電圧", unit: "V", min: 24, max: 28, severity: Severity.HIGH },
+        { id: "afa-photo", type: "photo", label: "受信機全景" },
+      ] },
+      { title: "避難器具・誘導灯", items: [
+        { id: "evac-sign", type: "result", label: "標識・操作面積の確保" },
+        { id: "guide-light", type: "result", label: "誘導灯の点灯・表示面" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+  {
+    id: "elevator", kind: "エレベーター", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "機械室・巻上機", items: [
+        { id: "brake-pad", type: "number", label: "ブレーキパッド残存厚", unit: "mm", min: 4, severity: Severity.HIGH },
+        { id: "hoist-noise", type: "result", label: "巻上機の異音・振動" },
+        { id: "rope-wear", type: "result", label: "主索の摩耗・素線切れ" },
+        { id: "machine-photo", type: "photo", label: "機械室全景" },
+      ] },
+      { title: "かご・乗場", items: [
+        { id: "landing-gap", type: "number", label: "着床段差", unit: "mm", min: -10, max: 10 },
+        { id: "door-protect", type: "result", label: "戸開走行保護装置" },
+        { id: "safety-gear", type: "result", label: "非常止め装置" },
+        { id: "intercom", type: "result", label: "非常用インターホン通話" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+  {
+    id: "water-tank", kind: "受水槽", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "水槽", items: [
+        { id: "tank-body", type: "result", label: "水槽本体の亀裂・漏水" },
+        { id: "manhole", type: "result", label: "マンホールの施錠・防水" },
+        { id: "vent", type: "result", label: "通気管・オーバーフロー管の防虫網" },
+        { id: "tank-photo", type: "photo", label: "水槽内部" },
+      ] },
+      { title: "水質", items: [
+        { id: "chlorine", type: "number", label: "残留塩素", unit: "mg/L", min: 0.1, max: 1.0, severity: Severity.HIGH },
+        { id: "water-sense", type: "result", label: "色・濁り・臭い・味" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+  {
+    id: "drain", kind: "排水管", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "排水設備", items: [
+        { id: "washing", type: "result", label: "高圧洗浄の実施" },
+        { id: "clog", type: "result", label: "詰まり・逆流の有無" },
+        { id: "catch-basin", type: "result", label: "排水桝の破損・堆積" },
+        { id: "before-after", type: "photo", label: "洗浄前後" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+  {
+    id: "emergency-light", kind: "非常照明", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "非常用照明装置", items: [
+        { id: "lighting", type: "result", label: "予備電源への切替・点灯" },
+        { id: "illuminance", type: "number", label: "床面照度", unit: "lx", min: 1 },
+        { id: "battery-30min", type: "result", label: "30分間点灯の継続" },
+        { id: "fixture-photo", type: "photo", label: "器具" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+  {
+    id: "fire-door", kind: "防火設備", version: 1, effectiveFrom: "2025-01-01",
+    sections: [
+      { title: "防火扉・防火シャッター", items: [
+        { id: "closing", type: "result", label: "感知器連動による閉鎖" },
+        { id: "closing-time", type: "number", label: "閉鎖時間", unit: "秒", max: 60 },
+        { id: "hazard-stop", type: "result", label: "危害防止装置の作動" },
+        { id: "obstruction", type: "result", label: "閉鎖の障害となる物品なし" },
+        { id: "door-photo", type: "photo", label: "閉鎖状態" },
+      ] },
+      { title: "所見", items: [
+        { id: "remarks", type: "text", label: "特記事項" },
+      ] },
+    ],
+  },
+];
+
+/**
+ * 種別の適用テンプレートを返す
+ * - version 指定時はその版（報告書の再表示用）
+ * - 未指定時は onDate 時点で有効な最新版。該当種別がなければ汎用テンプレート
+ */
+export function getTemplate(kind, { version, onDate = new Date() } = {}) {
+  const ofKind = TEMPLATES.filter(t => t.kind === kind);
+  const candidates = ofKind.length ? ofKind : TEMPLATES.filter(t => t.id === "generic");
+  if (version != null) return candidates.find(t => t.version === version) ?? null;
+  const day = typeof onDate === "string" ? onDate : format(onDate, "yyyy-MM-dd");
+  return candidates.filter(t => t.effectiveFrom <= day).sort((a, b) => b.version - a.version)[0] ?? candidates[0];
+}
+
+/** 報告書が記入された版のテンプレート（版情報のない旧報告書は汎用テンプレート） */
+export function getReportTemplate(report) {
+  if (report?.templateId == null) return TEMPLATES.find(t => t.id === "generic");
+  return TEMPLATES.find(t => t.id === report.templateId && t.version === report.templateVersion) ?? null;
+}
+
+export const templateItems = (template) => template.sections.flatMap(s => s.items.map(item => ({ ...item, section: s.title })));
+
+const isRequired = (item) => item.required ?? item.type !== ITEM_TYPES.TEXT;
+
+export function isOutOfRange(item, value) {
+  if (item.type !== ITEM_TYPES.NUMBER || value === "" || value == null || Number.isNaN(Number(value))) return false;
+  const n = Number(value);
+  return (item.min != null && n < item.min) || (item.max != null && n > item.max);
+}
+
+export function rangeLabel(item) {
+  if (item.min != null && item.max != null) return `${item.min}〜${item.max}${item.unit ?? ""}`;
+  if (item.min != null) return `${item.min}${item.unit ?? ""}以上`;
+  if (item.max != null) return `${item.max}${item.unit ?? ""}以下`;
+  return "";
+}
+
+/** 回答の表示用文字列（旧形式の boolean 回答にも対応） */
+export function formatAnswer(item, value) {
+  if (value === true) return "OK";
+  if (value === false) return "不適合";
+  if (value == null || value === "") return "-";
+  switch (item.type) {
+    case ITEM_TYPES.RESULT: return RESULT_LABELS[value] ?? String(value);
+    case ITEM_TYPES.NUMBER: return `${value}${item.unit ?? ""}${isOutOfRange(item, value) ? "（基準外）" : ""}`;
+    case ITEM_TYPES.PHOTO: return `写真 ${value.length}枚`;
+    default: return String(value);
+  }
+}
+
+/** 未入力の必須項目 */
+export function missingItems(template, answers) {
+  return templateItems(template).filter(item => {
+    if (!isRequired(item)) return false;
+    const v = answers?.[item.id];
+    if (item.type === ITEM_TYPES.PHOTO) return !v?.length;
+    return v == null || v === "";
+  });
+}
+
+/**
+ * 回答から不適合の候補を作る（基準外の測定値・「否」判定）
+ * - 既に同じ itemId の不適合が登録済みなら候補にしない
+ */
+export function suggestNonConformities(template, answers, nonConformities = []) {
+  const linked = new Set(nonConformities.map(nc => nc.itemId).filter(Boolean));
+  return templateItems(template).flatMap(item => {
+    if (linked.has(item.id)) return [];
+    const v = answers?.[item.id];
+    if (isOutOfRange(item, v)) {
+      return [{ itemId: item.id, note: `${item.section} ${item.label}: 測定値 ${v}${item.unit ?? ""}（基準 ${rangeLabel(item)}）`, severity: item.severity ?? Severity.MEDIUM }];
+    }
+    if (item.type === ITEM_TYPES.RESULT && v === RESULTS.FAIL) {
+      return [{ itemId: item.id, note: `${item.section} ${item.label}: 否`, severity: item.severity ?? Severity.MEDIUM }];
+    }
+    return [];
+  });
+}
@@ -0,0 +1,23 @@
+/** 点検ドメイン共通の定数 */
+
+export const Severity = { HIGH: "重大", MEDIUM: "中", LOW: "軽" };
+
+/** 周期は recurrence.js の RECURRENCE_RULES で種別・サブ点検ごとに定義 */
+export const INSPECTION_KINDS = {
+  "消防設備": { label: "消防設備" },
+  "エレベーター": { label: "エレベーター" },
+  "受水槽": { label: "受水槽" },
+  "排水管": { label: "排水管" },
+  "非常照明": { label: "非常照明" },
+  "防火設備": { label: "防火設備" },
+};
+
+/** 建物用途（消防法施行令別表第一の区分を簡略化） */
+export const USE_TYPES = ["共同住宅", "事務所", "店舗", "複合用途", "ホテル・旅館", "病院・福祉施設", "倉庫", "その他"];
+
+/** 曜日（getDay() の並び） */
+export const WEEKDAYS = ["日", "月", "火", "水", "木", "金", "土"];
+
+/** ユーザーの役割（権限は auth.js の PERMISSIONS） */
+export const ROLES = { ADMIN: "admin", PLANNER: "planner", INSPECTOR: "inspector", VENDOR: "vendor" };
+export const ROLE_LABELS = { admin: "管理者", planner: "計画担当", inspector: "点検担当", vendor: "業者" };
@@ -0,0 +1,105 @@
+import { addDays } from "date-fns";
+import { Severity } from "./constants";
+import { SLA_UNITS, addBusinessDays } from "./businessCalendar";
+
+/**
+ * 不適合の是正ライフサイクル
+ * open（未着手）→ quote（業者見積）→ inProgress（是正工事中）→ completed（是正完了）→ closed（検証済・クローズ）
+ * - 遷移はすべて history に { from, to, by, at, note } で記録
+ * - クローズには是正前・是正後の写真が必須（不適合に紐付けて撮った点検時の写真を是正前の写真として引き継ぐ）
+ */
+
+export const CORRECTIVE_STATES = { OPEN: "open", QUOTE: "quote", IN_PROGRESS: "inProgress", COMPLETED: "completed", CLOSED: "closed" };
+
+export const CORRECTIVE_LABELS = {
+  open: "未着手",
+  quote: "業者見積",
+  inProgress: "是正工事中",
+  completed: "是正完了",
+  closed: "検証済・クローズ",
+};
+
+export const CORRECTIVE_FLOW = [CORRECTIVE_STATES.OPEN, CORRECTIVE_STATES.QUOTE, CORRECTIVE_STATES.IN_PROGRESS, CORRECTIVE_STATES.COMPLETED, CORRECTIVE_STATES.CLOSED];
+
+/** 許可される遷移（差戻しを含む） */
+const TRANSITIONS = {
+  open: ["quote"],
+  quote: ["inProgress", "open"],
+  inProgress: ["completed"],
+  completed: ["closed", "inProgress"],
+  closed: [],
+};
+
+/** 重要度ごとの是正期限（日）の既定値。営業日カレンダーの slaDays・slaUnit で変更できる */
+export const SEVERITY_DUE_DAYS = { [Severity.HIGH]: 7, [Severity.MEDIUM]: 14, [Severity.LOW]: 30 };
+
+export const slaDaysOf = (severity, calendar) => calendar?.slaDays?.[severity] ?? SEVERITY_DUE_DAYS[severity] ?? SEVERITY_DUE_DAYS[Severity.LOW];
+
+/** 起票日から重要度ごとの日数後（営業日で数える設定なら休みを飛ばす） */
+export function correctiveDueDate(at, severity, calendar) {
+  const days = slaDaysOf(severity, calendar);
+  return calendar?.slaUnit === SLA_UNITS.BUSINESS ? addBusinessDays(at, days, calendar) : addDays(at, days);
+}
+
+export const isCorrective = (e) => e?.type === "corrective";
+
+export function createCorrectiveTask(parent, nc, index, { reportId, by, at = new Date(), calendar, photos = [] }) {
+  return {
+    id: `CR-${parent.id}-${index + 1}`,
+    type: "corrective",
+    date: at, dueDate: correctiveDueDate(at, nc.severity, calendar),
+    propertyId: parent.propertyId, kind: parent.kind,
+    finding: { note: nc.note, severity: nc.severity, itemId: nc.itemId ?? null },
+    assigneeId: parent.assigneeId, vendorId: parent.vendorId,
+    status: "是正中", correctiveStatus: CORRECTIVE_STATES.OPEN,
+    quote: null, photos: { before: photos.map(p => ({ ...p, itemId: null, ncIndex: null })), after: [] },
+    history: [{ from: null, to: CORRECTIVE_STATES.OPEN, by, at, note: "点検報告により起票" }],
+    parentId: parent.id, reportId,
+  };
+}
+
+export const nextStates = (task) => TRANSITIONS[task.correctiveStatus] ?? [];
+
+/** 遷移前チェック。満たしていない条件をメッセージで返す */
+export function transitionErrors(task, to, by) {
+  const errors = [];
+  if (!nextStates(task).includes(to)) errors.push(`「${CORRECTIVE_LABELS[task.correctiveStatus]}」から「${CORRECTIVE_LABELS[to]}」へは変更できません`);
+  if (!by) errors.push("操作者（ログイン中のユーザー）が不明です");
+  if (to === CORRECTIVE_STATES.IN_PROGRESS && task.correctiveStatus === CORRECTIVE_STATES.QUOTE && !(task.quote?.amount > 0)) errors.push("見積金額を入力してください");
+  if (to === CORRECTIVE_STATES.CLOSED) {
+    if (!task.photos?.before?.length) errors.push("是正前の写真が必要です");
+    if (!task.photos?.after?.length) errors.push("是正後の写真が必要です");
+  }
+  return errors;
+}
+
+export function applyTransition(task, to, { by, note = "", at = new Date() }) {
+  const closed = to === CORRECTIVE_STATES.CLOSED;
+  return {
+    ...task,
+    correctiveStatus: to,
+    status: closed ? "完了" : "是正中",
+    completedAt: to === CORRECTIVE_STATES.COMPLETED ? at : task.completedAt,
+    closedAt: closed ? at : null,
+    closedBy: closed ? by : null,
+    history: [...(task.history || []), { from: task.correctiveStatus, to, by, at, note }],
+  };
+}
+
+/** 親点検に紐づく是正タスク */
+export const correctiveTasksOf = (events, parentId) => events.filter(e => isCorrective(e) && e.parentId === parentId);
+
+/** 報告書の再発行用に、是正結果を報告書へ載せる形にまとめる */
+export function correctionSummary(tasks, users) {
+  const name = (id) => users.find(u => u.id === id)?.name ?? id;
+  return tasks.map(t => ({
+    taskId: t.id,
+    note: t.finding?.note,
+    severity: t.finding?.severity,
+    completedAt: t.completedAt,
+    closedAt: t.closedAt,
+    closedBy: name(t.closedBy),
+    quoteAmount: t.quote?.amount ?? null,
+    photos: t.photos,
+  }));
+}
@@ -0,0 +1,42 @@
+/**
+ * CSV（RFC 4180）の読み書き
+ * - 先頭 BOM / CRLF / 引用符内の改行・カンマに対応
+ * - 出力は Excel で文字化けしないよう BOM 付き UTF-8
+ */
+
+export function parseCSV(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+/** 1行目をヘッダとしてオブジェクト配列にする（line は元ファイルの行番号） */
+export function parseCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const keys = header.map(h => h.trim());
+  return { header: keys, records: rows.map((r, i) => ({ line: i + 2, values: Object.fromEntries(keys.map((k, j) => [k, (r[j] ?? "").trim()])) })) };
+}
+
+function quote(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(header, rows) {
+  return "\uFEFF" + [header, ...rows].map(r => r.map(quote).join(",")).join("\r\n") + "\r\n";
+}
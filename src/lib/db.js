@@ -0,0 +1,197 @@
+import { Severity, ROLES } from "./constants";
+
+/**
+ * IndexedDB 接続とスキーママイグレーション
+ * - MIGRATIONS は追記のみ（既存エントリは変更しない）
+ * - 各 up(db, tx) は onupgradeneeded 内の versionchange トランザクションで実行
+ */
+
+const DB_NAME = "inspection-system";
+
+export const STORES = {
+  EVENTS: "events",
+  REPORTS: "reports",
+  NOTIFICATIONS: "notifications",
+  META: "meta",
+  PROPERTIES: "properties",
+  VENDORS: "vendors",
+  USERS: "users",
+  SCHEDULE_OVERRIDES: "scheduleOverrides",
+  NOTIFICATION_RULES: "notificationRules",
+  SUBSCRIPTIONS: "subscriptions",
+  NOTIFICATION_KEYS: "notificationKeys",
+  PROPOSALS: "proposals",
+  DRAFTS: "drafts",
+  OUTBOX: "outbox",
+  AUDIT_LOG: "auditLog",
+  SAVED_VIEWS: "savedViews",
+  FILINGS: "filings",
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    up(db) {
+      const events = db.createObjectStore(STORES.EVENTS, { keyPath: "id" });
+      events.createIndex("propertyId", "propertyId");
+      events.createIndex("parentId", "parentId");
+      const reports = db.createObjectStore(STORES.REPORTS, { keyPath: "id" });
+      reports.createIndex("eventId", "eventId");
+      const notifications = db.createObjectStore(STORES.NOTIFICATIONS, { keyPath: "id" });
+      notifications.createIndex("at", "at");
+      db.createObjectStore(STORES.META, { keyPath: "key" });
+    },
+  },
+  {
+    version: 2,
+    up(db) {
+      db.createObjectStore(STORES.PROPERTIES, { keyPath: "id" });
+      db.createObjectStore(STORES.VENDORS, { keyPath: "id" });
+      db.createObjectStore(STORES.USERS, { keyPath: "id" });
+    },
+  },
+  {
+    version: 3,
+    up(db) {
+      // id = `${propertyId}|${kind}|${sub}`（recurrence.overrideKey）
+      db.createObjectStore(STORES.SCHEDULE_OVERRIDES, { keyPath: "id" });
+    },
+  },
+  {
+    version: 4,
+    // 旧形式の是正タスク（kind に「種別 是正: 事象」を埋め込んだもの）をライフサイクル形式へ変換
+    up(db, tx) {
+      const severityByDays = { 7: Severity.HIGH, 14: Severity.MEDIUM, 30: Severity.LOW };
+      tx.objectStore(STORES.EVENTS).openCursor().onsuccess = (ev) => {
+        const cur = ev.target.result;
+        if (!cur) return;
+        const e = cur.value;
+        const m = /^(.+?) 是正: (.*)$/s.exec(e.kind ?? "");
+        if (e.parentId && !e.type && m) {
+          const at = e.date;
+          const days = Math.round((new Date(e.dueDate) - new Date(e.date)) / 86400000);
+          cur.update({
+            ...e, type: "corrective", kind: m[1],
+            finding: { note: m[2], severity: severityByDays[days] ?? Severity.LOW, itemId: null },
+            correctiveStatus: "open", quote: null, photos: { before: [], after: [] },
+            history: [{ from: null, to: "open", by: e.assigneeId, at, note: "旧形式から移行" }],
+          });
+        }
+        cur.continue();
+      };
+    },
+  },
+  {
+    version: 5,
+    up(db, tx) {
+      db.createObjectStore(STORES.NOTIFICATION_RULES, { keyPath: "id" });
+      // id = userId
+      db.createObjectStore(STORES.SUBSCRIPTIONS, { keyPath: "id" });
+      // 送信済みの重複排除キー（通知履歴の上限削除とは独立に保持）
+      db.createObjectStore(STORES.NOTIFICATION_KEYS, { keyPath: "key" });
+      tx.objectStore(STORES.NOTIFICATIONS).createIndex("userId", "userId");
+    },
+  },
+  {
+    version: 6,
+    up(db) {
+      // ICS 取込による日程変更の提案
+      const proposals = db.createObjectStore(STORES.PROPOSALS, { keyPath: "id" });
+      proposals.createIndex("eventId", "eventId");
+    },
+  },
+  {
+    version: 7,
+    up(db) {
+      // 現場モード：チェックリストの下書き（id = eventId）と未送信の提出
+      db.createObjectStore(STORES.DRAFTS, { keyPath: "id" });
+      const outbox = db.createObjectStore(STORES.OUTBOX, { keyPath: "id" });
+      outbox.createIndex("eventId", "eventId");
+    },
+  },
+  {
+    version: 8,
+    // 役割のない既存ユーザーは、ID順の先頭を管理者、それ以外を点検担当にする
+    up(db, tx) {
+      let first = true;
+      tx.objectStore(STORES.USERS).openCursor().onsuccess = (ev) => {
+        const cur = ev.target.result;
+        if (!cur) return;
+        if (!cur.value.role) cur.update({ ...cur.value, role: first ? ROLES.ADMIN : ROLES.INSPECTOR, vendorId: "" });
+        first = false;
+        cur.continue();
+      };
+    },
+  },
+  {
+    version: 9,
+    up(db) {
+      // 監査ログ（seq 昇順のハッシュチェーン。add のみで更新・削除はしない）
+      const audit = db.createObjectStore(STORES.AUDIT_LOG, { keyPath: "seq" });
+      audit.createIndex("eventId", "eventId");
+      audit.createIndex("recordId", "recordId");
+    },
+  },
+  {
+    version: 10,
+    up(db) {
+      // 保存ビュー（名前付きの絞り込み条件）
+      const views = db.createObjectStore(STORES.SAVED_VIEWS, { keyPath: "id" });
+      views.createIndex("ownerId", "ownerId");
+    },
+  },
+  {
+    version: 11,
+    up(db) {
+      // 行政への届出（物件×様式ごと）
+      const filings = db.createObjectStore(STORES.FILINGS, { keyPath: "id" });
+      filings.createIndex("propertyId", "propertyId");
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let dbPromise = null;
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (ev) => {
+      const db = req.result;
+      const tx = req.transaction;
+      MIGRATIONS.filter(m => m.version > ev.oldVersion).forEach(m => m.up(db, tx));
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // 別タブで新しいバージョンが開かれたら接続を手放す
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+    req.onblocked = () => console.warn("IndexedDB upgrade blocked: 他のタブを閉じてください");
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** ストアに対してトランザクションを張り、fn(store) の結果を完了後に返す */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    let result;
+    Promise.resolve(fn(store, promisify)).then(r => { result = r; }, err => { tx.abort(); reject(err); });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
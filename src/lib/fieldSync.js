@@ -0,0 +1,95 @@
+import { format, isSameDay } from "date-fns";
+import { isCancelled } from "./utils";
+
+/**
+ * 現場モード（オフライン入力）の下書きと送信待ちキュー
+ * - 下書きは点検を開いた時点の予定（日付・担当・業者・状態・SEQUENCE）を base として持つ
+ * - 提出はいったん送信待ち（outbox）に積み、オンライン時に base と最新の予定を突き合わせてから反映する
+ * - 事務所側で日程変更・担当変更・中止・別途完了があった場合は競合として止め、現場担当者に判断させる
+ */
+
+export const OUTBOX_STATUS = { PENDING: "pending", CONFLICT: "conflict", FAILED: "failed" };
+export const OUTBOX_LABELS = { pending: "送信待ち", conflict: "競合", failed: "送信失敗" };
+
+/** 下書きの自動保存間隔（入力が止まってから） */
+export const DRAFT_SAVE_DELAY = 1000;
+
+export const eventSnapshot = (e) => ({
+  date: e.date, assigneeId: e.assigneeId ?? null, vendorId: e.vendorId ?? null,
+  status: e.status, reportId: e.reportId ?? null, sequence: e.sequence ?? 0,
+});
+
+export function toDraft(task, savedAt = new Date()) {
+  return {
+    id: task.id,
+    templateId: task.template.id, templateVersion: task.template.version,
+    answers: task.answers, photos: task.photos, nonConformities: task.nonConformities,
+    base: task.draftBase, startedAt: task.draftStartedAt ?? savedAt, savedAt,
+  };
+}
+
+/** submittedBy はログイン中のユーザー（報告書の点検者になる） */
+export function toOutboxEntry(task, submittedBy, queuedAt = new Date()) {
+  return {
+    id: `OB-${task.id}-${format(queuedAt, "yyyyMMddHHmmss")}`,
+    eventId: task.id,
+    templateId: task.template.id, templateVersion: task.template.version,
+    answers: task.answers, photos: task.photos, nonConformities: task.nonConformities,
+    submittedBy,
+    base: task.draftBase, completedAt: queuedAt, queuedAt,
+    status: OUTBOX_STATUS.PENDING, attempts: 0, error: null, conflicts: [], resolvedAt: null,
+  };
+}
+
+/** 送信待ちを下書きに戻す（最新の予定を base にし直すので、次の提出では競合しない） */
+export function draftFromOutbox(entry, event, savedAt = new Date()) {
+  return {
+    id: entry.eventId,
+    templateId: entry.templateId, templateVersion: entry.templateVersion,
+    answers: entry.answers, photos: entry.photos, nonConformities: entry.nonConformities,
+    base: event ? eventSnapshot(event) : entry.base, startedAt: savedAt, savedAt,
+  };
+}
+
+export const CONFLICT_TYPES = {
+  missing: "予定が削除されています",
+  cancelled: "予定が中止されています",
+  completed: "別の報告書で完了済みです",
+  rescheduled: "予定日が変更されています",
+  reassigned: "担当者が変更されています",
+  vendorChanged: "業者が変更されています",
+};
+
+/** そのまま提出できない競合 */
+export const BLOCKING_CONFLICTS = ["missing", "cancelled", "completed"];
+
+/**
+ * 下書き開始時点（base）と現在の予定の差分
+ * SEQUENCE が同じなら予定は変わっていない（日付・担当・業者・状態の変更で必ず進む）
+ */
+export function submissionConflicts(base, event) {
+  if (!event) return [{ type: "missing" }];
+  if (isCancelled(event)) return [{ type: "cancelled" }];
+  if (event.status === "完了" && event.reportId && event.reportId !== base?.reportId) return [{ type: "completed", to: event.reportId }];
+  if (!base || (event.sequence ?? 0) === base.sequence) return [];
+  const out = [];
+  if (!isSameDay(new Date(event.date), new Date(base.date))) out.push({ type: "rescheduled", from: base.date, to: event.date });
+  if ((event.assigneeId ?? null) !== base.assigneeId) out.push({ type: "reassigned", from: base.assigneeId, to: event.assigneeId });
+  if ((event.vendorId ?? null) !== base.vendorId) out.push({ type: "vendorChanged", from: base.vendorId, to: event.vendorId });
+  return out;
+}
+
+export const isBlocked = (entry) => entry.conflicts?.some(c => BLOCKING_CONFLICTS.includes(c.type));
+
+/** 送信待ちを報告書に変換する（予定側は最新の状態を使い、点検者は予定の担当者ではなく提出したユーザー） */
+export function reportFromOutbox(entry, event, { properties, users, vendors }) {
+  return {
+    id: `RP-${entry.eventId}-${format(entry.completedAt, "yyyyMMddHHmmss")}`,
+    eventId: entry.eventId, propertyId: event.propertyId,
+    property: properties.find(p => p.id === event.propertyId), kind: event.kind, subKind: event.subKind, completedAt: entry.completedAt,
+    assignee: users.find(u => u.id === entry.submittedBy), plannedAssigneeId: event.assigneeId ?? null, vendor: vendors.find(v => v.id === event.vendorId),
+    templateId: entry.templateId, templateVersion: entry.templateVersion,
+    answers: entry.answers, photos: entry.photos, nonConformities: entry.nonConformities,
+    ...(entry.resolvedAt && { syncConflicts: entry.conflicts, conflictResolvedAt: entry.resolvedAt }),
+  };
+}
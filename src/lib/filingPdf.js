@@ -0,0 +1,138 @@
+import { format } from "date-fns";
+import { createDocument, createWriter, drawTable, PAGE, CONTENT_WIDTH, LINE, PAD, BLACK, GRAY } from "./reportPdf";
+import { SPECIFIC_USES } from "./recurrence";
+
+/**
+ * 届出様式の PDF（filings.js の FILING_FORMS を描画）
+ * - 表題・根拠法令 → 提出日・届出先 → 報告文 → 報告者 → 建築物（防火対象物）→ 点検・検査の実施状況 → 不備・指摘の内容 → 受付欄・経過欄
+ * - 記入できない項目（物件マスタの未登録など）は空欄のまま出力し、手書きで補えるようにする
+ */
+
+const RECEIPT_BOX_HEIGHT = 90;
+
+const fmt = (d) => d ? format(new Date(d), "yyyy年M月d日") : "";
+
+export function filingFilename(filing, property, form) {
+  return `${property?.name ?? filing.propertyId}_${form.title}_${format(new Date(filing.filedAt ?? Date.now()), "yyyyMMdd")}.pdf`;
+}
+
+function usageLabel(form, property) {
+  if (!property.useType) return "";
+  if (form.id !== "fire") return property.useType;
+  return `${property.useType}（${SPECIFIC_USES.includes(property.useType) ? "特定防火対象物" : "非特定防火対象物"}）`;
+}
+
+function drawFields(w, title, rows) {
+  w.heading(title);
+  drawTable(w, [{ key: "label", label: "項目", width: 0.25 }, { key: "value", label: "内容", width: 0.75 }], rows.map(([label, value]) => ({ label, value: value ?? "" })));
+}
+
+/** 点検ごとの結果（不備の件数）。報告書がなければ予定の情報だけ */
+function checkRows(form, events, reports) {
+  return events.map((e, i) => {
+    const r = reports.find(x => x.id === e.reportId);
+    const count = r?.nonConformities?.length ?? 0;
+    const ok = form.id === "fire" ? "不備なし" : "指摘なし";
+    const ng = form.id === "fire" ? `不備あり（${count}件）` : `要是正（${count}件）`;
+    return {
+      no: i + 1, sub: e.subKind, date: fmt(r?.completedAt ?? e.completedAt),
+      inspector: r?.assignee?.name ?? "", vendor: r?.vendor?.name ?? "",
+      result: r ? (count ? ng : ok) : "",
+    };
+  });
+}
+
+/** 不備・指摘の一覧（報告書の再発行で是正結果があれば是正済みとする） */
+function findingRows(events, reports) {
+  return events.flatMap(e => {
+    const r = reports.find(x => x.id === e.reportId);
+    return (r?.nonConformities || []).map((nc, i) => {
+      const closedAt = r.corrections?.[i]?.closedAt;
+      return { sub: e.subKind, note: nc.note, severity: nc.severity, status: closedAt ? `是正済（${fmt(closedAt)}）` : "未是正", alert: !closedAt };
+    });
+  }).map((row, i) => ({ no: i + 1, ...row }));
+}
+
+function drawReceiptBoxes(w) {
+  const { doc } = w;
+  w.ensure(RECEIPT_BOX_HEIGHT + LINE * 2);
+  const boxW = CONTENT_WIDTH / 2;
+  ["※ 受付欄", "※ 経過欄"].forEach((label, i) => {
+    const x = PAGE.margin + boxW * i;
+    doc.setDrawColor(180, 180, 180); doc.rect(x, w.y, boxW, RECEIPT_BOX_HEIGHT);
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    doc.text(label, x + PAD, w.y + LINE - 2);
+  });
+  w.y += RECEIPT_BOX_HEIGHT + LINE;
+  doc.setFontSize(8); doc.setTextColor(...GRAY);
+  doc.text("※ 印の欄は記入しないでください。", PAGE.margin, w.y);
+}
+
+function drawPageNumbers(doc, form, filing) {
+  const total = doc.getNumberOfPages();
+  for (let i = 1; i <= total; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    if (i > 1) doc.text(form.title, PAGE.margin, 30);
+    doc.text(filing.id, PAGE.margin, PAGE.height - 20);
+    doc.text(`${i} / ${total}`, PAGE.width / 2, PAGE.height - 20, { align: "center" });
+  }
+}
+
+/**
+ * @param {{ filing, form, property, events, reports }} args events は届出に含める点検（完了日順）、reports はその報告書
+ */
+export async function renderFilingPDF({ filing, form, property, events, reports }) {
+  const doc = await createDocument();
+  const w = createWriter(doc);
+  const { terms } = form;
+
+  doc.setFontSize(18); doc.setTextColor(...BLACK);
+  doc.text(form.title, PAGE.width / 2, w.y, { align: "center" });
+  w.y += LINE * 1.5;
+  doc.setFontSize(9); doc.setTextColor(...GRAY);
+  doc.text(`根拠法令: ${form.basis}`, PAGE.width / 2, w.y, { align: "center" });
+  w.y += LINE * 2;
+
+  doc.setFontSize(10); doc.setTextColor(...BLACK);
+  doc.text(filing.filedAt ? fmt(filing.filedAt) : "　　年　　月　　日", PAGE.margin + CONTENT_WIDTH, w.y, { align: "right" });
+  w.y += LINE * 1.5;
+  doc.text((property[form.authority.field] || form.authority.label) + "　殿", PAGE.margin, w.y);
+  w.y += LINE * 2;
+  doc.setFontSize(9);
+  doc.text(form.statement, PAGE.margin, w.y);
+  w.y += LINE;
+
+  drawFields(w, terms.reporter, [["住所", property.ownerAddress], ["氏名", property.ownerName]]);
+  drawFields(w, terms.building, [
+    ["所在地", property.address], ["名称", property.name], ["用途", usageLabel(form, property)], ["構造", property.structure],
+    ["階数", property.floors ? `地上${property.floors}階` : ""], ["延べ面積", property.totalFloorArea != null ? `${property.totalFloorArea.toLocaleString()} ㎡` : ""],
+  ]);
+
+  w.heading(`${terms.check}の実施状況`);
+  drawTable(w, [
+    { key: "no", label: "No", width: 0.07 }, { key: "sub", label: `${terms.check}の種別`, width: 0.16 }, { key: "date", label: `${terms.check}年月日`, width: 0.19 },
+    { key: "inspector", label: `${terms.check}者`, width: 0.17 }, { key: "vendor", label: "業者", width: 0.23 }, { key: "result", label: "結果", width: 0.18 },
+  ], checkRows(form, events, reports));
+
+  const findings = findingRows(events, reports);
+  w.heading(form.id === "fire" ? "不備の内容" : "指摘の内容");
+  if (findings.length) {
+    drawTable(w, [
+      { key: "no", label: "No", width: 0.07 }, { key: "sub", label: `${terms.check}の種別`, width: 0.16 }, { key: "note", label: "内容", width: 0.4 },
+      { key: "severity", label: "重要度", width: 0.1 }, { key: "status", label: "是正", width: 0.27 },
+    ], findings);
+  } else {
+    doc.setFontSize(9); doc.setTextColor(...BLACK);
+    doc.text("なし", PAGE.margin, w.y); w.y += LINE * 1.5;
+  }
+
+  w.ensure(LINE * 2);
+  doc.setFontSize(8); doc.setTextColor(...GRAY);
+  doc.splitTextToSize(`添付: ${terms.check}報告書 ${events.map(e => e.reportId).join("、")}`, CONTENT_WIDTH).forEach(l => { doc.text(l, PAGE.margin, w.y); w.y += LINE; });
+  w.y += LINE / 2;
+  drawReceiptBoxes(w);
+  drawPageNumbers(doc, form, filing);
+
+  return { blob: doc.output("blob"), filename: filingFilename(filing, property, form), pageCount: doc.getNumberOfPages() };
+}
@@ -0,0 +1,169 @@
+import { addMonths, endOfMonth, format, isBefore } from "date-fns";
+import { RECURRENCE_RULES, effectiveRule } from "./recurrence";
+import { isCancelled } from "./utils";
+
+/**
+ * 行政への届出（法定の報告書様式）
+ * - 様式ごとに対象の点検種別・サブ点検、届出先、根拠法令、周期を定義し、filingPdf.js が様式を描画する
+ * - 届出は物件×様式ごとに作り、完了した点検（予定）と報告書を束ねる
+ * - 作成中（draft）→ 提出済（filed）→ 受理（accepted）。差戻し（returned）は再提出できる。遷移は history に { from, to, by, at, note } で記録
+ * - 提出済・受理の届出に含まれていない完了済みの点検を「未届出」とする（サブ点検のない予定は対象にしない）
+ * - 届出期限は 前回の提出 + 周期（初回は最初の未届出の点検 + 周期）の月末。消防設備は「点検結果報告」の予定があればその期限
+ */
+
+export const FILING_STATES = { DRAFT: "draft", FILED: "filed", ACCEPTED: "accepted", RETURNED: "returned" };
+
+export const FILING_LABELS = {
+  draft: "作成中",
+  filed: "提出済",
+  accepted: "受理",
+  returned: "差戻し",
+};
+
+const TRANSITIONS = {
+  draft: ["filed"],
+  filed: ["accepted", "returned"],
+  returned: ["filed"],
+  accepted: [],
+};
+
+/** 提出した届出（この届出に含めた点検は届出済みとみなす） */
+const SUBMITTED = [FILING_STATES.FILED, FILING_STATES.ACCEPTED];
+
+const FIRE_AUTHORITY = { label: "消防長（消防署長）", field: "fireStation" };
+const BUILDING_AUTHORITY = { label: "特定行政庁", field: "buildingAuthority" };
+const BUILDING_STATEMENT = "建築基準法第12条第3項の規定により、定期検査の結果を報告します。";
+
+export const FILING_FORMS = {
+  fire: {
+    id: "fire", title: "消防用設備等点検結果報告書", kind: "消防設備", sources: ["機器点検", "総合点検"],
+    basis: "消防法第17条の3の3", authority: FIRE_AUTHORITY,
+    statement: "消防法第17条の3の3の規定により、消防用設備等の点検結果を報告します。",
+    terms: { reporter: "報告者（防火対象物の関係者）", building: "防火対象物", check: "点検" },
+    // 周期は recurrence.js の「点検結果報告」（用途で 特定 1年・非特定 3年、物件ごとの上書きも反映）
+    filingSub: "点検結果報告",
+  },
+  elevator: {
+    id: "elevator", title: "昇降機定期検査報告書", kind: "エレベーター", sources: ["定期検査"],
+    basis: "建築基準法第12条第3項", authority: BUILDING_AUTHORITY, statement: BUILDING_STATEMENT,
+    terms: { reporter: "報告者（所有者・管理者）", building: "建築物", check: "検査" },
+    periodMonths: 12,
+  },
+  buildingEquipment: {
+    id: "buildingEquipment", title: "建築設備定期検査報告書", kind: "非常照明", sources: ["定期検査"],
+    basis: "建築基準法第12条第3項", authority: BUILDING_AUTHORITY, statement: BUILDING_STATEMENT,
+    terms: { reporter: "報告者（所有者・管理者）", building: "建築物", check: "検査" },
+    periodMonths: 12,
+  },
+  fireDoor: {
+    id: "fireDoor", title: "防火設備定期検査報告書", kind: "防火設備", sources: ["定期検査"],
+    basis: "建築基準法第12条第3項", authority: BUILDING_AUTHORITY, statement: BUILDING_STATEMENT,
+    terms: { reporter: "報告者（所有者・管理者）", building: "建築物", check: "検査" },
+    periodMonths: 12,
+  },
+};
+
+export const formOf = (filing) => FILING_FORMS[filing.formId];
+
+/** 物件に設置されている点検種別の様式 */
+export const formsOfProperty = (property) => Object.values(FILING_FORMS).filter(f => property.inspectionKinds?.includes(f.kind));
+
+/** 届出の周期（月）。用途・物件ごとの上書きで変わる */
+export function filingPeriodMonths(form, property, overrides = {}) {
+  if (!form.filingSub) return form.periodMonths;
+  const base = RECURRENCE_RULES[form.kind].find(r => r.sub === form.filingSub);
+  return effectiveRule(property, form.kind, base, overrides)?.intervalMonths ?? base.intervalMonths;
+}
+
+export const isFilingSource = (form, e) => !e.parentId && e.kind === form.kind && form.sources.includes(e.subKind);
+
+const isDone = (e) => e.status === "完了" && !!e.reportId;
+
+/** 予定ID → その点検を含む提出済・受理の届出 */
+function submittedIndex(filings) {
+  const idx = new Map();
+  filings.filter(f => SUBMITTED.includes(f.status)).forEach(f => (f.eventIds || []).forEach(id => idx.set(id, f)));
+  return idx;
+}
+
+/** 完了済みで、提出済・受理のどの届出にも含まれていない点検（完了日の古い順） */
+export function unfiledEvents(form, propertyId, events, filings) {
+  const submitted = submittedIndex(filings);
+  return events
+    .filter(e => e.propertyId === propertyId && isFilingSource(form, e) && isDone(e) && !submitted.has(e.id))
+    .sort((a, b) => new Date(a.completedAt ?? a.date) - new Date(b.completedAt ?? b.date));
+}
+
+/** カレンダー表示用: 未届出の予定ID → 様式 */
+export function unfiledIndex(events, filings) {
+  const submitted = submittedIndex(filings);
+  const idx = new Map();
+  events.filter(isDone).forEach(e => {
+    const form = Object.values(FILING_FORMS).find(f => isFilingSource(f, e));
+    if (form && !submitted.has(e.id)) idx.set(e.id, form);
+  });
+  return idx;
+}
+
+const latest = (list, field) => list.filter(f => f[field]).sort((a, b) => new Date(b[field]) - new Date(a[field]))[0] ?? null;
+
+/** 届出にあたる「点検結果報告」の未完了の予定（消防設備のみ）。期限の起算に使い、提出で完了にする */
+export const openFilingEvent = (form, propertyId, events) => form.filingSub
+  ? events.filter(e => e.propertyId === propertyId && e.kind === form.kind && e.subKind === form.filingSub && e.status !== "完了" && !isCancelled(e))
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))[0] ?? null
+  : null;
+
+/**
+ * 物件×様式の届出状況
+ * @returns {{ form, property, periodMonths, lastFiled, current, unfiled, dueDate, overdue }}
+ */
+export function filingStatus({ form, property, events, filings, overrides, now = new Date() }) {
+  const mine = filings.filter(f => f.propertyId === property.id && f.formId === form.id);
+  const lastFiled = latest(mine.filter(f => SUBMITTED.includes(f.status)), "filedAt");
+  const current = mine.find(f => f.status === FILING_STATES.DRAFT || f.status === FILING_STATES.RETURNED) ?? null;
+  const unfiled = unfiledEvents(form, property.id, events, filings);
+  const periodMonths = filingPeriodMonths(form, property, overrides);
+  const scheduled = openFilingEvent(form, property.id, events);
+  const from = lastFiled?.filedAt ?? unfiled[0]?.completedAt;
+  const dueDate = current?.dueDate ? new Date(current.dueDate)
+    : scheduled ? new Date(scheduled.dueDate)
+    : from ? endOfMonth(addMonths(new Date(from), periodMonths)) : null;
+  return { form, property, periodMonths, lastFiled, current, unfiled, dueDate, overdue: !!dueDate && unfiled.length > 0 && isBefore(dueDate, now) };
+}
+
+export function createFiling(form, property, unfiled, { by, at = new Date(), dueDate = null }) {
+  return {
+    id: `FL-${property.id}-${form.id}-${format(at, "yyyyMMddHHmmss")}`,
+    propertyId: property.id, formId: form.id, kind: form.kind,
+    eventIds: unfiled.map(e => e.id), reportIds: unfiled.map(e => e.reportId),
+    dueDate, status: FILING_STATES.DRAFT,
+    filedAt: null, acceptedAt: null, returnedAt: null, receiptNo: "", note: "",
+    history: [{ from: null, to: FILING_STATES.DRAFT, by, at, note: "" }],
+  };
+}
+
+export const nextFilingStates = (filing) => TRANSITIONS[filing.status] ?? [];
+
+/** 遷移前チェック。満たしていない条件をメッセージで返す */
+export function filingTransitionErrors(filing, to, { by, note = "", filedAt } = {}) {
+  const errors = [];
+  if (!nextFilingStates(filing).includes(to)) errors.push(`「${FILING_LABELS[filing.status]}」から「${FILING_LABELS[to]}」へは変更できません`);
+  if (!by) errors.push("操作者（ログイン中のユーザー）が不明です");
+  if (to === FILING_STATES.FILED) {
+    if (!filing.eventIds?.length) errors.push("届出に含める点検がありません");
+    if (!filedAt || isNaN(new Date(filedAt))) errors.push("提出日を入力してください");
+  }
+  if (to === FILING_STATES.RETURNED && !note.trim()) errors.push("差戻しの理由を入力してください");
+  return errors;
+}
+
+export function applyFilingTransition(filing, to, { by, note = "", at = new Date(), filedAt, receiptNo }) {
+  return {
+    ...filing,
+    status: to,
+    ...(to === FILING_STATES.FILED && { filedAt: new Date(filedAt), returnedAt: null }),
+    ...(to === FILING_STATES.ACCEPTED && { acceptedAt: at, receiptNo: receiptNo ?? filing.receiptNo }),
+    ...(to === FILING_STATES.RETURNED && { returnedAt: at }),
+    history: [...(filing.history || []), { from: filing.status, to, by, at, note }],
+  };
+}
@@ -0,0 +1,162 @@
+import { format, addDays } from "date-fns";
+import { kindLabel, isCancelled } from "./utils";
+
+/**
+ * iCalendar（RFC 5545）入出力
+ * - UID は予定 id から固定で生成（再出力しても同じ予定として更新される）
+ * - 日付・担当・業者・状態が変わるたびに SEQUENCE を増やし、中止は STATUS:CANCELLED で出力
+ * - 取込は業者から返ってきた .ics の日付を日程変更の提案として扱う
+ */
+
+const PRODID = "-//inspection-system//法定点検カレンダー//JA";
+const UID_DOMAIN = "inspection-system";
+
+/** SEQUENCE を進める変更（カレンダー側の表示内容に影響する項目） */
+const REVISION_FIELDS = ["date", "dueDate", "propertyId", "kind", "subKind", "assigneeId", "vendorId", "status"];
+
+const same = (a, b) => (a instanceof Date || b instanceof Date) ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+
+/** 変更のあった予定の sequence を1つ進める（setEvents の前後を比較） */
+export function bumpSequences(prev, next) {
+  const before = new Map(prev.map(e => [e.id, e]));
+  return next.map(e => {
+    const old = before.get(e.id);
+    if (!old || old === e || REVISION_FIELDS.every(f => same(old[f], e[f]))) return e;
+    // 先にまとめて保存するため進めてあるもの（applySubmission など）はそのまま
+    if ((e.sequence ?? 0) > (old.sequence ?? 0)) return e;
+    return { ...e, sequence: (old.sequence ?? 0) + 1, updatedAt: new Date() };
+  });
+}
+
+export const eventUid = (id) => `${id}@${UID_DOMAIN}`;
+export const uidToEventId = (uid) => uid.replace(new RegExp(`@${UID_DOMAIN}$`), "");
+
+const escapeText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const unescapeText = (s) => s.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N") ? "\n" : c);
+
+/** 75 オクテットで折り返す（UTF-8 の文字境界を保つ） */
+function fold(line) {
+  const enc = new TextEncoder();
+  const out = []; let cur = ""; let bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; bytes = 0; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (d) => format(new Date(d), "yyyyMMdd");
+const icsStamp = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function vevent(e, { properties, vendors, users, now }) {
+  const property = properties.find(p => p.id === e.propertyId);
+  const vendor = vendors.find(v => v.id === e.vendorId);
+  const assignee = users.find(u => u.id === e.assigneeId);
+  const description = [
+    `期限: ${format(new Date(e.dueDate), "yyyy-MM-dd")}`,
+    `担当: ${assignee?.name ?? "-"}`,
+    `業者: ${vendor?.name ?? "-"}`,
+    `状態: ${e.status}`,
+  ].join("\n");
+  return [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(e.id)}`,
+    `DTSTAMP:${icsStamp(now)}`,
+    `LAST-MODIFIED:${icsStamp(e.updatedAt ?? now)}`,
+    `SEQUENCE:${e.sequence ?? 0}`,
+    `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+    `DTEND;VALUE=DATE:${icsDate(addDays(new Date(e.date), 1))}`,
+    `SUMMARY:${escapeText(`【法定点検】${property?.name ?? e.propertyId} ${kindLabel(e)}`)}`,
+    property?.address && `LOCATION:${escapeText(property.address)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${isCancelled(e) ? "CANCELLED" : "CONFIRMED"}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+/** 予定一覧を .ics 文字列にする（中止した予定も CANCELLED として含める） */
+export function toICS(events, { name, properties, vendors, users, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "X-WR-TIMEZONE:Asia/Tokyo",
+    ...events.flatMap(e => vevent(e, { properties, vendors, users, now })),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** 出力対象の絞り込み */
+export const ICS_SCOPES = {
+  all: { label: "すべて", match: () => true },
+  property: { label: "物件", match: (e, id) => e.propertyId === id },
+  vendor: { label: "業者", match: (e, id) => e.vendorId === id },
+  assignee: { label: "担当者", match: (e, id) => e.assigneeId === id },
+};
+
+/** VEVENT を { name: { value, params } } の配列にする */
+export function parseICS(text) {
+  const lines = text.replace(/\r\n[ \t]/g, "").replace(/\n[ \t]/g, "").split(/\r?\n/);
+  const events = []; let cur = null;
+  lines.forEach(line => {
+    if (line === "BEGIN:VEVENT") { cur = {}; return; }
+    if (line === "END:VEVENT") { if (cur) events.push(cur); cur = null; return; }
+    if (!cur) return;
+    const m = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+    if (!m) return;
+    const params = Object.fromEntries(m[2].split(";").filter(Boolean).map(p => p.split("=")).map(([k, v]) => [k.toUpperCase(), v]));
+    cur[m[1].toUpperCase()] = { value: m[3], params };
+  });
+  return events;
+}
+
+/** DATE / DATE-TIME（UTC の Z 付き・ローカル）を Date に（時刻は捨てて日付として扱う） */
+export function parseICSDate(prop) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop?.value ?? "");
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  const dt = z ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s)) : new Date(+y, +mo - 1, +d);
+  return new Date(dt.getFullYear(), dt.getMonth(), dt.getDate());
+}
+
+/**
+ * 業者から戻った .ics を日程変更の提案にする
+ * - UID で予定と照合。日付が変わっていない・完了/中止済み・不明な UID は取り込まない（理由を返す）
+ * - 提案元の業者（vendorId）を指定したときは、その業者の予定だけを取り込む（他社の予定の UID は取り込まない）
+ * - 提案の SEQUENCE が現在の予定より古ければ、出力後に予定が変わっている（stale）
+ * 戻り値 { proposals, skipped: [{ uid, reason }] }
+ */
+export function proposalsFromICS(text, events, { vendorId, source, now = new Date() }) {
+  const proposals = []; const skipped = [];
+  parseICS(text).forEach(v => {
+    const uid = v.UID?.value ?? "";
+    const event = events.find(e => e.id === uidToEventId(uid));
+    const proposedDate = parseICSDate(v.DTSTART);
+    const skip = (reason) => skipped.push({ uid, reason });
+    if (!event) return skip("該当する予定がありません");
+    if (vendorId && event.vendorId !== vendorId) return skip("提案元の業者の予定ではありません");
+    if (!proposedDate) return skip("開始日を読み取れません");
+    if (event.status === "完了" || isCancelled(event)) return skip(`予定は${event.status}です`);
+    if (v.STATUS?.value === "CANCELLED") return skip("業者側で取消されています（日程変更の提案ではありません）");
+    if (icsDate(proposedDate) === icsDate(event.date)) return skip("日付の変更がありません");
+    proposals.push({
+      id: `RS-${event.id}-${icsDate(proposedDate)}-${format(now, "yyyyMMddHHmmss")}`,
+      eventId: event.id, vendorId: vendorId || event.vendorId,
+      previousDate: new Date(event.date), proposedDate,
+      sequence: Number(v.SEQUENCE?.value ?? 0),
+      stale: Number(v.SEQUENCE?.value ?? 0) < (event.sequence ?? 0),
+      note: v.COMMENT ? unescapeText(v.COMMENT.value) : "",
+      source, status: "pending", createdAt: now,
+    });
+  });
+  return { proposals, skipped };
+}
+
+export const PROPOSAL_LABELS = { pending: "未対応", accepted: "承認", rejected: "却下" };
@@ -0,0 +1,185 @@
+import { INSPECTION_KINDS, USE_TYPES, WEEKDAYS, ROLES, ROLE_LABELS } from "./constants";
+import { parseCSVRecords, toCSV } from "./csv";
+
+/**
+ * マスタデータ（物件・業者・ユーザー）
+ * - フィールド定義を画面フォームと CSV 入出力で共有する
+ * - 値は文字列で受け取り validateRecord で型変換・検証する
+ * - list は "|" 区切り（options があれば選択式、itemType: "date" なら日付の列）
+ * - enum の labels は表示名（CSV と保存値は options の値）
+ * - 物件の緯度・経度は写真の撮影位置の照合に使う（未登録なら照合しない）
+ * - 物件の構造・延べ面積・所有者・届出先は行政への届出様式（filings.js）に記入する
+ */
+
+const LIST_SEPARATOR = "|";
+const KIND_KEYS = Object.keys(INSPECTION_KINDS);
+
+export const MASTER_SCHEMAS = {
+  properties: {
+    label: "物件", idPrefix: "P-",
+    fields: [
+      { key: "id", label: "ID", type: "id" },
+      { key: "name", label: "物件名", type: "text", required: true },
+      { key: "address", label: "住所", type: "text", required: true },
+      { key: "floors", label: "階数", type: "int", min: 1, max: 200 },
+      { key: "useType", label: "用途", type: "enum", options: USE_TYPES, required: true },
+      { key: "inspectionKinds", label: "点検種別", type: "list", options: KIND_KEYS },
+      { key: "lat", label: "緯度", type: "decimal", min: -90, max: 90, placeholder: "35.6197" },
+      { key: "lng", label: "経度", type: "decimal", min: -180, max: 180, placeholder: "139.7286" },
+      { key: "structure", label: "構造", type: "text", placeholder: "鉄筋コンクリート造" },
+      { key: "totalFloorArea", label: "延べ面積（㎡）", type: "decimal", min: 0, max: 1000000 },
+      { key: "ownerName", label: "所有者", type: "text" },
+      { key: "ownerAddress", label: "所有者住所", type: "text" },
+      { key: "fireStation", label: "届出先（消防）", type: "text", placeholder: "品川消防署長" },
+      { key: "buildingAuthority", label: "届出先（建築）", type: "text", placeholder: "品川区長" },
+    ],
+    check: (v) => (v.lat == null) !== (v.lng == null) ? ["緯度と経度は両方入力してください"] : [],
+  },
+  vendors: {
+    label: "業者", idPrefix: "V-",
+    fields: [
+      { key: "id", label: "ID", type: "id" },
+      { key: "name", label: "業者名", type: "text", required: true },
+      { key: "skills", label: "対応種別", type: "list", options: KIND_KEYS, required: true },
+      { key: "contactName", label: "担当者", type: "text" },
+      { key: "phone", label: "電話", type: "tel" },
+      { key: "email", label: "メール", type: "email" },
+      { key: "contractStart", label: "契約開始", type: "date" },
+      { key: "contractEnd", label: "契約終了", type: "date" },
+      { key: "dailyCapacity", label: "1日の受注上限", type: "int", min: 1, max: 50 },
+      { key: "serviceAreas", label: "対応エリア", type: "list", placeholder: "品川区|世田谷区（空欄は全域）" },
+      { key: "workdays", label: "稼働曜日", type: "list", options: WEEKDAYS },
+      { key: "blackoutDates", label: "休業日", type: "list", itemType: "date", placeholder: "2025-12-29|2025-12-30" },
+    ],
+    check: (v) => v.contractStart && v.contractEnd && v.contractEnd < v.contractStart ? ["契約終了が契約開始より前です"] : [],
+  },
+  users: {
+    label: "ユーザー", idPrefix: "U-",
+    fields: [
+      { key: "id", label: "ID", type: "id" },
+      { key: "name", label: "氏名", type: "text", required: true },
+      { key: "email", label: "メール", type: "email" },
+      { key: "role", label: "役割", type: "enum", options: Object.values(ROLES), labels: ROLE_LABELS, required: true },
+      { key: "vendorId", label: "所属業者ID", type: "text", placeholder: "業者ユーザーのみ（例: V-AX）" },
+      { key: "workdays", label: "勤務曜日", type: "list", options: WEEKDAYS },
+      { key: "unavailableDates", label: "不在日", type: "list", itemType: "date", placeholder: "2025-08-13|2025-08-14" },
+    ],
+    check: (v) => v.role === ROLES.VENDOR && !v.vendorId ? ["業者ユーザーは所属業者IDが必要です"] : [],
+  },
+};
+
+export const initialProperties = [
+  { id: "P-001", name: "サンライト大崎", address: "品川区大崎1-1-1", floors: 12, useType: "共同住宅", inspectionKinds: ["消防設備", "エレベーター", "受水槽", "排水管", "非常照明"], lat: null, lng: null, structure: "", totalFloorArea: null, ownerName: "", ownerAddress: "", fireStation: "", buildingAuthority: "" },
+  { id: "P-002", name: "グリーンヒルズ三軒茶屋", address: "世田谷区太子堂2-2-2", floors: 5, useType: "共同住宅", inspectionKinds: ["消防設備", "エレベーター", "排水管", "非常照明"], lat: null, lng: null, structure: "", totalFloorArea: null, ownerName: "", ownerAddress: "", fireStation: "", buildingAuthority: "" },
+  { id: "P-003", name: "リバーテラス門前仲町", address: "江東区富岡3-3-3", floors: 8, useType: "複合用途", inspectionKinds: ["消防設備", "エレベーター", "受水槽", "排水管", "非常照明", "防火設備"], lat: null, lng: null, structure: "", totalFloorArea: null, ownerName: "", ownerAddress: "", fireStation: "", buildingAuthority: "" },
+];
+
+export const initialVendors = [
+  { id: "V-AX", name: "東京防災メンテナンス", skills: ["消防設備", "非常照明", "防火設備"], contactName: "", phone: "", email: "", contractStart: "", contractEnd: "", dailyCapacity: 3, serviceAreas: [], workdays: [], blackoutDates: [] },
+  { id: "V-LF", name: "リフト総合サービス", skills: ["エレベーター"], contactName: "", phone: "", email: "", contractStart: "", contractEnd: "", dailyCapacity: 2, serviceAreas: [], workdays: [], blackoutDates: [] },
+  { id: "V-WT", name: "ウォータープラス", skills: ["受水槽", "排水管"], contactName: "", phone: "", email: "", contractStart: "", contractEnd: "", dailyCapacity: 2, serviceAreas: ["品川区", "江東区", "世田谷区"], workdays: [], blackoutDates: [] },
+];
+
+export const initialUsers = [
+  { id: "U-001", name: "山田 太郎", email: "", role: ROLES.ADMIN, vendorId: "", workdays: [], unavailableDates: [] },
+  { id: "U-002", name: "佐藤 花子", email: "", role: ROLES.INSPECTOR, vendorId: "", workdays: [], unavailableDates: [] },
+  { id: "U-003", name: "李 小龍", email: "", role: ROLES.INSPECTOR, vendorId: "", workdays: [], unavailableDates: [] },
+  { id: "U-004", name: "鈴木 一郎", email: "", role: ROLES.PLANNER, vendorId: "", workdays: [], unavailableDates: [] },
+  { id: "U-005", name: "東京防災メンテナンス 受付", email: "", role: ROLES.VENDOR, vendorId: "V-AX", workdays: [], unavailableDates: [] },
+];
+
+function parseField(field, raw) {
+  const s = raw == null ? "" : String(raw).trim();
+  if (field.type === "list") {
+    const items = s ? s.split(LIST_SEPARATOR).map(x => x.trim()).filter(Boolean) : [];
+    if (field.required && !items.length) return { error: `${field.label}は必須です` };
+    const unknown = field.options ? items.filter(x => !field.options.includes(x)) : [];
+    if (unknown.length) return { error: `${field.label}に不明な値があります: ${unknown.join(", ")}` };
+    const badDates = field.itemType === "date" ? items.filter(x => !/^\d{4}-\d{2}-\d{2}$/.test(x) || isNaN(new Date(x))) : [];
+    if (badDates.length) return { error: `${field.label}は YYYY-MM-DD 形式で入力してください: ${badDates.join(", ")}` };
+    return { value: [...new Set(items)] };
+  }
+  if (!s) return field.required ? { error: `${field.label}は必須です` } : { value: field.type === "int" || field.type === "decimal" ? null : "" };
+  switch (field.type) {
+    case "int": {
+      const n = Number(s);
+      if (!Number.isInteger(n)) return { error: `${field.label}は整数で入力してください` };
+      if ((field.min != null && n < field.min) || (field.max != null && n > field.max)) return { error: `${field.label}は${field.min}〜${field.max}の範囲で入力してください` };
+      return { value: n };
+    }
+    case "decimal": {
+      const n = Number(s);
+      if (!Number.isFinite(n)) return { error: `${field.label}は数値で入力してください` };
+      if ((field.min != null && n < field.min) || (field.max != null && n > field.max)) return { error: `${field.label}は${field.min}〜${field.max}の範囲で入力してください` };
+      return { value: n };
+    }
+    case "enum":
+      return field.options.includes(s) ? { value: s } : { error: `${field.label}は次のいずれかです: ${field.options.join(", ")}` };
+    case "date":
+      return /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(s)) ? { value: s } : { error: `${field.label}は YYYY-MM-DD 形式で入力してください` };
+    case "email":
+      return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(s) ? { value: s } : { error: `${field.label}の形式が正しくありません` };
+    case "tel":
+      return /^[0-9+\-() ]+$/.test(s) ? { value: s } : { error: `${field.label}の形式が正しくありません` };
+    default:
+      return { value: s };
+  }
+}
+
+/** 文字列値のオブジェクトを検証し { value, errors } を返す（id は呼び出し側で採番） */
+export function validateRecord(schema, raw) {
+  const value = {}; const errors = [];
+  schema.fields.forEach(f => {
+    const r = parseField(f, raw[f.key]);
+    if (r.error) errors.push(r.error); else value[f.key] = r.value;
+  });
+  if (!errors.length && schema.check) errors.push(...schema.check(value));
+  return { value, errors };
+}
+
+export function nextId(schema, existing) {
+  const re = new RegExp(`^${schema.idPrefix}(\\d+)$`);
+  const max = existing.reduce((m, r) => { const hit = re.exec(r.id); return hit ? Math.max(m, Number(hit[1])) : m; }, 0);
+  return `${schema.idPrefix}${String(max + 1).padStart(3, "0")}`;
+}
+
+/** フォーム編集用に、レコードを文字列値へ戻す */
+export function toFormValues(schema, record) {
+  return Object.fromEntries(schema.fields.map(f => {
+    const v = record?.[f.key];
+    return [f.key, Array.isArray(v) ? v.join(LIST_SEPARATOR) : v == null ? "" : String(v)];
+  }));
+}
+
+export function exportCSV(schema, records) {
+  return toCSV(schema.fields.map(f => f.key), records.map(r => Object.values(toFormValues(schema, r))));
+}
+
+/**
+ * CSV を検証して既存レコードへの upsert 結果を返す
+ * - エラーが1行でもあれば取り込まない（errors に行番号付きで返す）
+ * - id が空の行は新規採番、既存 id は上書き
+ */
+export function importCSV(schema, text, existing) {
+  const { header, records } = parseCSVRecords(text);
+  const required = schema.fields.filter(f => f.required).map(f => f.key);
+  const missing = required.filter(k => !header.includes(k));
+  if (missing.length) return { errors: [{ line: 1, messages: [`必須列がありません: ${missing.join(", ")}`] }], records: existing, created: 0, updated: 0 };
+
+  const errors = []; const seen = new Set();
+  const merged = new Map(existing.map(r => [r.id, r]));
+  let created = 0, updated = 0;
+  records.forEach(({ line, values }) => {
+    const { value, errors: rowErrors } = validateRecord(schema, values);
+    if (value.id) {
+      if (seen.has(value.id)) rowErrors.push(`ID ${value.id} がファイル内で重複しています`);
+      seen.add(value.id);
+    }
+    if (rowErrors.length) { errors.push({ line, messages: rowErrors }); return; }
+    const id = value.id || nextId(schema, [...merged.values()]);
+    if (merged.has(id)) updated++; else created++;
+    merged.set(id, { ...merged.get(id), ...value, id });
+  });
+  if (errors.length) return { errors, records: existing, created: 0, updated: 0 };
+  return { errors, records: [...merged.values()], created, updated };
+}
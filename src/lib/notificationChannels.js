@@ -0,0 +1,77 @@
+/**
+ * 通知の配信チャネル
+ * - inApp: アプリ内（通知履歴への保存のみ）
+ * - email: 中継サーバ（server/notify-relay.js）経由で SMTP 送信
+ * - webhook: 中継サーバ経由で JSON を POST（宛先は中継サーバの RELAY_WEBHOOK_URL）
+ * 外部への配信（relay: true のチャネル）は中継サーバの /notify にまとめて依頼し、送るかどうかは中継サーバが決める。
+ * 同じ通知（dedupeKey）を複数の端末が評価しても、メール・Webhook は中継サーバで一度だけ送られる（端末側は既送なら duplicate を受け取る）
+ * 中継サーバへは relaySecret（RELAY_SECRET と同じ値）を Authorization: Bearer で送る
+ * registerChannel() で端末内で完結するチャネル（send を持つ）を追加できる。send は失敗時に例外を投げる
+ */
+
+export const DEFAULT_CHANNEL_SETTINGS = {
+  relayUrl: "http://localhost:8787",
+  relaySecret: "",
+};
+
+async function postRelay(settings, path, body) {
+  if (!settings.relayUrl) throw new Error("中継サーバの URL が未設定です");
+  if (!settings.relaySecret) throw new Error("中継サーバのシークレットが未設定です");
+  const res = await fetch(`${settings.relayUrl.replace(/\/$/, "")}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${settings.relaySecret}` },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(data?.error ?? `中継サーバの応答 ${res.status}`);
+  return data;
+}
+
+const CHANNELS = {
+  inApp: { label: "アプリ内", send: async () => {} },
+  email: { label: "メール", relay: true },
+  webhook: { label: "Webhook", relay: true },
+};
+
+export function registerChannel(id, channel) {
+  CHANNELS[id] = channel;
+}
+
+export const channelList = () => Object.entries(CHANNELS).map(([id, c]) => ({ id, label: c.label }));
+
+/** 中継サーバへ配信を依頼する（key ごとに中継サーバで重複排除される） */
+async function deliverViaRelay(n, user, channelIds, settings) {
+  const at = new Date();
+  try {
+    const { deliveries } = await postRelay(settings, "/notify", {
+      key: n.dedupeKey ?? n.id,
+      channels: channelIds,
+      recipient: user ? { id: user.id, name: user.name, email: user.email ?? null } : null,
+      notification: { id: n.id, ruleId: n.ruleId ?? null, eventId: n.eventId ?? null, level: n.level, message: n.message, at: new Date(n.at).toISOString() },
+    });
+    return deliveries.map(d => ({ ...d, at: new Date(d.at) }));
+  } catch (err) {
+    return channelIds.map(id => ({ channel: id, ok: false, at, error: err.message }));
+  }
+}
+
+/** 指定チャネルへ配信し、チャネルごとの結果を返す（1チャネルの失敗で他を止めない） */
+export async function deliver(n, user, channelIds, settings) {
+  const viaRelay = channelIds.filter(id => CHANNELS[id]?.relay);
+  const local = channelIds.filter(id => !CHANNELS[id]?.relay);
+  const [relayed, delivered] = await Promise.all([
+    viaRelay.length ? deliverViaRelay(n, user, viaRelay, settings) : [],
+    Promise.all(local.map(async (id) => {
+      const at = new Date();
+      try {
+        if (!CHANNELS[id]) throw new Error("未登録のチャネルです");
+        await CHANNELS[id].send(n, user, settings);
+        return { channel: id, ok: true, at };
+      } catch (err) {
+        return { channel: id, ok: false, at, error: err.message };
+      }
+    })),
+  ]);
+  const results = [...delivered, ...relayed];
+  return channelIds.map(id => results.find(d => d.channel === id));
+}
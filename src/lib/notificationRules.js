@@ -0,0 +1,144 @@
+import { differenceInCalendarDays, format, addDays, startOfDay } from "date-fns";
+import { kindLabel, isCancelled } from "./utils";
+import { ROLES } from "./constants";
+
+/**
+ * 期限通知ルールエンジン
+ * - 期限前（7/3/1日前・当日）リマインドと期限超過、管理者へのエスカレーションをルールで定義
+ * - 宛先はユーザーごとの購読設定（対象範囲・物件・種別・チャネル）で決まる
+ * - 同じ「ルール×予定×期限×宛先×回次」は一度しか送らない（dedupeKey）
+ */
+
+export const AUDIENCES = { ASSIGNEE: "assignee", MANAGER: "manager" };
+export const AUDIENCE_LABELS = { assignee: "担当者・購読者", manager: "管理者（エスカレーション）" };
+
+export const TRIGGERS = { BEFORE: "before", AFTER: "after" };
+
+export const DEFAULT_NOTIFICATION_RULES = [
+  { id: "before-7", label: "期限7日前", trigger: "before", days: 7, audience: "assignee", level: "info", enabled: true },
+  { id: "before-3", label: "期限3日前", trigger: "before", days: 3, audience: "assignee", level: "warning", enabled: true },
+  { id: "before-1", label: "期限前日", trigger: "before", days: 1, audience: "assignee", level: "warning", enabled: true },
+  { id: "due", label: "期日当日", trigger: "before", days: 0, audience: "assignee", level: "error", enabled: true },
+  { id: "overdue", label: "期限超過", trigger: "after", days: 1, repeatDays: 7, audience: "assignee", level: "error", enabled: true },
+  { id: "escalation", label: "期限超過エスカレーション", trigger: "after", days: 3, repeatDays: 7, audience: "manager", level: "error", enabled: true },
+];
+
+/** 購読設定の初期値。管理者をエスカレーション先とする */
+export function defaultSubscription(user) {
+  return { id: user.id, enabled: true, scope: "assigned", escalation: user.role === ROLES.ADMIN, propertyIds: [], kinds: [], channels: ["inApp"] };
+}
+
+export const SCOPE_LABELS = { assigned: "担当分のみ", all: "すべて" };
+
+export const SNOOZE_OPTIONS = [
+  { days: 1, label: "1日" },
+  { days: 3, label: "3日" },
+  { days: 7, label: "1週間" },
+];
+
+const today = (now) => startOfDay(now);
+
+/**
+ * 期限前ルールは、未送信の取りこぼしを防ぐため「残日数以上で最も近い」1件だけ発火させる
+ * （例：残り2日で初めて評価された場合は 3日前ルールのみ）
+ */
+function matchBefore(rules, daysLeft) {
+  return rules
+    .filter(r => r.trigger === TRIGGERS.BEFORE && daysLeft >= 0 && daysLeft <= r.days)
+    .sort((a, b) => a.days - b.days)[0];
+}
+
+/** 期限超過ルールは repeatDays ごとに回次を進めて再通知する */
+function matchAfter(rule, daysLeft) {
+  const overdue = -daysLeft;
+  if (overdue < rule.days) return null;
+  return rule.repeatDays ? Math.floor((overdue - rule.days) / rule.repeatDays) : 0;
+}
+
+function matchesFilter(sub, event) {
+  return (!sub.propertyIds?.length || sub.propertyIds.includes(event.propertyId))
+    && (!sub.kinds?.length || sub.kinds.includes(event.kind));
+}
+
+/** 業者ユーザーの購読（vendorId 付き）は範囲に関わらず自社の予定のみ */
+export function recipientsOf(rule, event, subscriptions) {
+  return subscriptions.filter(s => {
+    if (s.enabled === false || s.mutedRuleIds?.includes(rule.id) || !matchesFilter(s, event)) return false;
+    if (s.vendorId) return rule.audience !== AUDIENCES.MANAGER && s.vendorId === event.vendorId;
+    if (rule.audience === AUDIENCES.MANAGER) return !!s.escalation;
+    return s.scope === "all" || s.id === event.assigneeId;
+  });
+}
+
+export const dedupeKey = (rule, event, userId, round) => `${rule.id}|${event.id}|${format(new Date(event.dueDate), "yyyyMMdd")}|${userId}|${round}`;
+
+/** 通知本文 */
+export function notificationMessage(rule, event, daysLeft, { properties, users }) {
+  const property = properties.find(p => p.id === event.propertyId)?.name ?? event.propertyId;
+  const due = format(new Date(event.dueDate), "M/d");
+  const subject = `${property} ${kindLabel(event)}`;
+  if (rule.audience === AUDIENCES.MANAGER) {
+    const assignee = users.find(u => u.id === event.assigneeId)?.name ?? "未割当";
+    return `【エスカレーション】${subject} が期限（${due}）を${-daysLeft}日超過しています（担当: ${assignee}）`;
+  }
+  if (daysLeft > 0) return `${subject} の期限まであと${daysLeft}日です（${due}）`;
+  if (daysLeft === 0) return `${subject} は本日が期限です`;
+  return `${subject} が期限（${due}）を${-daysLeft}日超過しています`;
+}
+
+/** スヌーズ中か（同じ予定・宛先の通知がスヌーズ期間内なら新規通知も抑止する） */
+export function isSnoozed(snoozes, eventId, userId, now) {
+  const until = snoozes[`${eventId}|${userId}`];
+  return !!until && new Date(until) > now;
+}
+
+/** 通知履歴からスヌーズ状態をまとめる */
+export function snoozeIndex(notifications) {
+  const out = {};
+  notifications.forEach(n => {
+    if (!n.snoozedUntil || !n.eventId) return;
+    const k = `${n.eventId}|${n.userId}`;
+    if (!out[k] || new Date(out[k]) < new Date(n.snoozedUntil)) out[k] = n.snoozedUntil;
+  });
+  return out;
+}
+
+/**
+ * 送るべき通知を列挙する（副作用なし）
+ * sentKeys: 送信済み dedupeKey の Set、snoozes: snoozeIndex() の結果
+ */
+export function evaluateNotifications({ events, rules, subscriptions, properties, users, sentKeys, snoozes = {}, now = new Date() }) {
+  const active = rules.filter(r => r.enabled);
+  const out = [];
+  events.filter(e => e.status !== "完了" && !isCancelled(e)).forEach(event => {
+    const daysLeft = differenceInCalendarDays(new Date(event.dueDate), today(now));
+    const fired = [];
+    const before = matchBefore(active, daysLeft);
+    if (before) fired.push([before, 0]);
+    active.filter(r => r.trigger === TRIGGERS.AFTER).forEach(r => {
+      const round = matchAfter(r, daysLeft);
+      if (round !== null) fired.push([r, round]);
+    });
+    fired.forEach(([rule, round]) => {
+      recipientsOf(rule, event, subscriptions).forEach(sub => {
+        const key = dedupeKey(rule, event, sub.id, round);
+        if (sentKeys.has(key) || isSnoozed(snoozes, event.id, sub.id, now)) return;
+        out.push({
+          id: `N-${key}`,
+          dedupeKey: key,
+          ruleId: rule.id,
+          eventId: event.id,
+          userId: sub.id,
+          level: rule.level,
+          message: notificationMessage(rule, event, daysLeft, { properties, users }),
+          at: now,
+          read: false,
+          channels: sub.channels?.length ? sub.channels : ["inApp"],
+        });
+      });
+    });
+  });
+  return out;
+}
+
+export const snoozeUntil = (days, now = new Date()) => addDays(today(now), days);
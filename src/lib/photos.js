@@ -0,0 +1,238 @@
+import { format, min, startOfDay } from "date-fns";
+
+/**
+ * 写真（点検・是正の証跡）
+ * - 取り込み時に長辺 MAX_EDGE px へ縮小して JPEG で再圧縮する。EXIF は画像から落ち、撮影日時と位置だけを記録に残す
+ * - 記録は { id, src, width, height, takenAt, gps, addedAt, warnings, annotations, itemId, ncIndex }。旧形式の data URL 文字列も読める
+ * - 注記（矢印・円）は元画像に焼き込まず画像上の座標で持つ。画面は SVG で重ね、PDF では canvas で合成する
+ * - 警告（点検日より前の撮影・物件から離れた場所での撮影）は取り込み時に判定して warnings に残す
+ */
+
+export const MAX_EDGE = 1600;
+export const JPEG_QUALITY = 0.8;
+/** 1回に取り込む枚数の上限（端末のメモリを圧迫しないように1枚ずつ処理する） */
+export const MAX_FILES = 10;
+/** 物件の位置からこれ以上離れていたら警告する（m） */
+export const DISTANCE_LIMIT_M = 500;
+
+export const ANNOTATION_TYPES = { ARROW: "arrow", CIRCLE: "circle" };
+export const ANNOTATION_LABELS = { arrow: "矢印", circle: "円" };
+export const ANNOTATION_COLORS = ["#ef4444", "#facc15", "#3b82f6"];
+
+export const photoSrc = (p) => typeof p === "string" ? p : p?.src;
+
+/** 旧形式（data URL 文字列）を記録の形にする */
+export const toPhoto = (p, i = 0) => typeof p === "string"
+  ? { id: `PH-legacy-${i + 1}`, src: p, width: null, height: null, takenAt: null, gps: null, addedAt: null, warnings: [], annotations: [], itemId: null, ncIndex: null }
+  : p;
+
+const newPhotoId = (at) => `PH-${format(at, "yyyyMMddHHmmss")}-${Math.random().toString(36).slice(2, 6)}`;
+
+// --- EXIF ---
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const TAGS = { EXIF_IFD: 0x8769, GPS_IFD: 0x8825, DATE_TIME: 0x0132, DATE_TIME_ORIGINAL: 0x9003, OFFSET_TIME_ORIGINAL: 0x9011, LAT_REF: 1, LAT: 2, LNG_REF: 3, LNG: 4 };
+
+function parseTiff(view, start) {
+  const little = view.getUint16(start) === 0x4949;
+  const u16 = (o) => view.getUint16(start + o, little);
+  const u32 = (o) => view.getUint32(start + o, little);
+  const readIfd = (o) => {
+    const tags = new Map();
+    for (let i = 0, n = u16(o); i < n; i++) {
+      const e = o + 2 + i * 12;
+      tags.set(u16(e), { type: u16(e + 2), count: u32(e + 4), at: e + 8 });
+    }
+    return tags;
+  };
+  // 4 バイトに収まらない値は別の場所にあり、値の欄はそこへのオフセット
+  const valueAt = (t) => t.count * (TYPE_SIZES[t.type] ?? 1) > 4 ? u32(t.at) : t.at;
+  const ascii = (t) => {
+    if (!t) return null;
+    const o = valueAt(t);
+    let s = "";
+    for (let i = 0; i < t.count; i++) { const c = view.getUint8(start + o + i); if (!c) break; s += String.fromCharCode(c); }
+    return s.trim();
+  };
+  const rationals = (t) => {
+    if (!t) return null;
+    const o = valueAt(t);
+    return Array.from({ length: t.count }, (_, i) => u32(o + i * 8) / u32(o + i * 8 + 4));
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exif = ifd0.has(TAGS.EXIF_IFD) ? readIfd(u32(ifd0.get(TAGS.EXIF_IFD).at)) : new Map();
+  const gpsIfd = ifd0.has(TAGS.GPS_IFD) ? readIfd(u32(ifd0.get(TAGS.GPS_IFD).at)) : null;
+  const takenAt = parseExifDate(ascii(exif.get(TAGS.DATE_TIME_ORIGINAL)) ?? ascii(ifd0.get(TAGS.DATE_TIME)), ascii(exif.get(TAGS.OFFSET_TIME_ORIGINAL)));
+  let gps = null;
+  if (gpsIfd) {
+    const deg = (dms, ref, negative) => dms?.length === 3 ? (dms[0] + dms[1] / 60 + dms[2] / 3600) * (ref === negative ? -1 : 1) : NaN;
+    const lat = deg(rationals(gpsIfd.get(TAGS.LAT)), ascii(gpsIfd.get(TAGS.LAT_REF)), "S");
+    const lng = deg(rationals(gpsIfd.get(TAGS.LNG)), ascii(gpsIfd.get(TAGS.LNG_REF)), "W");
+    if (Number.isFinite(lat) && Number.isFinite(lng) && (lat || lng)) gps = { lat, lng };
+  }
+  return { takenAt, gps };
+}
+
+/** "2025:06:30 10:15:00"（時差 "+09:00" があればそれを、なければ端末の時刻として解釈） */
+function parseExifDate(s, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(s ?? "");
+  if (!m || m[1] === "0000") return null;
+  const d = /^[+-]\d{2}:\d{2}$/.test(offset ?? "")
+    ? new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${offset}`)
+    : new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  return isNaN(d) ? null : d;
+}
+
+/** JPEG の EXIF から撮影日時（DateTimeOriginal）と GPS 位置を読む。EXIF がない・壊れているときは null */
+export function readExif(buffer) {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xFFD8) return null;
+    for (let o = 2; o + 4 <= view.byteLength;) {
+      const marker = view.getUint16(o);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+      // APP1 "Exif\0\0" の後が TIFF ヘッダ
+      if (marker === 0xFFE1 && view.getUint32(o + 4) === 0x45786966) return parseTiff(view, o + 10);
+      o += 2 + view.getUint16(o + 2);
+    }
+  } catch (err) {
+    console.warn("EXIF を読み取れませんでした", err);
+  }
+  return null;
+}
+
+// --- 位置・撮影日時の検証 ---
+
+/** 2 点間の距離（m） */
+export function distanceMeters(a, b) {
+  const rad = (d) => d * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat), dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+export const formatDistance = (m) => m >= 1000 ? `${(m / 1000).toFixed(1)}km` : `${Math.round(m)}m`;
+
+/** 物件の緯度・経度（マスタで未登録なら null） */
+const propertyLocation = (property) => Number.isFinite(property?.lat) && Number.isFinite(property?.lng) ? { lat: property.lat, lng: property.lng } : null;
+
+/**
+ * 写真の判定の基準になる点検日（予定日と、現場で入力を始めた日の早い方）
+ * - 予定より前倒しで実施した点検の写真を「点検日より前」としないため
+ */
+export const inspectionDayOf = (task, now = new Date()) => startOfDay(min([new Date(task.date), new Date(task.draftStartedAt ?? now)]));
+
+export function photoWarnings(photo, { inspectionDay, property } = {}) {
+  const out = [];
+  if (photo.takenAt && inspectionDay && new Date(photo.takenAt) < startOfDay(new Date(inspectionDay))) {
+    out.push(`撮影日時（${format(new Date(photo.takenAt), "yyyy/M/d HH:mm")}）が点検日より前です`);
+  }
+  const location = propertyLocation(property);
+  if (photo.gps && location) {
+    const d = distanceMeters(photo.gps, location);
+    if (d > DISTANCE_LIMIT_M) out.push(`物件から約${formatDistance(d)}離れた場所で撮影されています`);
+  }
+  return out;
+}
+
+// --- 取り込み ---
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("画像を読み込めません（対応していない形式です）"));
+    img.src = src;
+  });
+}
+
+/** 長辺 MAX_EDGE px 以内に縮小して JPEG にする（透過部分は白） */
+export async function compressImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    const scale = Math.min(1, MAX_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale), height = Math.round(img.naturalHeight * scale);
+    const canvas = document.createElement("canvas");
+    canvas.width = width; canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    return { src: canvas.toDataURL("image/jpeg", JPEG_QUALITY), width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** ファイル1枚から写真の記録を作る（context: 判定用の { inspectionDay, property } と紐付け先 { itemId, ncIndex }） */
+export async function createPhoto(file, { inspectionDay, property, itemId = null, ncIndex = null } = {}, at = new Date()) {
+  const exif = readExif(await file.arrayBuffer());
+  const image = await compressImage(file);
+  const photo = { id: newPhotoId(at), ...image, takenAt: exif?.takenAt ?? null, gps: exif?.gps ?? null, addedAt: at, annotations: [], itemId, ncIndex };
+  return { ...photo, warnings: photoWarnings(photo, { inspectionDay, property }) };
+}
+
+/** 選ばれたファイルを順に取り込む。読めなかったファイルは failed に名前を返す */
+export async function readPhotos(files, context) {
+  const photos = [], failed = [];
+  for (const file of Array.from(files).slice(0, MAX_FILES)) {
+    try {
+      photos.push(await createPhoto(file, context));
+    } catch (err) {
+      console.error(err);
+      failed.push(file.name);
+    }
+  }
+  return { photos, failed, skipped: Math.max(0, files.length - MAX_FILES) };
+}
+
+// --- 紐付け ---
+
+export const photosOfItem = (photos, itemId) => (photos || []).filter(p => typeof p !== "string" && p.itemId === itemId);
+export const photosOfNonConformity = (photos, index) => (photos || []).filter(p => typeof p !== "string" && p.ncIndex === index);
+
+/** 不適合を削除したら、その不適合への紐付けを外し、後ろの番号を詰める */
+export const unlinkNonConformity = (photos, index) => (photos || []).map(p => {
+  if (typeof p === "string" || p.ncIndex == null || p.ncIndex < index) return p;
+  return { ...p, ncIndex: p.ncIndex === index ? null : p.ncIndex - 1 };
+});
+
+// --- 注記 ---
+
+/** 線の太さ（画像の大きさに比例） */
+export const strokeWidthOf = (width, height) => Math.max(3, Math.round(Math.max(width, height) / 250));
+
+/** 矢印の先端（x2, y2）の両側の点 */
+export function arrowHead({ x1, y1, x2, y2 }, size) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  return [-1, 1].map(s => ({ x: x2 - size * Math.cos(angle + s * Math.PI / 7), y: y2 - size * Math.sin(angle + s * Math.PI / 7) }));
+}
+
+/** 注記を焼き込んだ JPEG（PDF 用。注記がなければ元の画像） */
+export async function renderAnnotated(photo) {
+  const p = toPhoto(photo);
+  if (!p.annotations?.length) return p.src;
+  const img = await loadImage(p.src);
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth; canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  const scale = p.width ? img.naturalWidth / p.width : 1;
+  const stroke = strokeWidthOf(img.naturalWidth, img.naturalHeight);
+  ctx.lineWidth = stroke; ctx.lineCap = "round"; ctx.lineJoin = "round";
+  p.annotations.forEach(a => {
+    const s = { x1: a.x1 * scale, y1: a.y1 * scale, x2: a.x2 * scale, y2: a.y2 * scale };
+    ctx.strokeStyle = a.color; ctx.fillStyle = a.color;
+    ctx.beginPath();
+    if (a.type === ANNOTATION_TYPES.CIRCLE) {
+      ctx.ellipse((s.x1 + s.x2) / 2, (s.y1 + s.y2) / 2, Math.abs(s.x2 - s.x1) / 2, Math.abs(s.y2 - s.y1) / 2, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      ctx.moveTo(s.x1, s.y1); ctx.lineTo(s.x2, s.y2); ctx.stroke();
+      const [l, r] = arrowHead(s, stroke * 5);
+      ctx.beginPath(); ctx.moveTo(s.x2, s.y2); ctx.lineTo(l.x, l.y); ctx.lineTo(r.x, r.y); ctx.closePath(); ctx.fill();
+    }
+  });
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
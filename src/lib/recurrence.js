@@ -0,0 +1,154 @@
+import { addMonths, startOfMonth, endOfMonth, getDaysInMonth, isAfter, isBefore, differenceInCalendarMonths, format } from "date-fns";
+import { isCancelled } from "./utils";
+import { shiftOccurrence } from "./businessCalendar";
+
+/**
+ * 法定点検の周期ルールエンジン
+ * - 1種別に複数のサブ点検（例: 消防設備の機器点検／総合点検）
+ * - anchor: "calendar"（暦の固定月） / "lastCompletion"（前回完了から N か月後）
+ * - intervalByUse で建物用途ごとに周期を変更（例: 特定用途 1年・非特定用途 3年）
+ * - supersedes: 同じ月に重なった下位点検を置き換える（総合点検の月は機器点検を作らない）
+ * - 物件ごとの上書きは overrides[`${propertyId}|${kind}|${sub}`] で部分的に適用
+ * - 営業日カレンダーを渡すと、休みに当たる日は移動ルールで営業日へ移す（ID・重複判定は移動前の ruleDate で行う）
+ */
+
+export const SPECIFIC_USES = ["店舗", "複合用途", "ホテル・旅館", "病院・福祉施設"];
+const byUse = (specific, nonSpecific) => Object.fromEntries([
+  ...SPECIFIC_USES.map(u => [u, specific]),
+  ...["共同住宅", "事務所", "倉庫", "その他"].map(u => [u, nonSpecific]),
+]);
+
+export const ANCHORS = { CALENDAR: "calendar", LAST_COMPLETION: "lastCompletion" };
+export const ANCHOR_LABELS = { calendar: "暦（固定月）", lastCompletion: "前回完了から" };
+
+export const RECURRENCE_RULES = {
+  "消防設備": [
+    { sub: "機器点検", intervalMonths: 6, anchor: "calendar", startMonth: 12, day: 30 },
+    { sub: "総合点検", intervalMonths: 12, anchor: "calendar", startMonth: 6, day: 30, supersedes: "機器点検" },
+    { sub: "点検結果報告", intervalMonths: 12, intervalByUse: byUse(12, 36), anchor: "lastCompletion", day: 30 },
+  ],
+  "エレベーター": [
+    { sub: "保守点検", intervalMonths: 1, anchor: "calendar", startMonth: 1, day: 20 },
+    { sub: "定期検査", intervalMonths: 12, anchor: "lastCompletion", day: 20, supersedes: "保守点検" },
+  ],
+  "受水槽": [
+    { sub: "清掃", intervalMonths: 12, anchor: "calendar", startMonth: 6, day: 30 },
+    { sub: "法定検査", intervalMonths: 12, anchor: "lastCompletion", day: 15 },
+  ],
+  "排水管": [
+    { sub: "高圧洗浄", intervalMonths: 12, anchor: "calendar", startMonth: 6, day: 30 },
+  ],
+  "非常照明": [
+    { sub: "定期検査", intervalMonths: 12, anchor: "calendar", startMonth: 6, day: 30 },
+  ],
+  "防火設備": [
+    { sub: "定期検査", intervalMonths: 12, anchor: "calendar", startMonth: 6, day: 30 },
+  ],
+};
+
+export const overrideKey = (propertyId, kind, sub) => `${propertyId}|${kind}|${sub}`;
+
+/** 物件の用途・上書きを反映した実効ルール（無効化されていれば null） */
+export function effectiveRule(property, kind, base, overrides = {}) {
+  const ov = overrides[overrideKey(property.id, kind, base.sub)] ?? {};
+  if (ov.disabled) return null;
+  const intervalMonths = ov.intervalMonths ?? base.intervalByUse?.[property.useType] ?? base.intervalMonths;
+  return { ...base, ...ov, intervalMonths, overridden: Object.keys(ov).length > 0 };
+}
+
+function onDay(monthDate, day) {
+  return new Date(monthDate.getFullYear(), monthDate.getMonth(), Math.min(day, getDaysInMonth(monthDate)));
+}
+
+function calendarDates(rule, from, to) {
+  // 基準月（baseYear 年 startMonth 月、既定は from の年）から intervalMonths 刻みで並べる
+  const base = new Date(rule.baseYear ?? from.getFullYear(), (rule.startMonth ?? 1) - 1, 1);
+  const offset = differenceInCalendarMonths(startOfMonth(from), base);
+  let m = addMonths(base, Math.ceil(offset / rule.intervalMonths) * rule.intervalMonths);
+  const dates = [];
+  for (; !isAfter(startOfMonth(m), to); m = addMonths(m, rule.intervalMonths)) {
+    const d = onDay(m, rule.day);
+    if (!isBefore(d, from) && !isAfter(d, to)) dates.push({ date: d, dueDate: d });
+  }
+  return dates;
+}
+
+function completionDates(rule, from, to, last) {
+  const dates = [];
+  let m = startOfMonth(from);
+  if (last) {
+    // 期限（前回完了 + N か月の月末）を既に過ぎていれば範囲の先頭に前倒しで置き、法定期限は dueDate に残す
+    const due = endOfMonth(addMonths(last, rule.intervalMonths));
+    if (isBefore(due, from)) {
+      dates.push({ date: from, dueDate: due });
+      m = addMonths(m, rule.intervalMonths);
+    } else {
+      m = startOfMonth(due);
+    }
+  } else if (isBefore(onDay(m, rule.day), from)) {
+    // 完了履歴がなければ範囲内で最初の実施日から（期限より後に実施日を置かない）
+    m = addMonths(m, 1);
+  }
+  for (; !isAfter(m, to); m = addMonths(m, rule.intervalMonths)) {
+    const d = onDay(m, rule.day);
+    const date = isBefore(d, from) ? from : d;
+    if (!isAfter(d, to)) dates.push({ date, dueDate: date });
+  }
+  return dates;
+}
+
+/**
+ * 物件|種別|サブ点検 ごとの起算日
+ * - 完了済みは完了日、未完了の予定は期日を「次回の完了見込み」とみなす（再生成で二重に起票しない）。中止した予定は除く
+ */
+export function anchorIndex(events) {
+  const idx = new Map();
+  events.filter(e => e.subKind && !e.parentId && !isCancelled(e)).forEach(e => {
+    const key = overrideKey(e.propertyId, e.kind, e.subKind);
+    const at = new Date(e.status === "完了" ? (e.completedAt ?? e.date) : e.dueDate);
+    if (!idx.has(key) || isAfter(at, idx.get(key))) idx.set(key, at);
+  });
+  return idx;
+}
+
+/**
+ * 期間内に発生する点検の一覧（プレビュー兼・計画生成の入力）
+ * @returns {{ propertyId, kind, subKind, date, dueDate, ruleDate?, anchor, intervalMonths, overridden }[]}
+ */
+export function occurrencesBetween({ properties, kinds, from, to, overrides = {}, events = [], calendar }) {
+  const last = anchorIndex(events);
+  const out = [];
+  properties.forEach(prop => {
+    kinds.filter(k => prop.inspectionKinds?.includes(k)).forEach(kind => {
+      const rules = (RECURRENCE_RULES[kind] ?? []).map(r => effectiveRule(prop, kind, r, overrides)).filter(Boolean);
+      const perSub = rules.map(rule => {
+        const dates = rule.anchor === ANCHORS.LAST_COMPLETION
+          ? completionDates(rule, from, to, last.get(overrideKey(prop.id, kind, rule.sub)))
+          : calendarDates(rule, from, to);
+        return { rule, dates };
+      });
+      // 置き換える側の月は、今回の発生分に加えて既に予定になっている分（起算日が進むので今回の発生分には出ない）も数える
+      const scheduledMonths = (sub) => events
+        .filter(e => !e.parentId && !isCancelled(e) && e.propertyId === prop.id && e.kind === kind && e.subKind === sub)
+        .map(e => format(new Date(e.ruleDate ?? e.date), "yyyy-MM"));
+      perSub.forEach(({ rule, dates }) => {
+        const superseding = perSub.filter(o => o.rule.supersedes === rule.sub).flatMap(o => [...o.dates.map(d => format(d.date, "yyyy-MM")), ...scheduledMonths(o.rule.sub)]);
+        dates.filter(d => !superseding.includes(format(d.date, "yyyy-MM"))).forEach(({ date, dueDate }) => {
+          const o = { propertyId: prop.id, kind, subKind: rule.sub, date, dueDate, anchor: rule.anchor, intervalMonths: rule.intervalMonths, overridden: rule.overridden };
+          out.push(calendar ? shiftOccurrence(o, calendar, from) : o);
+        });
+      });
+    });
+  });
+  return out.sort((a, b) => a.date - b.date || a.propertyId.localeCompare(b.propertyId));
+}
+
+const ruleDay = (o) => format(new Date(o.ruleDate ?? o.date), "yyyyMMdd");
+
+export const occurrenceId = (o) => `AP-${o.propertyId}-${o.kind}-${o.subKind}-${ruleDay(o)}`;
+
+/** 既存予定と同じ 物件・種別・サブ点検・日付（移動前の日） の発生か（旧形式 ID の予定との重複防止） */
+export function isScheduled(events, o) {
+  return events.some(e => !e.parentId && e.propertyId === o.propertyId && e.kind === o.kind && (e.subKind ?? o.subKind) === o.subKind
+    && ruleDay(e) === ruleDay(o));
+}
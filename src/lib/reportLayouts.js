@@ -0,0 +1,71 @@
+/**
+ * 点検種別ごとの報告書レイアウト
+ * - 表題・根拠法令・ヘッダ項目・署名欄・写真付録の並びを定義し、reportPdf.js が描画する
+ * - kind に定義がなければ default を使う
+ */
+
+const DEFAULT_SIGNATURES = [
+  { role: "inspector", label: "点検者", stamp: true },
+  { role: "vendor", label: "業者", stamp: true },
+  { role: "manager", label: "管理者確認", stamp: true },
+];
+
+const DEFAULT_HEADER = [
+  { label: "物件", value: r => r.property?.name },
+  { label: "所在地", value: r => r.property?.address },
+  { label: "点検種別", value: r => r.subKind ? `${r.kind}（${r.subKind}）` : r.kind },
+  { label: "実施日", value: (r, fmt) => fmt(r.completedAt) },
+  { label: "点検者", value: r => r.assignee?.name },
+  { label: "業者", value: r => r.vendor?.name },
+];
+
+const LAYOUTS = {
+  default: {
+    title: "法定点検報告書",
+    basis: null,
+    header: DEFAULT_HEADER,
+    columns: [
+      { key: "section", label: "区分", width: 0.2 },
+      { key: "label", label: "点検項目", width: 0.4 },
+      { key: "result", label: "結果", width: 0.2 },
+      { key: "criteria", label: "判定基準", width: 0.2 },
+    ],
+    signatures: DEFAULT_SIGNATURES,
+    photoColumns: 2,
+    footnote: "本報告書は点検結果を記録したものです。不適合事項は是正完了まで管理します。",
+  },
+  "消防設備": {
+    title: "消防用設備等 点検報告書",
+    basis: "消防法第17条の3の3",
+    signatures: [
+      { role: "inspector", label: "点検者（消防設備士・点検資格者）", stamp: true },
+      { role: "vendor", label: "点検業者", stamp: true },
+      { role: "manager", label: "防火管理者確認", stamp: true },
+    ],
+  },
+  "エレベーター": {
+    title: "昇降機 点検報告書",
+    basis: "建築基準法第8条・第12条第3項",
+  },
+  "受水槽": {
+    title: "受水槽（簡易専用水道）点検報告書",
+    basis: "水道法第34条の2",
+    photoColumns: 3,
+  },
+  "排水管": {
+    title: "排水管清掃 作業報告書",
+    basis: "建築物における衛生的環境の確保に関する法律",
+  },
+  "非常照明": {
+    title: "非常用照明装置 点検報告書",
+    basis: "建築基準法第12条第3項",
+  },
+  "防火設備": {
+    title: "防火設備 検査報告書",
+    basis: "建築基準法第12条第3項",
+  },
+};
+
+export function getReportLayout(kind) {
+  return { ...LAYOUTS.default, ...(LAYOUTS[kind] ?? {}) };
+}
@@ -0,0 +1,310 @@
+import { format } from "date-fns";
+import fontUrl from "@expo-google-fonts/biz-udgothic/BIZUDGothic_400Regular.ttf?url";
+import { getReportTemplate, templateItems, formatAnswer, rangeLabel, isOutOfRange, ITEM_TYPES, RESULTS } from "./checklistTemplates";
+import { getReportLayout } from "./reportLayouts";
+import { toPhoto, photosOfItem, photosOfNonConformity, renderAnnotated } from "./photos";
+
+/**
+ * 点検報告書 PDF エンジン
+ * - 同梱の日本語フォント（BIZ UDゴシック）を埋め込む
+ * - 表紙ヘッダ → チェックリスト表 → 不適合 →（再発行時）是正結果 → 署名・押印欄 → 写真付録 の順に描画
+ * - 写真は証明する項目・不適合・是正の行の直下に並べ、どこにも紐付けていない現場写真だけを写真付録に載せる
+ * - 返り値の { blob, filename } は報告書レコードに保存し、ダウンロードは呼び出し側で行う
+ * - 文書の作成・表・改ページは届出様式（filingPdf.js）と共用
+ */
+
+const FONT = "BIZUDGothic";
+export const PAGE = { width: 595.28, height: 841.89, margin: 40, top: 60, bottom: 50 };
+export const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+export const LINE = 13;
+export const PAD = 4;
+const RED = [200, 30, 30];
+export const BLACK = [20, 20, 20];
+export const GRAY = [120, 120, 120];
+/** 行の直下に並べる写真の列数 */
+const STRIP_COLUMNS = 4;
+const CAPTION_LINE = 10;
+
+let fontPromise = null;
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function loadFont() {
+  fontPromise ??= fetch(fontUrl)
+    .then(res => { if (!res.ok) throw new Error(`フォントの読み込みに失敗しました (${res.status})`); return res.arrayBuffer(); })
+    .then(toBase64)
+    .catch(err => { fontPromise = null; throw err; });
+  return fontPromise;
+}
+
+/** jsPDF が直接扱えない形式（WebP/HEIC 等）は canvas で JPEG に変換 */
+async function normalizeImage(src) {
+  const mime = /^data:(image\/[a-z+]+);/i.exec(src)?.[1]?.toLowerCase();
+  if (mime === "image/jpeg" || mime === "image/jpg") return { data: src, format: "JPEG" };
+  if (mime === "image/png") return { data: src, format: "PNG" };
+  const img = await new Promise((resolve, reject) => { const i = new Image(); i.onload = () => resolve(i); i.onerror = reject; i.src = src; });
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth; canvas.height = img.naturalHeight;
+  canvas.getContext("2d").drawImage(img, 0, 0);
+  return { data: canvas.toDataURL("image/jpeg", 0.9), format: "JPEG" };
+}
+
+export function reportFilename(report) {
+  return `${report.property?.name ?? report.propertyId}_${report.kind}_報告書_${format(new Date(report.completedAt), "yyyyMMdd_HHmm")}.pdf`;
+}
+
+/**
+ * 報告書に載せる写真と掲載位置（itemId / ncIndex / correction。なければ写真付録）
+ * - 項目の写真は 写真必須の項目で撮った写真 → 項目に紐付けた現場写真 の順
+ * - 番号は報告書の中での出現順（チェックリスト → 不適合 → 是正結果 → 写真付録）
+ */
+function collectPhotos(report, items) {
+  const photos = [];
+  const general = (report.photos || []).map(toPhoto);
+  const add = (list, caption, place) => list.forEach(photo => photos.push({ photo, caption, ...place }));
+  items.forEach(item => {
+    const caption = `${item.section} ${item.label}`;
+    if (item.type === ITEM_TYPES.PHOTO) add((report.answers?.[item.id] || []).map(toPhoto), caption, { itemId: item.id });
+    add(photosOfItem(general, item.id), caption, { itemId: item.id });
+  });
+  (report.nonConformities || []).forEach((nc, i) => add(photosOfNonConformity(general, i), `不適合${i + 1}: ${nc.note}`, { ncIndex: i }));
+  (report.corrections || []).forEach((c, i) => {
+    add((c.photos?.before || []).map(toPhoto), `是正${i + 1} 是正前: ${c.note}`, { correction: i });
+    add((c.photos?.after || []).map(toPhoto), `是正${i + 1} 是正後: ${c.note}`, { correction: i });
+  });
+  const placed = new Set(photos.map(p => p.photo));
+  general.filter(p => !placed.has(p)).forEach((photo, i) => photos.push({ photo, caption: `現場写真 ${i + 1}` }));
+  return photos.map((p, i) => ({ ...p, no: i + 1 }));
+}
+
+const isUnplaced = (p) => p.itemId == null && p.ncIndex == null && p.correction == null;
+
+/** 描画前に画像を用意する（注記の合成・形式の変換）。端末のメモリを考えて1枚ずつ処理し、読めない写真は image: null */
+async function loadImages(photos) {
+  const out = [];
+  for (const p of photos) {
+    try {
+      out.push({ ...p, image: await normalizeImage(await renderAnnotated(p.photo)) });
+    } catch (err) {
+      console.warn("写真の埋め込みに失敗しました", err);
+      out.push({ ...p, image: null });
+    }
+  }
+  return out;
+}
+
+function checklistRows(report, template, photos) {
+  if (!template) {
+    return Object.entries(report.answers || {}).map(([k, v]) => ({ section: "", label: k, result: formatAnswer({ type: "result" }, v), criteria: "", alert: v === false }));
+  }
+  return templateItems(template).map(item => {
+    const v = report.answers?.[item.id];
+    let result = formatAnswer(item, v);
+    const linked = photos.filter(p => p.itemId === item.id);
+    if (item.type === ITEM_TYPES.PHOTO) result = linked.length ? `写真 No.${linked.map(p => p.no).join(", ")}` : "-";
+    return {
+      section: item.section, label: item.label, result,
+      criteria: item.type === ITEM_TYPES.NUMBER ? rangeLabel(item) : "",
+      alert: v === RESULTS.FAIL || v === false || isOutOfRange(item, v),
+      photos: linked,
+    };
+  });
+}
+
+/** A4 縦・日本語フォント埋め込み済みの jsPDF 文書 */
+export async function createDocument() {
+  const [{ default: jsPDF }, font] = await Promise.all([import("jspdf"), loadFont()]);
+  const doc = new jsPDF({ unit: "pt", format: "a4", compress: true });
+  doc.addFileToVFS(`${FONT}.ttf`, font);
+  doc.addFont(`${FONT}.ttf`, FONT, "normal");
+  doc.setFont(FONT, "normal");
+  return doc;
+}
+
+export function createWriter(doc) {
+  const w = { doc, y: PAGE.top };
+  w.newPage = () => { doc.addPage(); w.y = PAGE.top; w.onNewPage?.(); };
+  w.ensure = (h) => { if (w.y + h > PAGE.height - PAGE.bottom) w.newPage(); };
+  w.heading = (text) => {
+    w.ensure(LINE * 3);
+    w.y += LINE / 2;
+    doc.setFontSize(11); doc.setTextColor(...BLACK);
+    doc.text(text, PAGE.margin, w.y);
+    doc.setDrawColor(...GRAY); doc.line(PAGE.margin, w.y + 3, PAGE.margin + CONTENT_WIDTH, w.y + 3);
+    w.y += LINE;
+  };
+  return w;
+}
+
+export function drawTable(w, columns, rows) {
+  const { doc } = w;
+  const widths = columns.map(c => c.width * CONTENT_WIDTH);
+  const drawRow = (cells, { header = false, alert = false } = {}) => {
+    doc.setFontSize(9);
+    const lines = cells.map((c, i) => doc.splitTextToSize(String(c ?? ""), widths[i] - PAD * 2));
+    const h = Math.max(...lines.map(l => l.length)) * LINE + PAD;
+    w.ensure(h);
+    let x = PAGE.margin;
+    lines.forEach((l, i) => {
+      if (header) { doc.setFillColor(238, 238, 238); doc.rect(x, w.y, widths[i], h, "F"); }
+      doc.setDrawColor(180, 180, 180); doc.rect(x, w.y, widths[i], h);
+      doc.setTextColor(...(alert && !header ? RED : BLACK));
+      doc.text(l, x + PAD, w.y + LINE - 2);
+      x += widths[i];
+    });
+    w.y += h;
+  };
+  const header = () => drawRow(columns.map(c => c.label), { header: true });
+  header();
+  w.onNewPage = header;
+  rows.forEach(r => {
+    drawRow(columns.map(c => r[c.key]), { alert: r.alert });
+    if (r.photos?.length) drawPhotoStrip(w, r.photos);
+  });
+  w.onNewPage = null;
+  w.y += LINE;
+}
+
+function drawSignatures(w, layout, report) {
+  const { doc } = w;
+  const boxH = 80;
+  w.ensure(boxH + LINE * 2);
+  const boxW = CONTENT_WIDTH / layout.signatures.length;
+  const names = { inspector: report.assignee?.name, vendor: report.vendor?.name };
+  layout.signatures.forEach((s, i) => {
+    const x = PAGE.margin + boxW * i;
+    doc.setDrawColor(180, 180, 180); doc.rect(x, w.y, boxW, boxH);
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    doc.text(s.label, x + PAD, w.y + LINE - 2);
+    doc.setFontSize(10); doc.setTextColor(...BLACK);
+    if (names[s.role]) doc.text(names[s.role], x + PAD, w.y + boxH / 2 + 4, { maxWidth: boxW - 50 });
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    doc.text("日付　　年　　月　　日", x + PAD, w.y + boxH - 8);
+    if (s.stamp) {
+      doc.setDrawColor(200, 120, 120);
+      doc.circle(x + boxW - 24, w.y + boxH / 2, 16);
+      doc.setTextColor(200, 120, 120);
+      doc.text("印", x + boxW - 24, w.y + boxH / 2 + 3, { align: "center" });
+    }
+  });
+  w.y += boxH + LINE;
+}
+
+/** 写真1枚（枠・画像・番号と撮影日時・警告）。captionLines は説明の最大行数 */
+function drawPhotoCell(w, p, x, cellW, imgH, { caption, captionLines }) {
+  const { doc } = w;
+  doc.setDrawColor(200, 200, 200); doc.rect(x, w.y, cellW, imgH);
+  if (p.image) {
+    const { width, height } = doc.getImageProperties(p.image.data);
+    const scale = Math.min(cellW / width, imgH / height);
+    const dw = width * scale, dh = height * scale;
+    doc.addImage(p.image.data, p.image.format, x + (cellW - dw) / 2, w.y + (imgH - dh) / 2, dw, dh);
+  } else {
+    doc.setFontSize(8); doc.setTextColor(...RED);
+    doc.text("画像を読み込めません", x + cellW / 2, w.y + imgH / 2, { align: "center" });
+  }
+  const taken = p.photo.takenAt ? ` 撮影 ${format(new Date(p.photo.takenAt), "yyyy/M/d HH:mm")}` : "";
+  let y = w.y + imgH + CAPTION_LINE;
+  doc.setFontSize(8); doc.setTextColor(...BLACK);
+  doc.splitTextToSize(`No.${p.no}${caption ? ` ${p.caption}` : ""}${taken}`, cellW).slice(0, captionLines).forEach(l => { doc.text(l, x, y); y += CAPTION_LINE; });
+  if (p.photo.warnings?.length) {
+    doc.setTextColor(...RED);
+    doc.splitTextToSize(`※${p.photo.warnings.join(" / ")}`, cellW).slice(0, 2).forEach(l => { doc.text(l, x, y); y += CAPTION_LINE; });
+  }
+}
+
+function drawPhotoGrid(w, photos, cols, options) {
+  const gap = 8;
+  const cellW = (CONTENT_WIDTH - gap * (cols - 1)) / cols;
+  const imgH = cellW * 0.75;
+  const cellH = imgH + CAPTION_LINE * (options.captionLines + 2) + PAD;
+  for (let i = 0; i < photos.length; i += cols) {
+    w.ensure(cellH);
+    photos.slice(i, i + cols).forEach((p, j) => drawPhotoCell(w, p, PAGE.margin + (cellW + gap) * j, cellW, imgH, options));
+    w.y += cellH;
+  }
+}
+
+/** 表の行の直下に、その行を証明する写真を並べる（説明は行にあるので番号と撮影日時だけ） */
+function drawPhotoStrip(w, photos) {
+  w.y += PAD;
+  drawPhotoGrid(w, photos, STRIP_COLUMNS, { caption: false, captionLines: 1 });
+}
+
+function drawPhotoAppendix(w, layout, photos) {
+  w.newPage();
+  w.heading(`写真付録（${photos.length}枚）`);
+  drawPhotoGrid(w, photos, layout.photoColumns, { caption: true, captionLines: 2 });
+}
+
+function drawPageDecorations(doc, layout, report) {
+  const total = doc.getNumberOfPages();
+  for (let i = 1; i <= total; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    if (i > 1) doc.text(`${layout.title}  ${report.property?.name ?? ""}`, PAGE.margin, 30);
+    doc.text(report.id ?? "", PAGE.margin, PAGE.height - 20);
+    doc.text(`${i} / ${total}`, PAGE.width / 2, PAGE.height - 20, { align: "center" });
+  }
+}
+
+export async function renderReportPDF(report) {
+  const doc = await createDocument();
+  const layout = getReportLayout(report.kind);
+  const template = getReportTemplate(report);
+  const items = template ? templateItems(template) : [];
+  const photos = await loadImages(collectPhotos(report, items));
+  const fmt = (d) => d ? format(new Date(d), "yyyy年M月d日") : "-";
+  const w = createWriter(doc);
+
+  doc.setFontSize(18); doc.setTextColor(...BLACK);
+  doc.text(report.revision > 1 ? `${layout.title}（第${report.revision}版）` : layout.title, PAGE.width / 2, w.y, { align: "center" });
+  w.y += LINE * 1.5;
+  if (layout.basis) {
+    doc.setFontSize(9); doc.setTextColor(...GRAY);
+    doc.text(`根拠法令: ${layout.basis}`, PAGE.width / 2, w.y, { align: "center" });
+    w.y += LINE;
+  }
+  w.y += LINE / 2;
+  drawTable(w, [{ key: "label", label: "項目", width: 0.25 }, { key: "value", label: "内容", width: 0.75 }],
+    layout.header.map(h => ({ label: h.label, value: h.value(report, fmt) ?? "-" })));
+
+  w.heading(template ? `点検結果（テンプレート ${template.id} 第${template.version}版）` : "点検結果");
+  drawTable(w, layout.columns, checklistRows(report, template, photos));
+
+  w.heading("不適合事項");
+  if (report.nonConformities?.length) {
+    drawTable(w, [{ key: "no", label: "No", width: 0.08 }, { key: "note", label: "事象", width: 0.72 }, { key: "severity", label: "重要度", width: 0.2 }],
+      report.nonConformities.map((nc, i) => ({ no: i + 1, note: nc.note, severity: nc.severity, alert: true, photos: photos.filter(p => p.ncIndex === i) })));
+  } else {
+    doc.setFontSize(9); doc.setTextColor(...BLACK);
+    doc.text("なし", PAGE.margin, w.y); w.y += LINE * 1.5;
+  }
+
+  if (report.corrections?.length) {
+    w.heading(`是正結果（${fmt(report.reissuedAt)} 全件クローズにより再発行）`);
+    drawTable(w, [
+      { key: "no", label: "No", width: 0.08 }, { key: "note", label: "事象", width: 0.4 }, { key: "severity", label: "重要度", width: 0.12 },
+      { key: "completedAt", label: "是正完了", width: 0.14 }, { key: "closedAt", label: "検証", width: 0.14 }, { key: "closedBy", label: "検証者", width: 0.12 },
+    ], report.corrections.map((c, i) => ({ no: i + 1, note: c.note, severity: c.severity, completedAt: fmt(c.completedAt), closedAt: fmt(c.closedAt), closedBy: c.closedBy, photos: photos.filter(p => p.correction === i) })));
+  }
+
+  if (layout.footnote) {
+    w.ensure(LINE * 2);
+    doc.setFontSize(8); doc.setTextColor(...GRAY);
+    doc.text(layout.footnote, PAGE.margin, w.y); w.y += LINE * 1.5;
+  }
+  w.heading("署名・押印");
+  drawSignatures(w, layout, report);
+
+  const unplaced = photos.filter(isUnplaced);
+  if (unplaced.length) drawPhotoAppendix(w, layout, unplaced);
+  drawPageDecorations(doc, layout, report);
+
+  return { blob: doc.output("blob"), filename: reportFilename(report), generatedAt: new Date(), pageCount: doc.getNumberOfPages() };
+}
@@ -0,0 +1,144 @@
+import { STORES, withStore } from "./db";
+import { sealEntries } from "./audit";
+import { apiEnabled, putTogether, remoteRepository, reportSync } from "./api";
+
+/**
+ * ストア単位のリポジトリ
+ * - レコードは id をキーに丸ごと put（Date はそのまま構造化複製で保存される）
+ */
+function createRepository(storeName) {
+  return {
+    all: () => withStore(storeName, "readonly", (s, p) => p(s.getAll())),
+    get: (id) => withStore(storeName, "readonly", (s, p) => p(s.get(id))),
+    byIndex: (index, value) => withStore(storeName, "readonly", (s, p) => p(s.index(index).getAll(value))),
+    put: (record) => withStore(storeName, "readwrite", (s, p) => p(s.put(record))),
+    putMany: (records) => withStore(storeName, "readwrite", (s) => { records.forEach(r => s.put(r)); }),
+    removeMany: (ids) => withStore(storeName, "readwrite", (s) => { ids.forEach(id => s.delete(id)); }),
+  };
+}
+
+/** API を使うときはサーバーが正で、IndexedDB はオフライン用の控え（api.js） */
+const synced = (resource, local, options) => apiEnabled ? remoteRepository(resource, local, options) : local;
+
+export const eventRepository = synced("events", createRepository(STORES.EVENTS));
+export const propertyRepository = synced("properties", createRepository(STORES.PROPERTIES));
+export const vendorRepository = synced("vendors", createRepository(STORES.VENDORS));
+export const userRepository = synced("users", createRepository(STORES.USERS));
+export const scheduleOverrideRepository = createRepository(STORES.SCHEDULE_OVERRIDES);
+export const notificationRuleRepository = createRepository(STORES.NOTIFICATION_RULES);
+export const subscriptionRepository = createRepository(STORES.SUBSCRIPTIONS);
+export const proposalRepository = createRepository(STORES.PROPOSALS);
+export const draftRepository = createRepository(STORES.DRAFTS);
+export const outboxRepository = createRepository(STORES.OUTBOX);
+export const savedViewRepository = createRepository(STORES.SAVED_VIEWS);
+export const filingRepository = synced("filings", createRepository(STORES.FILINGS));
+
+/**
+ * 複数のストアへまとめて保存する（[[リポジトリ, レコードの配列], ...]）
+ * API を使うときは1つの batch で送り、サーバーが1件でも拒否すればどれも保存しない
+ */
+export async function saveTogether(writes) {
+  if (apiEnabled) return putTogether(writes);
+  for (const [repository, records] of writes) await repository.putMany(records);
+}
+
+export const notificationKeyRepository = {
+  all: async () => new Set(await withStore(STORES.NOTIFICATION_KEYS, "readonly", (s, p) => p(s.getAllKeys()))),
+  addMany: (keys) => withStore(STORES.NOTIFICATION_KEYS, "readwrite", (s) => { keys.forEach(key => s.put({ key, at: new Date() })); }),
+};
+
+export const reportRepository = {
+  ...synced("reports", createRepository(STORES.REPORTS), reportSync),
+  listByEvent: (eventId) => reportRepository.byIndex("eventId", eventId),
+};
+
+const NOTIFICATION_HISTORY_LIMIT = 500;
+
+export const notificationRepository = {
+  ...createRepository(STORES.NOTIFICATIONS),
+  /** 新しい順に limit 件 */
+  recent: (limit) => withStore(STORES.NOTIFICATIONS, "readonly", (s) => new Promise((resolve, reject) => {
+    const out = [];
+    const req = s.index("at").openCursor(null, "prev");
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur || out.length >= limit) return resolve(out);
+      out.push(cur.value); cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  })),
+  /** 追加し、履歴上限を超えた古いものを削除 */
+  add: (n) => withStore(STORES.NOTIFICATIONS, "readwrite", (s) => {
+    s.put(n);
+    const req = s.index("at").openCursor(null, "prev");
+    let kept = 0;
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return;
+      if (++kept > NOTIFICATION_HISTORY_LIMIT) cur.delete();
+      cur.continue();
+    };
+  }),
+};
+
+/** 同じ seq の二重書込み（別タブとの競合）時に先頭を読み直す回数 */
+const AUDIT_APPEND_RETRIES = 3;
+let auditQueue = Promise.resolve();
+
+/**
+ * 監査ログは追記のみ（更新・削除のメソッドを持たない）
+ * - 先頭のハッシュを読んでから封印するため、このタブ内の追記は呼び出し順に直列化する
+ * - add は既存の seq があると失敗するので、別タブが先に書いた場合は読み直して封印し直す
+ */
+export const auditRepository = {
+  all: () => withStore(STORES.AUDIT_LOG, "readonly", (s, p) => p(s.getAll())),
+  byEvent: (eventId) => withStore(STORES.AUDIT_LOG, "readonly", (s, p) => p(s.index("eventId").getAll(eventId))),
+  byRecord: (recordId) => withStore(STORES.AUDIT_LOG, "readonly", (s, p) => p(s.index("recordId").getAll(recordId))),
+  head: () => withStore(STORES.AUDIT_LOG, "readonly", (s) => new Promise((resolve, reject) => {
+    const req = s.openCursor(null, "prev");
+    req.onsuccess = () => resolve(req.result?.value ?? null);
+    req.onerror = () => reject(req.error);
+  })),
+  /** 新しい順に limit 件 */
+  recent: (limit) => withStore(STORES.AUDIT_LOG, "readonly", (s) => new Promise((resolve, reject) => {
+    const out = [];
+    const req = s.openCursor(null, "prev");
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur || out.length >= limit) return resolve(out);
+      out.push(cur.value); cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  })),
+  /** drafts は配列か、配列を返す Promise（呼び出し順を保つため、待つのはキューの中） */
+  append: (drafts) => {
+    const run = async () => {
+      const list = (await drafts).filter(d => d.action !== "update" || d.changes.length);
+      if (!list.length) return [];
+      for (let attempt = 0; ; attempt++) {
+        const sealed = await sealEntries(list, await auditRepository.head());
+        try {
+          await withStore(STORES.AUDIT_LOG, "readwrite", (s) => { sealed.forEach(e => s.add(e)); });
+          return sealed;
+        } catch (err) {
+          if (err?.name !== "ConstraintError" || attempt >= AUDIT_APPEND_RETRIES) throw err;
+        }
+      }
+    };
+    const result = auditQueue.then(run);
+    auditQueue = result.catch(() => {});
+    return result;
+  },
+};
+
+export const metaRepository = {
+  get: async (key) => (await withStore(STORES.META, "readonly", (s, p) => p(s.get(key))))?.value,
+  set: (key, value) => withStore(STORES.META, "readwrite", (s, p) => p(s.put({ key, value }))),
+};
+
+/** 初期データを一度だけ投入する（利用者が全件削除しても再投入しない。API を使うときはサーバー側のデータのみ） */
+export async function seedOnce(key, rows) {
+  if (apiEnabled || await metaRepository.get(key)) return [];
+  await metaRepository.set(key, true);
+  return rows;
+}
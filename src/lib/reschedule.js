@@ -0,0 +1,32 @@
+import { format, isSameDay, isBefore, startOfDay } from "date-fns";
+import { isCorrective } from "./corrective";
+import { isCancelled } from "./utils";
+import { closedReason } from "./businessCalendar";
+
+/**
+ * 予定日の変更（ドラッグ＆ドロップ・業者提案の承認）
+ * - 法定期限 dueDate は変えず、当初の予定日 originalDate と変更履歴 reschedules を残す
+ * - 期限を過ぎる移動・営業日でない日への移動は警告する（禁止はしない）
+ */
+
+/** 日付を動かせる予定（完了・中止・是正タスクは不可） */
+export const isReschedulable = (e) => e.status !== "完了" && !isCancelled(e) && !isCorrective(e);
+
+export function rescheduleWarnings(event, to, { now = new Date(), calendar } = {}) {
+  const warnings = [];
+  if (isBefore(startOfDay(new Date(event.dueDate)), startOfDay(to))) warnings.push(`法定期限（${format(new Date(event.dueDate), "yyyy-MM-dd")}）を過ぎます`);
+  if (isBefore(startOfDay(to), startOfDay(now))) warnings.push("過去の日付です");
+  const closed = closedReason(to, calendar);
+  if (closed) warnings.push(`${closed}です`);
+  return warnings;
+}
+
+export function rescheduleEvent(event, to, { reason, by = null, at = new Date(), source = "manual" }) {
+  if (isSameDay(new Date(event.date), to)) return event;
+  return {
+    ...event,
+    date: to,
+    originalDate: event.originalDate ?? event.date,
+    reschedules: [...(event.reschedules || []), { from: event.date, to, reason, by, at, source, pastDue: isBefore(startOfDay(new Date(event.dueDate)), startOfDay(to)) }],
+  };
+}
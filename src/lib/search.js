@@ -0,0 +1,130 @@
+import { format, isBefore } from "date-fns";
+import { INSPECTION_KINDS, Severity } from "./constants";
+import { getReportTemplate, templateItems, formatAnswer, ITEM_TYPES } from "./checklistTemplates";
+import { isCorrective } from "./corrective";
+import { isCancelled } from "./utils";
+
+/**
+ * 予定の絞り込み・全文検索と、URL・保存ビューとの相互変換
+ * - 条件はプレーンなオブジェクト。既定値の項目は URL に出さない
+ * - 担当者の "me" は表示しているユーザー（保存ビューを他の人が開いても「自分の」になる）
+ * - 全文検索の対象: 物件名・住所、不適合のメモ（報告書の不適合・是正タスクの指摘）、報告書の回答と特記事項
+ */
+
+export const STATUS_FILTERS = ["予定", "未完", "完了", "是正中"];
+export const SEVERITY_FILTERS = [Severity.HIGH, Severity.MEDIUM, Severity.LOW];
+export const ME = "me";
+
+const ALL_KINDS = Object.keys(INSPECTION_KINDS);
+
+export const DEFAULT_FILTERS = {
+  propertyId: "ALL", kinds: ALL_KINDS, assigneeId: "", vendorId: "",
+  statuses: [], severities: [], from: "", to: "", overdue: false, q: "",
+};
+
+/** URL のパラメータ名（配列はカンマ区切り） */
+const PARAMS = {
+  propertyId: "property", kinds: "kinds", assigneeId: "assignee", vendorId: "vendor",
+  statuses: "status", severities: "severity", from: "from", to: "to", overdue: "overdue", q: "q",
+};
+
+const sameList = (a, b) => a.length === b.length && a.every(x => b.includes(x));
+const isDefault = (key, value) => Array.isArray(value) ? sameList(value, DEFAULT_FILTERS[key]) : value === DEFAULT_FILTERS[key];
+
+/** 既定から変えた条件の数（種別・物件は除く。サイドバーで常に見えているため） */
+export const activeFilterCount = (filters) => Object.keys(DEFAULT_FILTERS).filter(k => k !== "kinds" && k !== "propertyId" && !isDefault(k, filters[k])).length;
+
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [key, name] of Object.entries(PARAMS)) {
+    const v = filters[key];
+    if (isDefault(key, v)) continue;
+    params.set(name, Array.isArray(v) ? v.join(",") : v === true ? "1" : v);
+  }
+  return params.toString();
+}
+
+/** URL の値は検証してから使う（未知の種別・状態などは落とす） */
+export function filtersFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const list = (name, allowed) => (params.get(name) ?? "").split(",").filter(v => allowed.includes(v));
+  const date = (name) => /^\d{4}-\d{2}-\d{2}$/.test(params.get(name) ?? "") ? params.get(name) : "";
+  return {
+    ...DEFAULT_FILTERS,
+    propertyId: params.get(PARAMS.propertyId) || DEFAULT_FILTERS.propertyId,
+    kinds: params.has(PARAMS.kinds) ? list(PARAMS.kinds, ALL_KINDS) : DEFAULT_FILTERS.kinds,
+    assigneeId: params.get(PARAMS.assigneeId) ?? "",
+    vendorId: params.get(PARAMS.vendorId) ?? "",
+    statuses: list(PARAMS.statuses, STATUS_FILTERS),
+    severities: list(PARAMS.severities, SEVERITY_FILTERS),
+    from: date(PARAMS.from),
+    to: date(PARAMS.to),
+    overdue: params.get(PARAMS.overdue) === "1",
+    q: params.get(PARAMS.q) ?? "",
+  };
+}
+
+/** 全角・半角、大文字・小文字を区別しない */
+export const normalize = (s) => String(s ?? "").normalize("NFKC").toLowerCase();
+const terms = (q) => normalize(q).split(/\s+/).filter(Boolean);
+
+function reportTexts(report) {
+  const items = templateItems(getReportTemplate(report));
+  const answers = items.flatMap(item => {
+    const v = report.answers?.[item.id];
+    if (v == null || v === "" || item.type === ITEM_TYPES.PHOTO) return [];
+    return [`${item.section} ${item.label}: ${formatAnswer(item, v)}`];
+  });
+  return [...(report.nonConformities || []).map(nc => `不適合 ${nc.severity ?? ""} ${nc.note ?? ""}`), ...answers];
+}
+
+/**
+ * 予定ごとの検索用テキストと重要度
+ * - 点検の予定: 物件名・住所・種別と、その報告書の回答・不適合
+ * - 是正タスク: 物件名・住所・種別と指摘事項
+ */
+export function buildSearchIndex({ events, reports, properties }) {
+  const propertyById = new Map(properties.map(p => [p.id, p]));
+  const reportByEvent = new Map(reports.map(r => [r.eventId, r]));
+  return new Map(events.map(e => {
+    const p = propertyById.get(e.propertyId);
+    const report = !isCorrective(e) ? reportByEvent.get(e.id) : null;
+    const texts = [p?.name, p?.address, e.kind, e.subKind, ...(isCorrective(e) ? [`指摘 ${e.finding?.severity ?? ""} ${e.finding?.note ?? ""}`] : []), ...(report ? reportTexts(report) : [])].filter(Boolean);
+    const severities = isCorrective(e) ? [e.finding?.severity] : (report?.nonConformities || []).map(nc => nc.severity);
+    return [e.id, { texts, normalized: texts.map(normalize), severities: new Set(severities.filter(Boolean)) }];
+  }));
+}
+
+const isOverdue = (e, today) => e.status !== "完了" && isBefore(new Date(e.dueDate), today);
+
+/** 条件に合う予定（中止は除く）。viewerId は担当者 "me" の解決用 */
+export function filterEvents(events, filters, { viewerId, index, now = new Date() }) {
+  const today = new Date(format(now, "yyyy-MM-dd"));
+  const assigneeId = filters.assigneeId === ME ? viewerId : filters.assigneeId;
+  const q = terms(filters.q);
+  return events.filter(e => {
+    if (isCancelled(e)) return false;
+    if (filters.propertyId !== "ALL" && e.propertyId !== filters.propertyId) return false;
+    if (!filters.kinds.includes(e.kind)) return false;
+    if (assigneeId && e.assigneeId !== assigneeId) return false;
+    if (filters.vendorId && e.vendorId !== filters.vendorId) return false;
+    if (filters.statuses.length && !filters.statuses.includes(e.status)) return false;
+    const day = format(new Date(e.date), "yyyy-MM-dd");
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    if (filters.overdue && !isOverdue(e, today)) return false;
+    const entry = index?.get(e.id);
+    if (filters.severities.length && !filters.severities.some(s => entry?.severities.has(s))) return false;
+    return !q.length || (!!entry && q.every(t => entry.normalized.some(text => text.includes(t))));
+  });
+}
+
+/** 検索語を含むテキスト（一覧での表示用。最大 limit 件） */
+export function matchedTexts(entry, q, limit = 2) {
+  const ts = terms(q);
+  if (!entry || !ts.length) return [];
+  return entry.texts.filter((_, i) => ts.some(t => entry.normalized[i].includes(t))).slice(0, limit);
+}
+
+/** 報告書が必要な条件（全文検索・重要度）か */
+export const needsReports = (filters) => !!filters.q.trim() || filters.severities.length > 0;
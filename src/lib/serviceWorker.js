@@ -0,0 +1,15 @@
+/**
+ * Service Worker の登録（本番ビルドのみ。開発サーバーでは HMR と競合するため登録しない）
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    try {
+      await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+      const reg = await navigator.serviceWorker.ready;
+      reg.active?.postMessage({ type: "precache" });
+    } catch (err) {
+      console.error("Service Worker の登録に失敗しました", err);
+    }
+  });
+}
@@ -0,0 +1,36 @@
+import { format, differenceInCalendarDays } from "date-fns";
+import { addBusinessDays } from "./businessCalendar";
+
+/** 期日が近い（黄色）とみなす営業日数 */
+const DUE_SOON_BUSINESS_DAYS = 3;
+
+export function classNames(...c){return c.filter(Boolean).join(" ");}
+
+/** Blob をファイルとしてダウンロードさせる */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** 中止した予定（ICS では CANCELLED として配信し続ける） */
+export const isCancelled = (e) => e.status === "中止";
+
+/** 予定の種別表示（サブ点検があれば併記、是正タスクは事象を併記） */
+export const kindLabel = (e) => {
+  if (e.type === "corrective") return `${e.kind} 是正: ${e.finding?.note ?? ""}`;
+  return e.subKind ? `${e.kind}（${e.subKind}）` : e.kind;
+};
+
+/** 期限までの日数に応じた色（超過は点滅）。直前の目安は営業日で数える */
+export function dueColor(dueDate, calendar) {
+  const today = new Date(format(new Date(), 'yyyy-MM-dd'));
+  const d = new Date(dueDate);
+  const days = differenceInCalendarDays(d, today);
+  if (days < 0) return "animate-blink text-red-600 border-red-600";
+  if (days === 0) return "text-red-600 border-red-600";
+  if (differenceInCalendarDays(d, addBusinessDays(today, DUE_SOON_BUSINESS_DAYS, calendar)) <= 0) return "text-yellow-500 border-yellow-500";
+  return "text-blue-500 border-blue-500";
+}
@@ -1,7 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/** Service Worker が事前キャッシュするビルド成果物の一覧（precache.json）を出力する */
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter(f => f.startsWith('assets/'))
+      this.emitFile({ type: 'asset', fileName: 'precache.json', source: JSON.stringify(files) })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })